@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react'
+import { Fragment, useState, useEffect, useRef } from 'react'
 import axios from 'axios'
 import Select from 'react-select'
 import toast, { Toaster } from 'react-hot-toast'
@@ -15,19 +15,144 @@ import {
     FaInfoCircle,
     FaTrash,
     FaMoon,
-    FaSun
+    FaSun,
+    FaPlus,
+    FaArrowUp,
+    FaArrowDown,
+    FaStream,
+    FaRedo,
+    FaVolumeUp,
+    FaChartArea,
+    FaLayerGroup,
+    FaFileArchive,
+    FaBan,
+    FaTachometerAlt,
+    FaPause,
+    FaPlay,
+    FaBroom
 } from 'react-icons/fa'
 import './App.css'
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api'
 
+// Files above this size go through resumable (chunked) upload sessions
+const RESUMABLE_UPLOAD_THRESHOLD = 50 * 1024 * 1024
+
+// Matches the server's default MAX_BATCH_FILES
+const MAX_BATCH_FILES = 20
+// Whole-file checksums need the file in memory, so only hash files up to this size
+const WHOLE_FILE_CHECKSUM_LIMIT = 256 * 1024 * 1024
+const CHUNK_RETRIES = 5
+
+function toHex(buffer) {
+    return Array.from(new Uint8Array(buffer), (byte) => byte.toString(16).padStart(2, '0')).join('')
+}
+
+function toBase64(buffer) {
+    return btoa(String.fromCharCode(...new Uint8Array(buffer)))
+}
+
+/**
+ * Upload a file in chunks through a resumable upload session.
+ * The session id is remembered per file, so a retry after a dropped connection
+ * (or a page reload) picks up at the last byte the server received.
+ */
+async function uploadInChunks(file, fields, onProgress) {
+    const subtle = window.crypto?.subtle
+    const resumeKey = `upload:${ file.name }:${ file.size }:${ file.lastModified }`
+    let session = null
+
+    const savedId = localStorage.getItem(resumeKey)
+    if (savedId) {
+        try {
+            session = (await axios.get(`${ API_BASE_URL }/upload/sessions/${ savedId }`)).data
+        } catch {
+            localStorage.removeItem(resumeKey)
+        }
+    }
+
+    if (!session) {
+        const checksum = subtle && file.size <= WHOLE_FILE_CHECKSUM_LIMIT
+            ? toHex(await subtle.digest('SHA-256', await file.arrayBuffer()))
+            : undefined
+        session = (await axios.post(`${ API_BASE_URL }/upload/sessions`, {
+            ...fields,
+            fileName: file.name,
+            size: file.size,
+            mimeType: file.type,
+            checksum,
+        })).data
+        localStorage.setItem(resumeKey, session.uploadId)
+    }
+
+    const sessionUrl = `${ API_BASE_URL }/upload/sessions/${ session.uploadId }`
+    let offset = session.offset
+    let failures = 0
+    onProgress(offset / file.size)
+
+    while (offset < file.size) {
+        const chunk = file.slice(offset, offset + session.chunkSize)
+        try {
+            const data = await chunk.arrayBuffer()
+            const headers = {
+                'Content-Type': 'application/offset+octet-stream',
+                'Upload-Offset': String(offset),
+            }
+            if (subtle) {
+                headers['Upload-Checksum'] = `sha256 ${ toBase64(await subtle.digest('SHA-256', data)) }`
+            }
+            offset = (await axios.patch(sessionUrl, data, { headers })).data.offset
+            failures = 0
+            onProgress(offset / file.size)
+        } catch (error) {
+            // Bad requests will not succeed on retry
+            if ([400, 404, 413].includes(error.response?.status) || failures >= CHUNK_RETRIES) {
+                throw error
+            }
+            failures++
+            await new Promise((resolve) => setTimeout(resolve, 1000 * 2 ** failures))
+            // Ask the server where to continue from
+            offset = (await axios.get(sessionUrl)).data.offset
+        }
+    }
+
+    const response = await axios.post(`${ sessionUrl }/complete`)
+    localStorage.removeItem(resumeKey)
+    return response
+}
+
+// Image formats a waveform job can render
+const WAVEFORM_IMAGE_FORMATS = ['png', 'webp', 'svg']
+
+// Job types whose output is a playable audio file
+const AUDIO_OUTPUT_LABELS = {
+    convert: 'Converted Audio',
+    slice: 'Audio Clip',
+    normalize: 'Normalized Audio',
+}
+
+// Job types with a dedicated settings form; any other type gets inputs generated from its schema
+const JOB_TYPES_WITH_FORMS = ['convert', 'slice', 'split', 'normalize', 'waveform', 'spectrogram', 'pipeline']
+
+// Used when the server cannot be reached to list its job types
+const FALLBACK_JOB_TYPES = {
+    metadata: { label: 'Extract Metadata', description: 'Basic audio analysis', requiresFFmpeg: false, fields: {} },
+    analyze: { label: 'Full Analysis', description: 'Levels, clipping, DC offset, silence, spectrum and bandwidth', requiresFFmpeg: false, fields: {} },
+}
+
+function AudioOutputIcon({ type, className }) {
+    if (type === 'slice') return <FaCut className={className} />
+    if (type === 'normalize') return <FaVolumeUp className={className} />
+    return <FaFileAudio className={className} />
+}
+
 function WaveformImageCard({ downloadUrl, isModal = false }) {
     const [imageLoading, setImageLoading] = useState(true)
     const [imageError, setImageError] = useState(false)
 
     const containerClass = isModal
-        ? "relative bg-gradient-to-br from-gray-50 to-gray-100 rounded-xl p-6 border-2 border-gray-200 shadow-lg"
-        : "relative bg-gray-50 rounded-lg border border-gray-200 overflow-hidden"
+        ? "relative bg-gradient-to-br from-gray-50 to-gray-100 dark:from-gray-800 dark:to-gray-900 rounded-xl p-6 border-2 border-gray-200 dark:border-gray-700 shadow-lg"
+        : "relative bg-gray-50 dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 overflow-hidden"
 
     return (
         <div className={containerClass}>
@@ -64,10 +189,512 @@ function WaveformImageCard({ downloadUrl, isModal = false }) {
     )
 }
 
+// Canvas width limit shared by the major browsers
+const MAX_CANVAS_WIDTH = 32767
+
+function uploadUrl(filePath) {
+    return `${ API_BASE_URL.replace('/api', '') }/uploads/${ filePath.split('/').pop() }`
+}
+
+function WaveformPeaksPlayer({ peaks, audioUrl }) {
+    const [levelIndex, setLevelIndex] = useState(peaks.length - 1)
+    const [waveform, setWaveform] = useState(null)
+    const [loadError, setLoadError] = useState(false)
+    const [currentTime, setCurrentTime] = useState(0)
+    const canvasRef = useRef(null)
+    const audioRef = useRef(null)
+    const level = peaks[levelIndex]
+
+    useEffect(() => {
+        let cancelled = false
+        axios.get(uploadUrl(level.json))
+            .then((response) => {
+                if (!cancelled) setWaveform(response.data)
+            })
+            .catch(() => {
+                if (!cancelled) setLoadError(true)
+            })
+        return () => {
+            cancelled = true
+        }
+    }, [level.json])
+
+    useEffect(() => {
+        const canvas = canvasRef.current
+        if (!canvas || !waveform) return
+
+        const width = Math.min(waveform.length, MAX_CANVAS_WIDTH)
+        const height = 80 * waveform.channels
+        const range = waveform.bits === 8 ? 128 : 32768
+        const channelHeight = height / waveform.channels
+        canvas.width = width
+        canvas.height = height
+
+        const context = canvas.getContext('2d')
+        context.clearRect(0, 0, width, height)
+        context.fillStyle = '#9333ea'
+        for (let x = 0; x < width; x++) {
+            for (let c = 0; c < waveform.channels; c++) {
+                const offset = (x * waveform.channels + c) * 2
+                const center = channelHeight * c + channelHeight / 2
+                const top = center - (waveform.data[offset + 1] / range) * (channelHeight / 2)
+                const bottom = center - (waveform.data[offset] / range) * (channelHeight / 2)
+                context.fillRect(x, top, 1, Math.max(1, bottom - top))
+            }
+        }
+    }, [waveform])
+
+    const secondsPerPixel = waveform ? waveform.samples_per_pixel / waveform.sample_rate : 0
+
+    const seek = (event) => {
+        if (!audioRef.current || !secondsPerPixel) return
+        const rect = event.currentTarget.getBoundingClientRect()
+        const x = ((event.clientX - rect.left) / rect.width) * event.currentTarget.width
+        audioRef.current.currentTime = x * secondsPerPixel
+    }
+
+    return (
+        <div className="space-y-3">
+            <div className="flex flex-wrap items-center gap-2">
+                <span className="text-sm text-gray-600 dark:text-gray-300 transition-colors duration-300">Zoom:</span>
+                {peaks.map((peakLevel, index) => (
+                    <button
+                        key={peakLevel.samplesPerPixel}
+                        onClick={() => {
+                            setLevelIndex(index)
+                            setLoadError(false)
+                        }}
+                        className={`px-3 py-1 text-xs font-semibold rounded-lg transition-all duration-300 ${ index === levelIndex ? 'bg-indigo-500 text-white' : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600' }`}
+                    >
+                        {peakLevel.samplesPerPixel} spp
+                    </button>
+                ))}
+            </div>
+            <div className="relative overflow-x-auto bg-gray-50 dark:bg-gray-700 rounded-xl border border-gray-200 dark:border-gray-600 transition-all duration-300">
+                {loadError ? (
+                    <p className="p-8 text-center text-sm text-gray-400">Failed to load waveform peaks</p>
+                ) : (
+                    <div className="relative inline-block">
+                        <canvas ref={canvasRef} onClick={seek} className="block cursor-pointer" style={{ height: waveform ? 80 * waveform.channels : 80 }} />
+                        {secondsPerPixel > 0 && (
+                            <div
+                                className="absolute top-0 h-full w-0.5 bg-red-500 pointer-events-none"
+                                style={{ left: currentTime / secondsPerPixel }}
+                            />
+                        )}
+                    </div>
+                )}
+            </div>
+            {audioUrl && (
+                <audio
+                    ref={audioRef}
+                    controls
+                    src={audioUrl}
+                    className="w-full"
+                    preload="metadata"
+                    onTimeUpdate={(e) => setCurrentTime(e.currentTarget.currentTime)}
+                >
+                    Your browser does not support the audio element.
+                </audio>
+            )}
+            <div className="flex flex-wrap gap-3 text-xs">
+                <a href={uploadUrl(level.json)} download className="inline-flex items-center gap-1 text-indigo-600 dark:text-indigo-400 hover:underline">
+                    <FaDownload /> Peaks JSON
+                </a>
+                <a href={uploadUrl(level.dat)} download className="inline-flex items-center gap-1 text-indigo-600 dark:text-indigo-400 hover:underline">
+                    <FaDownload /> Peaks .dat
+                </a>
+            </div>
+        </div>
+    )
+}
+
+const CHART_MIN_DB = -120
+
+function SpectrumChart({ bands, bandwidth }) {
+    const width = 600
+    const height = 200
+    if (!bands?.length) return null
+
+    const minFreq = Math.log10(bands[0].frequency)
+    const maxFreq = Math.log10(bandwidth?.nyquistHz || bands[bands.length - 1].frequency)
+    const x = (frequency) => ((Math.log10(frequency) - minFreq) / (maxFreq - minFreq)) * width
+    const y = (db) => (Math.min(0, Math.max(CHART_MIN_DB, db)) / CHART_MIN_DB) * height
+    const points = bands.map((band) => `${ x(band.frequency).toFixed(1) },${ y(band.db).toFixed(1) }`)
+
+    return (
+        <svg viewBox={`0 0 ${ width } ${ height + 20 }`} className="w-full h-auto" role="img" aria-label="Average frequency spectrum">
+            {[-20, -40, -60, -80, -100].map((db) => (
+                <g key={db}>
+                    <line x1="0" x2={width} y1={y(db)} y2={y(db)} className="stroke-gray-200 dark:stroke-gray-700" strokeWidth="1" />
+                    <text x="4" y={y(db) - 2} className="fill-gray-400" fontSize="10">{db} dB</text>
+                </g>
+            ))}
+            {[100, 1000, 10000].filter((f) => x(f) > 0 && x(f) < width).map((frequency) => (
+                <text key={frequency} x={x(frequency)} y={height + 14} textAnchor="middle" className="fill-gray-400" fontSize="10">
+                    {frequency >= 1000 ? `${ frequency / 1000 }k` : frequency} Hz
+                </text>
+            ))}
+            <polygon points={`0,${ height } ${ points.join(' ') } ${ width },${ height }`} className="fill-indigo-500/20" />
+            <polyline points={points.join(' ')} fill="none" className="stroke-indigo-500" strokeWidth="2" />
+            {bandwidth?.effectiveHz && (
+                <line
+                    x1={x(bandwidth.effectiveHz)}
+                    x2={x(bandwidth.effectiveHz)}
+                    y1="0"
+                    y2={height}
+                    className={bandwidth.likelyUpsampled ? 'stroke-red-500' : 'stroke-emerald-500'}
+                    strokeWidth="2"
+                    strokeDasharray="4 4"
+                />
+            )}
+        </svg>
+    )
+}
+
+function LevelBar({ label, db, colorClass }) {
+    const percent = db === null ? 0 : Math.max(0, Math.min(100, ((db + 60) / 60) * 100))
+    return (
+        <div className="flex items-center gap-3 text-xs">
+            <span className="w-10 text-gray-500 dark:text-gray-400">{label}</span>
+            <div className="flex-1 h-2 bg-gray-200 dark:bg-gray-600 rounded-full overflow-hidden">
+                <div className={`h-full ${ colorClass }`} style={{ width: `${ percent }%` }} />
+            </div>
+            <span className="w-20 text-right font-medium text-gray-900 dark:text-gray-100">{db === null ? '-∞' : `${ db.toFixed(1) } dBFS`}</span>
+        </div>
+    )
+}
+
+function SignalAnalysisPanel({ signal }) {
+    const channelNames = signal.channelCount === 2 ? ['Left', 'Right'] : null
+    const duration = signal.analyzedDuration || 0
+
+    return (
+        <div className="mt-6 space-y-6">
+            {/* Channel levels */}
+            <div>
+                <h5 className="text-md font-semibold text-gray-800 dark:text-gray-100 mb-3 transition-colors duration-300">Channel Levels</h5>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    {signal.channels.map((channel) => (
+                        <div key={channel.channel} className="bg-gray-50 dark:bg-gray-700 rounded-xl p-4 border border-gray-200 dark:border-gray-600 space-y-2 transition-all duration-300">
+                            <p className="font-semibold text-gray-900 dark:text-gray-100 transition-colors duration-300">
+                                {channelNames ? channelNames[channel.channel] : `Channel ${ channel.channel + 1 }`}
+                            </p>
+                            <LevelBar label="Peak" db={channel.peakDb} colorClass="bg-purple-500" />
+                            <LevelBar label="RMS" db={channel.rmsDb} colorClass="bg-indigo-500" />
+                            <div className="flex justify-between text-xs pt-1">
+                                <span className={channel.clippedSamples > 0 ? 'text-red-600 dark:text-red-400 font-semibold' : 'text-gray-500 dark:text-gray-400'}>
+                                    {channel.clippedSamples} clipped samples
+                                </span>
+                                <span className={Math.abs(channel.dcOffsetPercent) >= 0.1 ? 'text-amber-600 dark:text-amber-400 font-semibold' : 'text-gray-500 dark:text-gray-400'}>
+                                    DC offset {channel.dcOffsetPercent}%
+                                </span>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            </div>
+
+            {/* Spectrum */}
+            <div>
+                <h5 className="text-md font-semibold text-gray-800 dark:text-gray-100 mb-3 transition-colors duration-300">Average Spectrum</h5>
+                <div className="bg-gray-50 dark:bg-gray-700 rounded-xl p-4 border border-gray-200 dark:border-gray-600 transition-all duration-300">
+                    <SpectrumChart bands={signal.spectrum?.bands} bandwidth={signal.bandwidth} />
+                    {signal.bandwidth?.effectiveHz && (
+                        <p className={`mt-3 text-sm ${ signal.bandwidth.likelyUpsampled ? 'text-red-600 dark:text-red-400' : 'text-gray-600 dark:text-gray-300' } transition-colors duration-300`}>
+                            Effective bandwidth: <strong>{(signal.bandwidth.effectiveHz / 1000).toFixed(1)} kHz</strong> — {signal.bandwidth.note}
+                        </p>
+                    )}
+                </div>
+            </div>
+
+            {/* Silence */}
+            <div>
+                <h5 className="text-md font-semibold text-gray-800 dark:text-gray-100 mb-3 transition-colors duration-300">
+                    Silence <span className="text-sm font-normal text-gray-500 dark:text-gray-400">(below {signal.silence.thresholdDb} dBFS for {signal.silence.minDuration}s+)</span>
+                </h5>
+                <div className="relative h-6 bg-indigo-100 dark:bg-indigo-900/40 rounded-lg overflow-hidden transition-colors duration-300">
+                    {duration > 0 && signal.silence.regions.map((region) => (
+                        <div
+                            key={region.start}
+                            className="absolute top-0 h-full bg-gray-400 dark:bg-gray-500"
+                            style={{ left: `${ (region.start / duration) * 100 }%`, width: `${ Math.max(0.3, (region.duration / duration) * 100) }%` }}
+                            title={`${ region.start }s – ${ region.end }s`}
+                        />
+                    ))}
+                </div>
+                <p className="mt-2 text-xs text-gray-500 dark:text-gray-400 transition-colors duration-300">
+                    {signal.silence.regions.length} region(s), {signal.silence.totalDuration}s total of {duration}s analyzed
+                    {signal.truncated && ' (file truncated for analysis)'}
+                </p>
+                {signal.silence.regions.length > 0 && (
+                    <ul className="mt-2 text-xs text-gray-600 dark:text-gray-300 grid grid-cols-2 md:grid-cols-4 gap-1 transition-colors duration-300">
+                        {signal.silence.regions.slice(0, 20).map((region) => (
+                            <li key={region.start}>{region.start.toFixed(2)}s – {region.end.toFixed(2)}s</li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        </div>
+    )
+}
+
+// Seconds ("75.5") or hh:mm:ss.mmm ("00:01:15.500"); NaN when invalid
+function parseTimecode(value) {
+    const match = String(value).trim().match(/^(?:(?:(\d+):)?(\d{1,2}):)?(\d+(?:\.\d+)?)$/)
+    if (!match) return NaN
+    const [, hours = '0', minutes = '0', seconds] = match
+    return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds)
+}
+
+function isValidRange(start, end) {
+    const startSeconds = parseTimecode(start)
+    const endSeconds = parseTimecode(end)
+    return Number.isFinite(startSeconds) && Number.isFinite(endSeconds) && endSeconds > startSeconds
+}
+
+function formatClipTime(seconds) {
+    const minutes = Math.floor(seconds / 60)
+    return `${ minutes }:${ (seconds - minutes * 60).toFixed(1).padStart(4, '0') }`
+}
+
+function SplitClipsList({ result }) {
+    return (
+        <div className="space-y-3">
+            {result.mode === 'silence' && result.silenceSettings && (
+                <p className="text-xs text-gray-500 dark:text-gray-400 transition-colors duration-300">
+                    Split at silences below {result.silenceSettings.silenceThresholdDb} dBFS lasting at least {result.silenceSettings.minSilenceDuration}s
+                    {result.truncated && ' (only the start of the file was scanned)'}
+                </p>
+            )}
+            {result.segments.map((segment) => {
+                const url = segment.url || uploadUrl(segment.outputPath)
+                return (
+                    <div key={segment.index} className="bg-gray-50 dark:bg-gray-700 rounded-xl p-4 border border-gray-200 dark:border-gray-600 transition-all duration-300">
+                        <div className="flex flex-wrap items-center gap-2 mb-2">
+                            <span className="text-xs font-semibold text-gray-500 dark:text-gray-400">{String(segment.index).padStart(2, '0')}</span>
+                            <span className="font-semibold text-gray-900 dark:text-gray-100 truncate">{segment.name}</span>
+                            <span className="ml-auto text-xs text-gray-500 dark:text-gray-400">
+                                {formatClipTime(segment.startTime)} – {formatClipTime(segment.endTime)} ({segment.duration.toFixed(1)}s)
+                            </span>
+                            <a
+                                href={url}
+                                download
+                                className="flex items-center gap-1 px-2 py-1 bg-indigo-500 text-white text-xs font-semibold rounded-lg hover:bg-indigo-600 transition-all duration-300"
+                            >
+                                <FaDownload className="text-xs" />
+                                Download
+                            </a>
+                        </div>
+                        <audio controls src={url} className="w-full h-10" preload="none">
+                            Your browser does not support the audio element.
+                        </audio>
+                    </div>
+                )
+            })}
+        </div>
+    )
+}
+
+// "45s", "12m", "3h 20m"
+function formatAge(seconds) {
+    if (seconds < 60) return `${ Math.round(seconds) }s`
+    if (seconds < 3600) return `${ Math.round(seconds / 60) }m`
+    return `${ Math.floor(seconds / 3600) }h ${ Math.round((seconds % 3600) / 60) }m`
+}
+
+const QUEUE_COUNT_TILES = [
+    { key: 'waiting', label: 'Waiting', className: 'text-gray-900 dark:text-gray-100' },
+    { key: 'active', label: 'Active', className: 'text-blue-600 dark:text-blue-400' },
+    { key: 'delayed', label: 'Delayed', className: 'text-indigo-600 dark:text-indigo-400' },
+    { key: 'completed', label: 'Completed', className: 'text-emerald-600 dark:text-emerald-400' },
+    { key: 'failed', label: 'Failed', className: 'text-red-600 dark:text-red-400' },
+]
+
+// Queue counts, throughput and dead-lettered jobs, refreshed while the panel is open
+function QueueAdminPanel({ onJobsChanged }) {
+    const [stats, setStats] = useState(null)
+    const [deadLetter, setDeadLetter] = useState({ total: 0, jobs: [] })
+    const [loadError, setLoadError] = useState(null)
+    const [busyAction, setBusyAction] = useState(null)
+    const [refreshKey, setRefreshKey] = useState(0)
+
+    useEffect(() => {
+        const load = async () => {
+            try {
+                const [queueResponse, deadLetterResponse] = await Promise.all([
+                    axios.get(`${ API_BASE_URL }/admin/queue`),
+                    axios.get(`${ API_BASE_URL }/admin/dead-letter`),
+                ])
+                setStats(queueResponse.data)
+                setDeadLetter(deadLetterResponse.data)
+                setLoadError(null)
+            } catch (error) {
+                console.error('Error loading queue stats:', error)
+                setLoadError(error.response?.data?.error || error.message)
+            }
+        }
+        load()
+        const interval = setInterval(load, 5000)
+        return () => clearInterval(interval)
+    }, [refreshKey])
+
+    const runAction = async (action, request) => {
+        setBusyAction(action)
+        try {
+            const response = await request()
+            toast.success(response.data.message)
+            setRefreshKey((key) => key + 1)
+            onJobsChanged()
+        } catch (error) {
+            console.error(`Error running ${ action }:`, error)
+            const errorData = error.response?.data || {}
+            toast.error(
+                <div>
+                    <div className="font-semibold">{errorData.error || 'Queue action failed'}</div>
+                    <div className="text-sm mt-1">{errorData.message || error.message}</div>
+                </div>,
+                { duration: 6000 }
+            )
+        } finally {
+            setBusyAction(null)
+        }
+    }
+
+    if (!stats) {
+        return (
+            <p className="text-center text-gray-500 dark:text-gray-400 py-8 transition-colors duration-300">
+                {loadError ? `Could not load queue stats: ${ loadError }` : 'Loading…'}
+            </p>
+        )
+    }
+
+    const throughput = Object.entries(stats.throughput)
+
+    return (
+        <div className="space-y-6">
+            <div className="flex flex-wrap items-center gap-3">
+                <span className={`px-2 py-1 rounded-lg text-white text-xs ${ stats.paused ? 'bg-amber-500/90' : 'bg-emerald-500/90' }`}>
+                    {stats.paused ? 'PAUSED' : 'RUNNING'}
+                </span>
+                <span className="text-sm text-gray-600 dark:text-gray-300 transition-colors duration-300">
+                    {stats.oldestWaiting
+                        ? `Oldest waiting job: ${ stats.oldestWaiting.type }, ${ formatAge(stats.oldestWaiting.ageSeconds) } ago`
+                        : 'No jobs waiting'}
+                </span>
+                <div className="flex gap-2 ml-auto">
+                    <button
+                        type="button"
+                        onClick={() => runAction('pause', () => axios.post(`${ API_BASE_URL }/admin/queue/${ stats.paused ? 'resume' : 'pause' }`))}
+                        disabled={busyAction !== null}
+                        className={`flex items-center gap-1.5 px-3 py-2 text-white text-xs font-semibold rounded-xl ${ stats.paused ? 'bg-emerald-500 hover:bg-emerald-600' : 'bg-amber-500 hover:bg-amber-600' } disabled:opacity-50 transition-all duration-300`}
+                    >
+                        {stats.paused ? <FaPlay /> : <FaPause />}
+                        {stats.paused ? 'Resume Queue' : 'Pause Queue'}
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => runAction('clean', () => axios.post(`${ API_BASE_URL }/admin/queue/clean`, { olderThanHours: 24 }))}
+                        disabled={busyAction !== null}
+                        className="flex items-center gap-1.5 px-3 py-2 bg-gray-500 text-white text-xs font-semibold rounded-xl hover:bg-gray-600 disabled:opacity-50 transition-all duration-300"
+                        title="Remove completed and failed queue entries older than 24 hours"
+                    >
+                        <FaBroom />
+                        Clean Finished
+                    </button>
+                </div>
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-6 gap-4">
+                {QUEUE_COUNT_TILES.map(({ key, label, className }) => (
+                    <div key={key} className="bg-gray-50 dark:bg-gray-700 rounded-xl p-4 border border-gray-200 dark:border-gray-600 transition-all duration-300">
+                        <p className="text-xs text-gray-500 dark:text-gray-400 transition-colors duration-300">{label}</p>
+                        <p className={`text-2xl font-semibold ${ className } transition-colors duration-300`}>{stats.counts[key]}</p>
+                    </div>
+                ))}
+                <div className="bg-gray-50 dark:bg-gray-700 rounded-xl p-4 border border-gray-200 dark:border-gray-600 transition-all duration-300">
+                    <p className="text-xs text-gray-500 dark:text-gray-400 transition-colors duration-300">Dead-lettered</p>
+                    <p className="text-2xl font-semibold text-amber-600 dark:text-amber-400 transition-colors duration-300">{stats.deadLetter}</p>
+                </div>
+            </div>
+
+            <div>
+                <h5 className="text-md font-semibold text-gray-800 dark:text-gray-100 mb-3 transition-colors duration-300">
+                    Last {stats.window.hours} Hours
+                    {stats.avgProcessingSeconds !== null && (
+                        <span className="text-sm font-normal text-gray-500 dark:text-gray-400"> · average processing time {formatAge(stats.avgProcessingSeconds)}</span>
+                    )}
+                </h5>
+                {throughput.length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400 transition-colors duration-300">No jobs finished in this window.</p>
+                ) : (
+                    <table className="w-full text-sm">
+                        <thead>
+                            <tr className="text-left text-xs text-gray-500 dark:text-gray-400 transition-colors duration-300">
+                                <th className="py-1 font-medium">Job Type</th>
+                                <th className="py-1 font-medium text-right">Completed</th>
+                                <th className="py-1 font-medium text-right">Failed</th>
+                                <th className="py-1 font-medium text-right">Per Hour</th>
+                                <th className="py-1 font-medium text-right">Avg. Time</th>
+                            </tr>
+                        </thead>
+                        <tbody className="text-gray-900 dark:text-gray-200 transition-colors duration-300">
+                            {throughput.map(([type, entry]) => (
+                                <tr key={type} className="border-t border-gray-200 dark:border-gray-700">
+                                    <td className="py-1">{type}</td>
+                                    <td className="py-1 text-right">{entry.completed}</td>
+                                    <td className="py-1 text-right">{entry.failed}</td>
+                                    <td className="py-1 text-right">{entry.completedPerHour}</td>
+                                    <td className="py-1 text-right">{entry.avgProcessingSeconds !== null ? formatAge(entry.avgProcessingSeconds) : '–'}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+
+            <div>
+                <h5 className="text-md font-semibold text-gray-800 dark:text-gray-100 mb-3 transition-colors duration-300">
+                    Dead-Letter List <span className="text-sm font-normal text-gray-500 dark:text-gray-400">(transient failures that used up their retries)</span>
+                </h5>
+                {deadLetter.jobs.length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400 transition-colors duration-300">Nothing here.</p>
+                ) : (
+                    <div className="space-y-2">
+                        {deadLetter.jobs.map((job) => (
+                            <div key={job.id} className="flex flex-wrap items-center gap-3 bg-gray-50 dark:bg-gray-700 rounded-xl p-3 border border-gray-200 dark:border-gray-600 transition-all duration-300">
+                                <span className="font-medium text-gray-900 dark:text-gray-100 truncate transition-colors duration-300">{job.audioFile.originalName}</span>
+                                <span className="text-xs text-gray-500 dark:text-gray-400 transition-colors duration-300">{job.type}</span>
+                                <span className="flex-1 min-w-[160px] text-xs text-red-600 dark:text-red-400 truncate transition-colors duration-300" title={job.error}>{job.error}</span>
+                                <span className="text-xs text-gray-500 dark:text-gray-400 transition-colors duration-300">{new Date(job.deadLetteredAt).toLocaleString()}</span>
+                                <button
+                                    type="button"
+                                    onClick={() => runAction(`requeue-${ job.id }`, () => axios.post(`${ API_BASE_URL }/admin/dead-letter/${ job.id }/requeue`))}
+                                    disabled={busyAction !== null}
+                                    className="flex items-center gap-1.5 px-3 py-1 bg-indigo-500 text-white text-xs font-semibold rounded-lg hover:bg-indigo-600 disabled:opacity-50 transition-all duration-300"
+                                >
+                                    {busyAction === `requeue-${ job.id }` ? <FaSpinner className="animate-spin" /> : <FaRedo />}
+                                    Requeue
+                                </button>
+                            </div>
+                        ))}
+                        {deadLetter.total > deadLetter.jobs.length && (
+                            <p className="text-xs text-gray-500 dark:text-gray-400 transition-colors duration-300">
+                                Showing {deadLetter.jobs.length} of {deadLetter.total}
+                            </p>
+                        )}
+                    </div>
+                )}
+            </div>
+        </div>
+    )
+}
+
 export default function App() {
-    const [file, setFile] = useState(null)
+    const [files, setFiles] = useState([])
     const [filePreviewUrl, setFilePreviewUrl] = useState(null)
     const [uploading, setUploading] = useState(false)
+    const [uploadProgress, setUploadProgress] = useState(0)
     const [jobs, setJobs] = useState([])
     const [selectedJob, setSelectedJob] = useState(null)
     const [jobType, setJobType] = useState('metadata')
@@ -75,6 +702,7 @@ export default function App() {
     const [deleteModalOpen, setDeleteModalOpen] = useState(false)
     const [jobToDelete, setJobToDelete] = useState(null)
     const [features, setFeatures] = useState({ ffmpeg: { available: true, features: [] }, metadata: { available: true, features: [] } })
+    const [jobFieldValues, setJobFieldValues] = useState({})
     const [darkMode, setDarkMode] = useState(() => {
         try {
             const saved = localStorage.getItem('darkMode')
@@ -110,14 +738,112 @@ export default function App() {
 
     const [clipStart, setClipStart] = useState('0')
     const [clipEnd, setClipEnd] = useState('30')
+    const [sliceSettings, setSliceSettings] = useState({ mode: 'accurate', fadeIn: '', fadeOut: '' })
+    // Split into several clips: explicit segments or at silences
+    const [splitSettings, setSplitSettings] = useState({ mode: 'silence', silenceThresholdDb: '-40', minSilenceDuration: '1', minSegmentDuration: '1', namePrefix: 'Track' })
+    const [splitSegments, setSplitSegments] = useState([{ name: '', start: '0', end: '30' }])
 
     const [outputFormat, setOutputFormat] = useState('mp3')
+    const [encoderSettings, setEncoderSettings] = useState({})
+
+    const [pipelineSteps, setPipelineSteps] = useState([
+        { type: 'convert', outputFormat: 'mp3' },
+        { type: 'waveform' },
+    ])
+
+    const updatePipelineStep = (index, changes) => {
+        setPipelineSteps((prev) => prev.map((step, i) => (i === index ? { ...step, ...changes } : step)))
+    }
+
+    const movePipelineStep = (index, direction) => {
+        setPipelineSteps((prev) => {
+            const target = index + direction
+            if (target < 0 || target >= prev.length) return prev
+            const next = [...prev]
+            ;[next[index], next[target]] = [next[target], next[index]]
+            return next
+        })
+    }
+
+    const [normalizeSettings, setNormalizeSettings] = useState({ preset: 'podcast', targetLufs: '-16', outputFormat: '' })
+
+    const [waveformSettings, setWaveformSettings] = useState(() => ({
+        zoomLevels: '256,1024,4096',
+        bits: '8',
+        splitChannels: false,
+        image: true,
+        imageFormat: 'png',
+        // Match the image to the current theme by default
+        imagePreset: darkMode ? 'dark' : 'light',
+        style: 'bars',
+        width: '1200',
+        height: '240',
+        foregroundColor: '',
+        backgroundColor: '',
+    }))
+
+    const [spectrogramSettings, setSpectrogramSettings] = useState({ colorMap: 'viridis', frequencyScale: 'log', fftSize: '2048', width: '1200', height: '400' })
+
+    const updateSpectrogramSetting = (key, value) => {
+        setSpectrogramSettings((prev) => ({ ...prev, [key]: value }))
+    }
+
+    const updateWaveformSetting = (key, value) => {
+        setWaveformSettings((prev) => ({ ...prev, [key]: value }))
+    }
+
+    const [rerunJob, setRerunJob] = useState({ type: 'metadata', outputFormat: 'mp3', preset: 'podcast', startTime: '0', endTime: '30' })
+    const [rerunning, setRerunning] = useState(false)
+    const [cancellingJobId, setCancellingJobId] = useState(null)
+    const [retryingJobId, setRetryingJobId] = useState(null)
+    // Queue priority and optional start time (datetime-local value) of new uploads
+    const [schedule, setSchedule] = useState({ priority: 'normal', runAt: '' })
+    const [showQueueAdmin, setShowQueueAdmin] = useState(false)
+
+    const updateEncoderSetting = (key, value) => {
+        setEncoderSettings((prev) => ({ ...prev, [key]: value }))
+    }
 
     useEffect(() => {
         loadJobs()
         loadFeatures()
-        const interval = setInterval(loadJobs, 2000)
-        return () => clearInterval(interval)
+
+        // Poll until the live event stream is connected, and again whenever it drops
+        let interval = null
+        const startPolling = () => {
+            if (!interval) interval = setInterval(loadJobs, 2000)
+        }
+        const stopPolling = () => {
+            if (interval) {
+                clearInterval(interval)
+                interval = null
+            }
+        }
+        startPolling()
+
+        if (typeof EventSource === 'undefined') {
+            return stopPolling
+        }
+
+        const source = new EventSource(`${ API_BASE_URL }/upload/jobs/stream`)
+        source.onopen = () => {
+            stopPolling()
+            loadJobs()
+        }
+        source.onerror = startPolling
+        source.addEventListener('progress', (event) => {
+            try {
+                applyJobProgress(JSON.parse(event.data))
+            } catch (error) {
+                console.error('Invalid progress event:', error)
+            }
+        })
+        ;['active', 'completed', 'retrying', 'failed'].forEach((type) => source.addEventListener(type, loadJobs))
+
+        return () => {
+            stopPolling()
+            source.close()
+        }
     }, [])
 
     const loadFeatures = async () => {
@@ -125,7 +851,7 @@ export default function App() {
             const response = await axios.get(`${ API_BASE_URL }/upload/features`)
             setFeatures(response.data)
 
-            if (!response.data.ffmpeg.available && ['convert', 'slice', 'waveform'].includes(jobType)) {
+            if (!response.data.ffmpeg.available && response.data.jobTypes?.[jobType]?.requiresFFmpeg) {
                 setJobType('metadata')
                 toast.info('FFmpeg features are not available. Switched to metadata extraction.', {
                     duration: 5000,
@@ -135,7 +861,8 @@ export default function App() {
             console.error('Error loading features:', error)
             setFeatures({
                 ffmpeg: { available: false, features: [] },
-                metadata: { available: true, features: ['metadata', 'analyze'] }
+                metadata: { available: true, features: ['metadata', 'analyze'] },
+                jobTypes: FALLBACK_JOB_TYPES,
             })
         }
     }
@@ -152,6 +879,21 @@ export default function App() {
         }
     }
 
+    const applyJobProgress = ({ jobId, progress, step }) => {
+        setJobs((prev) => prev.map((job) => {
+            // A worker can still report progress just before it stops a cancelled job
+            if (job.id !== jobId || job.status === 'CANCELLED') return job
+            return {
+                ...job,
+                status: 'PROCESSING',
+                progress,
+                steps: step && job.steps
+                    ? job.steps.map((s) => (s.id === step.id ? { ...s, status: step.progress < 100 ? 'PROCESSING' : 'COMPLETED', progress: step.progress } : s))
+                    : job.steps,
+            }
+        }))
+    }
+
     const openDeleteModal = (job, event) => {
         event.stopPropagation()
         setJobToDelete(job)
@@ -237,17 +979,69 @@ export default function App() {
         }
     }
 
+    const cancelJob = async (job, event) => {
+        event.stopPropagation()
+        setCancellingJobId(job.id)
+
+        try {
+            const response = await axios.post(`${ API_BASE_URL }/upload/job/${ job.id }/cancel`)
+            setJobs((prev) => prev.map((j) => (j.id === job.id ? response.data.job : j)))
+            toast.success(response.data.message || 'Job cancelled')
+        } catch (error) {
+            console.error('Error cancelling job:', error)
+            const errorData = error.response?.data || {}
+            toast.error(
+                <div>
+                    <div className="font-semibold">{errorData.error || 'Failed to Cancel Job'}</div>
+                    <div className="text-sm mt-1">{errorData.message || error.message}</div>
+                </div>,
+                { duration: 5000 }
+            )
+            // The job may have finished in the meantime
+            loadJobs()
+        } finally {
+            setCancellingJobId(null)
+        }
+    }
+
+    const retryJob = async (job, event) => {
+        event.stopPropagation()
+        setRetryingJobId(job.id)
+
+        try {
+            const response = await axios.post(`${ API_BASE_URL }/upload/job/${ job.id }/retry`)
+            toast.success(`Retrying ${ job.type } (attempt ${ response.data.attempt })`)
+            loadJobs()
+        } catch (error) {
+            console.error('Error retrying job:', error)
+            const errorData = error.response?.data || {}
+            toast.error(
+                <div>
+                    <div className="font-semibold">{errorData.error || 'Failed to Retry Job'}</div>
+                    <div className="text-sm mt-1">{errorData.message || error.message}</div>
+                    {errorData.fields?.length > 1 && (
+                        <ul className="text-xs mt-1 list-disc pl-4">
+                            {errorData.fields.map((f, i) => <li key={i}>{f.message}</li>)}
+                        </ul>
+                    )}
+                </div>,
+                { duration: 6000 }
+            )
+        } finally {
+            setRetryingJobId(null)
+        }
+    }
+
     const handleFileChange = (e) => {
-        if (e.target.files?.[0]) {
-            const selectedFile = e.target.files[0]
-            setFile(selectedFile)
+        if (e.target.files?.length) {
+            const selectedFiles = [...e.target.files]
+            setFiles(selectedFiles)
 
-            // Create preview URL for audio file
+            // Create preview URL for audio file (single uploads only)
             if (filePreviewUrl) {
                 URL.revokeObjectURL(filePreviewUrl)
             }
-            const previewUrl = URL.createObjectURL(selectedFile)
-            setFilePreviewUrl(previewUrl)
+            setFilePreviewUrl(selectedFiles.length === 1 ? URL.createObjectURL(selectedFiles[0]) : null)
         }
     }
 
@@ -261,51 +1055,169 @@ export default function App() {
     }, [filePreviewUrl])
 
     const handleUpload = async () => {
-        if (!file) {
+        if (files.length === 0) {
             toast.error('Please select a file')
             return
         }
 
+        const isBatch = files.length > 1
+        if (isBatch) {
+            if (files.length > MAX_BATCH_FILES) {
+                toast.error(`A batch can contain at most ${ MAX_BATCH_FILES } files.`)
+                return
+            }
+            // Batches go up in one multipart request, so large files need their own resumable upload
+            const largeFile = files.find(f => f.size > RESUMABLE_UPLOAD_THRESHOLD)
+            if (largeFile) {
+                toast.error(`${ largeFile.name } is over ${ formatBytes(RESUMABLE_UPLOAD_THRESHOLD) }. Upload large files one at a time.`)
+                return
+            }
+        }
+
         // Validate clip times if slicing
-        if (jobType === 'slice') {
-            const start = parseFloat(clipStart)
-            const end = parseFloat(clipEnd)
-            if (isNaN(start) || isNaN(end) || start < 0 || end <= start) {
-                toast.error('Invalid clip times. Start must be >= 0 and end must be > start.')
+        if (jobType === 'slice' && !isValidRange(clipStart, clipEnd)) {
+            toast.error('Invalid clip times. Use seconds or hh:mm:ss.mmm, with end after start.')
+            return
+        }
+
+        // Validate split segments
+        if (jobType === 'split' && splitSettings.mode === 'segments') {
+            const badSegment = splitSegments.findIndex(segment => !isValidRange(segment.start, segment.end))
+            if (badSegment !== -1) {
+                toast.error(`Segment ${ badSegment + 1 }: use seconds or hh:mm:ss.mmm, with end after start.`)
+                return
+            }
+        }
+
+        // Validate pipeline steps
+        if (jobType === 'pipeline') {
+            if (pipelineSteps.length === 0) {
+                toast.error('Add at least one pipeline step.')
+                return
+            }
+            const badSlice = pipelineSteps.findIndex(step => step.type === 'slice' && !isValidRange(step.startTime, step.endTime))
+            if (badSlice !== -1) {
+                toast.error(`Step ${ badSlice + 1 }: invalid clip times. Use seconds or hh:mm:ss.mmm, with end after start.`)
                 return
             }
         }
 
         const formData = new FormData()
-        formData.append('audio', file)
         formData.append('jobType', jobType)
 
         // Add job-specific parameters
         if (jobType === 'convert') {
             formData.append('outputFormat', outputFormat)
+            Object.entries(encoderSettings).forEach(([key, value]) => {
+                if (value !== '' && value !== undefined) formData.append(key, value)
+            })
         } else if (jobType === 'slice') {
             formData.append('startTime', clipStart)
             formData.append('endTime', clipEnd)
+            formData.append('mode', sliceSettings.mode)
+            if (sliceSettings.mode === 'accurate') {
+                if (sliceSettings.fadeIn !== '') formData.append('fadeIn', sliceSettings.fadeIn)
+                if (sliceSettings.fadeOut !== '') formData.append('fadeOut', sliceSettings.fadeOut)
+            }
+        } else if (jobType === 'split') {
+            formData.append('mode', splitSettings.mode)
+            if (splitSettings.mode === 'segments') {
+                formData.append('segments', JSON.stringify(splitSegments))
+            } else {
+                ['silenceThresholdDb', 'minSilenceDuration', 'minSegmentDuration', 'namePrefix'].forEach((key) => {
+                    if (splitSettings[key] !== '') formData.append(key, splitSettings[key])
+                })
+            }
+        } else if (jobType === 'normalize') {
+            formData.append('preset', normalizeSettings.preset)
+            if (normalizeSettings.preset === 'custom') formData.append('targetLufs', normalizeSettings.targetLufs)
+            if (normalizeSettings.outputFormat) formData.append('outputFormat', normalizeSettings.outputFormat)
+        } else if (jobType === 'waveform') {
+            formData.append('zoomLevels', waveformSettings.zoomLevels)
+            formData.append('bits', waveformSettings.bits)
+            formData.append('splitChannels', String(waveformSettings.splitChannels))
+            formData.append('image', String(waveformSettings.image))
+            if (waveformSettings.image) {
+                ['imageFormat', 'imagePreset', 'style', 'width', 'height', 'foregroundColor', 'backgroundColor'].forEach((key) => {
+                    if (waveformSettings[key] !== '') formData.append(key, waveformSettings[key])
+                })
+            }
+        } else if (jobType === 'spectrogram') {
+            Object.entries(spectrogramSettings).forEach(([key, value]) => {
+                if (value !== '') formData.append(key, value)
+            })
+        } else if (jobType === 'pipeline') {
+            formData.append('steps', JSON.stringify(pipelineSteps))
+        } else {
+            Object.keys(genericJobFields).forEach((key) => {
+                const value = jobFieldValues[key]
+                if (value !== undefined && value !== '') formData.append(key, String(value))
+            })
         }
 
+        formData.append('priority', schedule.priority)
+        if (schedule.runAt) formData.append('runAt', new Date(schedule.runAt).toISOString())
+
+        // Files go last so the server can reject invalid job fields before storing anything
+        files.forEach(f => formData.append('audio', f))
+
         setUploading(true)
-        const uploadToast = toast.loading('Uploading file...')
+        setUploadProgress(0)
+        const uploadToast = toast.loading(isBatch ? `Uploading ${ files.length } files...` : 'Uploading file...')
 
         try {
-            await axios.post(`${ API_BASE_URL }/upload`, formData, {
-                headers: { 'Content-Type': 'multipart/form-data' },
-            })
+            let rejected = []
+            if (isBatch) {
+                const response = await axios.post(`${ API_BASE_URL }/upload/batch`, formData, {
+                    headers: { 'Content-Type': 'multipart/form-data' },
+                    onUploadProgress: (event) => {
+                        if (event.total) setUploadProgress(Math.round((event.loaded / event.total) * 100))
+                    },
+                })
+                rejected = response.data.rejected || []
+            } else if (files[0].size > RESUMABLE_UPLOAD_THRESHOLD) {
+                const fields = Object.fromEntries([...formData.entries()].filter(([key]) => key !== 'audio'))
+                await uploadInChunks(files[0], fields, (fraction) => {
+                    setUploadProgress(Math.round(fraction * 100))
+                    toast.loading(`Uploading file... ${ Math.round(fraction * 100) }%`, { id: uploadToast })
+                })
+            } else {
+                await axios.post(`${ API_BASE_URL }/upload`, formData, {
+                    headers: { 'Content-Type': 'multipart/form-data' },
+                    onUploadProgress: (event) => {
+                        if (event.total) setUploadProgress(Math.round((event.loaded / event.total) * 100))
+                    },
+                })
+            }
 
-            toast.success('Upload successful! Processing job...', {
-                id: uploadToast,
-                duration: 4000,
-            })
+            if (rejected.length > 0) {
+                toast.success(
+                    <div>
+                        <div className="font-semibold">Uploaded {files.length - rejected.length} of {files.length} files</div>
+                        {rejected.map((r) => (
+                            <div key={r.originalName} className="text-sm mt-1">{r.originalName}: {r.message}</div>
+                        ))}
+                    </div>,
+                    {
+                        id: uploadToast,
+                        duration: 8000,
+                        style: {
+                            maxWidth: '400px',
+                        },
+                    }
+                )
+            } else {
+                toast.success(isBatch ? `Batch of ${ files.length } files uploaded! Processing jobs...` : 'Upload successful! Processing job...', {
+                    id: uploadToast,
+                    duration: 4000,
+                })
+            }
 
             // Cleanup preview URL
             if (filePreviewUrl) {
                 URL.revokeObjectURL(filePreviewUrl)
             }
-            setFile(null)
+            setFiles([])
             setFilePreviewUrl(null)
             const fileInput = document.getElementById('file-input')
             if (fileInput) fileInput.value = ''
@@ -317,7 +1229,26 @@ export default function App() {
             loadJobs()
         } catch (error) {
             console.error('Upload error:', error)
-            const errorMsg = error.response?.data?.message || error.response?.data?.error || 'Upload failed.'
+            const errorData = error.response?.data || {}
+            const errorMsg = errorData.rejected?.length
+                ? (
+                    <div>
+                        <div className="font-semibold">{errorData.message}</div>
+                        {errorData.rejected.map((r) => (
+                            <div key={r.originalName} className="text-sm mt-1">{r.originalName}: {r.message}</div>
+                        ))}
+                    </div>
+                )
+                : errorData.fields?.length > 1
+                    ? (
+                        <div>
+                            <div className="font-semibold">{errorData.error}</div>
+                            {errorData.fields.map((f, i) => (
+                                <div key={i} className="text-sm mt-1">{f.message}</div>
+                            ))}
+                        </div>
+                    )
+                    : errorData.message || errorData.error || 'Upload failed.'
             toast.error(errorMsg, {
                 id: uploadToast,
                 duration: 5000,
@@ -327,11 +1258,50 @@ export default function App() {
         }
     }
 
+    const runAnotherJob = async (audioFile) => {
+        const body = { jobType: rerunJob.type }
+        if (rerunJob.type === 'convert') {
+            body.outputFormat = rerunJob.outputFormat
+        } else if (rerunJob.type === 'normalize') {
+            body.preset = rerunJob.preset
+        } else if (rerunJob.type === 'slice') {
+            if (!isValidRange(rerunJob.startTime, rerunJob.endTime)) {
+                toast.error('Invalid clip times. Use seconds or hh:mm:ss.mmm, with end after start.')
+                return
+            }
+            body.startTime = rerunJob.startTime
+            body.endTime = rerunJob.endTime
+        }
+
+        setRerunning(true)
+        const jobToast = toast.loading('Queuing job...')
+
+        try {
+            await axios.post(`${ API_BASE_URL }/upload/file/${ audioFile.id }/jobs`, body)
+            toast.success(`Queued ${ rerunJob.type } for ${ audioFile.originalName }`, {
+                id: jobToast,
+                duration: 4000,
+            })
+            setSelectedJob(null)
+            loadJobs()
+        } catch (error) {
+            console.error('Queue job error:', error)
+            const errorMsg = error.response?.data?.message || error.response?.data?.error || 'Failed to queue job.'
+            toast.error(errorMsg, {
+                id: jobToast,
+                duration: 5000,
+            })
+        } finally {
+            setRerunning(false)
+        }
+    }
+
     const getStatusColor = (status) => {
         return {
             COMPLETED: 'bg-emerald-500/90',
             PROCESSING: 'bg-blue-500/90',
             FAILED: 'bg-red-500/90',
+            CANCELLED: 'bg-amber-500/90',
         }[status] || 'bg-gray-400/90'
     }
 
@@ -343,13 +1313,14 @@ export default function App() {
         return (bytes / Math.pow(k, i)).toFixed(2) + ' ' + sizes[i]
     }
 
-    const jobTypeOptions = [
-        { value: 'metadata', label: 'Extract Metadata', description: 'Basic audio analysis', requiresFFmpeg: false },
-        { value: 'analyze', label: 'Full Analysis', description: 'Deep signal processing', requiresFFmpeg: false },
-        { value: 'convert', label: 'Convert Format', description: 'Convert to different format', requiresFFmpeg: true },
-        { value: 'slice', label: 'Slice Clip', description: 'Extract audio segment', requiresFFmpeg: true },
-        { value: 'waveform', label: 'Generate Waveform', description: 'Create visualization', requiresFFmpeg: true },
-    ].map(option => ({
+    // The server's job type registry drives the picker, including custom processors
+    const jobTypes = features.jobTypes || {}
+    const jobTypeOptions = Object.entries(jobTypes).map(([value, info]) => ({
+        value,
+        label: info.label,
+        description: info.description,
+        requiresFFmpeg: info.requiresFFmpeg,
+    })).map(option => ({
         ...option,
         isDisabled: option.requiresFFmpeg && !features.ffmpeg.available,
         label: option.requiresFFmpeg && !features.ffmpeg.available
@@ -360,6 +1331,42 @@ export default function App() {
             : option.description
     }))
 
+    const waveformPresets = features.waveform?.imagePresets || {
+        light: { label: 'Light', foregroundColor: '#9333ea', backgroundColor: '#ffffff' },
+        dark: { label: 'Dark', foregroundColor: '#a78bfa', backgroundColor: '#111827' },
+    }
+    const waveformPresetOptions = Object.entries(waveformPresets).map(([value, preset]) => ({ value, label: preset.label }))
+    const waveformPreset = waveformPresets[waveformSettings.imagePreset] || waveformPresets.light
+    const imageBackground = waveformSettings.backgroundColor || waveformPreset.backgroundColor
+    const colorMapOptions = Object.entries(features.spectrogram?.colorMaps || { viridis: 'Viridis', magma: 'Magma', inferno: 'Inferno', rainbow: 'Rainbow', grayscale: 'Grayscale' })
+        .map(([value, label]) => ({ value, label }))
+    const frequencyScaleOptions = [
+        { value: 'log', label: 'Logarithmic' },
+        { value: 'linear', label: 'Linear' },
+    ]
+    const fftSizeOptions = (features.spectrogram?.fftSizes || [256, 512, 1024, 2048, 4096, 8192]).map((size) => ({ value: String(size), label: `${ size } points` }))
+
+    const waveformStyleOptions = [
+        { value: 'bars', label: 'Bars' },
+        { value: 'line', label: 'Line' },
+    ]
+
+    const loudnessPresetOptions = Object.entries(features.loudnessPresets || {
+        podcast: { label: 'Podcast', targetLufs: -16 },
+        streaming: { label: 'Streaming', targetLufs: -14 },
+        broadcast: { label: 'Broadcast (EBU R128)', targetLufs: -23 },
+    }).map(([value, preset]) => ({ value, label: `${ preset.label } (${ preset.targetLufs } LUFS)` }))
+
+    const priorityOptions = Object.entries(features.scheduling?.priorities || {
+        interactive: { label: 'Interactive', description: 'Someone is waiting for the result' },
+        normal: { label: 'Normal', description: 'Default for uploads' },
+        bulk: { label: 'Bulk', description: 'Large or batch work that can wait' },
+    }).map(([value, priority]) => ({ value, label: priority.label, description: priority.description }))
+
+    const pipelineStepOptions = jobTypeOptions.filter(option => option.value !== 'pipeline')
+    const ffmpegJobLabels = Object.values(jobTypes).filter(info => info.requiresFFmpeg).map(info => info.label)
+    const genericJobFields = JOB_TYPES_WITH_FORMS.includes(jobType) ? {} : jobTypes[jobType]?.fields || {}
+
     const formatOptions = [
         { value: 'mp3', label: 'MP3' },
         { value: 'wav', label: 'WAV' },
@@ -368,6 +1375,41 @@ export default function App() {
         { value: 'm4a', label: 'M4A' },
     ]
 
+    // Keep each batch's jobs together, at the position of its newest job
+    const batchJobs = {}
+    jobs.forEach((job) => {
+        const batchId = job.audioFile?.batchId
+        if (batchId) (batchJobs[batchId] ||= []).push(job)
+    })
+    const orderedJobs = jobs.flatMap((job) => {
+        const batchId = job.audioFile?.batchId
+        if (!batchId) return [job]
+        return batchJobs[batchId][0] === job ? batchJobs[batchId] : []
+    })
+
+    const summarizeBatch = (batch) => {
+        const finished = batch.filter(job => ['COMPLETED', 'FAILED', 'CANCELLED'].includes(job.status))
+        const failed = batch.filter(job => job.status === 'FAILED').length
+        const completed = batch.filter(job => job.status === 'COMPLETED').length
+        const progress = Math.round(batch.reduce((sum, job) => sum + (finished.includes(job) ? 100 : job.progress), 0) / batch.length)
+        let status = 'PROCESSING'
+        if (finished.length === batch.length) status = failed > 0 ? 'FAILED' : completed > 0 ? 'COMPLETED' : 'CANCELLED'
+        return { progress, status, completed, failed }
+    }
+
+    // Encoder choices come from the server's format profiles
+    const formatProfile = features.formats?.[outputFormat]
+    const activeCodec = formatProfile?.codecs?.[encoderSettings.codec || formatProfile?.defaultCodec]
+    const defaultOption = { value: '', label: 'Default' }
+    const codecOptions = formatProfile ? Object.keys(formatProfile.codecs).map(c => ({ value: c, label: c.toUpperCase() })) : []
+    const bitrateModeOptions = (activeCodec?.bitrateModes || []).map(m => ({ value: m, label: m.toUpperCase() }))
+    const bitrateOptions = [defaultOption, ...(formatProfile?.bitrates || []).map(b => ({ value: String(b), label: `${ b } kbps` }))]
+    const sampleRateOptions = [defaultOption, ...(activeCodec?.sampleRates || formatProfile?.sampleRates || []).map(r => ({ value: String(r), label: `${ r } Hz` }))]
+    const channelOptions = [defaultOption, { value: '1', label: 'Mono' }, { value: '2', label: 'Stereo' }]
+    const compressionLevelOptions = formatProfile?.compressionLevels
+        ? [defaultOption, ...Array.from({ length: formatProfile.compressionLevels[1] - formatProfile.compressionLevels[0] + 1 }, (_, i) => ({ value: String(formatProfile.compressionLevels[0] + i), label: `Level ${ formatProfile.compressionLevels[0] + i }` }))]
+        : []
+
     const customSelectStyles = {
         control: (base, state) => ({
             ...base,
@@ -472,6 +1514,15 @@ export default function App() {
                             <FaMoon className="text-gray-700 text-xl" />
                         )}
                     </button>
+                    <button
+                        type="button"
+                        onClick={() => setShowQueueAdmin((prev) => !prev)}
+                        className={`absolute top-0 right-16 p-3 rounded-full shadow-lg hover:shadow-xl transition-all duration-300 hover:scale-110 border z-50 cursor-pointer ${ showQueueAdmin ? 'bg-indigo-500 border-indigo-500' : 'bg-white dark:bg-gray-800 border-gray-200 dark:border-gray-700' }`}
+                        aria-label="Toggle queue admin panel"
+                        title="Queue admin"
+                    >
+                        <FaTachometerAlt className={`text-xl ${ showQueueAdmin ? 'text-white' : 'text-gray-700 dark:text-gray-300' }`} />
+                    </button>
                     <h1 className="text-5xl font-semibold tracking-tight text-gray-900 dark:text-white transition-colors duration-300">
                         🎵 Audio Processing
                     </h1>
@@ -480,6 +1531,16 @@ export default function App() {
                     </p>
                 </header>
 
+                {/* Queue Admin */}
+                {showQueueAdmin && (
+                    <div className="bg-white/70 dark:bg-gray-800/70 backdrop-blur-xl shadow-xl rounded-3xl p-8 border border-white/40 dark:border-gray-700/40 mb-12 relative transition-all duration-300" style={{ zIndex: 2 }}>
+                        <h2 className="text-2xl font-semibold text-gray-800 dark:text-gray-100 mb-6 transition-colors duration-300">
+                            Queue Admin
+                        </h2>
+                        <QueueAdminPanel onJobsChanged={loadJobs} />
+                    </div>
+                )}
+
                 {/* Upload Card */}
                 <div className="bg-white/70 dark:bg-gray-800/70 backdrop-blur-xl shadow-xl rounded-3xl p-8 border border-white/40 dark:border-gray-700/40 mb-12 relative transition-all duration-300" style={{ zIndex: 1 }}>
                     <h2 className="text-2xl font-semibold text-gray-800 dark:text-gray-100 mb-6 transition-colors duration-300">
@@ -496,7 +1557,7 @@ export default function App() {
                                 value={jobTypeOptions.find((o) => o.value === jobType)}
                                 onChange={(opt) => {
                                     if (opt.isDisabled) {
-                                        toast.error('Convert/Slice/Waveform features disabled', {
+                                        toast.error('FFmpeg features disabled', {
                                             description: 'These features are not available now. Please use Metadata or Analysis instead.',
                                             duration: 5000,
                                         })
@@ -541,8 +1602,7 @@ export default function App() {
                                     <p className="text-xs text-yellow-800 dark:text-yellow-300 flex items-start gap-2 transition-colors duration-300">
                                         <FaTimesCircle className="text-yellow-600 dark:text-yellow-400 mt-0.5 flex-shrink-0 transition-colors duration-300" />
                                         <span>
-                                            <strong>FFmpeg not available:</strong> Convert, Slice, and Waveform features are disabled.
-                                            Only Metadata and Analysis are available.
+                                            <strong>FFmpeg not available:</strong> {ffmpegJobLabels.join(', ')} features are disabled.
                                         </span>
                                     </p>
                                 </div>
@@ -550,28 +1610,37 @@ export default function App() {
                         </div>
                         <div>
                             <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2 transition-colors duration-300">
-                                Choose File
+                                Choose Files
                             </label>
                             <input
                                 id="file-input"
                                 type="file"
                                 accept="audio/*"
+                                multiple
                                 onChange={handleFileChange}
                                 className="w-full rounded-2xl border-2 border-dashed border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 p-4 transition-all duration-300 ease-in-out hover:border-indigo-400 dark:hover:border-indigo-500 hover:bg-neutral-50 dark:hover:bg-gray-600 cursor-pointer text-gray-900 dark:text-gray-100"
                             />
-                            {file && (
+                            {files.length > 0 && (
                                 <div className="mt-3 space-y-2">
-                                    <div className="px-3 py-1.5 bg-neutral-100 dark:bg-gray-700 rounded-lg text-xs flex justify-between transition-colors duration-300">
-                                        <span className="truncate flex-1 mr-2 text-gray-900 dark:text-gray-100">{file.name}</span>
-                                        <span className="font-medium whitespace-nowrap text-gray-900 dark:text-gray-100">{formatBytes(file.size)}</span>
-                                    </div>
+                                    {files.length > 1 && (
+                                        <p className="flex items-center gap-2 text-xs font-medium text-indigo-600 dark:text-indigo-400 transition-colors duration-300">
+                                            <FaLayerGroup />
+                                            Batch of {files.length} files · {formatBytes(files.reduce((sum, f) => sum + f.size, 0))}
+                                        </p>
+                                    )}
+                                    {files.map((f) => (
+                                        <div key={`${ f.name }:${ f.size }:${ f.lastModified }`} className="px-3 py-1.5 bg-neutral-100 dark:bg-gray-700 rounded-lg text-xs flex justify-between transition-colors duration-300">
+                                            <span className="truncate flex-1 mr-2 text-gray-900 dark:text-gray-100">{f.name}</span>
+                                            <span className="font-medium whitespace-nowrap text-gray-900 dark:text-gray-100">{formatBytes(f.size)}</span>
+                                        </div>
+                                    ))}
                                 </div>
                             )}
                         </div>
                     </div>
 
                     {/* Audio Preview - Full Width */}
-                    {file && filePreviewUrl && (
+                    {files.length === 1 && filePreviewUrl && (
                         <div className="mb-6 w-full">
                             <div className="bg-white dark:bg-gray-800 rounded-xl p-4 border border-gray-200 dark:border-gray-700 shadow-sm transition-all duration-300">
                                 <p className="text-xs font-medium text-gray-700 dark:text-gray-300 mb-2 transition-colors duration-300">Preview:</p>
@@ -587,62 +1656,675 @@ export default function App() {
                         </div>
                     )}
 
-                    {/* Output Format Selection for Convert */}
-                    {jobType === 'convert' && (
-                        <div className="mb-6 relative" style={{ zIndex: 100 }}>
-                            <Select
-                                value={formatOptions.find((o) => o.value === outputFormat)}
-                                onChange={(opt) => setOutputFormat(opt.value)}
-                                options={formatOptions}
-                                styles={customSelectStyles}
-                                isSearchable={false}
-                                menuPortalTarget={document.body}
-                                menuPosition="fixed"
-                                placeholder="Select output format..."
-                            />
+                    {/* Output Format Selection for Convert */}
+                    {jobType === 'convert' && (
+                        <div className="mb-6 relative" style={{ zIndex: 100 }}>
+                            <Select
+                                value={formatOptions.find((o) => o.value === outputFormat)}
+                                onChange={(opt) => {
+                                    setOutputFormat(opt.value)
+                                    setEncoderSettings({})
+                                }}
+                                options={formatOptions}
+                                styles={customSelectStyles}
+                                isSearchable={false}
+                                menuPortalTarget={document.body}
+                                menuPosition="fixed"
+                                placeholder="Select output format..."
+                            />
+                            {formatProfile && (
+                                <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-4">
+                                    {[
+                                        codecOptions.length > 1 && { key: 'codec', label: 'Codec', options: codecOptions, fallback: formatProfile.defaultCodec },
+                                        bitrateModeOptions.length > 0 && { key: 'bitrateMode', label: 'Bitrate Mode', options: bitrateModeOptions, fallback: activeCodec.bitrateModes[0] },
+                                        bitrateModeOptions.length > 0 && { key: 'bitrate', label: encoderSettings.bitrateMode === 'vbr' ? 'Target Bitrate (VBR)' : 'Bitrate', options: bitrateOptions },
+                                        compressionLevelOptions.length > 0 && { key: 'compressionLevel', label: 'Compression Level', options: compressionLevelOptions },
+                                        { key: 'sampleRate', label: 'Sample Rate', options: sampleRateOptions },
+                                        { key: 'channels', label: 'Channels', options: channelOptions },
+                                    ].filter(Boolean).map(({ key, label, options, fallback }) => (
+                                        <div key={key}>
+                                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2 transition-colors duration-300">
+                                                {label}
+                                            </label>
+                                            <Select
+                                                value={options.find((o) => o.value === (encoderSettings[key] ?? fallback ?? ''))}
+                                                onChange={(opt) => {
+                                                    // Sample rates and bitrate modes depend on the codec, so start over
+                                                    if (key === 'codec') {
+                                                        setEncoderSettings({ codec: opt.value })
+                                                    } else {
+                                                        updateEncoderSetting(key, opt.value)
+                                                    }
+                                                }}
+                                                options={options}
+                                                styles={customSelectStyles}
+                                                isSearchable={false}
+                                                menuPortalTarget={document.body}
+                                                menuPosition="fixed"
+                                            />
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+                    )}
+
+                    {/* Clip Time Inputs for Slice */}
+                    {jobType === 'slice' && (
+                        <div className="mb-6 space-y-4">
+                            <div className="flex gap-2">
+                                {[{ value: 'accurate', label: 'Accurate (re-encode)' }, { value: 'fast', label: 'Fast (stream copy)' }].map((option) => (
+                                    <button
+                                        key={option.value}
+                                        type="button"
+                                        onClick={() => setSliceSettings((prev) => ({ ...prev, mode: option.value }))}
+                                        className={`px-4 py-2 rounded-xl text-sm font-medium transition-all duration-300 ${ sliceSettings.mode === option.value
+                                            ? 'bg-indigo-500 text-white shadow'
+                                            : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600' }`}
+                                    >
+                                        {option.label}
+                                    </button>
+                                ))}
+                            </div>
+                            <div className="grid grid-cols-2 gap-4">
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2 transition-colors duration-300">
+                                        Start Time
+                                    </label>
+                                    <input
+                                        type="text"
+                                        value={clipStart}
+                                        onChange={(e) => setClipStart(e.target.value)}
+                                        className="w-full px-4 py-2 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:border-indigo-400 dark:focus:border-indigo-500 focus:ring-2 focus:ring-indigo-100 dark:focus:ring-indigo-900 transition-all duration-300 ease-in-out"
+                                        placeholder="0 or 00:00:00.000"
+                                    />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2 transition-colors duration-300">
+                                        End Time
+                                    </label>
+                                    <input
+                                        type="text"
+                                        value={clipEnd}
+                                        onChange={(e) => setClipEnd(e.target.value)}
+                                        className="w-full px-4 py-2 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:border-indigo-400 dark:focus:border-indigo-500 focus:ring-2 focus:ring-indigo-100 dark:focus:ring-indigo-900 transition-all duration-300 ease-in-out"
+                                        placeholder="30 or 00:00:30.000"
+                                    />
+                                </div>
+                            </div>
+                            {sliceSettings.mode === 'accurate' ? (
+                                <div className="grid grid-cols-2 gap-4">
+                                    {[['fadeIn', 'Fade In (seconds)'], ['fadeOut', 'Fade Out (seconds)']].map(([key, label]) => (
+                                        <div key={key}>
+                                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2 transition-colors duration-300">
+                                                {label}
+                                            </label>
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                max="60"
+                                                step="0.1"
+                                                value={sliceSettings[key]}
+                                                onChange={(e) => setSliceSettings((prev) => ({ ...prev, [key]: e.target.value }))}
+                                                className="w-full px-4 py-2 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:border-indigo-400 dark:focus:border-indigo-500 focus:ring-2 focus:ring-indigo-100 dark:focus:ring-indigo-900 transition-all duration-300 ease-in-out"
+                                                placeholder="0"
+                                            />
+                                        </div>
+                                    ))}
+                                </div>
+                            ) : (
+                                <p className="text-xs text-gray-500 dark:text-gray-400 transition-colors duration-300">
+                                    Copies the audio without re-encoding. Cuts snap outward to the nearest codec frame, so the clip may be slightly longer than requested and fades are unavailable.
+                                </p>
+                            )}
+                        </div>
+                    )}
+
+                    {/* Segments or Silence Settings for Split */}
+                    {jobType === 'split' && (
+                        <div className="mb-6 space-y-4 relative" style={{ zIndex: 100 }}>
+                            <div className="flex gap-2">
+                                {[{ value: 'silence', label: 'Split at silence' }, { value: 'segments', label: 'Custom segments' }].map((option) => (
+                                    <button
+                                        key={option.value}
+                                        type="button"
+                                        onClick={() => setSplitSettings((prev) => ({ ...prev, mode: option.value }))}
+                                        className={`px-4 py-2 rounded-xl text-sm font-medium transition-all duration-300 ${ splitSettings.mode === option.value
+                                            ? 'bg-indigo-500 text-white shadow'
+                                            : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600' }`}
+                                    >
+                                        {option.label}
+                                    </button>
+                                ))}
+                            </div>
+                            {splitSettings.mode === 'silence' ? (
+                                <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                                    {[
+                                        { key: 'silenceThresholdDb', label: 'Silence Threshold (dBFS)', type: 'number', min: '-100', max: '0', step: '1' },
+                                        { key: 'minSilenceDuration', label: 'Min Silence (s)', type: 'number', min: '0.1', max: '60', step: '0.1' },
+                                        { key: 'minSegmentDuration', label: 'Min Clip Length (s)', type: 'number', min: '0', step: '0.5' },
+                                        { key: 'namePrefix', label: 'Clip Name Prefix', type: 'text' },
+                                    ].map(({ key, label, ...inputProps }) => (
+                                        <div key={key}>
+                                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2 transition-colors duration-300">
+                                                {label}
+                                            </label>
+                                            <input
+                                                {...inputProps}
+                                                value={splitSettings[key]}
+                                                onChange={(e) => setSplitSettings((prev) => ({ ...prev, [key]: e.target.value }))}
+                                                className="w-full px-4 py-2 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:border-indigo-400 dark:focus:border-indigo-500 focus:ring-2 focus:ring-indigo-100 dark:focus:ring-indigo-900 transition-all duration-300 ease-in-out"
+                                            />
+                                        </div>
+                                    ))}
+                                </div>
+                            ) : (
+                                <div className="space-y-2">
+                                    {splitSegments.map((segment, index) => (
+                                        <div key={index} className="flex flex-col md:flex-row gap-2 md:items-center">
+                                            <span className="text-sm font-semibold text-gray-500 dark:text-gray-400 w-6">{index + 1}.</span>
+                                            <input
+                                                type="text"
+                                                value={segment.name}
+                                                onChange={(e) => setSplitSegments((prev) => prev.map((s, i) => (i === index ? { ...s, name: e.target.value } : s)))}
+                                                className="w-full px-4 py-2 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:border-indigo-400 dark:focus:border-indigo-500 focus:ring-2 focus:ring-indigo-100 dark:focus:ring-indigo-900 transition-all duration-300 ease-in-out md:flex-1"
+                                                placeholder={`Segment ${ index + 1 }`}
+                                            />
+                                            {['start', 'end'].map((key) => (
+                                                <input
+                                                    key={key}
+                                                    type="text"
+                                                    value={segment[key]}
+                                                    onChange={(e) => setSplitSegments((prev) => prev.map((s, i) => (i === index ? { ...s, [key]: e.target.value } : s)))}
+                                                    className="w-full px-4 py-2 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:border-indigo-400 dark:focus:border-indigo-500 focus:ring-2 focus:ring-indigo-100 dark:focus:ring-indigo-900 transition-all duration-300 ease-in-out md:w-28"
+                                                    placeholder={key === 'start' ? 'Start' : 'End'}
+                                                    title={key === 'start' ? 'Start time (seconds or hh:mm:ss.mmm)' : 'End time (seconds or hh:mm:ss.mmm)'}
+                                                />
+                                            ))}
+                                            <button
+                                                type="button"
+                                                onClick={() => setSplitSegments((prev) => prev.filter((_, i) => i !== index))}
+                                                disabled={splitSegments.length === 1}
+                                                className="p-2 rounded-lg text-red-500 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 disabled:opacity-30 transition-all duration-300"
+                                                aria-label="Remove segment"
+                                            >
+                                                <FaTrash />
+                                            </button>
+                                        </div>
+                                    ))}
+                                    <button
+                                        type="button"
+                                        onClick={() => setSplitSegments((prev) => {
+                                            const lastEnd = prev.length ? prev[prev.length - 1].end : '0'
+                                            return [...prev, { name: '', start: lastEnd, end: '' }]
+                                        })}
+                                        className="w-full flex items-center justify-center gap-2 px-4 py-3 rounded-xl border-2 border-dashed border-gray-300 dark:border-gray-600 text-gray-600 dark:text-gray-300 hover:border-indigo-400 dark:hover:border-indigo-500 transition-all duration-300"
+                                    >
+                                        <FaPlus className="text-sm" />
+                                        Add Segment
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+                    )}
+
+                    {/* Loudness Target for Normalize */}
+                    {jobType === 'normalize' && (
+                        <div className="mb-6 grid grid-cols-1 md:grid-cols-3 gap-4 relative" style={{ zIndex: 100 }}>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2 transition-colors duration-300">
+                                    Target
+                                </label>
+                                <Select
+                                    value={[...loudnessPresetOptions, { value: 'custom', label: 'Custom' }].find((o) => o.value === normalizeSettings.preset)}
+                                    onChange={(opt) => setNormalizeSettings((prev) => ({ ...prev, preset: opt.value }))}
+                                    options={[...loudnessPresetOptions, { value: 'custom', label: 'Custom' }]}
+                                    styles={customSelectStyles}
+                                    isSearchable={false}
+                                    menuPortalTarget={document.body}
+                                    menuPosition="fixed"
+                                />
+                            </div>
+                            {normalizeSettings.preset === 'custom' && (
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2 transition-colors duration-300">
+                                        Target Loudness (LUFS)
+                                    </label>
+                                    <input
+                                        type="number"
+                                        min="-70"
+                                        max="-5"
+                                        step="0.5"
+                                        value={normalizeSettings.targetLufs}
+                                        onChange={(e) => setNormalizeSettings((prev) => ({ ...prev, targetLufs: e.target.value }))}
+                                        className="w-full px-4 py-3 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:border-indigo-400 dark:focus:border-indigo-500 focus:ring-2 focus:ring-indigo-100 dark:focus:ring-indigo-900 transition-all duration-300 ease-in-out"
+                                    />
+                                </div>
+                            )}
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2 transition-colors duration-300">
+                                    Output Format
+                                </label>
+                                <Select
+                                    value={[{ value: '', label: 'Same as input' }, ...formatOptions].find((o) => o.value === normalizeSettings.outputFormat)}
+                                    onChange={(opt) => setNormalizeSettings((prev) => ({ ...prev, outputFormat: opt.value }))}
+                                    options={[{ value: '', label: 'Same as input' }, ...formatOptions]}
+                                    styles={customSelectStyles}
+                                    isSearchable={false}
+                                    menuPortalTarget={document.body}
+                                    menuPosition="fixed"
+                                />
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Waveform Peak Options */}
+                    {jobType === 'waveform' && (
+                        <div className="mb-6 grid grid-cols-1 md:grid-cols-4 gap-4 relative" style={{ zIndex: 100 }}>
+                            <div className="md:col-span-2">
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2 transition-colors duration-300">
+                                    Zoom Levels (samples per pixel)
+                                </label>
+                                <input
+                                    type="text"
+                                    value={waveformSettings.zoomLevels}
+                                    onChange={(e) => setWaveformSettings((prev) => ({ ...prev, zoomLevels: e.target.value }))}
+                                    placeholder="256,1024,4096"
+                                    className="w-full px-4 py-3 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:border-indigo-400 dark:focus:border-indigo-500 focus:ring-2 focus:ring-indigo-100 dark:focus:ring-indigo-900 transition-all duration-300 ease-in-out"
+                                />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2 transition-colors duration-300">
+                                    Resolution
+                                </label>
+                                <Select
+                                    value={{ value: waveformSettings.bits, label: `${ waveformSettings.bits }-bit` }}
+                                    onChange={(opt) => setWaveformSettings((prev) => ({ ...prev, bits: opt.value }))}
+                                    options={(features.waveform?.bits || [8, 16]).map((bits) => ({ value: String(bits), label: `${ bits }-bit` }))}
+                                    styles={customSelectStyles}
+                                    isSearchable={false}
+                                    menuPortalTarget={document.body}
+                                    menuPosition="fixed"
+                                />
+                            </div>
+                            <div className="flex flex-col justify-end gap-2 text-sm text-gray-700 dark:text-gray-300 transition-colors duration-300">
+                                <label className="inline-flex items-center gap-2">
+                                    <input
+                                        type="checkbox"
+                                        checked={waveformSettings.splitChannels}
+                                        onChange={(e) => setWaveformSettings((prev) => ({ ...prev, splitChannels: e.target.checked }))}
+                                    />
+                                    Split channels
+                                </label>
+                                <label className="inline-flex items-center gap-2">
+                                    <input
+                                        type="checkbox"
+                                        checked={waveformSettings.image}
+                                        onChange={(e) => setWaveformSettings((prev) => ({ ...prev, image: e.target.checked }))}
+                                    />
+                                    Render image
+                                </label>
+                            </div>
                         </div>
                     )}
 
-                    {/* Clip Time Inputs for Slice */}
-                    {jobType === 'slice' && (
-                        <div className="mb-6 grid grid-cols-2 gap-4">
+                    {/* Waveform Image Options */}
+                    {jobType === 'waveform' && waveformSettings.image && (
+                        <div className="mb-6 grid grid-cols-2 md:grid-cols-4 gap-4 relative" style={{ zIndex: 99 }}>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2 transition-colors duration-300">
+                                    Image Format
+                                </label>
+                                <Select
+                                    value={{ value: waveformSettings.imageFormat, label: waveformSettings.imageFormat.toUpperCase() }}
+                                    onChange={(opt) => updateWaveformSetting('imageFormat', opt.value)}
+                                    options={(features.waveform?.imageFormats || WAVEFORM_IMAGE_FORMATS).map((format) => ({ value: format, label: format.toUpperCase() }))}
+                                    styles={customSelectStyles}
+                                    isSearchable={false}
+                                    menuPortalTarget={document.body}
+                                    menuPosition="fixed"
+                                />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2 transition-colors duration-300">
+                                    Style
+                                </label>
+                                <Select
+                                    value={waveformStyleOptions.find((o) => o.value === waveformSettings.style)}
+                                    onChange={(opt) => updateWaveformSetting('style', opt.value)}
+                                    options={waveformStyleOptions}
+                                    styles={customSelectStyles}
+                                    isSearchable={false}
+                                    menuPortalTarget={document.body}
+                                    menuPosition="fixed"
+                                />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2 transition-colors duration-300">
+                                    Width (px)
+                                </label>
+                                <input
+                                    type="number"
+                                    min="100"
+                                    max="8000"
+                                    value={waveformSettings.width}
+                                    onChange={(e) => updateWaveformSetting('width', e.target.value)}
+                                    className="w-full px-4 py-3 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:border-indigo-400 dark:focus:border-indigo-500 focus:ring-2 focus:ring-indigo-100 dark:focus:ring-indigo-900 transition-all duration-300 ease-in-out"
+                                />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2 transition-colors duration-300">
+                                    Height (px)
+                                </label>
+                                <input
+                                    type="number"
+                                    min="40"
+                                    max="2000"
+                                    value={waveformSettings.height}
+                                    onChange={(e) => updateWaveformSetting('height', e.target.value)}
+                                    className="w-full px-4 py-3 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:border-indigo-400 dark:focus:border-indigo-500 focus:ring-2 focus:ring-indigo-100 dark:focus:ring-indigo-900 transition-all duration-300 ease-in-out"
+                                />
+                            </div>
+                            <div className="col-span-2">
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2 transition-colors duration-300">
+                                    Color Preset
+                                </label>
+                                <Select
+                                    value={waveformPresetOptions.find((o) => o.value === waveformSettings.imagePreset)}
+                                    onChange={(opt) => setWaveformSettings((prev) => ({ ...prev, imagePreset: opt.value, foregroundColor: '', backgroundColor: '' }))}
+                                    options={waveformPresetOptions}
+                                    styles={customSelectStyles}
+                                    isSearchable={false}
+                                    menuPortalTarget={document.body}
+                                    menuPosition="fixed"
+                                />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2 transition-colors duration-300">
+                                    Waveform Color
+                                </label>
+                                <input
+                                    type="color"
+                                    value={waveformSettings.foregroundColor || waveformPreset.foregroundColor}
+                                    onChange={(e) => updateWaveformSetting('foregroundColor', e.target.value)}
+                                    className="w-full h-12 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 cursor-pointer transition-all duration-300"
+                                />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2 transition-colors duration-300">
+                                    Background
+                                </label>
+                                <div className="flex items-center gap-2">
+                                    <input
+                                        type="color"
+                                        value={imageBackground === 'transparent' ? '#ffffff' : imageBackground}
+                                        disabled={imageBackground === 'transparent'}
+                                        onChange={(e) => updateWaveformSetting('backgroundColor', e.target.value)}
+                                        className="flex-1 h-12 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 cursor-pointer disabled:opacity-40 transition-all duration-300"
+                                    />
+                                    <label className="inline-flex items-center gap-1 text-xs text-gray-700 dark:text-gray-300 transition-colors duration-300">
+                                        <input
+                                            type="checkbox"
+                                            checked={imageBackground === 'transparent'}
+                                            onChange={(e) => updateWaveformSetting('backgroundColor', e.target.checked ? 'transparent' : '#ffffff')}
+                                        />
+                                        None
+                                    </label>
+                                </div>
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Spectrogram Options */}
+                    {jobType === 'spectrogram' && (
+                        <div className="mb-6 grid grid-cols-2 md:grid-cols-5 gap-4 relative" style={{ zIndex: 100 }}>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2 transition-colors duration-300">
+                                    Color Map
+                                </label>
+                                <Select
+                                    value={colorMapOptions.find((o) => o.value === spectrogramSettings.colorMap)}
+                                    onChange={(opt) => updateSpectrogramSetting('colorMap', opt.value)}
+                                    options={colorMapOptions}
+                                    styles={customSelectStyles}
+                                    isSearchable={false}
+                                    menuPortalTarget={document.body}
+                                    menuPosition="fixed"
+                                />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2 transition-colors duration-300">
+                                    Frequency Scale
+                                </label>
+                                <Select
+                                    value={frequencyScaleOptions.find((o) => o.value === spectrogramSettings.frequencyScale)}
+                                    onChange={(opt) => updateSpectrogramSetting('frequencyScale', opt.value)}
+                                    options={frequencyScaleOptions}
+                                    styles={customSelectStyles}
+                                    isSearchable={false}
+                                    menuPortalTarget={document.body}
+                                    menuPosition="fixed"
+                                />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2 transition-colors duration-300">
+                                    FFT Size
+                                </label>
+                                <Select
+                                    value={fftSizeOptions.find((o) => o.value === spectrogramSettings.fftSize)}
+                                    onChange={(opt) => updateSpectrogramSetting('fftSize', opt.value)}
+                                    options={fftSizeOptions}
+                                    styles={customSelectStyles}
+                                    isSearchable={false}
+                                    menuPortalTarget={document.body}
+                                    menuPosition="fixed"
+                                />
+                            </div>
                             <div>
                                 <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2 transition-colors duration-300">
-                                    Start Time (seconds)
+                                    Width (px)
                                 </label>
                                 <input
                                     type="number"
-                                    min="0"
-                                    step="0.1"
-                                    value={clipStart}
-                                    onChange={(e) => setClipStart(e.target.value)}
-                                    className="w-full px-4 py-2 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:border-indigo-400 dark:focus:border-indigo-500 focus:ring-2 focus:ring-indigo-100 dark:focus:ring-indigo-900 transition-all duration-300 ease-in-out"
-                                    placeholder="0"
+                                    min="100"
+                                    max="4000"
+                                    value={spectrogramSettings.width}
+                                    onChange={(e) => updateSpectrogramSetting('width', e.target.value)}
+                                    className="w-full px-4 py-3 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:border-indigo-400 dark:focus:border-indigo-500 focus:ring-2 focus:ring-indigo-100 dark:focus:ring-indigo-900 transition-all duration-300 ease-in-out"
                                 />
                             </div>
                             <div>
                                 <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2 transition-colors duration-300">
-                                    End Time (seconds)
+                                    Height (px)
                                 </label>
                                 <input
                                     type="number"
-                                    min="0"
-                                    step="0.1"
-                                    value={clipEnd}
-                                    onChange={(e) => setClipEnd(e.target.value)}
-                                    className="w-full px-4 py-2 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:border-indigo-400 dark:focus:border-indigo-500 focus:ring-2 focus:ring-indigo-100 dark:focus:ring-indigo-900 transition-all duration-300 ease-in-out"
-                                    placeholder="30"
+                                    min="64"
+                                    max="2000"
+                                    value={spectrogramSettings.height}
+                                    onChange={(e) => updateSpectrogramSetting('height', e.target.value)}
+                                    className="w-full px-4 py-3 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:border-indigo-400 dark:focus:border-indigo-500 focus:ring-2 focus:ring-indigo-100 dark:focus:ring-indigo-900 transition-all duration-300 ease-in-out"
                                 />
                             </div>
                         </div>
                     )}
 
+                    {/* Options generated from the job type's schema */}
+                    {Object.keys(genericJobFields).length > 0 && (
+                        <div className="mb-6 grid grid-cols-1 md:grid-cols-3 gap-4 relative" style={{ zIndex: 100 }}>
+                            {Object.entries(genericJobFields).map(([key, field]) => (
+                                <div key={key}>
+                                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2 transition-colors duration-300">
+                                        {key}{field.required && ' *'}
+                                    </label>
+                                    {field.type === 'enum' ? (
+                                        <Select
+                                            value={jobFieldValues[key] !== undefined ? { value: jobFieldValues[key], label: String(jobFieldValues[key]) } : null}
+                                            onChange={(opt) => setJobFieldValues((prev) => ({ ...prev, [key]: opt.value }))}
+                                            options={field.values.map((value) => ({ value, label: String(value) }))}
+                                            placeholder={field.default !== undefined ? `Default: ${ field.default }` : 'Select...'}
+                                            styles={customSelectStyles}
+                                            isSearchable={false}
+                                            menuPortalTarget={document.body}
+                                            menuPosition="fixed"
+                                        />
+                                    ) : field.type === 'boolean' ? (
+                                        <label className="inline-flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 transition-colors duration-300">
+                                            <input
+                                                type="checkbox"
+                                                checked={jobFieldValues[key] ?? field.default ?? false}
+                                                onChange={(e) => setJobFieldValues((prev) => ({ ...prev, [key]: e.target.checked }))}
+                                            />
+                                            Enabled
+                                        </label>
+                                    ) : (
+                                        <input
+                                            type={['number', 'integer'].includes(field.type) ? 'number' : 'text'}
+                                            min={field.min}
+                                            max={field.max}
+                                            step={field.type === 'integer' ? '1' : 'any'}
+                                            value={jobFieldValues[key] ?? ''}
+                                            onChange={(e) => setJobFieldValues((prev) => ({ ...prev, [key]: e.target.value }))}
+                                            placeholder={field.default !== undefined ? String(field.default) : ''}
+                                            className="w-full px-4 py-3 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:border-indigo-400 dark:focus:border-indigo-500 focus:ring-2 focus:ring-indigo-100 dark:focus:ring-indigo-900 transition-all duration-300 ease-in-out"
+                                        />
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    {/* Pipeline Step Builder */}
+                    {jobType === 'pipeline' && (
+                        <div className="mb-6 space-y-3">
+                            {pipelineSteps.map((step, index) => (
+                                <div key={index} className="relative flex flex-col md:flex-row md:items-end gap-3 p-4 bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 transition-all duration-300" style={{ zIndex: 100 - index }}>
+                                    <span className="text-sm font-semibold text-indigo-600 dark:text-indigo-400 md:mb-3 transition-colors duration-300">{index + 1}.</span>
+                                    <div className="flex-1">
+                                        <Select
+                                            value={pipelineStepOptions.find((o) => o.value === step.type)}
+                                            onChange={(opt) => {
+                                                if (opt.isDisabled) return
+                                                const defaults = {
+                                                    convert: { outputFormat: 'mp3' },
+                                                    slice: { startTime: '0', endTime: '30' },
+                                                    normalize: { preset: 'podcast' },
+                                                }[opt.value] || {}
+                                                setPipelineSteps((prev) => prev.map((s, i) => (i === index ? { type: opt.value, ...defaults } : s)))
+                                            }}
+                                            options={pipelineStepOptions}
+                                            styles={customSelectStyles}
+                                            isSearchable={false}
+                                            menuPortalTarget={document.body}
+                                            menuPosition="fixed"
+                                            isOptionDisabled={(option) => option.isDisabled}
+                                        />
+                                    </div>
+                                    {step.type === 'convert' && (
+                                        <div className="md:w-40">
+                                            <Select
+                                                value={formatOptions.find((o) => o.value === step.outputFormat)}
+                                                onChange={(opt) => updatePipelineStep(index, { outputFormat: opt.value })}
+                                                options={formatOptions}
+                                                styles={customSelectStyles}
+                                                isSearchable={false}
+                                                menuPortalTarget={document.body}
+                                                menuPosition="fixed"
+                                            />
+                                        </div>
+                                    )}
+                                    {step.type === 'normalize' && (
+                                        <div className="md:w-56">
+                                            <Select
+                                                value={loudnessPresetOptions.find((o) => o.value === step.preset)}
+                                                onChange={(opt) => updatePipelineStep(index, { preset: opt.value })}
+                                                options={loudnessPresetOptions}
+                                                styles={customSelectStyles}
+                                                isSearchable={false}
+                                                menuPortalTarget={document.body}
+                                                menuPosition="fixed"
+                                            />
+                                        </div>
+                                    )}
+                                    {step.type === 'slice' && ['startTime', 'endTime'].map((key) => (
+                                        <input
+                                            key={key}
+                                            type="text"
+                                            value={step[key]}
+                                            onChange={(e) => updatePipelineStep(index, { [key]: e.target.value })}
+                                            className="md:w-28 px-4 py-3 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:border-indigo-400 dark:focus:border-indigo-500 transition-all duration-300 ease-in-out"
+                                            placeholder={key === 'startTime' ? 'Start' : 'End'}
+                                            title={key === 'startTime' ? 'Start time (seconds or hh:mm:ss.mmm)' : 'End time (seconds or hh:mm:ss.mmm)'}
+                                        />
+                                    ))}
+                                    <div className="flex gap-2 md:mb-2">
+                                        <button type="button" onClick={() => movePipelineStep(index, -1)} disabled={index === 0} className="p-2 rounded-lg text-gray-500 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-30 transition-all duration-300" aria-label="Move step up">
+                                            <FaArrowUp />
+                                        </button>
+                                        <button type="button" onClick={() => movePipelineStep(index, 1)} disabled={index === pipelineSteps.length - 1} className="p-2 rounded-lg text-gray-500 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-30 transition-all duration-300" aria-label="Move step down">
+                                            <FaArrowDown />
+                                        </button>
+                                        <button type="button" onClick={() => setPipelineSteps((prev) => prev.filter((_, i) => i !== index))} className="p-2 rounded-lg text-red-500 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 transition-all duration-300" aria-label="Remove step">
+                                            <FaTrash />
+                                        </button>
+                                    </div>
+                                </div>
+                            ))}
+                            <button
+                                type="button"
+                                onClick={() => setPipelineSteps((prev) => [...prev, { type: 'metadata' }])}
+                                className="w-full flex items-center justify-center gap-2 px-4 py-3 rounded-xl border-2 border-dashed border-gray-300 dark:border-gray-600 text-gray-600 dark:text-gray-300 hover:border-indigo-400 dark:hover:border-indigo-500 transition-all duration-300"
+                            >
+                                <FaPlus className="text-sm" />
+                                Add Step
+                            </button>
+                        </div>
+                    )}
+
+                    {/* Queue Priority and Start Time */}
+                    <div className="mb-6 grid grid-cols-1 md:grid-cols-2 gap-4 relative" style={{ zIndex: 50 }}>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2 transition-colors duration-300">
+                                Priority
+                            </label>
+                            <Select
+                                value={priorityOptions.find((o) => o.value === schedule.priority)}
+                                onChange={(opt) => setSchedule((prev) => ({ ...prev, priority: opt.value }))}
+                                options={priorityOptions}
+                                styles={customSelectStyles}
+                                isSearchable={false}
+                                menuPortalTarget={document.body}
+                                menuPosition="fixed"
+                                formatOptionLabel={({ label, description }) => (
+                                    <div className="flex flex-col">
+                                        <span className="font-medium">{label}</span>
+                                        <span className="text-xs mt-0.5 text-gray-500">{description}</span>
+                                    </div>
+                                )}
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2 transition-colors duration-300">
+                                Start At (optional)
+                            </label>
+                            <input
+                                type="datetime-local"
+                                value={schedule.runAt}
+                                onChange={(e) => setSchedule((prev) => ({ ...prev, runAt: e.target.value }))}
+                                className="w-full px-4 py-3 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:border-indigo-400 dark:focus:border-indigo-500 focus:ring-2 focus:ring-indigo-100 dark:focus:ring-indigo-900 transition-all duration-300 ease-in-out"
+                            />
+                            <p className="text-xs text-gray-500 dark:text-gray-400 mt-1 transition-colors duration-300">
+                                Leave empty to process right away
+                            </p>
+                        </div>
+                    </div>
+
                     <button
                         onClick={handleUpload}
-                        disabled={!file || uploading}
+                        disabled={files.length === 0 || uploading}
                         className="w-full py-4 text-white font-medium rounded-2xl bg-gradient-to-r from-indigo-500 to-purple-500 shadow-lg hover:from-indigo-600 hover:to-purple-600 disabled:opacity-50 transition-all duration-300 ease-in-out hover:shadow-xl hover:scale-[1.02] transform"
                     >
-                        {uploading ? 'Uploading…' : 'Upload & Process'}
+                        {uploading ? `Uploading… ${ uploadProgress }%` : 'Upload & Process'}
                     </button>
                 </div>
 
@@ -660,165 +2342,277 @@ export default function App() {
                         </p>
                     ) : (
                         <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
-                            {jobs.map((job) => (
-                                <div
-                                    key={job.id}
-                                    onClick={() =>
-                                        setSelectedJob(
-                                            selectedJob?.id === job.id ? null : job
-                                        )
-                                    }
-                                    className="bg-white dark:bg-gray-800 shadow-md rounded-2xl p-5 cursor-pointer transition-all duration-300 ease-in-out hover:shadow-2xl hover:bg-emerald-200 dark:hover:bg-emerald-900/30 hover:-translate-y-1 transform"
-                                >
-                                    <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100 truncate transition-colors duration-300">
-                                        {job.audioFile.originalName}
-                                    </h3>
-
-                                    <p className="text-sm text-gray-500 dark:text-gray-400 mt-1 transition-colors duration-300">
-                                        {job.type}
-                                    </p>
+                            {orderedJobs.map((job, index) => {
+                                const batchId = job.audioFile?.batchId
+                                const startsBatch = batchId && orderedJobs[index - 1]?.audioFile?.batchId !== batchId
+                                const batch = startsBatch ? summarizeBatch(batchJobs[batchId]) : null
+                                return (
+                                    <Fragment key={job.id}>
+                                        {startsBatch && (
+                                            <div className="col-span-full flex flex-wrap items-center gap-3 px-4 py-3 rounded-2xl bg-indigo-50 dark:bg-indigo-900/20 border border-indigo-200 dark:border-indigo-800 transition-all duration-300">
+                                                <FaLayerGroup className="text-indigo-600 dark:text-indigo-400 transition-colors duration-300" />
+                                                <span className="text-sm font-semibold text-gray-800 dark:text-gray-100 transition-colors duration-300">
+                                                    Batch · {batchJobs[batchId].length} {batchJobs[batchId].length === 1 ? 'file' : 'files'}
+                                                </span>
+                                                <span className="text-xs text-gray-500 dark:text-gray-400 transition-colors duration-300">
+                                                    {batch.completed} completed{batch.failed > 0 && ` · ${ batch.failed } failed`}
+                                                </span>
+                                                <div className="flex-1 min-w-[120px] h-2 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden transition-colors duration-300">
+                                                    <div
+                                                        className="h-full bg-gradient-to-r from-indigo-500 to-purple-500 transition-all duration-500 ease-out"
+                                                        style={{ width: `${ batch.progress }%` }}
+                                                    />
+                                                </div>
+                                                <span className={`px-2 py-1 rounded-lg text-white text-xs ${ getStatusColor(batch.status) }`}>
+                                                    {batch.status === 'PROCESSING' ? `${ batch.progress }%` : batch.status}
+                                                </span>
+                                                <a
+                                                    href={`${ API_BASE_URL }/upload/jobs/archive?ids=${ batchJobs[batchId].map(j => j.id).join(',') }`}
+                                                    className="flex items-center gap-1.5 px-3 py-1 bg-indigo-500 text-white text-xs font-semibold rounded-lg hover:bg-indigo-600 transition-all duration-300"
+                                                >
+                                                    <FaFileArchive />
+                                                    Download zip
+                                                </a>
+                                            </div>
+                                        )}
+                                        <div
+                                            onClick={() =>
+                                                setSelectedJob(
+                                                    selectedJob?.id === job.id ? null : job
+                                                )
+                                            }
+                                            className={`bg-white dark:bg-gray-800 shadow-md rounded-2xl p-5 cursor-pointer ${ job.audioFile?.batchId ? 'ring-2 ring-indigo-200 dark:ring-indigo-800' : '' } transition-all duration-300 ease-in-out hover:shadow-2xl hover:bg-emerald-200 dark:hover:bg-emerald-900/30 hover:-translate-y-1 transform`}
+                                        >
+                                            <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100 truncate transition-colors duration-300">
+                                                {job.audioFile.originalName}
+                                            </h3>
 
-                                    <div className="mt-4 space-y-2 text-sm">
-                                        <div className="flex justify-between">
-                                            <span className="text-gray-600 dark:text-gray-400 transition-colors duration-300">Size</span>
-                                            <span className="text-gray-900 dark:text-gray-200 transition-colors duration-300">{formatBytes(job.audioFile.size)}</span>
-                                        </div>
-                                        <div className="flex justify-between">
-                                            <span className="text-gray-600 dark:text-gray-400 transition-colors duration-300">Progress</span>
-                                            <span className="text-gray-900 dark:text-gray-200 transition-colors duration-300">{job.progress}%</span>
-                                        </div>
-                                        <div className="flex justify-between items-center">
-                                            <span className="text-gray-600 dark:text-gray-400 transition-colors duration-300">Status</span>
-                                            <span
-                                                className={`px-2 py-1 rounded-lg text-white text-xs ${ getStatusColor(
-                                                    job.status
-                                                ) }`}
-                                            >
-                                                {job.status}
-                                            </span>
-                                        </div>
-                                    </div>
+                                            <p className="text-sm text-gray-500 dark:text-gray-400 mt-1 transition-colors duration-300">
+                                                {job.type}
+                                            </p>
 
-                                    {job.status === 'COMPLETED' && job.result && (
-                                        <div className="mt-4 space-y-2">
-                                            <div className="flex items-center gap-2 p-2 bg-emerald-50 dark:bg-emerald-900/20 border border-emerald-200 dark:border-emerald-800 rounded-xl text-xs text-emerald-700 dark:text-emerald-300 transition-all duration-300">
-                                                <FaCheckCircle className="text-emerald-600 dark:text-emerald-400 transition-colors duration-300" />
-                                                <strong>Result:</strong> Click to view details
+                                            <div className="mt-4 space-y-2 text-sm">
+                                                <div className="flex justify-between">
+                                                    <span className="text-gray-600 dark:text-gray-400 transition-colors duration-300">Size</span>
+                                                    <span className="text-gray-900 dark:text-gray-200 transition-colors duration-300">{formatBytes(job.audioFile.size)}</span>
+                                                </div>
+                                                <div className="flex justify-between">
+                                                    <span className="text-gray-600 dark:text-gray-400 transition-colors duration-300">Progress</span>
+                                                    <span className="text-gray-900 dark:text-gray-200 transition-colors duration-300">{job.progress}%</span>
+                                                </div>
+                                                <div className="flex justify-between items-center">
+                                                    <span className="text-gray-600 dark:text-gray-400 transition-colors duration-300">Status</span>
+                                                    <span
+                                                        className={`px-2 py-1 rounded-lg text-white text-xs ${ getStatusColor(
+                                                            job.status
+                                                        ) }`}
+                                                    >
+                                                        {job.status}
+                                                    </span>
+                                                </div>
+                                                {job.priority && job.priority !== 'normal' && (
+                                                    <div className="flex justify-between">
+                                                        <span className="text-gray-600 dark:text-gray-400 transition-colors duration-300">Priority</span>
+                                                        <span className="text-gray-900 dark:text-gray-200 capitalize transition-colors duration-300">{job.priority}</span>
+                                                    </div>
+                                                )}
+                                                {job.status === 'PENDING' && job.runAt && new Date(job.runAt) > new Date() && (
+                                                    <div className="flex justify-between">
+                                                        <span className="text-gray-600 dark:text-gray-400 transition-colors duration-300">Scheduled</span>
+                                                        <span className="text-gray-900 dark:text-gray-200 transition-colors duration-300">{new Date(job.runAt).toLocaleString()}</span>
+                                                    </div>
+                                                )}
+                                                {(() => {
+                                                    // Earlier attempts are recorded on each manual retry
+                                                    const attempts = job.attempts ? JSON.parse(job.attempts) : []
+                                                    if (attempts.length === 0) return null
+                                                    return (
+                                                        <div className="flex justify-between">
+                                                            <span className="text-gray-600 dark:text-gray-400 transition-colors duration-300">Attempt</span>
+                                                            <span
+                                                                className="text-gray-900 dark:text-gray-200 transition-colors duration-300"
+                                                                title={attempts.map(a => `#${ a.attempt } ${ a.status }${ a.error ? `: ${ a.error }` : '' }`).join('\n')}
+                                                            >
+                                                                {attempts.length + 1}
+                                                            </span>
+                                                        </div>
+                                                    )
+                                                })()}
                                             </div>
-                                            {(() => {
-                                                try {
-                                                    const result = JSON.parse(job.result)
-                                                    const outputPath = result.outputPath
-
-                                                    if (outputPath) {
-                                                        const fileName = outputPath.split('/').pop()
-                                                        const downloadUrl = `${ API_BASE_URL.replace('/api', '') }/uploads/${ fileName }`
-
-                                                        // Show waveform image preview for waveform jobs
-                                                        if (job.type === 'waveform' && result.format === 'png') {
-                                                            return (
-                                                                <div className="space-y-2">
-                                                                    <WaveformImageCard downloadUrl={downloadUrl} />
+
+                                            {job.status === 'COMPLETED' && job.result && (
+                                                <div className="mt-4 space-y-2">
+                                                    <div className="flex items-center gap-2 p-2 bg-emerald-50 dark:bg-emerald-900/20 border border-emerald-200 dark:border-emerald-800 rounded-xl text-xs text-emerald-700 dark:text-emerald-300 transition-all duration-300">
+                                                        <FaCheckCircle className="text-emerald-600 dark:text-emerald-400 transition-colors duration-300" />
+                                                        <strong>Result:</strong> Click to view details
+                                                    </div>
+                                                    {(() => {
+                                                        try {
+                                                            const result = JSON.parse(job.result)
+                                                            const outputPath = result.outputPath
+
+                                                            // Split jobs produce a list of clips instead of one output
+                                                            if (Array.isArray(result.segments)) {
+                                                                return (
                                                                     <a
-                                                                        href={downloadUrl}
-                                                                        download
+                                                                        href={`${ API_BASE_URL }/upload/jobs/archive?ids=${ job.id }`}
                                                                         className="flex items-center justify-center gap-2 w-full px-3 py-2 bg-indigo-500 text-white text-xs font-semibold rounded-xl hover:bg-indigo-600 transition-all duration-300 ease-in-out hover:scale-[1.02] transform"
                                                                         onClick={(e) => e.stopPropagation()}
                                                                     >
-                                                                        <FaDownload className="text-xs" />
-                                                                        Download Waveform
+                                                                        <FaFileArchive className="text-xs" />
+                                                                        Download {result.segments.length} {result.segments.length === 1 ? 'Clip' : 'Clips'} (.zip)
                                                                     </a>
-                                                                </div>
-                                                            )
-                                                        }
-
-                                                        // Show audio player for convert/slice jobs
-                                                        if ((job.type === 'convert' || job.type === 'slice') && outputPath) {
-                                                            const fileExt = outputPath.split('.').pop()?.toUpperCase() || 'AUDIO'
-                                                            const format = result.outputFormat?.toUpperCase() || fileExt
-                                                            return (
-                                                                <div className="space-y-2">
-                                                                    <div className="bg-gradient-to-r from-indigo-50 to-purple-50 dark:from-indigo-900/20 dark:to-purple-900/20 rounded-lg p-4 border border-indigo-200 dark:border-indigo-700 shadow-sm transition-all duration-300">
-                                                                        <div className="flex items-center gap-2 mb-2">
-                                                                            {job.type === 'convert' ? (
-                                                                                <FaFileAudio className="text-indigo-600 dark:text-indigo-400 text-sm transition-colors duration-300" />
-                                                                            ) : (
-                                                                                <FaCut className="text-indigo-600 dark:text-indigo-400 text-sm transition-colors duration-300" />
-                                                                            )}
-                                                                            <span className="text-xs font-semibold text-gray-700 dark:text-gray-300 transition-colors duration-300">
-                                                                                {job.type === 'convert' ? 'Converted Audio' : 'Audio Clip'}
-                                                                            </span>
-                                                                            <span className="ml-auto text-xs text-gray-500 dark:text-gray-400 bg-white dark:bg-gray-700 px-2 py-0.5 rounded transition-all duration-300">
-                                                                                {format}
-                                                                            </span>
+                                                                )
+                                                            }
+
+                                                            if (outputPath) {
+                                                                const fileName = outputPath.split('/').pop()
+                                                                const downloadUrl = `${ API_BASE_URL.replace('/api', '') }/uploads/${ fileName }`
+
+                                                                // Show waveform image preview for waveform jobs
+                                                                if ((job.type === 'waveform' || job.type === 'spectrogram') && WAVEFORM_IMAGE_FORMATS.includes(result.format)) {
+                                                                    return (
+                                                                        <div className="space-y-2">
+                                                                            <WaveformImageCard downloadUrl={downloadUrl} />
+                                                                            <a
+                                                                                href={downloadUrl}
+                                                                                download
+                                                                                className="flex items-center justify-center gap-2 w-full px-3 py-2 bg-indigo-500 text-white text-xs font-semibold rounded-xl hover:bg-indigo-600 transition-all duration-300 ease-in-out hover:scale-[1.02] transform"
+                                                                                onClick={(e) => e.stopPropagation()}
+                                                                            >
+                                                                                <FaDownload className="text-xs" />
+                                                                                Download {job.type === 'spectrogram' ? 'Spectrogram' : 'Waveform'}
+                                                                            </a>
                                                                         </div>
-                                                                        <audio
-                                                                            controls
-                                                                            src={downloadUrl}
-                                                                            className="w-full h-10"
-                                                                            preload="metadata"
-                                                                        >
-                                                                            Your browser does not support the audio element.
-                                                                        </audio>
-                                                                    </div>
+                                                                    )
+                                                                }
+
+                                                                // Show audio player for convert/slice jobs
+                                                                if (AUDIO_OUTPUT_LABELS[job.type] && outputPath) {
+                                                                    const fileExt = outputPath.split('.').pop()?.toUpperCase() || 'AUDIO'
+                                                                    const format = result.outputFormat?.toUpperCase() || fileExt
+                                                                    return (
+                                                                        <div className="space-y-2">
+                                                                            <div className="bg-gradient-to-r from-indigo-50 to-purple-50 dark:from-indigo-900/20 dark:to-purple-900/20 rounded-lg p-4 border border-indigo-200 dark:border-indigo-700 shadow-sm transition-all duration-300">
+                                                                                <div className="flex items-center gap-2 mb-2">
+                                                                                    <AudioOutputIcon type={job.type} className="text-indigo-600 dark:text-indigo-400 text-sm transition-colors duration-300" />
+                                                                                    <span className="text-xs font-semibold text-gray-700 dark:text-gray-300 transition-colors duration-300">
+                                                                                        {AUDIO_OUTPUT_LABELS[job.type]}
+                                                                                    </span>
+                                                                                    <span className="ml-auto text-xs text-gray-500 dark:text-gray-400 bg-white dark:bg-gray-700 px-2 py-0.5 rounded transition-all duration-300">
+                                                                                        {format}
+                                                                                    </span>
+                                                                                </div>
+                                                                                <audio
+                                                                                    controls
+                                                                                    src={downloadUrl}
+                                                                                    className="w-full h-10"
+                                                                                    preload="metadata"
+                                                                                >
+                                                                                    Your browser does not support the audio element.
+                                                                                </audio>
+                                                                            </div>
+                                                                            <a
+                                                                                href={downloadUrl}
+                                                                                download
+                                                                                className="flex items-center justify-center gap-2 w-full px-3 py-2 bg-indigo-500 text-white text-xs font-semibold rounded-xl hover:bg-indigo-600 transition-all duration-300 ease-in-out hover:scale-[1.02] transform"
+                                                                                onClick={(e) => e.stopPropagation()}
+                                                                            >
+                                                                                <FaDownload className="text-xs" />
+                                                                                Download {format}
+                                                                            </a>
+                                                                        </div>
+                                                                    )
+                                                                }
+
+                                                                // Default download button
+                                                                return (
                                                                     <a
                                                                         href={downloadUrl}
                                                                         download
-                                                                        className="flex items-center justify-center gap-2 w-full px-3 py-2 bg-indigo-500 text-white text-xs font-semibold rounded-xl hover:bg-indigo-600 transition-all duration-300 ease-in-out hover:scale-[1.02] transform"
+                                                                        className="block w-full px-3 py-2 bg-indigo-500 text-white text-xs font-semibold rounded-xl hover:bg-indigo-600 transition-all duration-300 ease-in-out hover:scale-[1.02] transform text-center"
                                                                         onClick={(e) => e.stopPropagation()}
                                                                     >
-                                                                        <FaDownload className="text-xs" />
-                                                                        Download {format}
+                                                                        📥 Download File
                                                                     </a>
-                                                                </div>
-                                                            )
+                                                                )
+                                                            }
+                                                        } catch (e) {
+                                                            return null
                                                         }
+                                                    })()}
+                                                </div>
+                                            )}
+
+                                            {job.steps?.length > 0 && (
+                                                <ol className="mt-4 space-y-1 text-xs">
+                                                    {job.steps.map((step, index) => (
+                                                        <li key={step.id} className="flex items-center justify-between gap-2">
+                                                            <span className="text-gray-600 dark:text-gray-400 transition-colors duration-300">{index + 1}. {step.type}</span>
+                                                            <span className={`px-2 py-0.5 rounded text-white ${ getStatusColor(step.status) }`}>
+                                                                {step.status === 'PROCESSING' ? `${ step.progress }%` : step.status}
+                                                            </span>
+                                                        </li>
+                                                    ))}
+                                                </ol>
+                                            )}
+
+                                            {job.status === 'FAILED' && job.error && (
+                                                <div className="flex items-start gap-2 mt-4 p-2 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-xl text-xs text-red-700 dark:text-red-300 transition-all duration-300">
+                                                    <FaTimesCircle className="text-red-600 dark:text-red-400 mt-0.5 flex-shrink-0 transition-colors duration-300" />
+                                                    <span>{job.error}</span>
+                                                </div>
+                                            )}
 
-                                                        // Default download button
-                                                        return (
-                                                            <a
-                                                                href={downloadUrl}
-                                                                download
-                                                                className="block w-full px-3 py-2 bg-indigo-500 text-white text-xs font-semibold rounded-xl hover:bg-indigo-600 transition-all duration-300 ease-in-out hover:scale-[1.02] transform text-center"
-                                                                onClick={(e) => e.stopPropagation()}
-                                                            >
-                                                                📥 Download File
-                                                            </a>
-                                                        )
-                                                    }
-                                                } catch (e) {
-                                                    return null
-                                                }
-                                            })()}
-                                        </div>
-                                    )}
-
-                                    {job.status === 'FAILED' && job.error && (
-                                        <div className="flex items-start gap-2 mt-4 p-2 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-xl text-xs text-red-700 dark:text-red-300 transition-all duration-300">
-                                            <FaTimesCircle className="text-red-600 dark:text-red-400 mt-0.5 flex-shrink-0 transition-colors duration-300" />
-                                            <span>{job.error}</span>
-                                        </div>
-                                    )}
-
-                                    {job.status === 'PROCESSING' && (
-                                        <div className="mt-4 flex items-center gap-2 text-blue-600 dark:text-blue-400 text-sm transition-colors duration-300">
-                                            <FaSpinner className="animate-spin" />
-                                            <span>Processing…</span>
+                                            {job.status === 'PROCESSING' && (
+                                                <div className="mt-4 space-y-2">
+                                                    <div className="flex items-center gap-2 text-blue-600 dark:text-blue-400 text-sm transition-colors duration-300">
+                                                        <FaSpinner className="animate-spin" />
+                                                        <span>Processing…</span>
+                                                    </div>
+                                                    <div className="h-2 w-full bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden transition-colors duration-300">
+                                                        <div
+                                                            className="h-full bg-gradient-to-r from-indigo-500 to-purple-500 transition-all duration-500 ease-out"
+                                                            style={{ width: `${ job.progress }%` }}
+                                                        />
+                                                    </div>
+                                                </div>
+                                            )}
+
+                                            {/* Cancel and Delete Buttons */}
+                                            <div className="mt-4 pt-3 border-t border-gray-200 dark:border-gray-700 space-y-2 transition-colors duration-300">
+                                                {(job.status === 'FAILED' || job.status === 'CANCELLED') && (
+                                                    <button
+                                                        onClick={(e) => retryJob(job, e)}
+                                                        disabled={retryingJobId === job.id}
+                                                        className="w-full flex items-center justify-center gap-2 px-4 py-2 bg-indigo-50 dark:bg-indigo-900/20 text-indigo-600 dark:text-indigo-400 font-medium rounded-xl hover:bg-indigo-100 dark:hover:bg-indigo-900/30 disabled:opacity-60 disabled:cursor-not-allowed transition-all duration-300 ease-in-out border border-indigo-200 dark:border-indigo-800"
+                                                    >
+                                                        {retryingJobId === job.id ? <FaSpinner className="animate-spin text-sm" /> : <FaRedo className="text-sm" />}
+                                                        {retryingJobId === job.id ? 'Retrying…' : 'Retry Job'}
+                                                    </button>
+                                                )}
+                                                {(job.status === 'PENDING' || job.status === 'PROCESSING') && (
+                                                    <button
+                                                        onClick={(e) => cancelJob(job, e)}
+                                                        disabled={cancellingJobId === job.id}
+                                                        className="w-full flex items-center justify-center gap-2 px-4 py-2 bg-amber-50 dark:bg-amber-900/20 text-amber-700 dark:text-amber-400 font-medium rounded-xl hover:bg-amber-100 dark:hover:bg-amber-900/30 disabled:opacity-60 disabled:cursor-not-allowed transition-all duration-300 ease-in-out border border-amber-200 dark:border-amber-800"
+                                                    >
+                                                        {cancellingJobId === job.id ? <FaSpinner className="animate-spin text-sm" /> : <FaBan className="text-sm" />}
+                                                        {cancellingJobId === job.id ? 'Cancelling…' : 'Cancel Job'}
+                                                    </button>
+                                                )}
+                                                <button
+                                                    onClick={(e) => openDeleteModal(job, e)}
+                                                    className="w-full flex items-center justify-center gap-2 px-4 py-2 bg-red-50 dark:bg-red-900/20 text-red-600 dark:text-red-400 font-medium rounded-xl hover:bg-red-100 dark:hover:bg-red-900/30 hover:text-red-700 dark:hover:text-red-300 transition-all duration-300 ease-in-out border border-red-200 dark:border-red-800"
+                                                >
+                                                    <FaTrash className="text-sm" />
+                                                    Delete Job
+                                                </button>
+                                            </div>
                                         </div>
-                                    )}
-
-                                    {/* Delete Button */}
-                                    <div className="mt-4 pt-3 border-t border-gray-200 dark:border-gray-700 transition-colors duration-300">
-                                        <button
-                                            onClick={(e) => openDeleteModal(job, e)}
-                                            className="w-full flex items-center justify-center gap-2 px-4 py-2 bg-red-50 dark:bg-red-900/20 text-red-600 dark:text-red-400 font-medium rounded-xl hover:bg-red-100 dark:hover:bg-red-900/30 hover:text-red-700 dark:hover:text-red-300 transition-all duration-300 ease-in-out border border-red-200 dark:border-red-800"
-                                        >
-                                            <FaTrash className="text-sm" />
-                                            Delete Job
-                                        </button>
-                                    </div>
-                                </div>
-                            ))}
+                                    </Fragment>
+                                )
+                            })}
                         </div>
                     )}
                 </div>
@@ -844,23 +2638,45 @@ export default function App() {
                                     <div className="flex justify-between items-center p-6 border-b border-gray-200 dark:border-gray-700 transition-colors duration-300">
                                         <div className="flex items-center gap-3 flex-1 min-w-0">
                                             {selectedJob.type === 'waveform' && <FaWaveSquare className="text-indigo-600 dark:text-indigo-400 text-2xl flex-shrink-0 transition-colors duration-300" />}
-                                            {selectedJob.type === 'convert' && <FaFileAudio className="text-indigo-600 dark:text-indigo-400 text-2xl flex-shrink-0 transition-colors duration-300" />}
-                                            {selectedJob.type === 'slice' && <FaCut className="text-indigo-600 dark:text-indigo-400 text-2xl flex-shrink-0 transition-colors duration-300" />}
+                                            {AUDIO_OUTPUT_LABELS[selectedJob.type] && <AudioOutputIcon type={selectedJob.type} className="text-indigo-600 dark:text-indigo-400 text-2xl flex-shrink-0 transition-colors duration-300" />}
+                                            {selectedJob.type === 'spectrogram' && <FaChartArea className="text-indigo-600 dark:text-indigo-400 text-2xl flex-shrink-0 transition-colors duration-300" />}
+                                            {selectedJob.type === 'loudness' && <FaVolumeUp className="text-indigo-600 dark:text-indigo-400 text-2xl flex-shrink-0 transition-colors duration-300" />}
                                             {selectedJob.type === 'analyze' && <FaChartBar className="text-indigo-600 dark:text-indigo-400 text-2xl flex-shrink-0 transition-colors duration-300" />}
-                                            {(selectedJob.type === 'metadata' || !['waveform', 'convert', 'slice', 'analyze'].includes(selectedJob.type)) && <FaMusic className="text-indigo-600 dark:text-indigo-400 text-2xl flex-shrink-0 transition-colors duration-300" />}
+                                            {selectedJob.type === 'pipeline' && <FaStream className="text-indigo-600 dark:text-indigo-400 text-2xl flex-shrink-0 transition-colors duration-300" />}
+                                            {selectedJob.type === 'split' && <FaCut className="text-indigo-600 dark:text-indigo-400 text-2xl flex-shrink-0 transition-colors duration-300" />}
+                                            {(selectedJob.type === 'metadata' || !['waveform', 'spectrogram', 'convert', 'slice', 'split', 'normalize', 'loudness', 'analyze', 'pipeline'].includes(selectedJob.type)) && <FaMusic className="text-indigo-600 dark:text-indigo-400 text-2xl flex-shrink-0 transition-colors duration-300" />}
                                             <div className="flex-1 min-w-0">
                                                 <h3 className="text-xl font-semibold text-gray-900 dark:text-gray-100 truncate transition-colors duration-300">
                                                     {selectedJob.type === 'waveform' ? 'Waveform Visualization' :
-                                                        selectedJob.type === 'convert' ? 'Converted Audio' :
-                                                            selectedJob.type === 'slice' ? 'Audio Clip' :
+                                                        selectedJob.type === 'spectrogram' ? 'Spectrogram' :
+                                                        AUDIO_OUTPUT_LABELS[selectedJob.type] ? AUDIO_OUTPUT_LABELS[selectedJob.type] :
+                                                            selectedJob.type === 'loudness' ? 'Loudness Analysis' :
                                                                 selectedJob.type === 'analyze' ? 'Audio Analysis' :
-                                                                    'Audio Metadata'} — {selectedJob.audioFile.originalName}
+                                                                    selectedJob.type === 'pipeline' ? 'Pipeline Results' :
+                                                                    selectedJob.type === 'split' ? 'Split Clips' :
+                                                                        'Audio Metadata'} — {selectedJob.audioFile.originalName}
                                                 </h3>
                                                 {selectedJob.audioFile?.size && (
                                                     <p className="text-sm text-gray-500 dark:text-gray-400 mt-1 transition-colors duration-300">
                                                         File Size: <span className="font-medium text-gray-700 dark:text-gray-300">{formatBytes(selectedJob.audioFile.size)}</span>
                                                     </p>
                                                 )}
+                                                <div className="flex flex-wrap gap-4 mt-2 text-xs font-semibold">
+                                                    <a
+                                                        href={`${ API_BASE_URL }/upload/jobs/archive?ids=${ selectedJob.id }`}
+                                                        className="flex items-center gap-1.5 text-indigo-600 dark:text-indigo-400 hover:underline transition-colors duration-300"
+                                                    >
+                                                        <FaFileArchive />
+                                                        Download all outputs (.zip)
+                                                    </a>
+                                                    <a
+                                                        href={`${ API_BASE_URL }/upload/file/${ selectedJob.audioFile.id }/archive`}
+                                                        className="flex items-center gap-1.5 text-indigo-600 dark:text-indigo-400 hover:underline transition-colors duration-300"
+                                                    >
+                                                        <FaFileArchive />
+                                                        Every job on this file (.zip)
+                                                    </a>
+                                                </div>
                                             </div>
                                         </div>
                                         <button
@@ -872,7 +2688,19 @@ export default function App() {
                                     </div>
                                     <div className="p-6 overflow-auto max-h-[calc(90vh-80px)]">
                                         {/* Waveform Visualization */}
-                                        {selectedJob.type === 'waveform' && downloadUrl && (
+                                        {selectedJob.type === 'waveform' && result.peaks?.length > 0 && (
+                                            <div className="mb-6">
+                                                <div className="flex items-center gap-2 mb-4">
+                                                    <FaWaveSquare className="text-indigo-600 dark:text-indigo-400 transition-colors duration-300" />
+                                                    <h4 className="text-lg font-semibold text-gray-800 dark:text-gray-100 transition-colors duration-300">Interactive Waveform</h4>
+                                                </div>
+                                                <WaveformPeaksPlayer
+                                                    peaks={result.peaks}
+                                                    audioUrl={selectedJob.audioFile?.filename ? uploadUrl(selectedJob.audioFile.filename) : null}
+                                                />
+                                            </div>
+                                        )}
+                                        {selectedJob.type === 'waveform' && WAVEFORM_IMAGE_FORMATS.includes(result.format) && downloadUrl && (
                                             <div className="mb-6">
                                                 <div className="flex items-center gap-2 mb-4">
                                                     <FaWaveSquare className="text-indigo-600 dark:text-indigo-400 transition-colors duration-300" />
@@ -886,23 +2714,56 @@ export default function App() {
                                                         className="mt-4 inline-flex items-center gap-2 px-4 py-2 bg-indigo-500 text-white font-semibold rounded-xl hover:bg-indigo-600 transition-all duration-300 ease-in-out hover:scale-[1.02] transform shadow-md"
                                                     >
                                                         <FaDownload />
-                                                        Download Waveform PNG
+                                                        Download Waveform {result.format.toUpperCase()}
                                                     </a>
                                                 )}
                                             </div>
                                         )}
 
-                                        {/* Audio Player for Convert/Slice */}
-                                        {(selectedJob.type === 'convert' || selectedJob.type === 'slice') && downloadUrl && (
+                                        {/* Spectrogram */}
+                                        {selectedJob.type === 'spectrogram' && downloadUrl && (
                                             <div className="mb-6">
                                                 <div className="flex items-center gap-2 mb-4">
-                                                    {selectedJob.type === 'convert' ? (
-                                                        <FaFileAudio className="text-indigo-600 dark:text-indigo-400 transition-colors duration-300" />
-                                                    ) : (
-                                                        <FaCut className="text-indigo-600 dark:text-indigo-400 transition-colors duration-300" />
-                                                    )}
+                                                    <FaChartArea className="text-indigo-600 dark:text-indigo-400 transition-colors duration-300" />
+                                                    <h4 className="text-lg font-semibold text-gray-800 dark:text-gray-100 transition-colors duration-300">Spectrogram</h4>
+                                                </div>
+                                                <WaveformImageCard downloadUrl={downloadUrl} isModal={true} />
+                                                <div className="mt-4 grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+                                                    {[
+                                                        ['Frequency Scale', result.frequencyScale === 'log' ? 'Logarithmic' : 'Linear'],
+                                                        ['Top of Image', result.nyquistHz ? `${ (result.nyquistHz / 1000).toFixed(1) } kHz` : 'N/A'],
+                                                        ['FFT Size', result.fftSize ? `${ result.fftSize } points` : 'N/A'],
+                                                        ['Color Map', result.colorMap || 'N/A'],
+                                                    ].map(([label, value]) => (
+                                                        <div key={label} className="bg-gray-50 dark:bg-gray-700 rounded-xl p-3 border border-gray-200 dark:border-gray-600 transition-all duration-300">
+                                                            <p className="text-xs text-gray-500 dark:text-gray-400 transition-colors duration-300">{label}</p>
+                                                            <p className="font-semibold text-gray-900 dark:text-gray-100 capitalize transition-colors duration-300">{value}</p>
+                                                        </div>
+                                                    ))}
+                                                </div>
+                                                {result.truncated && (
+                                                    <p className="mt-3 text-sm text-amber-600 dark:text-amber-400 transition-colors duration-300">
+                                                        Only the first {Math.round(result.duration)}s of the file were rendered.
+                                                    </p>
+                                                )}
+                                                <a
+                                                    href={downloadUrl}
+                                                    download
+                                                    className="mt-4 inline-flex items-center gap-2 px-4 py-2 bg-indigo-500 text-white font-semibold rounded-xl hover:bg-indigo-600 transition-all duration-300 ease-in-out hover:scale-[1.02] transform shadow-md"
+                                                >
+                                                    <FaDownload />
+                                                    Download Spectrogram PNG
+                                                </a>
+                                            </div>
+                                        )}
+
+                                        {/* Audio Player for Convert/Slice/Normalize */}
+                                        {AUDIO_OUTPUT_LABELS[selectedJob.type] && downloadUrl && (
+                                            <div className="mb-6">
+                                                <div className="flex items-center gap-2 mb-4">
+                                                    <AudioOutputIcon type={selectedJob.type} className="text-indigo-600 dark:text-indigo-400 transition-colors duration-300" />
                                                     <h4 className="text-lg font-semibold text-gray-800 dark:text-gray-100 transition-colors duration-300">
-                                                        {selectedJob.type === 'convert' ? 'Converted Audio' : 'Audio Clip'}
+                                                        {AUDIO_OUTPUT_LABELS[selectedJob.type]}
                                                     </h4>
                                                 </div>
                                                 <div className="bg-gradient-to-br from-indigo-50 via-purple-50 to-pink-50 dark:from-indigo-900/20 dark:via-purple-900/20 dark:to-pink-900/20 rounded-xl p-6 border-2 border-indigo-200 dark:border-indigo-700 shadow-lg transition-all duration-300">
@@ -922,15 +2783,38 @@ export default function App() {
                                                             <p className="font-semibold text-gray-900 dark:text-gray-100 transition-colors duration-300">{result.outputFormat.toUpperCase()}</p>
                                                         </div>
                                                     )}
+                                                    {result.encoder && (
+                                                        <div className="bg-gray-50 dark:bg-gray-700 rounded-lg p-3 border border-gray-200 dark:border-gray-600 transition-all duration-300">
+                                                            <p className="text-xs text-gray-500 dark:text-gray-400 mb-1 transition-colors duration-300">Encoder</p>
+                                                            <p className="font-semibold text-gray-900 dark:text-gray-100 transition-colors duration-300">
+                                                                {result.encoder.codec.toUpperCase()}
+                                                                {result.encoder.bitrate && ` · ${ result.encoder.bitrate } kbps ${ result.encoder.bitrateMode.toUpperCase() }`}
+                                                                {result.encoder.compressionLevel !== undefined && ` · level ${ result.encoder.compressionLevel }`}
+                                                                {result.encoder.sampleRate && ` · ${ result.encoder.sampleRate } Hz`}
+                                                                {result.encoder.channels && ` · ${ result.encoder.channels === 1 ? 'Mono' : 'Stereo' }`}
+                                                            </p>
+                                                        </div>
+                                                    )}
                                                     {result.startTime !== undefined && result.endTime !== undefined && (
                                                         <div className="bg-gray-50 dark:bg-gray-700 rounded-lg p-3 border border-gray-200 dark:border-gray-600 transition-all duration-300">
                                                             <p className="text-xs text-gray-500 dark:text-gray-400 mb-1 transition-colors duration-300">Clip Duration</p>
                                                             <p className="font-semibold text-gray-900 dark:text-gray-100 transition-colors duration-300">
-                                                                {result.startTime}s - {result.endTime}s
+                                                                {formatClipTime(result.startTime)} – {formatClipTime(result.endTime)}
                                                                 {result.duration && ` (${ result.duration.toFixed(1) }s)`}
                                                             </p>
                                                         </div>
                                                     )}
+                                                    {result.mode && result.startTime !== undefined && (
+                                                        <div className="bg-gray-50 dark:bg-gray-700 rounded-lg p-3 border border-gray-200 dark:border-gray-600 transition-all duration-300">
+                                                            <p className="text-xs text-gray-500 dark:text-gray-400 mb-1 transition-colors duration-300">Slice Mode</p>
+                                                            <p className="font-semibold text-gray-900 dark:text-gray-100 transition-colors duration-300">
+                                                                {result.mode === 'fast' ? 'Fast (stream copy)' : 'Accurate'}
+                                                                {result.fadeIn > 0 && ` · ${ result.fadeIn }s fade in`}
+                                                                {result.fadeOut > 0 && ` · ${ result.fadeOut }s fade out`}
+                                                                {result.frameAligned && ' · frame-aligned'}
+                                                            </p>
+                                                        </div>
+                                                    )}
                                                     {result.size && (
                                                         <div className="bg-gray-50 dark:bg-gray-700 rounded-lg p-3 border border-gray-200 dark:border-gray-600 transition-all duration-300">
                                                             <p className="text-xs text-gray-500 dark:text-gray-400 mb-1 transition-colors duration-300">File Size</p>
@@ -952,62 +2836,65 @@ export default function App() {
                                         )}
 
                                         {/* Metadata Display */}
-                                        {(selectedJob.type === 'metadata' || selectedJob.type === 'analyze') && (
+                                        {(selectedJob.type === 'metadata' || selectedJob.type === 'analyze') && (() => {
+                                            // Analyze results nest the tag/format fields under `metadata`
+                                            const info = selectedJob.type === 'analyze' ? result.metadata || {} : result
+                                            return (
                                             <div className="mb-6">
                                                 <div className="flex items-center gap-2 mb-4">
                                                     <FaInfoCircle className="text-indigo-600 dark:text-indigo-400 transition-colors duration-300" />
                                                     <h4 className="text-lg font-semibold text-gray-800 dark:text-gray-100 transition-colors duration-300">Audio Information</h4>
                                                 </div>
                                                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                                                    {result.title && (
+                                                    {info.title && (
                                                         <div className="bg-gray-50 dark:bg-gray-700 rounded-xl p-4 border border-gray-200 dark:border-gray-600 transition-all duration-300">
                                                             <p className="text-xs text-gray-500 dark:text-gray-400 mb-1 transition-colors duration-300">Title</p>
-                                                            <p className="font-semibold text-gray-900 dark:text-gray-100 transition-colors duration-300">{result.title}</p>
+                                                            <p className="font-semibold text-gray-900 dark:text-gray-100 transition-colors duration-300">{info.title}</p>
                                                         </div>
                                                     )}
-                                                    {result.artist && (
+                                                    {info.artist && (
                                                         <div className="bg-gray-50 dark:bg-gray-700 rounded-xl p-4 border border-gray-200 dark:border-gray-600 transition-all duration-300">
                                                             <p className="text-xs text-gray-500 dark:text-gray-400 mb-1 transition-colors duration-300">Artist</p>
-                                                            <p className="font-semibold text-gray-900 dark:text-gray-100 transition-colors duration-300">{result.artist}</p>
+                                                            <p className="font-semibold text-gray-900 dark:text-gray-100 transition-colors duration-300">{info.artist}</p>
                                                         </div>
                                                     )}
-                                                    {result.album && (
+                                                    {info.album && (
                                                         <div className="bg-gray-50 dark:bg-gray-700 rounded-xl p-4 border border-gray-200 dark:border-gray-600 transition-all duration-300">
                                                             <p className="text-xs text-gray-500 dark:text-gray-400 mb-1 transition-colors duration-300">Album</p>
-                                                            <p className="font-semibold text-gray-900 dark:text-gray-100 transition-colors duration-300">{result.album}</p>
+                                                            <p className="font-semibold text-gray-900 dark:text-gray-100 transition-colors duration-300">{info.album}</p>
                                                         </div>
                                                     )}
-                                                    {result.duration && (
+                                                    {info.duration && (
                                                         <div className="bg-gray-50 dark:bg-gray-700 rounded-xl p-4 border border-gray-200 dark:border-gray-600 transition-all duration-300">
                                                             <p className="text-xs text-gray-500 dark:text-gray-400 mb-1 transition-colors duration-300">Duration</p>
                                                             <p className="font-semibold text-gray-900 dark:text-gray-100 transition-colors duration-300">
-                                                                {Math.floor(result.duration / 60)}:{(result.duration % 60).toFixed(0).padStart(2, '0')}
+                                                                {Math.floor(info.duration / 60)}:{(info.duration % 60).toFixed(0).padStart(2, '0')}
                                                             </p>
                                                         </div>
                                                     )}
-                                                    {result.bitrate && (
+                                                    {info.bitrate && (
                                                         <div className="bg-gray-50 dark:bg-gray-700 rounded-xl p-4 border border-gray-200 dark:border-gray-600 transition-all duration-300">
                                                             <p className="text-xs text-gray-500 dark:text-gray-400 mb-1 transition-colors duration-300">Bitrate</p>
-                                                            <p className="font-semibold text-gray-900 dark:text-gray-100 transition-colors duration-300">{Math.round(result.bitrate / 1000)} kbps</p>
+                                                            <p className="font-semibold text-gray-900 dark:text-gray-100 transition-colors duration-300">{Math.round(info.bitrate / 1000)} kbps</p>
                                                         </div>
                                                     )}
-                                                    {result.sampleRate && (
+                                                    {info.sampleRate && (
                                                         <div className="bg-gray-50 dark:bg-gray-700 rounded-xl p-4 border border-gray-200 dark:border-gray-600 transition-all duration-300">
                                                             <p className="text-xs text-gray-500 dark:text-gray-400 mb-1 transition-colors duration-300">Sample Rate</p>
-                                                            <p className="font-semibold text-gray-900 dark:text-gray-100 transition-colors duration-300">{result.sampleRate} Hz</p>
+                                                            <p className="font-semibold text-gray-900 dark:text-gray-100 transition-colors duration-300">{info.sampleRate} Hz</p>
                                                         </div>
                                                     )}
-                                                    {result.codec && (
+                                                    {info.codec && (
                                                         <div className="bg-gray-50 dark:bg-gray-700 rounded-xl p-4 border border-gray-200 dark:border-gray-600 transition-all duration-300">
                                                             <p className="text-xs text-gray-500 dark:text-gray-400 mb-1 transition-colors duration-300">Codec</p>
-                                                            <p className="font-semibold text-gray-900 dark:text-gray-100 transition-colors duration-300">{result.codec.toUpperCase()}</p>
+                                                            <p className="font-semibold text-gray-900 dark:text-gray-100 transition-colors duration-300">{info.codec.toUpperCase()}</p>
                                                         </div>
                                                     )}
-                                                    {result.numberOfChannels && (
+                                                    {info.numberOfChannels && (
                                                         <div className="bg-gray-50 dark:bg-gray-700 rounded-xl p-4 border border-gray-200 dark:border-gray-600 transition-all duration-300">
                                                             <p className="text-xs text-gray-500 dark:text-gray-400 mb-1 transition-colors duration-300">Channels</p>
                                                             <p className="font-semibold text-gray-900 dark:text-gray-100 transition-colors duration-300">
-                                                                {result.numberOfChannels === 1 ? 'Mono' : result.numberOfChannels === 2 ? 'Stereo' : `${ result.numberOfChannels } channels`}
+                                                                {info.numberOfChannels === 1 ? 'Mono' : info.numberOfChannels === 2 ? 'Stereo' : `${ info.numberOfChannels } channels`}
                                                             </p>
                                                         </div>
                                                     )}
@@ -1019,6 +2906,11 @@ export default function App() {
                                                     )}
                                                 </div>
 
+                                                {/* Signal Analysis Charts */}
+                                                {selectedJob.type === 'analyze' && result.signal && (
+                                                    <SignalAnalysisPanel signal={result.signal} />
+                                                )}
+
                                                 {/* Technical Details for Analyze */}
                                                 {selectedJob.type === 'analyze' && result.technical && (
                                                     <div className="mt-6">
@@ -1041,10 +2933,113 @@ export default function App() {
                                                     </pre>
                                                 </details>
                                             </div>
+                                            )
+                                        })()}
+
+                                        {/* Loudness Measurements */}
+                                        {(selectedJob.type === 'loudness' || (selectedJob.type === 'normalize' && result.before)) && (() => {
+                                            const loudness = selectedJob.type === 'loudness' ? result : result.before
+                                            const formatDb = (value, unit) => (value === null || value === undefined ? '—' : `${ value.toFixed(1) } ${ unit }`)
+                                            return (
+                                                <div className="mb-6">
+                                                    <div className="flex items-center gap-2 mb-4">
+                                                        <FaVolumeUp className="text-indigo-600 dark:text-indigo-400 transition-colors duration-300" />
+                                                        <h4 className="text-lg font-semibold text-gray-800 dark:text-gray-100 transition-colors duration-300">
+                                                            {selectedJob.type === 'normalize' ? 'Loudness Before Normalization' : 'Loudness'}
+                                                        </h4>
+                                                    </div>
+                                                    <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                                                        {[
+                                                            ['Integrated', formatDb(loudness.integratedLufs, 'LUFS')],
+                                                            ['Loudness Range', formatDb(loudness.loudnessRange, 'LU')],
+                                                            ['True Peak', formatDb(loudness.truePeak, 'dBTP')],
+                                                            ['RMS', formatDb(loudness.rmsDb, 'dBFS')],
+                                                        ].map(([label, value]) => (
+                                                            <div key={label} className="bg-gray-50 dark:bg-gray-700 rounded-lg p-3 border border-gray-200 dark:border-gray-600 transition-all duration-300">
+                                                                <p className="text-xs text-gray-500 dark:text-gray-400 mb-1 transition-colors duration-300">{label}</p>
+                                                                <p className="font-semibold text-gray-900 dark:text-gray-100 transition-colors duration-300">{value}</p>
+                                                            </div>
+                                                        ))}
+                                                    </div>
+                                                    {selectedJob.type === 'normalize' && result.target && (
+                                                        <p className="mt-3 text-sm text-gray-600 dark:text-gray-400 transition-colors duration-300">
+                                                            Target: <span className="font-semibold text-gray-900 dark:text-gray-100">{result.target.targetLufs} LUFS</span>, true peak ≤ {result.target.truePeak} dBTP ({result.target.preset})
+                                                        </p>
+                                                    )}
+                                                </div>
+                                            )
+                                        })()}
+
+                                        {/* Pipeline Steps */}
+                                        {selectedJob.type === 'pipeline' && (
+                                            <div className="mb-6 space-y-3">
+                                                {(selectedJob.steps || []).map((step, index) => {
+                                                    let stepResult = null
+                                                    try {
+                                                        stepResult = step.result ? JSON.parse(step.result) : null
+                                                    } catch {
+                                                        stepResult = null
+                                                    }
+                                                    const stepUrl = stepResult?.outputPath
+                                                        ? `${ API_BASE_URL.replace('/api', '') }/uploads/${ stepResult.outputPath.split('/').pop() }`
+                                                        : null
+                                                    return (
+                                                        <div key={step.id} className="bg-gray-50 dark:bg-gray-700 rounded-xl p-4 border border-gray-200 dark:border-gray-600 transition-all duration-300">
+                                                            <div className="flex items-center justify-between gap-3">
+                                                                <p className="font-semibold text-gray-900 dark:text-gray-100 transition-colors duration-300">
+                                                                    {index + 1}. {step.type}
+                                                                </p>
+                                                                <span className={`px-2 py-1 rounded-lg text-white text-xs ${ getStatusColor(step.status) }`}>
+                                                                    {step.status}
+                                                                </span>
+                                                            </div>
+                                                            {stepResult?.message && (
+                                                                <p className="text-sm text-gray-600 dark:text-gray-400 mt-1 transition-colors duration-300">{stepResult.message}</p>
+                                                            )}
+                                                            {step.error && (
+                                                                <p className="text-sm text-red-600 dark:text-red-400 mt-1 transition-colors duration-300">{step.error}</p>
+                                                            )}
+                                                            {stepUrl && (step.type === 'waveform' || step.type === 'spectrogram') && WAVEFORM_IMAGE_FORMATS.includes(stepResult?.format) && (
+                                                                <div className="mt-3">
+                                                                    <WaveformImageCard downloadUrl={stepUrl} />
+                                                                </div>
+                                                            )}
+                                                            {stepUrl && AUDIO_OUTPUT_LABELS[step.type] && (
+                                                                <audio controls src={stepUrl} className="w-full mt-3" preload="metadata">
+                                                                    Your browser does not support the audio element.
+                                                                </audio>
+                                                            )}
+                                                            {stepUrl && (
+                                                                <a
+                                                                    href={stepUrl}
+                                                                    download
+                                                                    className="mt-3 inline-flex items-center gap-2 px-3 py-1.5 bg-indigo-500 text-white text-sm font-semibold rounded-xl hover:bg-indigo-600 transition-all duration-300 ease-in-out"
+                                                                >
+                                                                    <FaDownload />
+                                                                    Download
+                                                                </a>
+                                                            )}
+                                                        </div>
+                                                    )
+                                                })}
+                                            </div>
+                                        )}
+
+                                        {/* Clips from a split job */}
+                                        {selectedJob.type === 'split' && result.segments?.length > 0 && (
+                                            <div className="mb-6">
+                                                <div className="flex items-center gap-2 mb-4">
+                                                    <FaCut className="text-indigo-600 dark:text-indigo-400 transition-colors duration-300" />
+                                                    <h4 className="text-lg font-semibold text-gray-800 dark:text-gray-100 transition-colors duration-300">
+                                                        {result.segments.length} {result.segments.length === 1 ? 'Clip' : 'Clips'}
+                                                    </h4>
+                                                </div>
+                                                <SplitClipsList result={result} />
+                                            </div>
                                         )}
 
                                         {/* Default JSON View for other types */}
-                                        {!['waveform', 'convert', 'slice', 'metadata', 'analyze'].includes(selectedJob.type) && (
+                                        {!['waveform', 'spectrogram', 'convert', 'slice', 'split', 'normalize', 'loudness', 'metadata', 'analyze', 'pipeline'].includes(selectedJob.type) && (
                                             <div>
                                                 <h4 className="text-lg font-semibold text-gray-800 dark:text-gray-100 mb-3 transition-colors duration-300">Result</h4>
                                                 <pre className="bg-gray-900 dark:bg-gray-950 text-gray-100 dark:text-gray-200 p-6 rounded-xl overflow-x-auto text-sm leading-relaxed transition-all duration-300">
@@ -1052,6 +3047,73 @@ export default function App() {
                                                 </pre>
                                             </div>
                                         )}
+
+                                        {/* Run Another Operation on the Same File */}
+                                        <div className="mt-6 pt-6 border-t border-gray-200 dark:border-gray-700 transition-colors duration-300">
+                                            <div className="flex items-center gap-2 mb-4">
+                                                <FaRedo className="text-indigo-600 dark:text-indigo-400 transition-colors duration-300" />
+                                                <h4 className="text-lg font-semibold text-gray-800 dark:text-gray-100 transition-colors duration-300">Run another operation on this file</h4>
+                                            </div>
+                                            <div className="flex flex-col md:flex-row gap-3">
+                                                <div className="flex-1">
+                                                    <Select
+                                                        value={pipelineStepOptions.find((o) => o.value === rerunJob.type)}
+                                                        onChange={(opt) => setRerunJob((prev) => ({ ...prev, type: opt.value }))}
+                                                        options={pipelineStepOptions}
+                                                        styles={customSelectStyles}
+                                                        isSearchable={false}
+                                                        menuPortalTarget={document.body}
+                                                        menuPosition="fixed"
+                                                        isOptionDisabled={(option) => option.isDisabled}
+                                                    />
+                                                </div>
+                                                {rerunJob.type === 'convert' && (
+                                                    <div className="md:w-40">
+                                                        <Select
+                                                            value={formatOptions.find((o) => o.value === rerunJob.outputFormat)}
+                                                            onChange={(opt) => setRerunJob((prev) => ({ ...prev, outputFormat: opt.value }))}
+                                                            options={formatOptions}
+                                                            styles={customSelectStyles}
+                                                            isSearchable={false}
+                                                            menuPortalTarget={document.body}
+                                                            menuPosition="fixed"
+                                                        />
+                                                    </div>
+                                                )}
+                                                {rerunJob.type === 'normalize' && (
+                                                    <div className="md:w-56">
+                                                        <Select
+                                                            value={loudnessPresetOptions.find((o) => o.value === rerunJob.preset)}
+                                                            onChange={(opt) => setRerunJob((prev) => ({ ...prev, preset: opt.value }))}
+                                                            options={loudnessPresetOptions}
+                                                            styles={customSelectStyles}
+                                                            isSearchable={false}
+                                                            menuPortalTarget={document.body}
+                                                            menuPosition="fixed"
+                                                        />
+                                                    </div>
+                                                )}
+                                                {rerunJob.type === 'slice' && ['startTime', 'endTime'].map((key) => (
+                                                    <input
+                                                        key={key}
+                                                        type="text"
+                                                        value={rerunJob[key]}
+                                                        onChange={(e) => setRerunJob((prev) => ({ ...prev, [key]: e.target.value }))}
+                                                        className="md:w-28 px-4 py-3 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:border-indigo-400 dark:focus:border-indigo-500 transition-all duration-300 ease-in-out"
+                                                        placeholder={key === 'startTime' ? 'Start' : 'End'}
+                                                        title={key === 'startTime' ? 'Start time (seconds or hh:mm:ss.mmm)' : 'End time (seconds or hh:mm:ss.mmm)'}
+                                                    />
+                                                ))}
+                                                <button
+                                                    type="button"
+                                                    onClick={() => runAnotherJob(selectedJob.audioFile)}
+                                                    disabled={rerunning}
+                                                    className="px-5 py-3 text-white font-semibold rounded-xl bg-gradient-to-r from-indigo-500 to-purple-500 hover:from-indigo-600 hover:to-purple-600 disabled:opacity-50 transition-all duration-300 ease-in-out shadow-md"
+                                                >
+                                                    {rerunning ? 'Queuing…' : 'Run'}
+                                                </button>
+                                            </div>
+                                        </div>
                                     </div>
                                 </div>
                             </div>
@@ -1132,7 +3194,8 @@ export default function App() {
                                                 Status: <span className={`font-medium ${ jobToDelete.status === 'COMPLETED' ? 'text-emerald-600 dark:text-emerald-400' :
                                                     jobToDelete.status === 'PROCESSING' ? 'text-blue-600 dark:text-blue-400' :
                                                         jobToDelete.status === 'FAILED' ? 'text-red-600 dark:text-red-400' :
-                                                            'text-gray-600 dark:text-gray-400'
+                                                            jobToDelete.status === 'CANCELLED' ? 'text-amber-600 dark:text-amber-400' :
+                                                                'text-gray-600 dark:text-gray-400'
                                                     } transition-colors duration-300`}>{jobToDelete.status}</span>
                                             </p>
                                         </div>
@@ -0,0 +1,24 @@
+-- RedefineTables
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_jobs" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "audioFileId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "progress" INTEGER NOT NULL DEFAULT 0,
+    "params" TEXT,
+    "result" TEXT,
+    "error" TEXT,
+    "parentId" TEXT,
+    "stepIndex" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    "completedAt" DATETIME,
+    CONSTRAINT "jobs_audioFileId_fkey" FOREIGN KEY ("audioFileId") REFERENCES "audio_files" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "jobs_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "jobs" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+INSERT INTO "new_jobs" ("audioFileId", "completedAt", "createdAt", "error", "id", "progress", "result", "status", "type", "updatedAt") SELECT "audioFileId", "completedAt", "createdAt", "error", "id", "progress", "result", "status", "type", "updatedAt" FROM "jobs";
+DROP TABLE "jobs";
+ALTER TABLE "new_jobs" RENAME TO "jobs";
+PRAGMA foreign_key_check;
+PRAGMA foreign_keys=ON;
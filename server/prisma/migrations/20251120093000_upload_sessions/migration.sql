@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE "upload_sessions" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "originalName" TEXT NOT NULL,
+    "mimeType" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "offset" INTEGER NOT NULL DEFAULT 0,
+    "checksum" TEXT,
+    "filename" TEXT NOT NULL,
+    "jobRequest" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "audio_files" ADD COLUMN "codec" TEXT;
+ALTER TABLE "audio_files" ADD COLUMN "container" TEXT;
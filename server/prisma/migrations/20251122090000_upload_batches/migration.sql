@@ -0,0 +1,30 @@
+-- CreateTable
+CREATE TABLE "upload_batches" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "jobType" TEXT NOT NULL,
+    "params" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- RedefineTables
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_audio_files" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "filename" TEXT NOT NULL,
+    "originalName" TEXT NOT NULL,
+    "path" TEXT NOT NULL,
+    "mimeType" TEXT NOT NULL,
+    "container" TEXT,
+    "codec" TEXT,
+    "size" INTEGER NOT NULL,
+    "batchId" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "audio_files_batchId_fkey" FOREIGN KEY ("batchId") REFERENCES "upload_batches" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_audio_files" ("codec", "container", "createdAt", "filename", "id", "mimeType", "originalName", "path", "size", "updatedAt") SELECT "codec", "container", "createdAt", "filename", "id", "mimeType", "originalName", "path", "size", "updatedAt" FROM "audio_files";
+DROP TABLE "audio_files";
+ALTER TABLE "new_audio_files" RENAME TO "audio_files";
+PRAGMA foreign_key_check;
+PRAGMA foreign_keys=ON;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "jobs" ADD COLUMN "priority" TEXT NOT NULL DEFAULT 'normal';
+ALTER TABLE "jobs" ADD COLUMN "runAt" DATETIME;
@@ -0,0 +1,195 @@
+/**
+ * Encoder profiles for every output format the convert job supports.
+ * Each profile lists the codecs it can use and the settings a client may override.
+ */
+const FORMAT_PROFILES = {
+    mp3: {
+        label: 'MP3',
+        extension: 'mp3',
+        codecs: {
+            mp3: { encoder: 'libmp3lame', bitrateModes: ['cbr', 'vbr'] },
+        },
+        defaultCodec: 'mp3',
+        defaultBitrate: 192,
+        bitrates: [64, 96, 128, 160, 192, 224, 256, 320],
+        sampleRates: [22050, 32000, 44100, 48000],
+    },
+    wav: {
+        label: 'WAV',
+        extension: 'wav',
+        codecs: {
+            pcm: { encoder: 'pcm_s16le', bitrateModes: [] },
+        },
+        defaultCodec: 'pcm',
+        lossless: true,
+        sampleRates: [8000, 16000, 22050, 32000, 44100, 48000, 88200, 96000],
+    },
+    flac: {
+        label: 'FLAC',
+        extension: 'flac',
+        codecs: {
+            flac: { encoder: 'flac', bitrateModes: [] },
+        },
+        defaultCodec: 'flac',
+        lossless: true,
+        defaultCompressionLevel: 5,
+        compressionLevels: [0, 12],
+        sampleRates: [8000, 16000, 22050, 32000, 44100, 48000, 88200, 96000],
+    },
+    ogg: {
+        label: 'OGG',
+        extension: 'ogg',
+        codecs: {
+            vorbis: { encoder: 'libvorbis', bitrateModes: ['vbr', 'cbr'] },
+            // libopus only encodes at these rates
+            opus: { encoder: 'libopus', bitrateModes: ['vbr', 'cbr'], sampleRates: [8000, 12000, 16000, 24000, 48000] },
+        },
+        defaultCodec: 'vorbis',
+        defaultBitrate: 160,
+        bitrates: [64, 96, 128, 160, 192, 256, 320],
+        sampleRates: [22050, 32000, 44100, 48000],
+    },
+    m4a: {
+        label: 'M4A',
+        extension: 'm4a',
+        codecs: {
+            // The native AAC encoder has no usable VBR mode
+            aac: { encoder: 'aac', bitrateModes: ['cbr'] },
+        },
+        defaultCodec: 'aac',
+        defaultBitrate: 192,
+        bitrates: [64, 96, 128, 160, 192, 256, 320],
+        sampleRates: [22050, 32000, 44100, 48000],
+    },
+}
+
+const CHANNEL_OPTIONS = [1, 2]
+
+// Approximate average bitrate (kbps) for each LAME -q:a level
+const LAME_VBR_QUALITY = [[245, 0], [225, 1], [190, 2], [175, 3], [165, 4], [130, 5], [115, 6], [100, 7], [85, 8], [65, 9]]
+
+// Approximate average bitrate (kbps) for each Vorbis -q:a level
+const VORBIS_VBR_QUALITY = [[64, 0], [80, 1], [96, 2], [112, 3], [128, 4], [160, 5], [192, 6], [224, 7], [256, 8], [320, 9], [500, 10]]
+
+function nearestQuality(table, bitrate) {
+    return table.reduce((best, entry) =>
+        Math.abs(entry[0] - bitrate) < Math.abs(best[0] - bitrate) ? entry : best
+    )[1]
+}
+
+/**
+ * Resolve client-supplied encoder options against a format profile.
+ * Returns the effective settings or throws on values the profile does not allow.
+ */
+function resolveEncoderSettings(outputFormat, options = {}) {
+    const profile = FORMAT_PROFILES[outputFormat]
+    if (!profile) {
+        throw new Error(`Unsupported output format: ${ outputFormat }`)
+    }
+
+    const codecName = options.codec || profile.defaultCodec
+    const codec = profile.codecs[codecName]
+    if (!codec) {
+        throw new Error(`Codec "${ codecName }" is not available for ${ profile.label }. Use one of: ${ Object.keys(profile.codecs).join(', ') }`)
+    }
+
+    const settings = {
+        format: outputFormat,
+        codec: codecName,
+        encoder: codec.encoder,
+    }
+
+    if (codec.bitrateModes.length > 0) {
+        const bitrateMode = options.bitrateMode || codec.bitrateModes[0]
+        if (!codec.bitrateModes.includes(bitrateMode)) {
+            throw new Error(`Bitrate mode "${ bitrateMode }" is not supported by ${ codecName }`)
+        }
+        const bitrate = options.bitrate ? parseInt(options.bitrate, 10) : profile.defaultBitrate
+        if (!Number.isInteger(bitrate) || bitrate < 8 || bitrate > 512) {
+            throw new Error(`Invalid bitrate: ${ options.bitrate }. Expected a value in kbps between 8 and 512`)
+        }
+        settings.bitrate = bitrate
+        settings.bitrateMode = bitrateMode
+    }
+
+    if (profile.compressionLevels) {
+        const [min, max] = profile.compressionLevels
+        const level = options.compressionLevel !== undefined && options.compressionLevel !== ''
+            ? parseInt(options.compressionLevel, 10)
+            : profile.defaultCompressionLevel
+        if (!Number.isInteger(level) || level < min || level > max) {
+            throw new Error(`Invalid compression level: ${ options.compressionLevel }. Expected ${ min }-${ max }`)
+        }
+        settings.compressionLevel = level
+    }
+
+    if (options.sampleRate) {
+        const sampleRate = parseInt(options.sampleRate, 10)
+        const allowed = codec.sampleRates || profile.sampleRates
+        if (!allowed.includes(sampleRate)) {
+            throw new Error(`Sample rate ${ options.sampleRate } Hz is not supported by ${ codecName }. Use one of: ${ allowed.join(', ') }`)
+        }
+        settings.sampleRate = sampleRate
+    }
+
+    if (options.channels) {
+        const channels = parseInt(options.channels, 10)
+        if (!CHANNEL_OPTIONS.includes(channels)) {
+            throw new Error(`Invalid channel count: ${ options.channels }. Use 1 (mono) or 2 (stereo)`)
+        }
+        settings.channels = channels
+    }
+
+    return settings
+}
+
+/**
+ * Build the ffmpeg output arguments for resolved encoder settings
+ */
+function buildEncoderArgs(settings) {
+    const args = ['-codec:a', settings.encoder]
+
+    switch (settings.encoder) {
+        case 'libmp3lame':
+            if (settings.bitrateMode === 'vbr') {
+                args.push('-q:a', String(nearestQuality(LAME_VBR_QUALITY, settings.bitrate)))
+            } else {
+                args.push('-b:a', `${ settings.bitrate }k`)
+            }
+            break
+        case 'libvorbis':
+            if (settings.bitrateMode === 'vbr') {
+                args.push('-q:a', String(nearestQuality(VORBIS_VBR_QUALITY, settings.bitrate)))
+            } else {
+                args.push('-b:a', `${ settings.bitrate }k`, '-minrate', `${ settings.bitrate }k`, '-maxrate', `${ settings.bitrate }k`)
+            }
+            break
+        case 'libopus':
+            args.push('-b:a', `${ settings.bitrate }k`, '-vbr', settings.bitrateMode === 'vbr' ? 'on' : 'off')
+            break
+        case 'aac':
+            args.push('-b:a', `${ settings.bitrate }k`)
+            break
+        case 'flac':
+            args.push('-compression_level', String(settings.compressionLevel))
+            break
+        default:
+            break
+    }
+
+    if (settings.sampleRate) {
+        args.push('-ar', String(settings.sampleRate))
+    }
+    if (settings.channels) {
+        args.push('-ac', String(settings.channels))
+    }
+
+    return args
+}
+
+module.exports = {
+    FORMAT_PROFILES,
+    CHANNEL_OPTIONS,
+    resolveEncoderSettings,
+    buildEncoderArgs,
+}
@@ -0,0 +1,143 @@
+/**
+ * Field validation for job requests
+ * A job schema is { fields, resolve }: each field lists its type and limits, and
+ * `resolve` applies the rules that span several fields (usually a config module's
+ * resolve function) and returns the parameters to queue. The schemas themselves
+ * live with their processors (see ../processors).
+ */
+const { parseTimecode } = require('./slice')
+
+const FIELD_TYPES = ['number', 'integer', 'enum', 'boolean', 'timecode', 'string', 'color', 'list', 'json']
+
+/**
+ * Validation failure with one entry per offending field.
+ * Entries without a field break a rule that involves several fields.
+ */
+class JobParamsError extends Error {
+    constructor(fields) {
+        super(fields.map(entry => entry.message).join('; '))
+        this.fields = fields
+    }
+}
+
+function isMissing(raw) {
+    return raw === undefined || raw === null || raw === ''
+}
+
+/**
+ * Convert one request value according to its field rule. Throws with a message for the client.
+ */
+function parseField(name, rule, raw) {
+    switch (rule.type) {
+        case 'number':
+        case 'integer': {
+            const value = Number(raw)
+            if (!Number.isFinite(value) || (rule.type === 'integer' && !Number.isInteger(value))) {
+                throw new Error(`${ name } must be ${ rule.type === 'integer' ? 'a whole number' : 'a number' }`)
+            }
+            if (value < rule.min || value > rule.max || (rule.exclusiveMin && value === rule.min)) {
+                throw new Error(`${ name } must be ${ rule.exclusiveMin ? 'greater than' : 'between' } ${ rule.min }${ rule.exclusiveMin ? ' and at most' : ' and' } ${ rule.max }`)
+            }
+            return value
+        }
+        case 'enum': {
+            const value = rule.values.find(option => String(option) === String(raw).trim())
+            if (value === undefined) {
+                throw new Error(`${ name } must be one of: ${ rule.values.join(', ') }`)
+            }
+            return value
+        }
+        case 'boolean':
+            if (raw === true || raw === 'true' || raw === '1') return true
+            if (raw === false || raw === 'false' || raw === '0') return false
+            throw new Error(`${ name } must be true or false`)
+        case 'timecode':
+            return parseTimecode(raw, name)
+        case 'string': {
+            const value = String(raw)
+            if (value.length > rule.maxLength) {
+                throw new Error(`${ name } can be at most ${ rule.maxLength } characters`)
+            }
+            return value
+        }
+        case 'color':
+            if (rule.allowTransparent && raw === 'transparent') return raw
+            if (!/^#?[0-9a-f]{6}$/i.test(String(raw))) {
+                throw new Error(`${ name } must be a hex color like #9333ea${ rule.allowTransparent ? ' or "transparent"' : '' }`)
+            }
+            return String(raw)
+        case 'list': {
+            const items = Array.isArray(raw) ? raw : String(raw).split(',')
+            const values = items.map(item => Number(String(item).trim()))
+            if (values.length > rule.maxItems) {
+                throw new Error(`${ name } can have at most ${ rule.maxItems } entries`)
+            }
+            if (values.some(value => !Number.isInteger(value) || value < rule.min || value > rule.max)) {
+                throw new Error(`${ name } must be whole numbers between ${ rule.min } and ${ rule.max }`)
+            }
+            return values
+        }
+        case 'json': {
+            let value = raw
+            if (typeof raw === 'string') {
+                try {
+                    value = JSON.parse(raw)
+                } catch (e) {
+                    throw new Error(`${ name } must be a JSON array`)
+                }
+            }
+            if (!Array.isArray(value) || value.length === 0) {
+                throw new Error(`${ name } must be a non-empty array`)
+            }
+            if (value.length > rule.maxItems) {
+                throw new Error(`${ name } can have at most ${ rule.maxItems } entries`)
+            }
+            return value
+        }
+        default:
+            throw new Error(`Unknown field type for ${ name }: ${ rule.type }`)
+    }
+}
+
+/**
+ * Validate request fields against a schema and resolve them into job parameters.
+ * With `partial`, only the fields present are checked (used while a multipart
+ * request is still arriving) and nothing is resolved.
+ * Throws a JobParamsError listing every problem found.
+ */
+function resolveSchema(schema, body = {}, { prefix = '', partial = false } = {}) {
+    const errors = []
+    const values = {}
+    for (const [name, rule] of Object.entries(schema.fields)) {
+        const raw = body[name]
+        if (isMissing(raw)) {
+            if (rule.required && !partial) {
+                errors.push({ field: `${ prefix }${ name }`, message: `${ name } is required` })
+            }
+            continue
+        }
+        try {
+            values[name] = parseField(name, rule, raw)
+        } catch (error) {
+            errors.push({ field: `${ prefix }${ name }`, message: error.message })
+        }
+    }
+
+    if (errors.length > 0) throw new JobParamsError(errors)
+    if (partial) return null
+    if (!schema.resolve) return values
+
+    try {
+        // Only the fields the client sent; the config modules fill in defaults
+        return schema.resolve(values)
+    } catch (error) {
+        if (error instanceof JobParamsError) throw error
+        throw new JobParamsError([{ ...(prefix && { field: prefix.slice(0, -1) }), message: error.message }])
+    }
+}
+
+module.exports = {
+    FIELD_TYPES,
+    JobParamsError,
+    resolveSchema,
+}
@@ -0,0 +1,53 @@
+/**
+ * Loudness normalization presets (EBU R128 / ITU-R BS.1770 measurements)
+ */
+const LOUDNESS_PRESETS = {
+    podcast: { label: 'Podcast', targetLufs: -16, truePeak: -1.5, loudnessRange: 11 },
+    streaming: { label: 'Streaming', targetLufs: -14, truePeak: -1, loudnessRange: 11 },
+    broadcast: { label: 'Broadcast (EBU R128)', targetLufs: -23, truePeak: -1, loudnessRange: 20 },
+}
+
+const DEFAULT_LOUDNESS_PRESET = 'podcast'
+
+// Ranges accepted by ffmpeg's loudnorm filter
+const LOUDNORM_LIMITS = {
+    targetLufs: [-70, -5],
+    truePeak: [-9, 0],
+    loudnessRange: [1, 50],
+}
+
+/**
+ * Resolve a preset name and optional overrides into loudnorm targets.
+ * Throws on unknown presets or values loudnorm would reject.
+ */
+function resolveLoudnessTarget(options = {}) {
+    const presetName = options.preset || DEFAULT_LOUDNESS_PRESET
+    const preset = presetName === 'custom' ? LOUDNESS_PRESETS[DEFAULT_LOUDNESS_PRESET] : LOUDNESS_PRESETS[presetName]
+    if (!preset) {
+        throw new Error(`Unknown loudness preset: ${ presetName }. Use one of: ${ Object.keys(LOUDNESS_PRESETS).join(', ') }, custom`)
+    }
+
+    const target = { preset: presetName }
+    for (const key of Object.keys(LOUDNORM_LIMITS)) {
+        const raw = options[key]
+        const value = raw !== undefined && raw !== '' && raw !== null ? parseFloat(raw) : preset[key]
+        const [min, max] = LOUDNORM_LIMITS[key]
+        if (isNaN(value) || value < min || value > max) {
+            throw new Error(`Invalid ${ key }: ${ raw }. Expected a value between ${ min } and ${ max }`)
+        }
+        target[key] = value
+    }
+
+    if (presetName === 'custom' && (options.targetLufs === undefined || options.targetLufs === '')) {
+        throw new Error('targetLufs is required for a custom loudness target')
+    }
+
+    return target
+}
+
+module.exports = {
+    LOUDNESS_PRESETS,
+    DEFAULT_LOUDNESS_PRESET,
+    LOUDNORM_LIMITS,
+    resolveLoudnessTarget,
+}
@@ -27,8 +27,16 @@ const audioQueue = new Bull('audio-processing', {
     redis: redisConfig,
 })
 
+// Pub/sub channel the API uses to tell workers to abort a running job (message: job id)
+const JOB_CANCEL_CHANNEL = 'audio-processing:cancel'
+
+// Key where workers record the ffmpeg backend they run jobs with (JSON, expires unless refreshed)
+const FFMPEG_STATUS_KEY = 'audio-processing:ffmpeg'
+
 module.exports = {
     redisClient,
     audioQueue,
+    JOB_CANCEL_CHANNEL,
+    FFMPEG_STATUS_KEY,
 }
 
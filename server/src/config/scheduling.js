@@ -0,0 +1,75 @@
+/**
+ * Job priorities and scheduled start times
+ * Priorities map to Bull priorities (1 runs first); a start time becomes a Bull delay.
+ */
+const { JobParamsError, resolveSchema } = require('./jobSchemas')
+
+const JOB_PRIORITIES = {
+    interactive: { label: 'Interactive', description: 'Someone is waiting for the result', value: 1 },
+    normal: { label: 'Normal', description: 'Default for uploads', value: 5 },
+    bulk: { label: 'Bulk', description: 'Large or batch work that can wait', value: 10 },
+}
+
+const DEFAULT_JOB_PRIORITY = 'normal'
+
+// Furthest a job can be scheduled ahead
+const MAX_SCHEDULE_DELAY_SECONDS = 30 * 24 * 60 * 60
+
+const SCHEDULE_SCHEMA = {
+    fields: {
+        priority: { type: 'enum', values: Object.keys(JOB_PRIORITIES) },
+        delay: { type: 'integer', min: 0, max: MAX_SCHEDULE_DELAY_SECONDS },
+        runAt: { type: 'string', maxLength: 64 },
+    },
+    resolve: ({ priority = DEFAULT_JOB_PRIORITY, delay, runAt }) => {
+        if (delay !== undefined && runAt !== undefined) {
+            throw new Error('Set either runAt or delay, not both')
+        }
+
+        let start = null
+        if (runAt !== undefined) {
+            start = new Date(runAt)
+            if (isNaN(start.getTime())) {
+                throw new JobParamsError([{ field: 'runAt', message: 'runAt must be a date and time, like 2025-01-31T18:00:00Z' }])
+            }
+            if (start.getTime() - Date.now() > MAX_SCHEDULE_DELAY_SECONDS * 1000) {
+                throw new JobParamsError([{ field: 'runAt', message: `runAt can be at most ${ MAX_SCHEDULE_DELAY_SECONDS / 86400 } days ahead` }])
+            }
+            // A time in the past just means "now"
+            if (start.getTime() <= Date.now()) start = null
+        } else if (delay) {
+            start = new Date(Date.now() + delay * 1000)
+        }
+
+        return { priority, runAt: start }
+    },
+}
+
+/**
+ * Resolve the priority, runAt and delay fields of a job request into
+ * { priority, runAt }, with runAt null for jobs that should start right away.
+ * Throws a JobParamsError listing every problem found.
+ */
+function resolveJobSchedule(body = {}) {
+    return resolveSchema(SCHEDULE_SCHEMA, body)
+}
+
+/**
+ * Bull job options for a resolved schedule. runAt may be a string when the
+ * schedule was stored as JSON (resumable upload sessions).
+ */
+function scheduleQueueOptions({ priority = DEFAULT_JOB_PRIORITY, runAt = null } = {}) {
+    const delay = runAt ? new Date(runAt).getTime() - Date.now() : 0
+    return {
+        priority: JOB_PRIORITIES[priority].value,
+        ...(delay > 0 && { delay }),
+    }
+}
+
+module.exports = {
+    JOB_PRIORITIES,
+    DEFAULT_JOB_PRIORITY,
+    MAX_SCHEDULE_DELAY_SECONDS,
+    resolveJobSchedule,
+    scheduleQueueOptions,
+}
@@ -0,0 +1,101 @@
+/**
+ * Slice job options
+ */
+
+// accurate: decode and re-encode, cut on the exact sample (fades allowed)
+// fast: stream copy, cut on the nearest codec frame boundaries
+const SLICE_MODES = ['accurate', 'fast']
+const DEFAULT_SLICE_MODE = 'accurate'
+const MAX_FADE_SECONDS = 60
+
+// Samples per codec frame, keyed by music-metadata codec names.
+// Stream copy can only cut between frames, so fast mode snaps to these.
+const CODEC_FRAME_SAMPLES = [
+    [/^PCM/i, 1],
+    [/MPEG [12](?:\.5)? Layer 1/i, 384],
+    [/MPEG 1 Layer [23]|MPEG 2(?:\.5)? Layer 2/i, 1152],
+    [/MPEG 2(?:\.5)? Layer 3/i, 576],
+    [/AAC/i, 1024],
+    [/Opus/i, 960],
+    [/FLAC/i, 4096],
+]
+
+/**
+ * Parse a time as seconds ("75.5") or a timecode ("1:15.5", "00:01:15.500")
+ */
+function parseTimecode(raw, name = 'time') {
+    if (typeof raw === 'number') {
+        if (!Number.isFinite(raw) || raw < 0) throw new Error(`Invalid ${ name }: ${ raw }`)
+        return raw
+    }
+
+    const text = String(raw ?? '').trim()
+    const match = text.match(/^(?:(?:(\d+):)?(\d{1,2}):)?(\d+(?:\.\d+)?)$/)
+    if (!match) {
+        throw new Error(`Invalid ${ name }: "${ text }". Use seconds (75.5) or hh:mm:ss.mmm (00:01:15.500)`)
+    }
+
+    const [, hours = '0', minutes = '0', seconds] = match
+    if (text.includes(':') && (Number(seconds) >= 60 || (match[1] !== undefined && Number(minutes) >= 60))) {
+        throw new Error(`Invalid ${ name }: "${ text }". Minutes and seconds must be below 60`)
+    }
+    return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds)
+}
+
+function parseFade(raw, name) {
+    if (raw === undefined || raw === null || raw === '') return 0
+    const value = Number(raw)
+    if (!Number.isFinite(value) || value < 0 || value > MAX_FADE_SECONDS) {
+        throw new Error(`Invalid ${ name }: ${ raw }. Expected 0 to ${ MAX_FADE_SECONDS } seconds`)
+    }
+    return value
+}
+
+/**
+ * Resolve client-supplied slice options.
+ * Throws on values the slicer does not support.
+ */
+function resolveSliceOptions(options = {}) {
+    // A start of 0 is valid; only absent values are missing
+    if (options.startTime == null || options.startTime === '' || options.endTime == null || options.endTime === '') {
+        throw new Error('Start and end times are required for slicing')
+    }
+    const startTime = parseTimecode(options.startTime, 'startTime')
+    const endTime = parseTimecode(options.endTime, 'endTime')
+    if (endTime <= startTime) {
+        throw new Error('endTime must be after startTime')
+    }
+
+    const mode = options.mode || DEFAULT_SLICE_MODE
+    if (!SLICE_MODES.includes(mode)) {
+        throw new Error(`Unknown slice mode: ${ mode }. Use one of: ${ SLICE_MODES.join(', ') }`)
+    }
+
+    const fadeIn = parseFade(options.fadeIn, 'fadeIn')
+    const fadeOut = parseFade(options.fadeOut, 'fadeOut')
+    if ((fadeIn > 0 || fadeOut > 0) && mode === 'fast') {
+        throw new Error('Fades need the accurate mode; stream copy cannot apply filters')
+    }
+    if (fadeIn + fadeOut > endTime - startTime) {
+        throw new Error('fadeIn and fadeOut together cannot be longer than the clip')
+    }
+
+    return { startTime, endTime, mode, fadeIn, fadeOut }
+}
+
+/**
+ * Samples per frame for a codec, or null when frames vary in length or the codec is unknown
+ */
+function codecFrameSamples(codec) {
+    const entry = CODEC_FRAME_SAMPLES.find(([pattern]) => pattern.test(codec || ''))
+    return entry ? entry[1] : null
+}
+
+module.exports = {
+    SLICE_MODES,
+    DEFAULT_SLICE_MODE,
+    MAX_FADE_SECONDS,
+    parseTimecode,
+    resolveSliceOptions,
+    codecFrameSamples,
+}
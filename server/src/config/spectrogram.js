@@ -0,0 +1,86 @@
+/**
+ * Spectrogram job options
+ */
+
+// Color maps as gradient stops: [position 0-1, [r, g, b]]
+const SPECTROGRAM_COLOR_MAPS = {
+    viridis: {
+        label: 'Viridis',
+        stops: [[0, [68, 1, 84]], [0.25, [59, 82, 139]], [0.5, [33, 145, 140]], [0.75, [94, 201, 98]], [1, [253, 231, 37]]],
+    },
+    magma: {
+        label: 'Magma',
+        stops: [[0, [0, 0, 4]], [0.25, [81, 18, 124]], [0.5, [183, 55, 121]], [0.75, [252, 137, 97]], [1, [252, 253, 191]]],
+    },
+    inferno: {
+        label: 'Inferno',
+        stops: [[0, [0, 0, 4]], [0.25, [87, 16, 110]], [0.5, [188, 55, 84]], [0.75, [249, 142, 9]], [1, [252, 255, 164]]],
+    },
+    rainbow: {
+        label: 'Rainbow',
+        stops: [[0, [0, 0, 0]], [0.2, [0, 0, 160]], [0.4, [0, 160, 220]], [0.6, [0, 200, 0]], [0.8, [255, 220, 0]], [1, [255, 0, 0]]],
+    },
+    grayscale: {
+        label: 'Grayscale',
+        stops: [[0, [0, 0, 0]], [1, [255, 255, 255]]],
+    },
+}
+const DEFAULT_COLOR_MAP = 'viridis'
+
+const FREQUENCY_SCALES = ['linear', 'log']
+const FFT_SIZES = [256, 512, 1024, 2048, 4096, 8192]
+const DEFAULT_FFT_SIZE = 2048
+
+const SPECTROGRAM_SIZE_LIMITS = {
+    width: [100, 4000],
+    height: [64, 2000],
+}
+const DEFAULT_SPECTROGRAM_SIZE = { width: 1200, height: 400 }
+
+// Levels this far below full scale map to the bottom of the color map
+const DYNAMIC_RANGE_DB = 120
+
+/**
+ * Resolve client-supplied spectrogram options.
+ * Throws on values the renderer does not support.
+ */
+function resolveSpectrogramOptions(options = {}) {
+    const colorMap = options.colorMap || DEFAULT_COLOR_MAP
+    if (!SPECTROGRAM_COLOR_MAPS[colorMap]) {
+        throw new Error(`Unknown color map: ${ colorMap }. Use one of: ${ Object.keys(SPECTROGRAM_COLOR_MAPS).join(', ') }`)
+    }
+
+    const frequencyScale = options.frequencyScale || 'log'
+    if (!FREQUENCY_SCALES.includes(frequencyScale)) {
+        throw new Error(`Unsupported frequency scale: ${ frequencyScale }. Use one of: ${ FREQUENCY_SCALES.join(', ') }`)
+    }
+
+    const fftSize = options.fftSize !== undefined && options.fftSize !== '' ? Number(options.fftSize) : DEFAULT_FFT_SIZE
+    if (!FFT_SIZES.includes(fftSize)) {
+        throw new Error(`Invalid FFT size: ${ options.fftSize }. Use one of: ${ FFT_SIZES.join(', ') }`)
+    }
+
+    const resolved = { colorMap, frequencyScale, fftSize, dynamicRange: DYNAMIC_RANGE_DB }
+    for (const key of Object.keys(SPECTROGRAM_SIZE_LIMITS)) {
+        const raw = options[key]
+        const value = raw !== undefined && raw !== '' ? Number(raw) : DEFAULT_SPECTROGRAM_SIZE[key]
+        const [min, max] = SPECTROGRAM_SIZE_LIMITS[key]
+        if (!Number.isInteger(value) || value < min || value > max) {
+            throw new Error(`Invalid ${ key }: ${ raw }. Expected a whole number of pixels between ${ min } and ${ max }`)
+        }
+        resolved[key] = value
+    }
+
+    return resolved
+}
+
+module.exports = {
+    SPECTROGRAM_COLOR_MAPS,
+    DEFAULT_COLOR_MAP,
+    FREQUENCY_SCALES,
+    FFT_SIZES,
+    DEFAULT_FFT_SIZE,
+    SPECTROGRAM_SIZE_LIMITS,
+    DEFAULT_SPECTROGRAM_SIZE,
+    resolveSpectrogramOptions,
+}
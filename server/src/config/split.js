@@ -0,0 +1,122 @@
+/**
+ * Split job options: explicit segments or automatic split-on-silence
+ */
+const { parseTimecode } = require('./slice')
+
+const SPLIT_MODES = ['segments', 'silence']
+const MAX_SEGMENTS = 200
+const MAX_SEGMENT_NAME_LENGTH = 80
+
+const SILENCE_SPLIT_DEFAULTS = {
+    silenceThresholdDb: -40,
+    minSilenceDuration: 1,
+    minSegmentDuration: 1,
+    namePrefix: 'Track',
+}
+
+function parseNumber(raw, fallback, name, min, max) {
+    if (raw === undefined || raw === '' || raw === null) return fallback
+    const value = Number(raw)
+    if (!Number.isFinite(value) || value < min || value > max) {
+        throw new Error(`Invalid ${ name }: ${ raw }. Expected a number between ${ min } and ${ max }`)
+    }
+    return value
+}
+
+function parseName(raw, fallback) {
+    const name = raw === undefined || raw === null ? '' : String(raw).trim()
+    if (name.length > MAX_SEGMENT_NAME_LENGTH) {
+        throw new Error(`Segment names can be at most ${ MAX_SEGMENT_NAME_LENGTH } characters`)
+    }
+    return name || fallback
+}
+
+/**
+ * Parse the segment list, given as an array or a JSON string of { name, start, end }.
+ * Times are seconds or hh:mm:ss.mmm timecodes.
+ */
+function parseSegments(rawSegments) {
+    let segments = rawSegments
+    if (typeof rawSegments === 'string') {
+        try {
+            segments = JSON.parse(rawSegments)
+        } catch (e) {
+            throw new Error('Segments must be a JSON array')
+        }
+    }
+
+    if (!Array.isArray(segments) || segments.length === 0) {
+        throw new Error('Provide at least one segment')
+    }
+    if (segments.length > MAX_SEGMENTS) {
+        throw new Error(`Cannot split into more than ${ MAX_SEGMENTS } segments`)
+    }
+
+    return segments.map((segment, index) => {
+        let start
+        let end
+        try {
+            start = parseTimecode(segment?.start ?? segment?.startTime, 'start')
+            end = parseTimecode(segment?.end ?? segment?.endTime, 'end')
+        } catch (error) {
+            throw new Error(`Segment ${ index + 1 }: ${ error.message }`)
+        }
+        if (end <= start) {
+            throw new Error(`Segment ${ index + 1 }: needs start >= 0 and end > start`)
+        }
+        return { name: parseName(segment.name, `Segment ${ index + 1 }`), start, end }
+    })
+}
+
+/**
+ * Resolve client-supplied split options.
+ * Throws on values the splitter does not support.
+ */
+function resolveSplitOptions(options = {}) {
+    const mode = options.mode || (options.segments ? 'segments' : 'silence')
+    if (!SPLIT_MODES.includes(mode)) {
+        throw new Error(`Unknown split mode: ${ mode }. Use one of: ${ SPLIT_MODES.join(', ') }`)
+    }
+
+    if (mode === 'segments') {
+        return { mode, segments: parseSegments(options.segments) }
+    }
+
+    return {
+        mode,
+        silenceThresholdDb: parseNumber(options.silenceThresholdDb, SILENCE_SPLIT_DEFAULTS.silenceThresholdDb, 'silenceThresholdDb', -100, 0),
+        minSilenceDuration: parseNumber(options.minSilenceDuration, SILENCE_SPLIT_DEFAULTS.minSilenceDuration, 'minSilenceDuration', 0.1, 60),
+        minSegmentDuration: parseNumber(options.minSegmentDuration, SILENCE_SPLIT_DEFAULTS.minSegmentDuration, 'minSegmentDuration', 0, 3600),
+        namePrefix: parseName(options.namePrefix, SILENCE_SPLIT_DEFAULTS.namePrefix),
+    }
+}
+
+/**
+ * Turn detected silence regions into the sounding segments between them.
+ * Segments shorter than `minSegmentDuration` are dropped.
+ */
+function segmentsBetweenSilence(regions, duration, { minSegmentDuration, namePrefix }) {
+    const segments = []
+    let cursor = 0
+
+    for (const region of [...regions, { start: duration, end: duration }]) {
+        if (region.start - cursor >= minSegmentDuration && region.start > cursor) {
+            segments.push({ start: cursor, end: region.start })
+        }
+        cursor = Math.max(cursor, region.end)
+    }
+
+    return segments.slice(0, MAX_SEGMENTS).map((segment, index) => ({
+        name: `${ namePrefix } ${ index + 1 }`,
+        ...segment,
+    }))
+}
+
+module.exports = {
+    SPLIT_MODES,
+    MAX_SEGMENTS,
+    MAX_SEGMENT_NAME_LENGTH,
+    SILENCE_SPLIT_DEFAULTS,
+    resolveSplitOptions,
+    segmentsBetweenSilence,
+}
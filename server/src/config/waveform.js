@@ -0,0 +1,156 @@
+/**
+ * Waveform job options
+ * Peak data follows the BBC audiowaveform formats (JSON and binary .dat, version 2).
+ * The optional image is drawn by ffmpeg (PNG, WebP) or rendered from peaks (SVG).
+ */
+const DEFAULT_ZOOM_LEVELS = [256, 1024, 4096]
+const MAX_ZOOM_LEVELS = 8
+// audiowaveform's accepted samples-per-pixel range
+const SAMPLES_PER_PIXEL_LIMITS = [2, 65536]
+const PEAK_BITS = [8, 16]
+const DEFAULT_PEAK_BITS = 8
+
+// Rendered image options
+const WAVEFORM_IMAGE_FORMATS = ['png', 'webp', 'svg']
+const WAVEFORM_STYLES = ['bars', 'line']
+const IMAGE_SIZE_LIMITS = {
+    width: [100, 8000],
+    height: [40, 2000],
+}
+const DEFAULT_IMAGE_SIZE = { width: 1200, height: 240 }
+
+// Color presets; the transparent ones sit on top of whatever the page background is
+const WAVEFORM_IMAGE_PRESETS = {
+    light: { label: 'Light', foregroundColor: '#9333ea', backgroundColor: '#ffffff' },
+    dark: { label: 'Dark', foregroundColor: '#a78bfa', backgroundColor: '#111827' },
+    'light-transparent': { label: 'Light (transparent)', foregroundColor: '#9333ea', backgroundColor: 'transparent' },
+    'dark-transparent': { label: 'Dark (transparent)', foregroundColor: '#c4b5fd', backgroundColor: 'transparent' },
+}
+const DEFAULT_IMAGE_PRESET = 'light'
+
+const HEX_COLOR = /^#?([0-9a-f]{6})$/i
+
+function parseBoolean(value, fallback) {
+    if (value === undefined || value === null || value === '') return fallback
+    if (typeof value === 'boolean') return value
+    if (value === 'true' || value === '1') return true
+    if (value === 'false' || value === '0') return false
+    throw new Error(`Invalid boolean value: ${ value }`)
+}
+
+function parseColor(value, name, allowTransparent) {
+    if (allowTransparent && value === 'transparent') return value
+    const match = HEX_COLOR.exec(String(value))
+    if (!match) {
+        throw new Error(`Invalid ${ name }: ${ value }. Use a hex color like #9333ea${ allowTransparent ? ' or "transparent"' : '' }`)
+    }
+    return `#${ match[1].toLowerCase() }`
+}
+
+/**
+ * Resolve rendering options for the waveform image.
+ * Explicit colors override the preset's.
+ */
+function resolveImageOptions(options) {
+    const presetName = options.imagePreset || DEFAULT_IMAGE_PRESET
+    const preset = WAVEFORM_IMAGE_PRESETS[presetName]
+    if (!preset) {
+        throw new Error(`Unknown image preset: ${ presetName }. Use one of: ${ Object.keys(WAVEFORM_IMAGE_PRESETS).join(', ') }`)
+    }
+
+    const format = options.imageFormat || 'png'
+    if (!WAVEFORM_IMAGE_FORMATS.includes(format)) {
+        throw new Error(`Unsupported image format: ${ format }. Use one of: ${ WAVEFORM_IMAGE_FORMATS.join(', ') }`)
+    }
+
+    const style = options.style || 'bars'
+    if (!WAVEFORM_STYLES.includes(style)) {
+        throw new Error(`Unsupported waveform style: ${ style }. Use one of: ${ WAVEFORM_STYLES.join(', ') }`)
+    }
+
+    const image = { format, style, preset: presetName }
+    for (const key of Object.keys(IMAGE_SIZE_LIMITS)) {
+        const raw = options[key]
+        const value = raw !== undefined && raw !== '' ? Number(raw) : DEFAULT_IMAGE_SIZE[key]
+        const [min, max] = IMAGE_SIZE_LIMITS[key]
+        if (!Number.isInteger(value) || value < min || value > max) {
+            throw new Error(`Invalid ${ key }: ${ raw }. Expected a whole number of pixels between ${ min } and ${ max }`)
+        }
+        image[key] = value
+    }
+
+    image.foregroundColor = parseColor(options.foregroundColor || preset.foregroundColor, 'foregroundColor', false)
+    image.backgroundColor = parseColor(options.backgroundColor || preset.backgroundColor, 'backgroundColor', true)
+
+    return image
+}
+
+/**
+ * Build the ffmpeg filter graph that draws a waveform image.
+ * `totalSamples` (per channel) lets the line style fit the whole file into one frame.
+ */
+function buildWaveformImageFilter(image, { channels, splitChannels, totalSamples }) {
+    const size = `${ image.width }x${ image.height }`
+    const lanes = splitChannels ? channels : 1
+    const colors = Array(lanes).fill(image.foregroundColor.replace('#', '0x')).join('|')
+    const input = splitChannels ? '[0:a]' : '[0:a]aformat=channel_layouts=mono,'
+
+    const waves = image.style === 'line'
+        ? `showwaves=s=${ size }:mode=p2p:draw=full:n=${ Math.max(1, Math.ceil(totalSamples / image.width)) }:split_channels=${ splitChannels ? 1 : 0 }:colors=${ colors }`
+        : `compand=gain=-6,showwavespic=s=${ size }:split_channels=${ splitChannels ? 1 : 0 }:colors=${ colors }`
+
+    if (image.backgroundColor === 'transparent') {
+        return `${ input }${ waves },format=rgba`
+    }
+    return `${ input }${ waves }[fg];color=s=${ size }:c=${ image.backgroundColor.replace('#', '0x') }[bg];[bg][fg]overlay=format=auto`
+}
+
+/**
+ * Resolve client-supplied waveform options.
+ * Throws on zoom levels or bit depths audiowaveform could not represent.
+ */
+function resolveWaveformOptions(options = {}) {
+    let zoomLevels = DEFAULT_ZOOM_LEVELS
+    if (options.zoomLevels !== undefined && options.zoomLevels !== '') {
+        const raw = Array.isArray(options.zoomLevels) ? options.zoomLevels : String(options.zoomLevels).split(',')
+        zoomLevels = raw.map((value) => Number(String(value).trim()))
+        const [min, max] = SAMPLES_PER_PIXEL_LIMITS
+        const invalid = zoomLevels.find((level) => !Number.isInteger(level) || level < min || level > max)
+        if (invalid !== undefined) {
+            throw new Error(`Invalid zoom level: ${ invalid }. Expected samples per pixel between ${ min } and ${ max }`)
+        }
+        if (zoomLevels.length === 0 || zoomLevels.length > MAX_ZOOM_LEVELS) {
+            throw new Error(`Expected between 1 and ${ MAX_ZOOM_LEVELS } zoom levels`)
+        }
+        zoomLevels = [...new Set(zoomLevels)].sort((a, b) => a - b)
+    }
+
+    const bits = options.bits !== undefined && options.bits !== '' ? parseInt(options.bits, 10) : DEFAULT_PEAK_BITS
+    if (!PEAK_BITS.includes(bits)) {
+        throw new Error(`Invalid bits: ${ options.bits }. Use ${ PEAK_BITS.join(' or ') }`)
+    }
+
+    return {
+        zoomLevels,
+        bits,
+        splitChannels: parseBoolean(options.splitChannels, false),
+        // The image stays on unless explicitly disabled
+        image: parseBoolean(options.image, true) ? resolveImageOptions(options) : null,
+    }
+}
+
+module.exports = {
+    DEFAULT_ZOOM_LEVELS,
+    MAX_ZOOM_LEVELS,
+    SAMPLES_PER_PIXEL_LIMITS,
+    PEAK_BITS,
+    DEFAULT_PEAK_BITS,
+    WAVEFORM_IMAGE_FORMATS,
+    WAVEFORM_STYLES,
+    WAVEFORM_IMAGE_PRESETS,
+    IMAGE_SIZE_LIMITS,
+    DEFAULT_IMAGE_SIZE,
+    DEFAULT_IMAGE_PRESET,
+    resolveWaveformOptions,
+    buildWaveformImageFilter,
+}
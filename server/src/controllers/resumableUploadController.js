@@ -0,0 +1,426 @@
+const path = require('path')
+const fs = require('fs')
+const crypto = require('crypto')
+const { Transform } = require('stream')
+const { pipeline } = require('stream/promises')
+const { PrismaClient } = require('@prisma/client')
+const {
+    isAllowedAudioFile,
+    prepareJobRequest,
+    queueJobRequest,
+    checkRequestRange,
+    formatJob,
+    formatAudioFile,
+} = require('./uploadController')
+const { probeAudioFile } = require('../services/audioProbe')
+const { uploadBytesTotal } = require('../services/metrics')
+const prisma = new PrismaClient()
+
+const uploadDir = process.env.UPLOAD_DIR || './uploads'
+
+// AudioFile.size is a 32-bit Int column, which caps a single file just under 2GB
+const MAX_RESUMABLE_UPLOAD_SIZE = parseInt(process.env.MAX_RESUMABLE_UPLOAD_SIZE || String(2 ** 31 - 1), 10)
+const DEFAULT_CHUNK_SIZE = 8 * 1024 * 1024
+const MAX_CHUNK_SIZE = 64 * 1024 * 1024
+
+// tus checksum extension algorithms we verify per chunk
+const CHUNK_CHECKSUM_ALGORITHMS = ['sha1', 'sha256', 'md5']
+
+// Sessions with a chunk currently being written (chunks must arrive one at a time)
+const activeSessions = new Set()
+
+class ChunkError extends Error {
+    constructor(status, code, message) {
+        super(message)
+        this.status = status
+        this.code = code
+    }
+}
+
+function partPath(session) {
+    return path.join(uploadDir, `${ session.filename }.part`)
+}
+
+/**
+ * Bytes actually on disk; the part file is the source of truth for the offset
+ */
+function receivedBytes(session) {
+    try {
+        return fs.statSync(partPath(session)).size
+    } catch (e) {
+        return 0
+    }
+}
+
+/**
+ * Parse a tus `Upload-Checksum: <algorithm> <base64 digest>` header
+ */
+function parseChecksumHeader(header) {
+    if (!header) return null
+    const [algorithm, digest] = header.trim().split(/\s+/)
+    if (!CHUNK_CHECKSUM_ALGORITHMS.includes(algorithm) || !digest) {
+        throw new ChunkError(400, 'INVALID_CHECKSUM_HEADER', `Upload-Checksum must be "<algorithm> <base64 digest>" with one of: ${ CHUNK_CHECKSUM_ALGORITHMS.join(', ') }`)
+    }
+    return { algorithm, digest }
+}
+
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256')
+        fs.createReadStream(filePath)
+            .on('data', (data) => hash.update(data))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject)
+    })
+}
+
+function formatSession(session, offset) {
+    return {
+        uploadId: session.id,
+        originalName: session.originalName,
+        size: session.size,
+        offset,
+        complete: offset === session.size,
+        chunkSize: DEFAULT_CHUNK_SIZE,
+        maxChunkSize: MAX_CHUNK_SIZE,
+    }
+}
+
+async function findSession(req, res) {
+    const session = await prisma.uploadSession.findUnique({
+        where: { id: req.params.uploadId },
+    })
+    if (!session) {
+        res.status(404).json({
+            error: 'Upload not found',
+            message: 'The upload session does not exist. It may have expired or already been completed.',
+            code: 'UPLOAD_NOT_FOUND',
+        })
+    }
+    return session
+}
+
+/**
+ * Start a resumable upload. The body carries the file description and the same
+ * job fields as a regular upload, so invalid jobs are rejected before any data is sent.
+ */
+async function createUploadSession(req, res) {
+    try {
+        const { fileName, mimeType = '', checksum } = req.body
+        const size = Number(req.body.size)
+
+        if (!fileName || !Number.isInteger(size) || size <= 0) {
+            return res.status(400).json({
+                error: 'Invalid upload',
+                message: 'fileName and a positive integer size (in bytes) are required.',
+                code: 'INVALID_UPLOAD_SESSION',
+            })
+        }
+
+        if (size > MAX_RESUMABLE_UPLOAD_SIZE) {
+            return res.status(413).json({
+                error: 'File too large',
+                message: `Maximum file size for resumable uploads is ${ Math.floor(MAX_RESUMABLE_UPLOAD_SIZE / (1024 * 1024)) }MB.`,
+                code: 'FILE_TOO_LARGE',
+            })
+        }
+
+        if (!isAllowedAudioFile(fileName, mimeType)) {
+            return res.status(400).json({
+                error: 'File upload failed',
+                message: `Unsupported file type: ${ mimeType || 'unknown' }.`,
+                supportedFormats: ['MP3', 'WAV', 'FLAC', 'OGG', 'M4A', 'AAC', 'WebM', 'Opus', 'WMA'],
+            })
+        }
+
+        if (checksum && !/^[0-9a-f]{64}$/i.test(checksum)) {
+            return res.status(400).json({
+                error: 'Invalid upload',
+                message: 'checksum must be the hex SHA-256 digest of the whole file.',
+                code: 'INVALID_UPLOAD_SESSION',
+            })
+        }
+
+        const jobRequest = prepareJobRequest(req.body)
+        if (jobRequest.invalid) {
+            return res.status(400).json(jobRequest.invalid)
+        }
+
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9)
+        const session = await prisma.uploadSession.create({
+            data: {
+                originalName: fileName,
+                mimeType,
+                size,
+                checksum: checksum ? checksum.toLowerCase() : null,
+                filename: uniqueSuffix + path.extname(fileName),
+                jobRequest: JSON.stringify(jobRequest),
+            },
+        })
+        fs.writeFileSync(partPath(session), '')
+
+        res.status(201)
+            .set('Upload-Offset', '0')
+            .json(formatSession(session, 0))
+    } catch (error) {
+        console.error('Create upload session error:', error)
+        res.status(500).json({ error: error.message || 'Failed to start upload' })
+    }
+}
+
+/**
+ * Report how much of an upload has been received (GET and HEAD)
+ */
+async function getUploadSession(req, res) {
+    try {
+        const session = await findSession(req, res)
+        if (!session) return
+
+        const offset = receivedBytes(session)
+        res.set({
+            'Upload-Offset': String(offset),
+            'Upload-Length': String(session.size),
+            'Cache-Control': 'no-store',
+        })
+        res.json(formatSession(session, offset))
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+}
+
+/**
+ * Append one chunk (the raw request body) at `Upload-Offset`.
+ * A chunk is all-or-nothing: on any failure the file is truncated back to where it started.
+ */
+async function appendUploadChunk(req, res) {
+    let session
+    try {
+        session = await findSession(req, res)
+    } catch (error) {
+        return res.status(500).json({ error: error.message })
+    }
+    if (!session) return
+
+    if (activeSessions.has(session.id)) {
+        return res.status(409).json({
+            error: 'Upload busy',
+            message: 'Another chunk is still being written for this upload.',
+            code: 'UPLOAD_BUSY',
+        })
+    }
+
+    activeSessions.add(session.id)
+    const filePath = partPath(session)
+    const startOffset = receivedBytes(session)
+    let output = null
+
+    try {
+        const requestedOffset = Number(req.get('Upload-Offset'))
+        if (!Number.isInteger(requestedOffset)) {
+            throw new ChunkError(400, 'INVALID_OFFSET', 'The Upload-Offset header is required.')
+        }
+        if (requestedOffset !== startOffset) {
+            throw new ChunkError(409, 'OFFSET_MISMATCH', `Expected offset ${ startOffset }, got ${ requestedOffset }.`)
+        }
+
+        const declaredLength = req.get('Content-Length') !== undefined ? Number(req.get('Content-Length')) : null
+        if (declaredLength !== null && declaredLength > MAX_CHUNK_SIZE) {
+            throw new ChunkError(413, 'CHUNK_TOO_LARGE', `Chunks may be at most ${ MAX_CHUNK_SIZE } bytes.`)
+        }
+        if (declaredLength !== null && startOffset + declaredLength > session.size) {
+            throw new ChunkError(400, 'UPLOAD_OVERFLOW', `Chunk goes past the declared size of ${ session.size } bytes.`)
+        }
+
+        const checksum = parseChecksumHeader(req.get('Upload-Checksum'))
+        const hash = checksum ? crypto.createHash(checksum.algorithm) : null
+        let written = 0
+
+        // Count (and optionally hash) bytes as they stream to disk
+        const meter = new Transform({
+            transform(data, encoding, callback) {
+                written += data.length
+                if (written > MAX_CHUNK_SIZE) {
+                    return callback(new ChunkError(413, 'CHUNK_TOO_LARGE', `Chunks may be at most ${ MAX_CHUNK_SIZE } bytes.`))
+                }
+                if (startOffset + written > session.size) {
+                    return callback(new ChunkError(400, 'UPLOAD_OVERFLOW', `Chunk goes past the declared size of ${ session.size } bytes.`))
+                }
+                hash?.update(data)
+                callback(null, data)
+            },
+        })
+
+        output = fs.createWriteStream(filePath, { flags: 'a' })
+        await pipeline(req, meter, output)
+
+        if (checksum && hash.digest('base64') !== checksum.digest) {
+            // 460 is the tus status for a chunk checksum mismatch
+            throw new ChunkError(460, 'CHECKSUM_MISMATCH', 'Chunk checksum does not match. Resend the chunk.')
+        }
+
+        const offset = startOffset + written
+        uploadBytesTotal.inc({ method: 'resumable' }, written)
+        await prisma.uploadSession.update({
+            where: { id: session.id },
+            data: { offset },
+        })
+
+        res.set('Upload-Offset', String(offset)).json(formatSession(session, offset))
+    } catch (error) {
+        // Drop whatever part of the chunk made it to disk, once pending writes have landed
+        if (output && !output.closed) {
+            await new Promise((resolve) => output.once('close', resolve))
+        }
+        try {
+            fs.truncateSync(filePath, startOffset)
+        } catch (e) {
+            // Part file may have been removed by a cancel
+        }
+
+        if (error instanceof ChunkError) {
+            res.status(error.status)
+                .set('Upload-Offset', String(startOffset))
+                .json({ error: 'Chunk rejected', message: error.message, code: error.code, offset: startOffset })
+        } else if (!res.headersSent) {
+            console.error('Upload chunk error:', error)
+            res.status(500).json({ error: error.message || 'Failed to write chunk', offset: startOffset })
+        }
+    } finally {
+        activeSessions.delete(session.id)
+    }
+}
+
+/**
+ * Verify a fully received upload, then create the AudioFile and job like a regular upload
+ */
+async function completeUploadSession(req, res) {
+    let session
+    try {
+        session = await findSession(req, res)
+    } catch (error) {
+        return res.status(500).json({ error: error.message })
+    }
+    if (!session) return
+
+    if (activeSessions.has(session.id)) {
+        return res.status(409).json({
+            error: 'Upload busy',
+            message: 'A chunk is still being written, or the upload is already being completed.',
+            code: 'UPLOAD_BUSY',
+        })
+    }
+
+    // Held until the file is moved and its job queued; chunks and repeated completes get a 409 meanwhile
+    activeSessions.add(session.id)
+    try {
+        const offset = receivedBytes(session)
+        if (offset !== session.size) {
+            return res.status(409).json({
+                error: 'Upload incomplete',
+                message: `Received ${ offset } of ${ session.size } bytes.`,
+                code: 'UPLOAD_INCOMPLETE',
+                offset,
+            })
+        }
+
+        const filePath = partPath(session)
+        const checksum = await hashFile(filePath)
+        if (session.checksum && checksum !== session.checksum) {
+            // The assembled file is corrupt; nothing to resume from
+            fs.unlink(filePath, () => { })
+            await prisma.uploadSession.delete({ where: { id: session.id } })
+            return res.status(422).json({
+                error: 'Checksum mismatch',
+                message: 'The uploaded file does not match the expected SHA-256 checksum. Please upload it again.',
+                code: 'CHECKSUM_MISMATCH',
+                expected: session.checksum,
+                actual: checksum,
+            })
+        }
+
+        const probe = await probeAudioFile(filePath)
+        if (!probe.valid) {
+            fs.unlink(filePath, () => { })
+            await prisma.uploadSession.delete({ where: { id: session.id } })
+            return res.status(415).json({
+                error: 'Invalid audio file',
+                message: probe.message,
+                code: probe.code,
+                supportedFormats: ['MP3', 'WAV', 'FLAC', 'OGG', 'M4A', 'AAC', 'WebM', 'Opus', 'WMA'],
+            })
+        }
+
+        // Slice and split ranges can only be checked now that the whole file is here
+        const jobRequest = JSON.parse(session.jobRequest)
+        const rangeError = await checkRequestRange(filePath, jobRequest)
+        if (rangeError) {
+            fs.unlink(filePath, () => { })
+            await prisma.uploadSession.delete({ where: { id: session.id } })
+            return res.status(400).json(rangeError)
+        }
+
+        const finalPath = path.join(uploadDir, session.filename)
+        fs.renameSync(filePath, finalPath)
+
+        const audioFile = await prisma.audioFile.create({
+            data: {
+                filename: session.filename,
+                originalName: session.originalName,
+                path: finalPath,
+                mimeType: probe.mimeType,
+                container: probe.container,
+                codec: probe.codec,
+                size: session.size,
+            },
+        })
+        await prisma.uploadSession.delete({ where: { id: session.id } })
+
+        const job = await queueJobRequest(audioFile.id, jobRequest)
+
+        res.status(201).json({
+            message: 'File uploaded successfully',
+            audioFile: formatAudioFile(audioFile),
+            checksum,
+            job: formatJob(job),
+        })
+    } catch (error) {
+        console.error('Complete upload error:', error)
+        res.status(500).json({ error: error.message || 'Failed to complete upload' })
+    } finally {
+        activeSessions.delete(session.id)
+    }
+}
+
+/**
+ * Abandon an upload and remove its partial data
+ */
+async function cancelUploadSession(req, res) {
+    try {
+        const session = await findSession(req, res)
+        if (!session) return
+
+        // Removing the data under a chunk write or a completion would fail that request midway
+        if (activeSessions.has(session.id)) {
+            return res.status(409).json({
+                error: 'Upload busy',
+                message: 'A chunk is still being written, or the upload is being completed. Try again shortly.',
+                code: 'UPLOAD_BUSY',
+            })
+        }
+
+        fs.unlink(partPath(session), () => { })
+        await prisma.uploadSession.delete({ where: { id: session.id } })
+
+        res.json({ message: 'Upload cancelled', uploadId: session.id })
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+}
+
+module.exports = {
+    createUploadSession,
+    getUploadSession,
+    appendUploadChunk,
+    completeUploadSession,
+    cancelUploadSession,
+}
@@ -2,7 +2,11 @@ const multer = require('multer')
 const path = require('path')
 const fs = require('fs')
 const { PrismaClient } = require('@prisma/client')
-const { addAudioJob } = require('../jobs/queue')
+const { JobActionError, addAudioJob, addPipelineJob, findRetryableJob, retryJob } = require('../jobs/queue')
+const { DEFAULT_JOB_TYPE, validateJobParams, jobRequestFields } = require('../processors')
+const { resolveJobSchedule } = require('../config/scheduling')
+const { probeAudioFile, getAudioDuration } = require('../services/audioProbe')
+const { uploadBytesTotal } = require('../services/metrics')
 const prisma = new PrismaClient()
 
 // Ensure upload directory exists
@@ -11,6 +15,36 @@ if (!fs.existsSync(uploadDir)) {
     fs.mkdirSync(uploadDir, { recursive: true })
 }
 
+const ALLOWED_MIME_TYPES = [
+    'audio/mpeg',
+    'audio/mp3',
+    'audio/wav',
+    'audio/wave',
+    'audio/x-wav',
+    'audio/flac',
+    'audio/ogg',
+    'audio/vorbis',
+    'audio/m4a',
+    'audio/x-m4a',
+    'audio/aac',
+    'audio/webm',
+    'audio/opus',
+    'audio/x-aac',
+    'audio/x-ms-wma',
+]
+
+// Also check file extension as fallback
+const ALLOWED_EXTENSIONS = ['.mp3', '.wav', '.flac', '.ogg', '.m4a', '.aac', '.webm', '.opus', '.wma']
+
+/**
+ * Check an upload's declared type against the supported audio formats.
+ * This is only a cheap first pass; the stored file is verified by probeAudioFile.
+ */
+function isAllowedAudioFile(originalName, mimeType) {
+    const fileExt = path.extname(originalName).toLowerCase()
+    return ALLOWED_MIME_TYPES.includes(mimeType) || ALLOWED_EXTENSIONS.includes(fileExt)
+}
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
@@ -25,42 +59,173 @@ const storage = multer.diskStorage({
 const upload = multer({
     storage,
     limits: {
-        fileSize: 100 * 1024 * 1024, // 100MB limit
+        fileSize: 100 * 1024 * 1024, // 100MB limit; larger files use resumable upload sessions
     },
     fileFilter: (req, file, cb) => {
-        const allowedMimes = [
-            'audio/mpeg',
-            'audio/mp3',
-            'audio/wav',
-            'audio/wave',
-            'audio/x-wav',
-            'audio/flac',
-            'audio/ogg',
-            'audio/vorbis',
-            'audio/m4a',
-            'audio/x-m4a',
-            'audio/aac',
-            'audio/webm',
-            'audio/opus',
-            'audio/x-aac',
-            'audio/x-ms-wma',
-        ]
-
-        // Also check file extension as fallback
-        const allowedExtensions = ['.mp3', '.wav', '.flac', '.ogg', '.m4a', '.aac', '.webm', '.opus', '.wma']
-        const fileExt = path.extname(file.originalname).toLowerCase()
-
-        if (allowedMimes.includes(file.mimetype) || allowedExtensions.includes(fileExt)) {
-            cb(null, true)
-        } else {
-            cb(new Error(
+        if (!isAllowedAudioFile(file.originalname, file.mimetype)) {
+            return cb(new Error(
                 `Unsupported file type: ${ file.mimetype || 'unknown' }. ` +
                 `Supported formats: MP3, WAV, FLAC, OGG, M4A, AAC, WebM, Opus, WMA`
             ))
         }
+
+        // Job fields sent before the file part are already parsed, so bad values are
+        // rejected before anything is written. The full check runs in the controller.
+        try {
+            validateJobParams(req.body.jobType || DEFAULT_JOB_TYPE, req.body, { partial: true })
+        } catch (validationError) {
+            return cb(validationError)
+        }
+        cb(null, true)
     },
 })
 
+// Maximum number of files accepted by one batch upload request
+const MAX_BATCH_FILES = parseInt(process.env.MAX_BATCH_FILES || '20', 10)
+
+/**
+ * Turn request fields into job parameters and a schedule (priority, start time),
+ * or describe why they are invalid
+ */
+function prepareJobRequest(body) {
+    const jobType = body.jobType || DEFAULT_JOB_TYPE
+    let params
+    let schedule
+    try {
+        params = validateJobParams(jobType, body)
+        schedule = resolveJobSchedule(body)
+    } catch (validationError) {
+        return { invalid: invalidParamsBody(validationError) }
+    }
+
+    return jobType === 'pipeline'
+        ? { jobType, jobParams: {}, pipelineSteps: params, schedule }
+        : { jobType, jobParams: params, schedule }
+}
+
+/**
+ * Error body for a request whose job fields failed validation
+ */
+function invalidParamsBody(validationError) {
+    return {
+        error: 'Invalid job parameters',
+        message: validationError.message,
+        code: 'INVALID_JOB_PARAMS',
+        fields: validationError.fields || [{ message: validationError.message }],
+    }
+}
+
+// Metadata durations can be off by about a frame, so allow ranges to end slightly past them
+const RANGE_TOLERANCE_SECONDS = 0.05
+
+/**
+ * Check that the time ranges of a slice or split request fall inside the audio.
+ * Returns an error body, or null when the request is fine or the duration is unknown.
+ */
+async function checkRequestRange(filePath, { jobType, jobParams }) {
+    const ranges = jobType === 'slice'
+        ? [{ label: 'The clip', start: jobParams.startTime, end: jobParams.endTime }]
+        : jobType === 'split' && jobParams.mode === 'segments'
+            ? jobParams.segments.map(segment => ({ label: `Segment "${ segment.name }"`, start: segment.start, end: segment.end }))
+            : []
+    if (ranges.length === 0) return null
+
+    const duration = await getAudioDuration(filePath)
+    if (!duration) return null
+
+    const outside = ranges.find(range => range.start >= duration || range.end > duration + RANGE_TOLERANCE_SECONDS)
+    if (!outside) return null
+
+    return {
+        error: 'Invalid time range',
+        message: `${ outside.label } (${ outside.start }s to ${ outside.end }s) is outside the audio, which is ${ duration.toFixed(3) }s long`,
+        code: 'RANGE_OUT_OF_BOUNDS',
+        duration,
+    }
+}
+
+/**
+ * Queue a prepared job request against an audio file
+ */
+async function queueJobRequest(audioFileId, { jobType, jobParams, pipelineSteps, schedule }) {
+    return jobType === 'pipeline'
+        ? await addPipelineJob(audioFileId, pipelineSteps, schedule)
+        : await addAudioJob(audioFileId, jobType, jobParams, schedule)
+}
+
+/**
+ * Shape a created job for API responses
+ */
+function formatJob(job) {
+    return {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        priority: job.priority,
+        runAt: job.runAt,
+        steps: job.steps?.map(step => ({ id: step.id, type: step.type, status: step.status })),
+    }
+}
+
+/**
+ * Shape a stored audio file for API responses
+ */
+function formatAudioFile(audioFile) {
+    return {
+        id: audioFile.id,
+        filename: audioFile.filename,
+        originalName: audioFile.originalName,
+        size: audioFile.size,
+        mimeType: audioFile.mimeType,
+        container: audioFile.container,
+        codec: audioFile.codec,
+        batchId: audioFile.batchId,
+    }
+}
+
+/**
+ * Verify an uploaded file by its content (and the request's time ranges against its
+ * duration) and record it in the database. Rejected files are deleted from disk and
+ * returned as { status, invalid } with the error body to send.
+ */
+async function storeUploadedFile(file, jobRequest, batchId = null) {
+    // The file filter only sees client-supplied metadata; check what was actually uploaded
+    const probe = await probeAudioFile(file.path)
+    if (!probe.valid) {
+        fs.unlink(file.path, () => { })
+        return {
+            status: 415,
+            invalid: {
+                error: 'Invalid audio file',
+                message: probe.message,
+                code: probe.code,
+                supportedFormats: ['MP3', 'WAV', 'FLAC', 'OGG', 'M4A', 'AAC', 'WebM', 'Opus', 'WMA'],
+            },
+        }
+    }
+
+    const rangeError = await checkRequestRange(file.path, jobRequest)
+    if (rangeError) {
+        fs.unlink(file.path, () => { })
+        return { status: 400, invalid: rangeError }
+    }
+
+    const audioFile = await prisma.audioFile.create({
+        data: {
+            filename: file.filename,
+            originalName: file.originalname,
+            path: file.path,
+            mimeType: probe.mimeType,
+            container: probe.container,
+            codec: probe.codec,
+            size: file.size,
+            batchId,
+        },
+    })
+
+    return { audioFile }
+}
+
 /**
  * Handle file upload and create processing job
  */
@@ -73,54 +238,301 @@ async function uploadAudio(req, res) {
                 supportedFormats: ['MP3', 'WAV', 'FLAC', 'OGG', 'M4A', 'AAC', 'WebM', 'Opus', 'WMA']
             })
         }
+        uploadBytesTotal.inc({ method: 'multipart' }, req.file.size)
+
+        const jobRequest = prepareJobRequest(req.body)
+        if (jobRequest.invalid) {
+            fs.unlink(req.file.path, () => { })
+            return res.status(400).json(jobRequest.invalid)
+        }
+
+        const stored = await storeUploadedFile(req.file, jobRequest)
+        if (stored.invalid) {
+            return res.status(stored.status).json(stored.invalid)
+        }
+
+        // Create processing job
+        const job = await queueJobRequest(stored.audioFile.id, jobRequest)
+
+        res.status(201).json({
+            message: 'File uploaded successfully',
+            audioFile: formatAudioFile(stored.audioFile),
+            job: formatJob(job),
+        })
+    } catch (error) {
+        console.error('Upload error:', error)
+        res.status(500).json({ error: error.message || 'Failed to upload file' })
+    }
+}
+
+/**
+ * Handle a multi-file upload: every file gets its own AudioFile and job with the
+ * shared job fields, grouped under one batch. Files that fail the content check
+ * are reported individually instead of failing the whole batch.
+ */
+async function uploadBatch(req, res) {
+    const files = req.files || []
+    // Paths of the files that got a job; the rest are removed if the batch fails midway
+    const queuedPaths = new Set()
+    try {
+        if (files.length === 0) {
+            return res.status(400).json({
+                error: 'No files uploaded',
+                message: 'Please select one or more audio files to upload.',
+                supportedFormats: ['MP3', 'WAV', 'FLAC', 'OGG', 'M4A', 'AAC', 'WebM', 'Opus', 'WMA']
+            })
+        }
+        uploadBytesTotal.inc({ method: 'multipart' }, files.reduce((total, file) => total + file.size, 0))
 
-        const { jobType = 'metadata', outputFormat, startTime, endTime } = req.body
+        const jobRequest = prepareJobRequest(req.body)
+        if (jobRequest.invalid) {
+            files.forEach(file => fs.unlink(file.path, () => { }))
+            return res.status(400).json(jobRequest.invalid)
+        }
 
-        // Save file metadata to database
-        const audioFile = await prisma.audioFile.create({
+        const batch = await prisma.uploadBatch.create({
             data: {
-                filename: req.file.filename,
-                originalName: req.file.originalname,
-                path: req.file.path,
-                mimeType: req.file.mimetype,
-                size: req.file.size,
+                jobType: jobRequest.jobType,
+                params: JSON.stringify(jobRequest.pipelineSteps ? { steps: jobRequest.pipelineSteps } : jobRequest.jobParams),
             },
         })
 
-        // Prepare job parameters based on job type
-        const jobParams = {}
-        if (jobType === 'convert' && outputFormat) {
-            jobParams.outputFormat = outputFormat
-        } else if (jobType === 'slice' && startTime && endTime) {
-            jobParams.startTime = parseFloat(startTime)
-            jobParams.endTime = parseFloat(endTime)
+        const accepted = []
+        const rejected = []
+        for (const file of files) {
+            const stored = await storeUploadedFile(file, jobRequest, batch.id)
+            if (stored.invalid) {
+                rejected.push({ originalName: file.originalname, message: stored.invalid.message, code: stored.invalid.code })
+                continue
+            }
+            let job
+            try {
+                job = await queueJobRequest(stored.audioFile.id, jobRequest)
+            } catch (error) {
+                // Drop the file's row (and with it a job row that never reached the queue)
+                await prisma.audioFile.delete({ where: { id: stored.audioFile.id } }).catch(() => { })
+                throw error
+            }
+            queuedPaths.add(file.path)
+            accepted.push({ audioFile: formatAudioFile(stored.audioFile), job: formatJob(job) })
         }
 
-        // Create processing job
-        const job = await addAudioJob(audioFile.id, jobType, jobParams)
+        if (accepted.length === 0) {
+            await prisma.uploadBatch.delete({ where: { id: batch.id } })
+            return res.status(415).json({
+                error: 'Invalid audio files',
+                message: 'None of the uploaded files could be accepted.',
+                code: 'NO_VALID_FILES',
+                rejected,
+                supportedFormats: ['MP3', 'WAV', 'FLAC', 'OGG', 'M4A', 'AAC', 'WebM', 'Opus', 'WMA'],
+            })
+        }
 
         res.status(201).json({
-            message: 'File uploaded successfully',
+            message: `${ accepted.length } of ${ files.length } files uploaded successfully`,
+            batch: {
+                id: batch.id,
+                jobType: batch.jobType,
+                createdAt: batch.createdAt,
+            },
+            files: accepted,
+            rejected,
+        })
+    } catch (error) {
+        console.error('Batch upload error:', error)
+        files.filter(file => !queuedPaths.has(file.path)).forEach(file => fs.unlink(file.path, () => { }))
+        res.status(500).json({ error: error.message || 'Failed to upload files' })
+    }
+}
+
+/**
+ * Combine the top-level jobs of a batch into one status and progress value
+ */
+function summarizeBatch(jobs) {
+    const counts = { PENDING: 0, PROCESSING: 0, COMPLETED: 0, FAILED: 0, CANCELLED: 0 }
+    for (const job of jobs) {
+        counts[job.status] = (counts[job.status] || 0) + 1
+    }
+
+    const finished = counts.COMPLETED + counts.FAILED + counts.CANCELLED
+    let status = 'PROCESSING'
+    if (finished === jobs.length) {
+        if (counts.COMPLETED === finished) status = 'COMPLETED'
+        else if (counts.COMPLETED === 0) status = counts.FAILED === 0 ? 'CANCELLED' : 'FAILED'
+        else status = 'PARTIALLY_FAILED'
+    } else if (counts.PROCESSING === 0 && finished === 0) {
+        status = 'PENDING'
+    }
+
+    // Finished jobs count as 100% whatever their last saved progress was
+    const progress = jobs.length === 0
+        ? 0
+        : Math.round(jobs.reduce((sum, job) => sum + (['COMPLETED', 'FAILED', 'CANCELLED'].includes(job.status) ? 100 : job.progress), 0) / jobs.length)
+
+    return { status, progress, total: jobs.length, counts }
+}
+
+/**
+ * Report aggregate progress of a batch along with each file's job
+ */
+async function getUploadBatch(req, res) {
+    try {
+        const batch = await prisma.uploadBatch.findUnique({
+            where: { id: req.params.batchId },
+            include: {
+                files: {
+                    orderBy: { createdAt: 'asc' },
+                    include: {
+                        jobs: {
+                            where: { parentId: null },
+                            orderBy: { createdAt: 'asc' },
+                        },
+                    },
+                },
+            },
+        })
+
+        if (!batch) {
+            return res.status(404).json({
+                error: 'Batch not found',
+                message: 'The upload batch does not exist. It may have been deleted.',
+                code: 'BATCH_NOT_FOUND',
+            })
+        }
+
+        const jobs = batch.files.flatMap(file => file.jobs)
+        res.json({
+            id: batch.id,
+            jobType: batch.jobType,
+            createdAt: batch.createdAt,
+            ...summarizeBatch(jobs),
+            files: batch.files.map(file => ({
+                ...formatAudioFile(file),
+                jobs: file.jobs.map(job => ({ ...formatJob(job), progress: job.progress, error: job.error })),
+            })),
+        })
+    } catch (error) {
+        console.error('Batch status error:', error)
+        res.status(500).json({ error: error.message || 'Failed to load batch' })
+    }
+}
+
+/**
+ * Queue a new job against an already-uploaded audio file
+ */
+async function createJobForFile(req, res) {
+    try {
+        const audioFile = await prisma.audioFile.findUnique({
+            where: { id: req.params.fileId },
+        })
+
+        if (!audioFile) {
+            return res.status(404).json({
+                error: 'File not found',
+                message: 'The audio file does not exist. It may have been deleted.',
+                code: 'FILE_NOT_FOUND',
+            })
+        }
+
+        if (!fs.existsSync(audioFile.path)) {
+            return res.status(410).json({
+                error: 'File no longer available',
+                message: 'The uploaded audio has been removed from disk. Please upload it again.',
+                code: 'FILE_MISSING',
+            })
+        }
+
+        const jobRequest = prepareJobRequest(req.body)
+        if (jobRequest.invalid) {
+            return res.status(400).json(jobRequest.invalid)
+        }
+
+        const rangeError = await checkRequestRange(audioFile.path, jobRequest)
+        if (rangeError) {
+            return res.status(400).json(rangeError)
+        }
+
+        const job = await queueJobRequest(audioFile.id, jobRequest)
+
+        res.status(201).json({
+            message: 'Job queued successfully',
             audioFile: {
                 id: audioFile.id,
                 filename: audioFile.filename,
                 originalName: audioFile.originalName,
                 size: audioFile.size,
             },
-            job: {
-                id: job.id,
-                type: job.type,
-                status: job.status,
-            },
+            job: formatJob(job),
         })
     } catch (error) {
-        console.error('Upload error:', error)
-        res.status(500).json({ error: error.message || 'Failed to upload file' })
+        console.error('Create job error:', error)
+        res.status(500).json({ error: error.message || 'Failed to create job' })
+    }
+}
+
+/**
+ * Retry a failed or cancelled job on the same audio file. Fields in the body replace
+ * the matching parameters of the last attempt and an empty value drops one (a pipeline
+ * takes a new `steps` list).
+ */
+async function retryJobRequest(req, res) {
+    try {
+        const job = await findRetryableJob(req.params.jobId)
+
+        if (!fs.existsSync(job.audioFile.path)) {
+            return res.status(410).json({
+                error: 'File no longer available',
+                message: 'The uploaded audio has been removed from disk. Please upload it again.',
+                code: 'FILE_MISSING',
+            })
+        }
+
+        // The job type itself cannot change; the priority carries over, a start time does not
+        const jobRequest = prepareJobRequest({
+            ...jobRequestFields(job.type, JSON.parse(job.params || '{}')),
+            priority: job.priority,
+            ...req.body,
+            jobType: job.type,
+        })
+        if (jobRequest.invalid) {
+            return res.status(400).json(jobRequest.invalid)
+        }
+
+        const rangeError = await checkRequestRange(job.audioFile.path, jobRequest)
+        if (rangeError) {
+            return res.status(400).json(rangeError)
+        }
+
+        const retried = await retryJob(job, jobRequest)
+
+        res.json({
+            message: 'Job queued for retry',
+            attempt: JSON.parse(retried.attempts).length + 1,
+            job: formatJob(retried),
+        })
+    } catch (error) {
+        if (error instanceof JobActionError) {
+            return res.status(error.status).json({ error: 'Cannot retry job', message: error.message, code: error.code })
+        }
+        console.error('Retry job error:', error)
+        res.status(500).json({ error: error.message || 'Failed to retry job' })
     }
 }
 
 module.exports = {
     upload: upload.single('audio'),
+    uploadMany: upload.array('audio', MAX_BATCH_FILES),
+    MAX_BATCH_FILES,
     uploadAudio,
+    uploadBatch,
+    getUploadBatch,
+    createJobForFile,
+    retryJobRequest,
+    isAllowedAudioFile,
+    prepareJobRequest,
+    queueJobRequest,
+    formatJob,
+    formatAudioFile,
+    checkRequestRange,
+    invalidParamsBody,
 };
-
@@ -2,9 +2,15 @@ require('dotenv').config()
 const express = require('express')
 const cors = require('cors')
 const path = require('path')
+const { PrismaClient } = require('@prisma/client')
 const uploadRoutes = require('./routes/upload')
+const adminRoutes = require('./routes/admin')
 const { redisClient } = require('./config/redis')
 const { CleanupService } = require('./services/cleanup')
+const { jobEventStream } = require('./services/jobEvents')
+const { httpMetrics, setJobCounts, renderMetrics } = require('./services/metrics')
+
+const prisma = new PrismaClient()
 
 // Initialize cleanup service
 const cleanupService = new CleanupService(6, 24) // Run every 6 hours, delete jobs older than 24 hours
@@ -46,7 +52,8 @@ app.use('/uploads', express.static(path.join(__dirname, '../uploads'), {
 }))
 
 // Routes
-app.use('/api/upload', uploadRoutes)
+app.use('/api/upload', httpMetrics, uploadRoutes)
+app.use('/api/admin', adminRoutes)
 
 // Health check
 app.get('/health', async (req, res) => {
@@ -77,6 +84,23 @@ app.get('/health', async (req, res) => {
     }
 })
 
+// Prometheus metrics; job counts are read at scrape time. ffmpeg availability is only
+// reported by the worker, which is where jobs run.
+app.get('/metrics', async (req, res) => {
+    try {
+        const { contentType, body } = await renderMetrics(async () => {
+            setJobCounts(await prisma.job.groupBy({
+                by: ['type', 'status'],
+                where: { parentId: null },
+                _count: true,
+            }))
+        })
+        res.set('Content-Type', contentType).send(body)
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+})
+
 // Root endpoint
 app.get('/', (req, res) => {
     res.json({
@@ -84,13 +108,32 @@ app.get('/', (req, res) => {
         version: '1.0.0',
         endpoints: {
             upload: 'POST /api/upload',
+            batchUpload: 'POST /api/upload/batch',
+            batchStatus: 'GET /api/upload/batches/:batchId',
+            uploadSession: 'POST /api/upload/sessions',
+            uploadSessionStatus: 'GET /api/upload/sessions/:uploadId',
+            uploadChunk: 'PATCH /api/upload/sessions/:uploadId',
+            uploadComplete: 'POST /api/upload/sessions/:uploadId/complete',
             jobStatus: 'GET /api/upload/job/:jobId',
             jobResult: 'GET /api/upload/job/:jobId/result',
+            jobCancel: 'POST /api/upload/job/:jobId/cancel',
+            jobRetry: 'POST /api/upload/job/:jobId/retry',
             allJobs: 'GET /api/upload/jobs',
+            jobEvents: 'GET /api/upload/jobs/stream',
             jobsVisualization: 'GET /api/upload/jobs/visualization',
+            jobsArchive: 'GET /api/upload/jobs/archive?ids=...',
             fileInfo: 'GET /api/upload/file/:fileId',
             fileUrl: 'GET /api/upload/file/:fileId/url',
+            fileJobs: 'POST /api/upload/file/:fileId/jobs',
+            fileArchive: 'GET /api/upload/file/:fileId/archive',
+            queueStats: 'GET /api/admin/queue',
+            queuePause: 'POST /api/admin/queue/pause',
+            queueResume: 'POST /api/admin/queue/resume',
+            queueClean: 'POST /api/admin/queue/clean',
+            deadLetterJobs: 'GET /api/admin/dead-letter',
+            deadLetterRequeue: 'POST /api/admin/dead-letter/:jobId/requeue',
             staticFiles: 'GET /uploads/:filename',
+            metrics: 'GET /metrics',
         },
     })
 })
@@ -283,6 +326,7 @@ startServer().catch((error) => {
 process.on('SIGTERM', async () => {
     console.log('SIGTERM received, closing server...')
     try {
+        jobEventStream.stop()
         if (server) {
             server.close()
         }
@@ -303,6 +347,7 @@ process.on('SIGTERM', async () => {
 process.on('SIGINT', async () => {
     console.log('SIGINT received, closing server...')
     try {
+        jobEventStream.stop()
         if (server) {
             server.close()
         }
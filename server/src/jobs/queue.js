@@ -1,36 +1,99 @@
-const { audioQueue } = require('../config/redis')
+const { audioQueue, redisClient, JOB_CANCEL_CHANNEL } = require('../config/redis')
+const fs = require('fs')
+const { scheduleQueueOptions } = require('../config/scheduling')
+const { ownedOutputFiles } = require('../services/jobOutputs')
 const { PrismaClient } = require('@prisma/client')
 const prisma = new PrismaClient()
 
+// Jobs that have not finished yet and can still be cancelled
+const CANCELLABLE_STATUSES = ['PENDING', 'PROCESSING']
+
+// Jobs that ended without a result and can be retried
+const RETRYABLE_STATUSES = ['FAILED', 'CANCELLED']
+
+/**
+ * A job action (cancel, retry) that cannot be applied to the job in its current state
+ */
+class JobActionError extends Error {
+    constructor(status, code, message) {
+        super(message)
+        this.status = status
+        this.code = code
+    }
+}
+
+/**
+ * Put a job on the Bull queue, reusing the database id so queue events map straight
+ * back to the job row. `schedule` sets its priority and start time.
+ */
+async function enqueueJob(data, schedule) {
+    await audioQueue.add(data, {
+        jobId: data.jobId,
+        ...scheduleQueueOptions(schedule),
+        attempts: 3,
+        backoff: {
+            type: 'exponential',
+            delay: 2000,
+        },
+    })
+}
+
+/**
+ * Job row fields recording a schedule
+ */
+function scheduleFields({ priority, runAt } = {}) {
+    return {
+        ...(priority && { priority }),
+        runAt: runAt ? new Date(runAt) : null,
+    }
+}
+
+/**
+ * Create the step rows of a pipeline and return the steps with their job ids, as queued
+ */
+async function createPipelineSteps(pipelineJob, steps) {
+    const stepJobs = []
+    for (let index = 0; index < steps.length; index++) {
+        const { jobType, ...stepParams } = steps[index]
+        stepJobs.push(await prisma.job.create({
+            data: {
+                audioFileId: pipelineJob.audioFileId,
+                type: jobType,
+                status: 'PENDING',
+                params: JSON.stringify(stepParams),
+                parentId: pipelineJob.id,
+                stepIndex: index,
+            },
+        }))
+    }
+    return {
+        stepJobs,
+        queuedSteps: steps.map((step, index) => ({ ...step, jobId: stepJobs[index].id })),
+    }
+}
+
 /**
  * Add a job to the audio processing queue
  */
-async function addAudioJob(audioFileId, jobType = 'metadata', jobParams = {}) {
+async function addAudioJob(audioFileId, jobType = 'metadata', jobParams = {}, schedule = {}) {
     try {
         const job = await prisma.job.create({
             data: {
                 audioFileId,
                 type: jobType,
                 status: 'PENDING',
+                params: JSON.stringify(jobParams),
+                ...scheduleFields(schedule),
             },
         })
 
         // Add to Redis queue with job parameters
-        await audioQueue.add(
-            {
-                jobId: job.id,
-                audioFileId,
-                jobType,
-                ...jobParams,
-            },
-            {
-                attempts: 3,
-                backoff: {
-                    type: 'exponential',
-                    delay: 2000,
-                },
-            }
-        )
+        await enqueueJob({
+            jobId: job.id,
+            audioFileId,
+            jobType,
+            ...jobParams,
+        }, schedule)
 
         return job
     } catch (error) {
@@ -39,6 +102,38 @@ async function addAudioJob(audioFileId, jobType = 'metadata', jobParams = {}) {
     }
 }
 
+/**
+ * Add a pipeline job whose steps run in order, each on the previous step's output
+ */
+async function addPipelineJob(audioFileId, steps, schedule = {}) {
+    try {
+        const pipelineJob = await prisma.job.create({
+            data: {
+                audioFileId,
+                type: 'pipeline',
+                status: 'PENDING',
+                params: JSON.stringify({ steps }),
+                ...scheduleFields(schedule),
+            },
+        })
+
+        // Each step gets its own job row for progress and results
+        const { stepJobs, queuedSteps } = await createPipelineSteps(pipelineJob, steps)
+
+        await enqueueJob({
+            jobId: pipelineJob.id,
+            audioFileId,
+            jobType: 'pipeline',
+            steps: queuedSteps,
+        }, schedule)
+
+        return { ...pipelineJob, steps: stepJobs }
+    } catch (error) {
+        console.error('Error adding pipeline to queue:', error)
+        throw error
+    }
+}
+
 /**
  * Get job status
  */
@@ -48,6 +143,11 @@ async function getJobStatus(jobId) {
             where: { id: jobId },
             include: {
                 audioFile: true,
+                steps: {
+                    orderBy: {
+                        stepIndex: 'asc',
+                    },
+                },
             },
         })
 
@@ -62,8 +162,205 @@ async function getJobStatus(jobId) {
     }
 }
 
+/**
+ * Cancel a pending or running job. Waiting jobs are removed from the queue; a running
+ * job is aborted by its worker. The job and its unfinished pipeline steps become CANCELLED.
+ */
+async function cancelJob(jobId) {
+    const job = await prisma.job.findUnique({ where: { id: jobId } })
+    if (!job) {
+        throw new JobActionError(404, 'JOB_NOT_FOUND', 'The job does not exist. It may have been deleted.')
+    }
+    if (job.parentId) {
+        throw new JobActionError(400, 'PIPELINE_STEP', 'Pipeline steps cannot be cancelled on their own. Cancel the pipeline instead.')
+    }
+    if (!CANCELLABLE_STATUSES.includes(job.status)) {
+        throw new JobActionError(409, 'JOB_NOT_CANCELLABLE', `The job has already finished with status ${ job.status }.`)
+    }
+
+    // Mark the rows first: a worker picking the job up from now on sees it is cancelled
+    await prisma.job.updateMany({
+        where: {
+            OR: [
+                { id: jobId },
+                { parentId: jobId, status: { in: CANCELLABLE_STATUSES } },
+            ],
+        },
+        data: { status: 'CANCELLED', error: 'Cancelled by user' },
+    })
+
+    let wasRunning = false
+    const queuedJob = await audioQueue.getJob(jobId)
+    if (queuedJob) {
+        const state = await queuedJob.getState()
+        if (state === 'active') {
+            wasRunning = true
+        } else if (state !== 'completed' && state !== 'failed') {
+            try {
+                await queuedJob.remove()
+            } catch (error) {
+                // A worker locked the job between getState() and remove()
+                wasRunning = true
+            }
+        }
+    }
+    if (wasRunning) {
+        await redisClient.publish(JOB_CANCEL_CHANNEL, jobId)
+    }
+
+    return { job: await getJobStatus(jobId), wasRunning }
+}
+
+/**
+ * Check that a job can be retried and return it with its steps and audio file
+ */
+async function findRetryableJob(jobId) {
+    const job = await prisma.job.findUnique({
+        where: { id: jobId },
+        include: {
+            audioFile: true,
+            steps: {
+                orderBy: {
+                    stepIndex: 'asc',
+                },
+            },
+        },
+    })
+    if (!job) {
+        throw new JobActionError(404, 'JOB_NOT_FOUND', 'The job does not exist. It may have been deleted.')
+    }
+    if (job.parentId) {
+        throw new JobActionError(400, 'PIPELINE_STEP', 'Pipeline steps cannot be retried on their own. Retry the pipeline instead.')
+    }
+    if (!RETRYABLE_STATUSES.includes(job.status)) {
+        throw new JobActionError(409, 'JOB_NOT_RETRYABLE', `Only failed or cancelled jobs can be retried; this one is ${ job.status }.`)
+    }
+    return job
+}
+
+/**
+ * Queue a failed or cancelled job again with (possibly changed) parameters and schedule.
+ * The outcome of the previous attempt is added to the job's attempt history; a pipeline's
+ * steps are replaced, along with any outputs its completed steps left behind.
+ */
+async function retryJob(job, { jobParams, pipelineSteps, schedule = {} }) {
+    const attempts = JSON.parse(job.attempts || '[]')
+    attempts.push({
+        attempt: attempts.length + 1,
+        status: job.status,
+        error: job.error,
+        params: JSON.parse(job.params || '{}'),
+        ...(job.steps.length > 0 && {
+            steps: job.steps.map(step => ({ type: step.type, status: step.status, error: step.error })),
+        }),
+        finishedAt: job.updatedAt,
+        ...(job.deadLetteredAt && { deadLetteredAt: job.deadLetteredAt }),
+    })
+
+    // The previous attempt may still sit in Bull's failed set, which would block the same id
+    // A cancelled job's worker may still hold it until its ffmpeg command exits
+    const previous = await audioQueue.getJob(job.id)
+    if (previous) {
+        let removed = false
+        if (await previous.getState() !== 'active') {
+            try {
+                await previous.remove()
+                removed = true
+            } catch (error) {
+                // Bull refuses to remove a job a worker still holds the lock on
+            }
+        }
+        if (!removed) {
+            throw new JobActionError(409, 'JOB_STILL_STOPPING', 'The job is still stopping. Try again shortly.')
+        }
+    }
+
+    for (const step of job.steps) {
+        ownedOutputFiles(step).forEach(filePath => fs.rm(filePath, { force: true }, () => { }))
+    }
+    await prisma.job.deleteMany({ where: { parentId: job.id } })
+
+    const retried = await prisma.job.update({
+        where: { id: job.id },
+        data: {
+            status: 'PENDING',
+            progress: 0,
+            error: null,
+            result: null,
+            startedAt: null,
+            completedAt: null,
+            deadLetteredAt: null,
+            ...scheduleFields(schedule),
+            params: JSON.stringify(pipelineSteps ? { steps: pipelineSteps } : jobParams),
+            attempts: JSON.stringify(attempts),
+        },
+    })
+
+    if (pipelineSteps) {
+        const { stepJobs, queuedSteps } = await createPipelineSteps(retried, pipelineSteps)
+        await enqueueJob({ jobId: job.id, audioFileId: job.audioFileId, jobType: 'pipeline', steps: queuedSteps }, schedule)
+        return { ...retried, steps: stepJobs }
+    }
+
+    await enqueueJob({ jobId: job.id, audioFileId: job.audioFileId, jobType: job.type, ...jobParams }, schedule)
+    return retried
+}
+
+/**
+ * Jobs whose transient failures used up the queue's retries, most recent first
+ */
+async function listDeadLetterJobs({ limit = 50, offset = 0 } = {}) {
+    const where = { deadLetteredAt: { not: null } }
+    const [jobs, total] = await Promise.all([
+        prisma.job.findMany({
+            where,
+            include: {
+                audioFile: true,
+                steps: {
+                    orderBy: {
+                        stepIndex: 'asc',
+                    },
+                },
+            },
+            orderBy: { deadLetteredAt: 'desc' },
+            take: limit,
+            skip: offset,
+        }),
+        prisma.job.count({ where }),
+    ])
+    return { jobs, total }
+}
+
+/**
+ * Queue a dead-lettered job again with the parameters and priority it last ran with.
+ * It starts right away, even if it was scheduled.
+ */
+async function requeueDeadLetterJob(jobId) {
+    const job = await findRetryableJob(jobId)
+    if (!job.deadLetteredAt) {
+        throw new JobActionError(409, 'NOT_DEAD_LETTERED', 'The job is not in the dead-letter list. Use the retry endpoint instead.')
+    }
+    if (!fs.existsSync(job.audioFile.path)) {
+        throw new JobActionError(410, 'FILE_MISSING', 'The uploaded audio has been removed from disk. Please upload it again.')
+    }
+
+    const params = JSON.parse(job.params || '{}')
+    const schedule = { priority: job.priority }
+    return await retryJob(job, job.type === 'pipeline'
+        ? { pipelineSteps: params.steps, schedule }
+        : { jobParams: params, schedule })
+}
+
 module.exports = {
+    CANCELLABLE_STATUSES,
+    JobActionError,
     addAudioJob,
+    addPipelineJob,
     getJobStatus,
+    cancelJob,
+    findRetryableJob,
+    retryJob,
+    listDeadLetterJobs,
+    requeueDeadLetterJob,
 };
 
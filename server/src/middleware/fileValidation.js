@@ -40,6 +40,8 @@ function getMimeType(filePath) {
         '.jpeg': 'image/jpeg',
         '.gif': 'image/gif',
         '.webp': 'image/webp',
+        '.svg': 'image/svg+xml',
+        '.json': 'application/json',
     }
     return mimeTypes[ext] || 'application/octet-stream'
 }
@@ -0,0 +1,54 @@
+/**
+ * Metadata plus signal analysis: levels, clipping, DC offset, silence, spectrum and bandwidth.
+ * Without ffmpeg the result falls back to metadata only.
+ */
+module.exports = {
+    name: 'analyze',
+    label: 'Full Analysis',
+    description: 'Levels, clipping, DC offset, silence, spectrum and bandwidth',
+    requiresFFmpeg: false,
+    schema: {
+        fields: {
+            silenceThresholdDb: { type: 'number', min: -100, max: 0, default: -50 },
+            minSilenceDuration: { type: 'number', min: 0, max: 60, exclusiveMin: true, default: 0.5 },
+        },
+    },
+    async handler({ filePath, params, audioFile, jobId, onProgress }, tools) {
+        const analysis = await tools.extractMetadata(filePath)
+        const fileInfo = {
+            path: filePath,
+            size: audioFile.size,
+            mimeType: audioFile.mimeType,
+        }
+
+        if (!tools.ffmpegAvailable) {
+            return {
+                metadata: analysis,
+                technical: null,
+                fileInfo,
+                note: 'FFmpeg not installed - metadata only analysis',
+            }
+        }
+
+        try {
+            const info = await tools.getAudioInfo(filePath)
+            const signal = await tools.analyzeAudioSignal(filePath, params, jobId, onProgress)
+            return {
+                metadata: analysis,
+                technical: info,
+                signal,
+                fileInfo,
+            }
+        } catch (ffmpegError) {
+            // Cancels, time limits and other failures stop the job like in every other job type;
+            // only an ffmpeg that is not available degrades the result to metadata only
+            if (tools.ffmpegAvailable) throw ffmpegError
+            return {
+                metadata: analysis,
+                technical: null,
+                fileInfo,
+                error: 'FFmpeg analysis failed: ' + ffmpegError.message,
+            }
+        }
+    },
+}
@@ -0,0 +1,45 @@
+/**
+ * Format conversion using the output format's encoder profile
+ */
+const { FORMAT_PROFILES, CHANNEL_OPTIONS, resolveEncoderSettings } = require('../config/formats')
+
+const codecNames = [...new Set(Object.values(FORMAT_PROFILES).flatMap(profile => Object.keys(profile.codecs)))]
+const sampleRates = [...new Set(Object.values(FORMAT_PROFILES).flatMap(profile => [
+    ...profile.sampleRates,
+    ...Object.values(profile.codecs).flatMap(codec => codec.sampleRates || []),
+]))].sort((a, b) => a - b)
+
+module.exports = {
+    name: 'convert',
+    label: 'Convert Format',
+    description: 'Convert to different format',
+    requiresFFmpeg: true,
+    outputsAudio: true,
+    schema: {
+        fields: {
+            outputFormat: { type: 'enum', values: Object.keys(FORMAT_PROFILES), required: true },
+            codec: { type: 'enum', values: codecNames },
+            bitrate: { type: 'integer', min: 8, max: 512 },
+            bitrateMode: { type: 'enum', values: ['cbr', 'vbr'] },
+            sampleRate: { type: 'enum', values: sampleRates },
+            channels: { type: 'enum', values: CHANNEL_OPTIONS },
+            compressionLevel: { type: 'integer', min: 0, max: 12 },
+        },
+        resolve: ({ outputFormat, ...encoderOptions }) => {
+            resolveEncoderSettings(outputFormat, encoderOptions)
+            return { outputFormat, encoderOptions }
+        },
+        toFields: ({ outputFormat, encoderOptions }) => ({ outputFormat, ...encoderOptions }),
+    },
+    async handler({ filePath, params, audioFile, jobId, onProgress }, tools) {
+        const { outputFormat, encoderOptions } = params
+        if (!outputFormat) {
+            throw new Error('Output format is required for conversion')
+        }
+        const conversionResult = await tools.convertAudio(filePath, outputFormat, encoderOptions, jobId, onProgress)
+        return {
+            ...conversionResult,
+            originalFile: audioFile.originalName,
+        }
+    },
+}
@@ -0,0 +1,205 @@
+/**
+ * Job type registry
+ * Every job type is a processor module exporting:
+ *   name            job type sent by clients (lowercase letters, digits, - and _)
+ *   label           short name for the job type picker
+ *   description     one line shown under the label
+ *   requiresFFmpeg  whether the handler needs the ffmpeg instance
+ *   outputsAudio    (optional) the result's outputPath is audio later pipeline steps can consume
+ *   schema          { fields, resolve?, toFields? } as described in ../config/jobSchemas;
+ *                   toFields turns resolved parameters back into request fields (for retries)
+ *                   and is only needed when resolve renames or nests them
+ *   handler         async ({ filePath, params, audioFile, jobId, onProgress }, tools) => result
+ *
+ * `tools` is supplied by the worker (runFFmpeg, the active ffmpeg backend, metadata and
+ * ffprobe helpers and the built-in operations). Extra processors are loaded from PROCESSORS_DIR, one module per
+ * file; they cannot replace a built-in job type.
+ */
+const fs = require('fs')
+const path = require('path')
+const { FIELD_TYPES, JobParamsError, resolveSchema } = require('../config/jobSchemas')
+
+const BUILT_IN_PROCESSORS = [
+    require('./metadata'),
+    require('./analyze'),
+    require('./loudness'),
+    require('./normalize'),
+    require('./convert'),
+    require('./slice'),
+    require('./split'),
+    require('./waveform'),
+    require('./spectrogram'),
+]
+
+const DEFAULT_JOB_TYPE = 'metadata'
+const MAX_PIPELINE_STEPS = 10
+const PROCESSOR_NAME = /^[a-z][a-z0-9_-]*$/
+
+// Chains registered processors, so it is part of the registry rather than a processor itself
+const PIPELINE_JOB_TYPE = {
+    name: 'pipeline',
+    label: 'Pipeline',
+    description: 'Chain several operations in order',
+    // Needs ffmpeg only through its steps
+    requiresFFmpeg: false,
+    schema: {
+        fields: {
+            steps: { type: 'json', required: true, maxItems: MAX_PIPELINE_STEPS },
+        },
+        resolve: ({ steps }) => resolvePipelineSteps(steps),
+    },
+}
+
+const processors = new Map()
+
+/**
+ * Check a processor definition and add it to the registry
+ */
+function registerProcessor(processor, source = processor?.name) {
+    const fail = (message) => {
+        throw new Error(`Invalid processor ${ source }: ${ message }`)
+    }
+
+    if (!processor || typeof processor !== 'object') fail('the module must export an object')
+    if (typeof processor.name !== 'string' || !PROCESSOR_NAME.test(processor.name)) {
+        fail(`name must match ${ PROCESSOR_NAME }`)
+    }
+    if (processor.name === PIPELINE_JOB_TYPE.name || processors.has(processor.name)) {
+        fail(`job type "${ processor.name }" is already registered`)
+    }
+    if (typeof processor.handler !== 'function') fail('handler must be a function')
+    if (typeof processor.requiresFFmpeg !== 'boolean') fail('requiresFFmpeg must be true or false')
+
+    const fields = processor.schema?.fields
+    if (!fields || typeof fields !== 'object') fail('schema.fields must be an object')
+    for (const [name, rule] of Object.entries(fields)) {
+        if (!FIELD_TYPES.includes(rule?.type)) {
+            fail(`field "${ name }" has unknown type "${ rule?.type }". Use one of: ${ FIELD_TYPES.join(', ') }`)
+        }
+    }
+    if (processor.schema.resolve !== undefined && typeof processor.schema.resolve !== 'function') {
+        fail('schema.resolve must be a function')
+    }
+    if (processor.schema.toFields !== undefined && typeof processor.schema.toFields !== 'function') {
+        fail('schema.toFields must be a function')
+    }
+
+    processors.set(processor.name, {
+        label: processor.name,
+        description: '',
+        outputsAudio: false,
+        ...processor,
+    })
+}
+
+/**
+ * Register every .js module in a directory, in file name order
+ */
+function loadProcessorDirectory(directory) {
+    const absolute = path.resolve(directory)
+    if (!fs.existsSync(absolute)) {
+        console.warn(`Processor directory ${ absolute } does not exist; no custom processors loaded`)
+        return
+    }
+
+    const files = fs.readdirSync(absolute).filter(file => file.endsWith('.js')).sort()
+    for (const file of files) {
+        registerProcessor(require(path.join(absolute, file)), file)
+    }
+    if (files.length > 0) {
+        console.log(`Loaded ${ files.length } custom processor(s) from ${ absolute }`)
+    }
+}
+
+BUILT_IN_PROCESSORS.forEach(processor => registerProcessor(processor))
+if (process.env.PROCESSORS_DIR) {
+    loadProcessorDirectory(process.env.PROCESSORS_DIR)
+}
+
+function getProcessor(jobType) {
+    return processors.get(jobType) || null
+}
+
+function listProcessors() {
+    return [...processors.values()]
+}
+
+/**
+ * Validate the fields of a job request and resolve them into job parameters.
+ * Throws a JobParamsError listing every problem found.
+ */
+function validateJobParams(jobType, body = {}, options = {}) {
+    const definition = jobType === PIPELINE_JOB_TYPE.name ? PIPELINE_JOB_TYPE : getProcessor(jobType)
+    if (!definition) {
+        const prefix = options.prefix || ''
+        throw new JobParamsError([{
+            field: prefix ? `${ prefix }type` : 'jobType',
+            message: `Unknown job type "${ jobType }". Use one of: ${ [...processors.keys(), PIPELINE_JOB_TYPE.name].join(', ') }`,
+        }])
+    }
+    return resolveSchema(definition.schema, body, options)
+}
+
+/**
+ * Validate every step of a pipeline, collecting the errors of all steps
+ */
+function resolvePipelineSteps(steps) {
+    const errors = []
+    const resolved = steps.map((step, index) => {
+        const prefix = `steps[${ index }].`
+        const jobType = step?.type || step?.jobType
+        if (!processors.has(jobType)) {
+            errors.push({ field: `${ prefix }type`, message: `Step ${ index + 1 }: unsupported type "${ jobType }". Use one of: ${ [...processors.keys()].join(', ') }` })
+            return null
+        }
+        try {
+            return { jobType, ...validateJobParams(jobType, step, { prefix }) }
+        } catch (error) {
+            errors.push(...error.fields.map(entry => ({ ...entry, message: `Step ${ index + 1 }: ${ entry.message }` })))
+            return null
+        }
+    })
+
+    if (errors.length > 0) throw new JobParamsError(errors)
+    return resolved
+}
+
+/**
+ * Request fields that resolve to a job's stored parameters, so a retry can apply
+ * changed fields on top of them and validate the result like a new request
+ */
+function jobRequestFields(jobType, params = {}) {
+    if (jobType === PIPELINE_JOB_TYPE.name) {
+        return {
+            steps: (params.steps || []).map(({ jobType: stepType, ...stepParams }) => ({
+                type: stepType,
+                ...jobRequestFields(stepType, stepParams),
+            })),
+        }
+    }
+    const toFields = getProcessor(jobType)?.schema.toFields
+    return toFields ? toFields(params) : params
+}
+
+/**
+ * Public description of every job type, for GET /api/upload/features
+ */
+function describeJobTypes() {
+    return Object.fromEntries([...listProcessors(), PIPELINE_JOB_TYPE].map(definition => [definition.name, {
+        label: definition.label,
+        description: definition.description,
+        requiresFFmpeg: definition.requiresFFmpeg,
+        fields: definition.schema.fields,
+    }]))
+}
+
+module.exports = {
+    DEFAULT_JOB_TYPE,
+    MAX_PIPELINE_STEPS,
+    registerProcessor,
+    getProcessor,
+    listProcessors,
+    validateJobParams,
+    jobRequestFields,
+    describeJobTypes,
+}
@@ -0,0 +1,19 @@
+/**
+ * EBU R128 loudness measurement
+ */
+module.exports = {
+    name: 'loudness',
+    label: 'Loudness Analysis',
+    description: 'Integrated LUFS, loudness range, true peak, RMS',
+    requiresFFmpeg: true,
+    schema: {
+        fields: {},
+    },
+    async handler({ filePath, audioFile, jobId, onProgress }, tools) {
+        const loudnessResult = await tools.analyzeLoudness(filePath, jobId, onProgress)
+        return {
+            ...loudnessResult,
+            originalFile: audioFile.originalName,
+        }
+    },
+}
@@ -0,0 +1,37 @@
+/**
+ * Tags and stream details read with music-metadata, plus ffmpeg's view when available
+ */
+module.exports = {
+    name: 'metadata',
+    label: 'Extract Metadata',
+    description: 'Basic audio analysis',
+    requiresFFmpeg: false,
+    schema: {
+        fields: {},
+    },
+    async handler({ filePath }, tools) {
+        const metadata = await tools.extractMetadata(filePath)
+
+        if (!tools.ffmpegAvailable) {
+            return {
+                ...metadata,
+                note: 'FFmpeg not installed - basic metadata only',
+            }
+        }
+
+        try {
+            // ffprobe sees what ffmpeg will decode; WASM has no ffprobe
+            const ffmpegInfo = await tools.probeAudio(filePath) || await tools.getAudioInfo(filePath)
+            return {
+                ...metadata,
+                ffmpeg: ffmpegInfo,
+            }
+        } catch (ffmpegError) {
+            console.warn('FFmpeg info extraction failed, using metadata only:', ffmpegError.message)
+            return {
+                ...metadata,
+                note: 'FFmpeg info unavailable',
+            }
+        }
+    },
+}
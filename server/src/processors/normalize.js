@@ -0,0 +1,33 @@
+/**
+ * Two-pass loudness normalization to a preset or custom target
+ */
+const { FORMAT_PROFILES } = require('../config/formats')
+const { LOUDNESS_PRESETS, DEFAULT_LOUDNESS_PRESET, LOUDNORM_LIMITS, resolveLoudnessTarget } = require('../config/loudness')
+
+module.exports = {
+    name: 'normalize',
+    label: 'Normalize Loudness',
+    description: 'Match a target LUFS (podcast, streaming, broadcast)',
+    requiresFFmpeg: true,
+    outputsAudio: true,
+    schema: {
+        fields: {
+            preset: { type: 'enum', values: [...Object.keys(LOUDNESS_PRESETS), 'custom'], default: DEFAULT_LOUDNESS_PRESET },
+            targetLufs: { type: 'number', min: LOUDNORM_LIMITS.targetLufs[0], max: LOUDNORM_LIMITS.targetLufs[1] },
+            truePeak: { type: 'number', min: LOUDNORM_LIMITS.truePeak[0], max: LOUDNORM_LIMITS.truePeak[1] },
+            loudnessRange: { type: 'number', min: LOUDNORM_LIMITS.loudnessRange[0], max: LOUDNORM_LIMITS.loudnessRange[1] },
+            outputFormat: { type: 'enum', values: Object.keys(FORMAT_PROFILES) },
+        },
+        resolve: (values) => {
+            resolveLoudnessTarget(values)
+            return values
+        },
+    },
+    async handler({ filePath, params, audioFile, jobId, onProgress }, tools) {
+        const normalizeResult = await tools.normalizeAudio(filePath, params, jobId, onProgress)
+        return {
+            ...normalizeResult,
+            originalFile: audioFile.originalName,
+        }
+    },
+}
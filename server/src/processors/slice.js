@@ -0,0 +1,29 @@
+/**
+ * Cut one clip, sample-accurate with fades or fast by stream copy
+ */
+const { SLICE_MODES, DEFAULT_SLICE_MODE, MAX_FADE_SECONDS, resolveSliceOptions } = require('../config/slice')
+
+module.exports = {
+    name: 'slice',
+    label: 'Slice Clip',
+    description: 'Extract audio segment',
+    requiresFFmpeg: true,
+    outputsAudio: true,
+    schema: {
+        fields: {
+            startTime: { type: 'timecode', required: true },
+            endTime: { type: 'timecode', required: true },
+            mode: { type: 'enum', values: SLICE_MODES, default: DEFAULT_SLICE_MODE },
+            fadeIn: { type: 'number', min: 0, max: MAX_FADE_SECONDS, default: 0 },
+            fadeOut: { type: 'number', min: 0, max: MAX_FADE_SECONDS, default: 0 },
+        },
+        resolve: resolveSliceOptions,
+    },
+    async handler({ filePath, params, audioFile, jobId, onProgress }, tools) {
+        const sliceResult = await tools.sliceAudio(filePath, params, jobId, onProgress)
+        return {
+            ...sliceResult,
+            originalFile: audioFile.originalName,
+        }
+    },
+}
@@ -0,0 +1,37 @@
+/**
+ * Frequency-vs-time image
+ */
+const {
+    SPECTROGRAM_COLOR_MAPS,
+    DEFAULT_COLOR_MAP,
+    FREQUENCY_SCALES,
+    FFT_SIZES,
+    DEFAULT_FFT_SIZE,
+    SPECTROGRAM_SIZE_LIMITS,
+    DEFAULT_SPECTROGRAM_SIZE,
+    resolveSpectrogramOptions,
+} = require('../config/spectrogram')
+
+module.exports = {
+    name: 'spectrogram',
+    label: 'Spectrogram',
+    description: 'Frequency-vs-time image for spotting transcodes and noise',
+    requiresFFmpeg: true,
+    schema: {
+        fields: {
+            colorMap: { type: 'enum', values: Object.keys(SPECTROGRAM_COLOR_MAPS), default: DEFAULT_COLOR_MAP },
+            frequencyScale: { type: 'enum', values: FREQUENCY_SCALES, default: 'log' },
+            fftSize: { type: 'enum', values: FFT_SIZES, default: DEFAULT_FFT_SIZE },
+            width: { type: 'integer', min: SPECTROGRAM_SIZE_LIMITS.width[0], max: SPECTROGRAM_SIZE_LIMITS.width[1], default: DEFAULT_SPECTROGRAM_SIZE.width },
+            height: { type: 'integer', min: SPECTROGRAM_SIZE_LIMITS.height[0], max: SPECTROGRAM_SIZE_LIMITS.height[1], default: DEFAULT_SPECTROGRAM_SIZE.height },
+        },
+        resolve: resolveSpectrogramOptions,
+    },
+    async handler({ filePath, params, audioFile, jobId, onProgress }, tools) {
+        const spectrogramResult = await tools.generateSpectrogram(filePath, params, jobId, onProgress)
+        return {
+            ...spectrogramResult,
+            originalFile: audioFile.originalName,
+        }
+    },
+}
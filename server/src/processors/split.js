@@ -0,0 +1,29 @@
+/**
+ * Cut several clips from a list of times or at silences
+ */
+const { SPLIT_MODES, MAX_SEGMENTS, MAX_SEGMENT_NAME_LENGTH, SILENCE_SPLIT_DEFAULTS, resolveSplitOptions } = require('../config/split')
+
+module.exports = {
+    name: 'split',
+    label: 'Split into Clips',
+    description: 'Cut tracks or chapters from a list of times or at silences',
+    requiresFFmpeg: true,
+    schema: {
+        fields: {
+            mode: { type: 'enum', values: SPLIT_MODES },
+            segments: { type: 'json', maxItems: MAX_SEGMENTS },
+            silenceThresholdDb: { type: 'number', min: -100, max: 0, default: SILENCE_SPLIT_DEFAULTS.silenceThresholdDb },
+            minSilenceDuration: { type: 'number', min: 0.1, max: 60, default: SILENCE_SPLIT_DEFAULTS.minSilenceDuration },
+            minSegmentDuration: { type: 'number', min: 0, max: 3600, default: SILENCE_SPLIT_DEFAULTS.minSegmentDuration },
+            namePrefix: { type: 'string', maxLength: MAX_SEGMENT_NAME_LENGTH, default: SILENCE_SPLIT_DEFAULTS.namePrefix },
+        },
+        resolve: resolveSplitOptions,
+    },
+    async handler({ filePath, params, audioFile, jobId, onProgress }, tools) {
+        const splitResult = await tools.splitAudio(filePath, params, jobId, onProgress)
+        return {
+            ...splitResult,
+            originalFile: audioFile.originalName,
+        }
+    },
+}
@@ -0,0 +1,50 @@
+/**
+ * Peak data for interactive players, plus an optional rendered image
+ */
+const {
+    DEFAULT_ZOOM_LEVELS,
+    MAX_ZOOM_LEVELS,
+    SAMPLES_PER_PIXEL_LIMITS,
+    PEAK_BITS,
+    DEFAULT_PEAK_BITS,
+    WAVEFORM_IMAGE_FORMATS,
+    WAVEFORM_STYLES,
+    WAVEFORM_IMAGE_PRESETS,
+    IMAGE_SIZE_LIMITS,
+    DEFAULT_IMAGE_SIZE,
+    DEFAULT_IMAGE_PRESET,
+    resolveWaveformOptions,
+} = require('../config/waveform')
+
+module.exports = {
+    name: 'waveform',
+    label: 'Generate Waveform',
+    description: 'Peak data for interactive players, plus an optional PNG',
+    requiresFFmpeg: true,
+    schema: {
+        fields: {
+            zoomLevels: { type: 'list', min: SAMPLES_PER_PIXEL_LIMITS[0], max: SAMPLES_PER_PIXEL_LIMITS[1], maxItems: MAX_ZOOM_LEVELS, default: DEFAULT_ZOOM_LEVELS },
+            bits: { type: 'enum', values: PEAK_BITS, default: DEFAULT_PEAK_BITS },
+            splitChannels: { type: 'boolean', default: false },
+            image: { type: 'boolean', default: true },
+            imageFormat: { type: 'enum', values: WAVEFORM_IMAGE_FORMATS, default: WAVEFORM_IMAGE_FORMATS[0] },
+            imagePreset: { type: 'enum', values: Object.keys(WAVEFORM_IMAGE_PRESETS), default: DEFAULT_IMAGE_PRESET },
+            style: { type: 'enum', values: WAVEFORM_STYLES, default: WAVEFORM_STYLES[0] },
+            width: { type: 'integer', min: IMAGE_SIZE_LIMITS.width[0], max: IMAGE_SIZE_LIMITS.width[1], default: DEFAULT_IMAGE_SIZE.width },
+            height: { type: 'integer', min: IMAGE_SIZE_LIMITS.height[0], max: IMAGE_SIZE_LIMITS.height[1], default: DEFAULT_IMAGE_SIZE.height },
+            foregroundColor: { type: 'color' },
+            backgroundColor: { type: 'color', allowTransparent: true },
+        },
+        resolve: (values) => {
+            resolveWaveformOptions(values)
+            return values
+        },
+    },
+    async handler({ filePath, params, audioFile, jobId, onProgress }, tools) {
+        const waveformResult = await tools.generateWaveform(filePath, params, jobId, onProgress)
+        return {
+            ...waveformResult,
+            originalFile: audioFile.originalName,
+        }
+    },
+}
@@ -0,0 +1,103 @@
+const express = require('express')
+const router = express.Router()
+const { audioQueue } = require('../config/redis')
+const { JobActionError, listDeadLetterJobs, requeueDeadLetterJob } = require('../jobs/queue')
+const { getQueueStats } = require('../services/queueStats')
+
+const MAX_PAGE_SIZE = 200
+const MAX_STATS_WINDOW_HOURS = 7 * 24
+
+// Finished Bull entries that can be cleaned; the job rows keep their status and results
+const CLEANABLE_STATES = ['completed', 'failed']
+
+// Queue counts, throughput and processing times over the last ?hours (default 24)
+router.get('/queue', async (req, res) => {
+    try {
+        const windowHours = Math.min(MAX_STATS_WINDOW_HOURS, Math.max(1, parseInt(req.query.hours, 10) || 24))
+        res.json(await getQueueStats({ windowHours }))
+    } catch (error) {
+        console.error('Error reading queue stats:', error)
+        res.status(500).json({ error: error.message })
+    }
+})
+
+// Stop workers from picking up new jobs; running jobs finish normally
+router.post('/queue/pause', async (req, res) => {
+    try {
+        await audioQueue.pause()
+        res.json({ message: 'Queue paused', paused: true })
+    } catch (error) {
+        console.error('Error pausing queue:', error)
+        res.status(500).json({ error: error.message })
+    }
+})
+
+router.post('/queue/resume', async (req, res) => {
+    try {
+        await audioQueue.resume()
+        res.json({ message: 'Queue resumed', paused: false })
+    } catch (error) {
+        console.error('Error resuming queue:', error)
+        res.status(500).json({ error: error.message })
+    }
+})
+
+// Remove finished Bull entries older than olderThanHours (default 24)
+router.post('/queue/clean', async (req, res) => {
+    const { olderThanHours = 24, states = CLEANABLE_STATES } = req.body || {}
+    const hours = Number(olderThanHours)
+    const invalidState = [].concat(states).find(state => !CLEANABLE_STATES.includes(state))
+    if (!Number.isFinite(hours) || hours < 0 || invalidState !== undefined) {
+        return res.status(400).json({
+            error: 'Invalid clean request',
+            message: invalidState !== undefined
+                ? `states can only include: ${ CLEANABLE_STATES.join(', ') }`
+                : 'olderThanHours must be a number of hours, 0 or more',
+            code: 'INVALID_CLEAN_REQUEST',
+        })
+    }
+
+    try {
+        const removed = {}
+        for (const state of [].concat(states)) {
+            removed[state] = (await audioQueue.clean(hours * 60 * 60 * 1000, state)).length
+        }
+        res.json({ message: 'Queue cleaned', removed })
+    } catch (error) {
+        console.error('Error cleaning queue:', error)
+        res.status(500).json({ error: error.message })
+    }
+})
+
+// List dead-lettered jobs: transient failures that used up their retries
+router.get('/dead-letter', async (req, res) => {
+    try {
+        const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || 50))
+        const offset = Math.max(0, parseInt(req.query.offset, 10) || 0)
+        const { jobs, total } = await listDeadLetterJobs({ limit, offset })
+        res.json({ total, limit, offset, jobs })
+    } catch (error) {
+        console.error('Error listing dead-letter jobs:', error)
+        res.status(500).json({ error: error.message })
+    }
+})
+
+// Queue a dead-lettered job again with its stored parameters
+router.post('/dead-letter/:jobId/requeue', async (req, res) => {
+    try {
+        const job = await requeueDeadLetterJob(req.params.jobId)
+        res.json({
+            message: 'Job requeued',
+            attempt: JSON.parse(job.attempts).length + 1,
+            job,
+        })
+    } catch (error) {
+        if (error instanceof JobActionError) {
+            return res.status(error.status).json({ error: 'Cannot requeue job', message: error.message, code: error.code })
+        }
+        console.error('Error requeuing job:', error)
+        res.status(500).json({ error: error.message })
+    }
+})
+
+module.exports = router
@@ -3,41 +3,112 @@ const multer = require('multer')
 const path = require('path')
 const fs = require('fs')
 const router = express.Router()
-const { upload, uploadAudio } = require('../controllers/uploadController')
-const { getJobStatus } = require('../jobs/queue')
+const {
+    upload,
+    uploadMany,
+    MAX_BATCH_FILES,
+    uploadAudio,
+    uploadBatch,
+    getUploadBatch,
+    createJobForFile,
+    retryJobRequest,
+    invalidParamsBody,
+} = require('../controllers/uploadController')
+const {
+    createUploadSession,
+    getUploadSession,
+    appendUploadChunk,
+    completeUploadSession,
+    cancelUploadSession,
+} = require('../controllers/resumableUploadController')
+const { CANCELLABLE_STATUSES, JobActionError, getJobStatus, cancelJob } = require('../jobs/queue')
+const { redisClient, FFMPEG_STATUS_KEY } = require('../config/redis')
 const { PrismaClient } = require('@prisma/client')
 const { validateFileExists, getMimeType, formatFileSize } = require('../middleware/fileValidation')
+const { FORMAT_PROFILES, CHANNEL_OPTIONS } = require('../config/formats')
+const { LOUDNESS_PRESETS } = require('../config/loudness')
+const { JOB_PRIORITIES, DEFAULT_JOB_PRIORITY, MAX_SCHEDULE_DELAY_SECONDS } = require('../config/scheduling')
+const {
+    DEFAULT_ZOOM_LEVELS,
+    PEAK_BITS,
+    WAVEFORM_IMAGE_FORMATS,
+    WAVEFORM_STYLES,
+    WAVEFORM_IMAGE_PRESETS,
+    IMAGE_SIZE_LIMITS,
+} = require('../config/waveform')
+const { SLICE_MODES, MAX_FADE_SECONDS } = require('../config/slice')
+const { SPLIT_MODES, MAX_SEGMENTS, SILENCE_SPLIT_DEFAULTS } = require('../config/split')
+const { SPECTROGRAM_COLOR_MAPS, FREQUENCY_SCALES, FFT_SIZES, SPECTROGRAM_SIZE_LIMITS } = require('../config/spectrogram')
+const { JobParamsError } = require('../config/jobSchemas')
+const { describeJobTypes } = require('../processors')
+const { jobEventStream } = require('../services/jobEvents')
+const { streamJobArchive } = require('../services/resultArchive')
+const { ownedOutputFiles } = require('../services/jobOutputs')
 const prisma = new PrismaClient()
 
+// Upper bound on jobs bundled into one archive download
+const MAX_ARCHIVE_JOBS = 100
+
 // Endpoint to check feature availability
 router.get('/features', async (req, res) => {
+    const jobTypes = describeJobTypes()
+    const metadataFeatures = Object.keys(jobTypes).filter(jobType => !jobTypes[jobType].requiresFFmpeg && jobType !== 'pipeline')
+    const ffmpegFeatures = Object.keys(jobTypes).filter(jobType => jobTypes[jobType].requiresFFmpeg)
+
     try {
-        let ffmpegStatus = false
-
-        // Check if FFmpeg package is installed (without requiring the worker module)
-        try {
-            require.resolve('@ffmpeg/ffmpeg')
-            // Package exists, but we need to check if it actually works
-            // Don't require the worker module as it may cause circular dependencies or initialization issues
-            // Instead, just check if the package is installed
-            ffmpegStatus = true
-        } catch (e) {
-            // Package not installed
-            ffmpegStatus = false
-        }
+        // Jobs run on the workers, so report the backend they published rather than this host's
+        const workerStatus = await redisClient.get(FFMPEG_STATUS_KEY)
+        const { backend = null, version = null, ffprobe = false } = workerStatus ? JSON.parse(workerStatus) : {}
+        const ffmpegStatus = Boolean(backend)
 
         res.json({
             ffmpeg: {
                 available: ffmpegStatus,
-                features: ffmpegStatus ? ['convert', 'slice', 'waveform'] : [],
+                backend,
+                version,
+                ffprobe,
+                features: ffmpegStatus ? ffmpegFeatures : [],
                 message: ffmpegStatus
-                    ? 'FFmpeg is available and ready to use'
-                    : 'FFmpeg is not available. Convert, Slice, and Waveform features are disabled.'
+                    ? `FFmpeg (${ backend }) is available and ready to use`
+                    : `${ workerStatus ? 'FFmpeg is not available.' : 'No worker is running.' } ${ ffmpegFeatures.map(jobType => jobTypes[jobType].label).join(', ') } features are disabled.`
             },
             metadata: {
                 available: true,
-                features: ['metadata', 'analyze']
-            }
+                features: metadataFeatures
+            },
+            // Accepted fields per job type, as validated on submission
+            jobTypes,
+            formats: FORMAT_PROFILES,
+            channels: CHANNEL_OPTIONS,
+            loudnessPresets: LOUDNESS_PRESETS,
+            scheduling: {
+                priorities: Object.fromEntries(Object.entries(JOB_PRIORITIES).map(([name, { label, description }]) => [name, { label, description }])),
+                defaultPriority: DEFAULT_JOB_PRIORITY,
+                maxDelaySeconds: MAX_SCHEDULE_DELAY_SECONDS,
+            },
+            waveform: {
+                zoomLevels: DEFAULT_ZOOM_LEVELS,
+                bits: PEAK_BITS,
+                imageFormats: WAVEFORM_IMAGE_FORMATS,
+                styles: WAVEFORM_STYLES,
+                imagePresets: WAVEFORM_IMAGE_PRESETS,
+                imageSizeLimits: IMAGE_SIZE_LIMITS,
+            },
+            slice: {
+                modes: SLICE_MODES,
+                maxFadeSeconds: MAX_FADE_SECONDS,
+            },
+            split: {
+                modes: SPLIT_MODES,
+                maxSegments: MAX_SEGMENTS,
+                silenceDefaults: SILENCE_SPLIT_DEFAULTS,
+            },
+            spectrogram: {
+                colorMaps: Object.fromEntries(Object.entries(SPECTROGRAM_COLOR_MAPS).map(([name, map]) => [name, map.label])),
+                frequencyScales: FREQUENCY_SCALES,
+                fftSizes: FFT_SIZES,
+                sizeLimits: SPECTROGRAM_SIZE_LIMITS,
+            },
         })
     } catch (error) {
         console.error('Error checking features:', error)
@@ -45,29 +116,47 @@ router.get('/features', async (req, res) => {
         res.json({
             ffmpeg: {
                 available: false,
+                backend: null,
                 features: [],
                 message: 'Unable to check FFmpeg status. Features may be limited.'
             },
             metadata: {
                 available: true,
-                features: ['metadata', 'analyze']
-            }
+                features: metadataFeatures
+            },
+            jobTypes,
         })
     }
 })
 
-// Upload endpoint with error handling
-router.post('/', upload, (err, req, res, next) => {
+/**
+ * Turn multer and file filter errors into JSON responses
+ */
+function handleUploadErrors(err, req, res, next) {
+    // Job fields rejected by the file filter, before the file was stored
+    if (err instanceof JobParamsError) {
+        return res.status(400).json(invalidParamsBody(err))
+    }
+
     // Handle multer errors
     if (err instanceof multer.MulterError) {
         if (err.code === 'LIMIT_FILE_SIZE') {
             return res.status(400).json({
                 error: 'File too large',
-                message: 'Maximum file size is 100MB. Please upload a smaller file.',
+                message: 'Maximum file size is 100MB. Use a resumable upload session (POST /api/upload/sessions) for larger files.',
                 code: 'FILE_TOO_LARGE',
                 maxSize: '100MB'
             })
         }
+        // upload.array reports files beyond its maxCount as an unexpected field
+        if (err.code === 'LIMIT_UNEXPECTED_FILE' && req.path === '/batch') {
+            return res.status(400).json({
+                error: 'Too many files',
+                message: `A batch can contain at most ${ MAX_BATCH_FILES } files.`,
+                code: 'TOO_MANY_FILES',
+                maxFiles: MAX_BATCH_FILES
+            })
+        }
         return res.status(400).json({
             error: 'Upload error',
             message: err.message,
@@ -85,7 +174,24 @@ router.post('/', upload, (err, req, res, next) => {
     }
 
     next(err)
-}, uploadAudio)
+}
+
+// Upload endpoint with error handling
+router.post('/', upload, handleUploadErrors, uploadAudio)
+
+// Batch upload: several "audio" files sharing the same job fields
+router.post('/batch', uploadMany, handleUploadErrors, uploadBatch)
+
+// Aggregate status and progress of a batch
+router.get('/batches/:batchId', getUploadBatch)
+
+// Resumable uploads: start a session, send chunks at Upload-Offset, then complete.
+// GET (or HEAD) reports the current offset so an interrupted upload can resume.
+router.post('/sessions', createUploadSession)
+router.get('/sessions/:uploadId', getUploadSession)
+router.patch('/sessions/:uploadId', appendUploadChunk)
+router.post('/sessions/:uploadId/complete', completeUploadSession)
+router.delete('/sessions/:uploadId', cancelUploadSession)
 
 // Get job status
 router.get('/job/:jobId', async (req, res) => {
@@ -101,8 +207,16 @@ router.get('/job/:jobId', async (req, res) => {
 router.get('/jobs', async (req, res) => {
     try {
         const jobs = await prisma.job.findMany({
+            where: {
+                parentId: null,
+            },
             include: {
                 audioFile: true,
+                steps: {
+                    orderBy: {
+                        stepIndex: 'asc',
+                    },
+                },
             },
             orderBy: {
                 createdAt: 'desc',
@@ -115,6 +229,65 @@ router.get('/jobs', async (req, res) => {
     }
 })
 
+// Download the outputs of several jobs as one zip, with a manifest of parameters and results
+router.get('/jobs/archive', async (req, res) => {
+    try {
+        const ids = [...new Set(String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean))]
+        if (ids.length === 0) {
+            return res.status(400).json({
+                error: 'No jobs selected',
+                message: 'Pass the job ids to include as ?ids=id1,id2',
+                code: 'MISSING_JOB_IDS',
+            })
+        }
+        if (ids.length > MAX_ARCHIVE_JOBS) {
+            return res.status(400).json({
+                error: 'Too many jobs',
+                message: `An archive can include at most ${ MAX_ARCHIVE_JOBS } jobs`,
+                code: 'TOO_MANY_JOBS',
+            })
+        }
+
+        const jobs = await prisma.job.findMany({
+            where: {
+                id: { in: ids },
+            },
+            include: {
+                audioFile: true,
+                steps: {
+                    orderBy: {
+                        stepIndex: 'asc',
+                    },
+                },
+            },
+        })
+
+        if (jobs.length === 0) {
+            return res.status(404).json({
+                error: 'Jobs not found',
+                message: 'None of the requested jobs exist. They may have been deleted.',
+                code: 'JOB_NOT_FOUND',
+            })
+        }
+
+        // Keep the order the ids were given in
+        jobs.sort((a, b) => ids.indexOf(a.id) - ids.indexOf(b.id))
+        const missingIds = ids.filter(id => !jobs.some(job => job.id === id))
+        const archiveName = jobs.length === 1
+            ? `${ path.parse(jobs[0].audioFile.originalName).name }-${ jobs[0].type }`
+            : `audio-results-${ jobs.length }-jobs`
+
+        streamJobArchive(res, jobs, { archiveName, missingIds })
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+})
+
+// Stream live job events (active, progress, completed, retrying, failed) as Server-Sent Events
+router.get('/jobs/stream', (req, res) => {
+    jobEventStream.addClient(req, res)
+})
+
 // Get audio file by ID
 router.get('/file/:fileId', async (req, res) => {
     try {
@@ -139,6 +312,46 @@ router.get('/file/:fileId', async (req, res) => {
     }
 })
 
+// Queue another job against an already-uploaded file
+router.post('/file/:fileId/jobs', createJobForFile)
+
+// Download the outputs of every job run on a file as one zip
+router.get('/file/:fileId/archive', async (req, res) => {
+    try {
+        const file = await prisma.audioFile.findUnique({
+            where: { id: req.params.fileId },
+            include: {
+                jobs: {
+                    where: {
+                        parentId: null,
+                    },
+                    include: {
+                        steps: {
+                            orderBy: {
+                                stepIndex: 'asc',
+                            },
+                        },
+                    },
+                    orderBy: {
+                        createdAt: 'asc',
+                    },
+                },
+            },
+        })
+
+        if (!file) {
+            return res.status(404).json({ error: 'File not found' })
+        }
+
+        const { jobs, ...audioFile } = file
+        streamJobArchive(res, jobs.map(job => ({ ...job, audioFile })), {
+            archiveName: `${ path.parse(file.originalName).name }-results`,
+        })
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+})
+
 // Get file URL for visualization (returns public URL)
 router.get('/file/:fileId/url', async (req, res) => {
     try {
@@ -208,6 +421,23 @@ router.get('/job/:jobId/result', async (req, res) => {
             }
         }
 
+        // Add peak data URLs for waveform jobs
+        if (Array.isArray(result.peaks)) {
+            result.peaks = result.peaks.map(level => ({
+                ...level,
+                jsonUrl: `${ baseUrl }/uploads/${ path.basename(level.json) }`,
+                datUrl: `${ baseUrl }/uploads/${ path.basename(level.dat) }`,
+            }))
+        }
+
+        // Add clip URLs for split jobs
+        if (Array.isArray(result.segments)) {
+            result.segments = result.segments.map(segment => ({
+                ...segment,
+                url: `${ baseUrl }/uploads/${ path.basename(segment.outputPath) }`,
+            }))
+        }
+
         // Add original file URL
         const originalFilePath = path.join(process.env.UPLOAD_DIR || './uploads', job.audioFile.filename)
         const originalValidation = validateFileExists(originalFilePath)
@@ -242,8 +472,16 @@ router.get('/jobs/visualization', async (req, res) => {
         const baseUrl = req.protocol + '://' + req.get('host')
         const uploadDir = process.env.UPLOAD_DIR || './uploads'
         const jobs = await prisma.job.findMany({
+            where: {
+                parentId: null,
+            },
             include: {
                 audioFile: true,
+                steps: {
+                    orderBy: {
+                        stepIndex: 'asc',
+                    },
+                },
             },
             orderBy: {
                 createdAt: 'desc',
@@ -282,6 +520,19 @@ router.get('/jobs/visualization', async (req, res) => {
                             result.fileSizeFormatted = formatFileSize(validation.stats.size)
                         }
                     }
+                    if (Array.isArray(result.peaks)) {
+                        result.peaks = result.peaks.map(level => ({
+                            ...level,
+                            jsonUrl: `${ baseUrl }/uploads/${ path.basename(level.json) }`,
+                            datUrl: `${ baseUrl }/uploads/${ path.basename(level.dat) }`,
+                        }))
+                    }
+                    if (Array.isArray(result.segments)) {
+                        result.segments = result.segments.map(segment => ({
+                            ...segment,
+                            url: `${ baseUrl }/uploads/${ path.basename(segment.outputPath) }`,
+                        }))
+                    }
                     jobData.result = result
                 } catch (e) {
                     // Keep original result if parsing fails
@@ -297,6 +548,26 @@ router.get('/jobs/visualization', async (req, res) => {
     }
 })
 
+// Cancel a pending or running job
+router.post('/job/:jobId/cancel', async (req, res) => {
+    try {
+        const { job, wasRunning } = await cancelJob(req.params.jobId)
+        res.json({
+            message: wasRunning ? 'Job cancelled; the worker is stopping it' : 'Job cancelled',
+            job,
+        })
+    } catch (error) {
+        if (error instanceof JobActionError) {
+            return res.status(error.status).json({ error: 'Cannot cancel job', message: error.message, code: error.code })
+        }
+        console.error('Error cancelling job:', error)
+        res.status(500).json({ error: error.message })
+    }
+})
+
+// Retry a failed or cancelled job, optionally with changed parameters
+router.post('/job/:jobId/retry', retryJobRequest)
+
 // Delete a job by ID
 router.delete('/job/:jobId', async (req, res) => {
     try {
@@ -304,6 +575,7 @@ router.delete('/job/:jobId', async (req, res) => {
             where: { id: req.params.jobId },
             include: {
                 audioFile: true,
+                steps: true,
             },
         })
 
@@ -315,17 +587,22 @@ router.delete('/job/:jobId', async (req, res) => {
             })
         }
 
+        // Stop it first, so a worker does not pick up (or keep running) a job that no longer exists
+        if (!job.parentId && CANCELLABLE_STATUSES.includes(job.status)) {
+            await cancelJob(job.id)
+        }
+
         const uploadDir = process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads')
         let filesDeleted = []
 
-        // Delete associated output file if it exists
-        if (job.result) {
+        // Delete associated output files (including pipeline step outputs) if they exist
+        for (const jobWithOutput of [job, ...job.steps]) {
             try {
-                const result = JSON.parse(job.result)
-                if (result.outputPath) {
-                    const fileName = result.outputPath.includes(path.sep)
-                        ? result.outputPath.split(path.sep).pop()
-                        : result.outputPath
+                // Some jobs (waveform peaks) write extra files next to the main output
+                for (const outputPath of ownedOutputFiles(jobWithOutput)) {
+                    const fileName = outputPath.includes(path.sep)
+                        ? outputPath.split(path.sep).pop()
+                        : outputPath
                     const filePath = path.join(uploadDir, fileName)
 
                     if (fs.existsSync(filePath)) {
@@ -339,20 +616,6 @@ router.delete('/job/:jobId', async (req, res) => {
             }
         }
 
-        // Delete original uploaded file
-        if (job.audioFile && job.audioFile.filename) {
-            try {
-                const originalFilePath = path.join(uploadDir, job.audioFile.filename)
-                if (fs.existsSync(originalFilePath)) {
-                    fs.unlinkSync(originalFilePath)
-                    filesDeleted.push(job.audioFile.filename)
-                    console.log(`✅ Deleted original file: ${ job.audioFile.filename }`)
-                }
-            } catch (e) {
-                console.warn(`⚠️  Warning: Could not delete original file: ${ e.message }`)
-            }
-        }
-
         // Delete the job first (cascade will handle audioFile if it's the only job)
         // But we need to check if there are other jobs using the same audioFile
         let audioFileId = job.audioFile?.id
@@ -362,6 +625,11 @@ router.delete('/job/:jobId', async (req, res) => {
             where: {
                 audioFileId: audioFileId,
                 id: { not: req.params.jobId },
+                // Steps of this pipeline go with it
+                OR: [
+                    { parentId: null },
+                    { parentId: { not: req.params.jobId } },
+                ],
             },
         })
 
@@ -370,8 +638,19 @@ router.delete('/job/:jobId', async (req, res) => {
             where: { id: req.params.jobId },
         })
 
-        // Only delete audioFile if no other jobs are using it
+        // Only delete audioFile (and the original upload) if no other jobs are using it
         if (audioFileId && otherJobs.length === 0) {
+            try {
+                const originalFilePath = path.join(uploadDir, job.audioFile.filename)
+                if (fs.existsSync(originalFilePath)) {
+                    fs.unlinkSync(originalFilePath)
+                    filesDeleted.push(job.audioFile.filename)
+                    console.log(`✅ Deleted original file: ${ job.audioFile.filename }`)
+                }
+            } catch (e) {
+                console.warn(`⚠️  Warning: Could not delete original file: ${ e.message }`)
+            }
+
             try {
                 await prisma.audioFile.delete({
                     where: { id: audioFileId },
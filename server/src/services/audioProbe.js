@@ -0,0 +1,124 @@
+const fs = require('fs')
+const mm = require('music-metadata')
+
+/**
+ * Content-based audio detection
+ * Identifies the container from the file's leading bytes, then confirms with
+ * music-metadata that it actually parses as audio. Client-supplied MIME types and
+ * extensions are never trusted.
+ */
+
+const SNIFF_BYTES = 64
+
+const CONTAINER_MIME_TYPES = {
+    mp3: 'audio/mpeg',
+    aac: 'audio/aac',
+    wav: 'audio/wav',
+    flac: 'audio/flac',
+    ogg: 'audio/ogg',
+    m4a: 'audio/mp4',
+    webm: 'audio/webm',
+    wma: 'audio/x-ms-wma',
+}
+
+// ASF header object GUID (WMA)
+const ASF_GUID = Buffer.from([0x30, 0x26, 0xb2, 0x75, 0x8e, 0x66, 0xcf, 0x11])
+const EBML_MAGIC = Buffer.from([0x1a, 0x45, 0xdf, 0xa3])
+
+function ascii(buffer, start, end) {
+    return buffer.toString('latin1', start, end)
+}
+
+/**
+ * Identify the container from magic bytes. Returns null for anything unrecognized.
+ */
+function sniffContainer(header) {
+    if (ascii(header, 0, 3) === 'ID3') return 'mp3'
+    if (ascii(header, 0, 4) === 'fLaC') return 'flac'
+    if ((ascii(header, 0, 4) === 'RIFF' || ascii(header, 0, 4) === 'RF64') && ascii(header, 8, 12) === 'WAVE') return 'wav'
+    if (ascii(header, 0, 4) === 'OggS') return 'ogg'
+    if (ascii(header, 4, 8) === 'ftyp') return 'm4a'
+    if (header.subarray(0, 4).equals(EBML_MAGIC)) return 'webm'
+    if (header.subarray(0, 8).equals(ASF_GUID)) return 'wma'
+
+    // Raw MPEG frame sync: ADTS AAC has layer bits 00, MPEG audio layers are non-zero
+    if (header[0] === 0xff && (header[1] & 0xe0) === 0xe0) {
+        return (header[1] & 0x06) === 0 ? 'aac' : 'mp3'
+    }
+
+    return null
+}
+
+/**
+ * Check that a file is decodable audio and describe what it really contains.
+ * Returns { valid: true, container, mimeType, codec, ... } or { valid: false, code, message }.
+ */
+async function probeAudioFile(filePath) {
+    let header
+    try {
+        const fd = fs.openSync(filePath, 'r')
+        header = Buffer.alloc(SNIFF_BYTES)
+        const bytesRead = fs.readSync(fd, header, 0, SNIFF_BYTES, 0)
+        fs.closeSync(fd)
+        header = header.subarray(0, bytesRead)
+    } catch (error) {
+        return { valid: false, code: 'FILE_UNREADABLE', message: `Could not read the uploaded file: ${ error.message }` }
+    }
+
+    const container = sniffContainer(header)
+    if (!container) {
+        return {
+            valid: false,
+            code: 'UNRECOGNIZED_FILE_TYPE',
+            message: 'The file content does not match any supported audio format (MP3, WAV, FLAC, OGG, M4A, AAC, WebM, Opus, WMA).',
+        }
+    }
+
+    let format
+    try {
+        ({ format } = await mm.parseFile(filePath, { duration: false, skipCovers: true }))
+    } catch (error) {
+        return {
+            valid: false,
+            code: 'UNDECODABLE_AUDIO',
+            message: `The file looks like ${ container.toUpperCase() } but could not be parsed as audio: ${ error.message }`,
+        }
+    }
+
+    // Containers such as MP4 and WebM can hold video only
+    if (!format.codec && !format.sampleRate) {
+        return {
+            valid: false,
+            code: 'NO_AUDIO_STREAM',
+            message: `The ${ container.toUpperCase() } file does not contain an audio stream.`,
+        }
+    }
+
+    return {
+        valid: true,
+        container,
+        mimeType: CONTAINER_MIME_TYPES[container],
+        codec: format.codec || null,
+        containerName: format.container || null,
+        sampleRate: format.sampleRate || null,
+        channels: format.numberOfChannels || null,
+    }
+}
+
+/**
+ * Duration in seconds, scanning the whole file when the header does not say.
+ * Returns null when it cannot be determined.
+ */
+async function getAudioDuration(filePath) {
+    try {
+        const { format } = await mm.parseFile(filePath, { duration: true, skipCovers: true })
+        return format.duration || null
+    } catch (error) {
+        return null
+    }
+}
+
+module.exports = {
+    probeAudioFile,
+    getAudioDuration,
+}
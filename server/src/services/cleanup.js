@@ -1,6 +1,8 @@
 const { PrismaClient } = require('@prisma/client')
 const fs = require('fs')
 const path = require('path')
+const { recordCleanupRun } = require('./metrics')
+const { ownedOutputFiles } = require('./jobOutputs')
 
 const prisma = new PrismaClient()
 
@@ -28,12 +30,15 @@ class CleanupService {
             const oldJobs = await prisma.job.findMany({
                 where: {
                     status: 'COMPLETED',
+                    // Pipeline steps are removed along with their parent
+                    parentId: null,
                     completedAt: {
                         lt: cutoffDate,
                     },
                 },
                 include: {
                     audioFile: true,
+                    steps: true,
                 },
             })
 
@@ -47,14 +52,13 @@ class CleanupService {
             const uploadDir = process.env.UPLOAD_DIR || './uploads'
 
             for (const job of oldJobs) {
-                // Delete associated output file
-                if (job.result) {
+                // Delete associated output files
+                for (const jobWithOutput of [job, ...job.steps]) {
                     try {
-                        const result = JSON.parse(job.result)
-                        if (result.outputPath) {
-                            const fileName = result.outputPath.includes(path.sep)
-                                ? result.outputPath.split(path.sep).pop()
-                                : result.outputPath
+                        for (const outputPath of ownedOutputFiles(jobWithOutput)) {
+                            const fileName = outputPath.includes(path.sep)
+                                ? outputPath.split(path.sep).pop()
+                                : outputPath
                             const filePath = path.join(uploadDir, fileName)
 
                             if (fs.existsSync(filePath)) {
@@ -82,6 +86,49 @@ class CleanupService {
         }
     }
 
+    /**
+     * Delete resumable uploads that have not received data within the job age threshold
+     */
+    async cleanupStaleUploads() {
+        try {
+            const cutoffDate = new Date(Date.now() - this.jobAgeHours * 60 * 60 * 1000)
+            const staleSessions = await prisma.uploadSession.findMany({
+                where: {
+                    updatedAt: {
+                        lt: cutoffDate,
+                    },
+                },
+            })
+
+            const uploadDir = process.env.UPLOAD_DIR || './uploads'
+            for (const session of staleSessions) {
+                const partPath = path.join(uploadDir, `${ session.filename }.part`)
+                if (fs.existsSync(partPath)) {
+                    fs.unlinkSync(partPath)
+                }
+                await prisma.uploadSession.delete({
+                    where: { id: session.id },
+                })
+            }
+
+            if (staleSessions.length > 0) {
+                console.log(`✅ Removed ${ staleSessions.length } stale upload session(s)`)
+            }
+            return { uploadsDeleted: staleSessions.length }
+        } catch (error) {
+            console.error('❌ Upload cleanup error:', error.message)
+            return { uploadsDeleted: 0, error: error.message }
+        }
+    }
+
+    /**
+     * Run both cleanup tasks and record their results in the metrics
+     */
+    async runCleanup() {
+        recordCleanupRun('jobs', await this.cleanupOldJobs())
+        recordCleanupRun('uploads', await this.cleanupStaleUploads())
+    }
+
     /**
      * Start the automatic cleanup service
      */
@@ -99,14 +146,14 @@ class CleanupService {
         console.log('='.repeat(50))
 
         // Run cleanup immediately on start (with error handling)
-        this.cleanupOldJobs().catch((error) => {
+        this.runCleanup().catch((error) => {
             console.error('❌ Initial cleanup failed:', error.message)
             // Don't crash - just log the error
         })
 
         // Schedule periodic cleanup
         this.intervalId = setInterval(() => {
-            this.cleanupOldJobs().catch((error) => {
+            this.runCleanup().catch((error) => {
                 console.error('❌ Periodic cleanup failed:', error.message)
                 // Don't crash - just log the error
             })
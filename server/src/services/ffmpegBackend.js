@@ -0,0 +1,442 @@
+const { spawn, spawnSync, execFile } = require('child_process')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+/**
+ * FFmpeg backends
+ * native: the ffmpeg/ffprobe binaries on PATH (or FFMPEG_PATH / FFPROBE_PATH). Reads and
+ *   writes files on disk directly and streams its log, so memory use does not grow with
+ *   the size of the input.
+ * wasm: @ffmpeg/ffmpeg inside the worker process. Files are copied through its in-memory
+ *   filesystem and commands run one at a time.
+ * FFMPEG_BACKEND=native or wasm forces one; by default native is used when found.
+ *
+ * The worker gets backend instances from a pool (createFFmpegPool), one per running job,
+ * so concurrent jobs never share a WASM instance or a file name. Instances expose:
+ *   run(args, { duration, onProgress, signal })  run ffmpeg, resolve with its log lines;
+ *                                                aborting `signal` kills the command
+ *   openWorkspace()                              per-operation file handling (see below)
+ *   probe(filePath)                              ffprobe stream info, or null without ffprobe
+ * A memory limit (memoryLimitMb) kills native commands whose resident memory exceeds it;
+ * the WASM backend cannot measure its heap, so it counts the files copied into it instead.
+ */
+
+const BACKEND_PREFERENCE = process.env.FFMPEG_BACKEND || 'auto'
+
+// How often a native ffmpeg's memory use is checked against the limit
+const MEMORY_POLL_INTERVAL_MS = 500
+
+let nativeDetection
+let workspaceCounter = 0
+
+// Unique per process, so files of concurrent jobs never collide
+function uniqueId() {
+    workspaceCounter += 1
+    return `${ process.pid }-${ Date.now().toString(36) }-${ workspaceCounter }`
+}
+
+function abortError(signal) {
+    return signal.reason instanceof Error ? signal.reason : new Error('ffmpeg command was aborted')
+}
+
+/**
+ * Resident memory of a process in MB, or null where /proc is not available
+ */
+function residentMemoryMb(pid) {
+    try {
+        const status = fs.readFileSync(`/proc/${ pid }/status`, 'utf8')
+        const match = status.match(/VmRSS:\s+(\d+)\s+kB/)
+        return match ? parseInt(match[1], 10) / 1024 : null
+    } catch (e) {
+        return null
+    }
+}
+
+function timestampToSeconds(hours, minutes, seconds) {
+    return parseInt(hours, 10) * 3600 + parseInt(minutes, 10) * 60 + parseFloat(seconds)
+}
+
+/**
+ * Build a log line handler that reports progress (0-100) parsed from ffmpeg's time= output.
+ * The total is taken from `duration` when given, otherwise from the input's Duration line.
+ */
+function progressParser(duration, onProgress) {
+    let totalDuration = duration || null
+    let lastProgress = -1
+
+    return (message) => {
+        if (!onProgress) return
+
+        if (!totalDuration) {
+            const durationMatch = message.match(/Duration:\s*(\d+):(\d+):(\d+(?:\.\d+)?)/)
+            if (durationMatch) {
+                totalDuration = timestampToSeconds(durationMatch[1], durationMatch[2], durationMatch[3])
+            }
+        }
+
+        const timeMatch = message.match(/time=\s*(\d+):(\d+):(\d+(?:\.\d+)?)/)
+        if (timeMatch && totalDuration) {
+            const elapsed = timestampToSeconds(timeMatch[1], timeMatch[2], timeMatch[3])
+            const progress = Math.min(99, Math.round((elapsed / totalDuration) * 100))
+            if (progress > lastProgress) {
+                lastProgress = progress
+                onProgress(progress)
+            }
+        }
+    }
+}
+
+function binaryVersion(command) {
+    const result = spawnSync(command, ['-version'], { encoding: 'utf8', timeout: 5000 })
+    if (result.error || result.status !== 0) return null
+    return result.stdout.match(/version\s+(\S+)/)?.[1] || 'unknown'
+}
+
+/**
+ * Look for ffmpeg and ffprobe binaries (cached after the first call)
+ */
+function detectNativeFFmpeg() {
+    if (nativeDetection === undefined) {
+        const ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg'
+        const ffprobePath = process.env.FFPROBE_PATH || 'ffprobe'
+        const version = binaryVersion(ffmpegPath)
+        nativeDetection = version
+            ? { ffmpegPath, ffprobePath: binaryVersion(ffprobePath) ? ffprobePath : null, version }
+            : null
+    }
+    return nativeDetection
+}
+
+/**
+ * Native backend: spawns the ffmpeg binary for every command
+ */
+function createNativeBackend({ ffmpegPath, ffprobePath, version }, { memoryLimitMb }) {
+    function run(args, { duration, onProgress, signal } = {}) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) return reject(abortError(signal))
+
+            const child = spawn(ffmpegPath, ['-hide_banner', '-nostdin', ...args], { stdio: ['ignore', 'ignore', 'pipe'] })
+            const parseProgress = progressParser(duration, onProgress)
+            const logLines = []
+            let pending = ''
+            let killedFor = null
+
+            const kill = (reason) => {
+                killedFor = reason
+                child.kill('SIGKILL')
+            }
+            const onAbort = () => kill(abortError(signal))
+            signal?.addEventListener('abort', onAbort, { once: true })
+
+            const memoryCheck = memoryLimitMb && setInterval(() => {
+                const used = residentMemoryMb(child.pid)
+                if (used === null) {
+                    clearInterval(memoryCheck)
+                } else if (used > memoryLimitMb) {
+                    kill(new Error(`ffmpeg exceeded the ${ memoryLimitMb } MB memory limit`))
+                }
+            }, MEMORY_POLL_INTERVAL_MS)
+
+            const addLine = (line) => {
+                logLines.push(line)
+                parseProgress(line)
+            }
+
+            // Progress lines end in \r, everything else in \n
+            child.stderr.setEncoding('utf8')
+            child.stderr.on('data', (chunk) => {
+                const lines = (pending + chunk).split(/\r\n|\r|\n/)
+                pending = lines.pop()
+                lines.forEach(addLine)
+            })
+            const cleanUp = () => {
+                clearInterval(memoryCheck)
+                signal?.removeEventListener('abort', onAbort)
+            }
+            child.on('error', (error) => {
+                cleanUp()
+                reject(error)
+            })
+            child.on('close', (code, exitSignal) => {
+                cleanUp()
+                if (pending) addLine(pending)
+                if (killedFor) {
+                    reject(killedFor)
+                } else if (code === 0) {
+                    resolve(logLines)
+                } else {
+                    const detail = logLines.filter(Boolean).slice(-3).join(' | ')
+                    reject(new Error(`ffmpeg exited with ${ exitSignal || `code ${ code }` }${ detail ? `: ${ detail }` : '' }`))
+                }
+            })
+        })
+    }
+
+    // Inputs are read in place. Final outputs are written to a hidden file next to their
+    // destination and renamed on save, so a half-written file is never served; destinations
+    // are unique per job (see outputBaseName in the worker). Scratch files go to a
+    // temporary directory.
+    function openWorkspace() {
+        const id = uniqueId()
+        const pendingOutputs = new Set()
+        let scratchDir = null
+        const scratchPath = (name) => {
+            if (!scratchDir) scratchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audio-ffmpeg-'))
+            return path.join(scratchDir, name)
+        }
+
+        return {
+            input: async (hostPath) => hostPath,
+            writeFile: (name, data) => {
+                const filePath = scratchPath(name)
+                fs.writeFileSync(filePath, data)
+                return filePath
+            },
+            output: (name, hostPath) => {
+                if (!hostPath) return scratchPath(name)
+                // Keep the extension last so ffmpeg still picks the muxer from it
+                const filePath = path.join(path.dirname(hostPath), `.${ id }-${ path.basename(hostPath) }`)
+                pendingOutputs.add(filePath)
+                return filePath
+            },
+            readFile: (filePath) => fs.readFileSync(filePath),
+            save: (filePath, hostPath) => {
+                fs.renameSync(filePath, hostPath)
+                pendingOutputs.delete(filePath)
+            },
+            remove: (filePath) => fs.rmSync(filePath, { force: true }),
+            close: () => {
+                pendingOutputs.forEach(filePath => fs.rmSync(filePath, { force: true }))
+                if (scratchDir) fs.rmSync(scratchDir, { recursive: true, force: true })
+            },
+        }
+    }
+
+    function probe(filePath) {
+        if (!ffprobePath) return Promise.resolve(null)
+        return new Promise((resolve, reject) => {
+            execFile(ffprobePath, [
+                '-v', 'error',
+                '-print_format', 'json',
+                '-show_format',
+                '-show_streams',
+                '-select_streams', 'a:0',
+                filePath,
+            ], { maxBuffer: 10 * 1024 * 1024 }, (error, stdout) => {
+                if (error) return reject(new Error(`ffprobe failed: ${ error.message }`))
+                // Thrown here, a parse error would escape the promise and take the worker down
+                let data
+                try {
+                    data = JSON.parse(stdout)
+                } catch (parseError) {
+                    return reject(new Error(`ffprobe printed invalid JSON: ${ parseError.message }`))
+                }
+                const stream = data.streams?.[0] || {}
+                resolve({
+                    format: data.format?.format_name || null,
+                    formatLongName: data.format?.format_long_name || null,
+                    duration: Number(data.format?.duration) || null,
+                    bitrate: Number(data.format?.bit_rate) || null,
+                    codec: stream.codec_name || null,
+                    codecLongName: stream.codec_long_name || null,
+                    sampleRate: Number(stream.sample_rate) || null,
+                    channels: stream.channels || null,
+                    channelLayout: stream.channel_layout || null,
+                    sampleFormat: stream.sample_fmt || null,
+                })
+            })
+        })
+    }
+
+    return { name: 'native', version, ffprobe: Boolean(ffprobePath), run, openWorkspace, probe }
+}
+
+/**
+ * WASM backend: one in-process ffmpeg instance with an in-memory filesystem.
+ * An aborted command leaves the instance unusable; it is then marked `broken`.
+ */
+async function createWasmBackend({ memoryLimitMb }) {
+    const { createFFmpeg } = require('@ffmpeg/ffmpeg')
+    // Configure FFmpeg with core path for Node.js
+    const coreModulePath = require.resolve('@ffmpeg/core/package.json')
+    const coreDir = path.dirname(coreModulePath)
+    const instance = createFFmpeg({
+        log: false,
+        corePath: path.join(coreDir, 'dist', 'umd', 'ffmpeg-core.js'),
+        wasmPath: path.join(coreDir, 'dist', 'umd'),
+    })
+    await instance.load()
+
+    const backend = { name: 'wasm', version: null, ffprobe: false, broken: false, run, openWorkspace, probe: async () => null }
+
+    async function run(args, { duration, onProgress, signal } = {}) {
+        if (signal?.aborted) throw abortError(signal)
+
+        const parseProgress = progressParser(duration, onProgress)
+        const logLines = []
+
+        instance.setLogger(({ message }) => {
+            if (!message) return
+            logLines.push(message)
+            parseProgress(message)
+        })
+
+        // exit() stops the command but never settles its promise, so race it against the abort
+        let onAbort
+        const aborted = new Promise((resolve, reject) => {
+            onAbort = () => {
+                backend.broken = true
+                try {
+                    instance.exit()
+                } catch (e) {
+                    // Already exited
+                }
+                reject(abortError(signal))
+            }
+            signal?.addEventListener('abort', onAbort, { once: true })
+        })
+
+        try {
+            await Promise.race([instance.run(...args), aborted])
+        } finally {
+            signal?.removeEventListener('abort', onAbort)
+            if (!backend.broken) instance.setLogger(() => { })
+        }
+
+        return logLines
+    }
+
+    // Everything passes through the virtual filesystem, inside a directory of its own;
+    // close() removes what is left
+    function openWorkspace() {
+        const dir = `/job-${ uniqueId() }`
+        const sizes = new Map()
+        const limitBytes = memoryLimitMb ? memoryLimitMb * 1024 * 1024 : Infinity
+        instance.FS('mkdir', dir)
+
+        const track = (name, size = 0) => {
+            const held = [...sizes.values()].reduce((total, bytes) => total + bytes, 0)
+            if (held + size > limitBytes) {
+                throw new Error(`Job files exceed the ${ memoryLimitMb } MB memory limit of the WASM ffmpeg`)
+            }
+            const filePath = `${ dir }/${ name }`
+            sizes.set(filePath, size)
+            return filePath
+        }
+        const write = (name, data) => {
+            const filePath = track(name, data.length)
+            instance.FS('writeFile', filePath, data)
+            return filePath
+        }
+        const unlink = (filePath) => {
+            sizes.delete(filePath)
+            try {
+                instance.FS('unlink', filePath)
+            } catch (e) {
+                // Never written or already gone
+            }
+        }
+
+        return {
+            input: async (hostPath) => write(path.basename(hostPath), fs.readFileSync(hostPath)),
+            writeFile: write,
+            output: name => track(name),
+            readFile: filePath => instance.FS('readFile', filePath),
+            save: (filePath, hostPath) => {
+                fs.writeFileSync(hostPath, instance.FS('readFile', filePath))
+                unlink(filePath)
+            },
+            remove: unlink,
+            close: () => {
+                if (backend.broken) return
+                [...sizes.keys()].forEach(unlink)
+                instance.FS('rmdir', dir)
+            },
+        }
+    }
+
+    return backend
+}
+
+/**
+ * Pick the preferred available backend and return a factory for its instances,
+ * or null when there is none
+ */
+function selectBackend(options) {
+    const native = BACKEND_PREFERENCE === 'wasm' ? null : detectNativeFFmpeg()
+    if (native) {
+        console.log(`Using native FFmpeg ${ native.version }${ native.ffprobePath ? ' with ffprobe' : '' }`)
+        return async () => createNativeBackend(native, options)
+    }
+    if (BACKEND_PREFERENCE === 'native') {
+        console.warn('⚠️  FFMPEG_BACKEND=native but no ffmpeg binary was found')
+        return null
+    }
+    console.log('Native FFmpeg not found, using FFmpeg (WASM)')
+    return () => createWasmBackend(options)
+}
+
+/**
+ * Pool of `size` isolated backend instances. The first one is created up front to check
+ * that the backend works (resolves with null otherwise); the rest on demand.
+ * acquire() waits while every instance is in use; broken instances are replaced.
+ */
+async function createFFmpegPool({ size = 1, memoryLimitMb = 0 } = {}) {
+    const createInstance = selectBackend({ memoryLimitMb })
+    if (!createInstance) return null
+
+    let first
+    try {
+        first = await createInstance()
+    } catch (error) {
+        console.warn('⚠️  Failed to initialize FFmpeg:', error.message)
+        return null
+    }
+
+    const idle = [first]
+    const waiting = []
+    let created = 1
+
+    async function acquire() {
+        if (idle.length > 0) return idle.pop()
+        if (created < size) {
+            created += 1
+            try {
+                return await createInstance()
+            } catch (error) {
+                created -= 1
+                throw error
+            }
+        }
+        return new Promise((resolve, reject) => waiting.push({ resolve, reject }))
+    }
+
+    function release(instance) {
+        if (instance.broken) {
+            created -= 1
+            if (waiting.length > 0) {
+                created += 1
+                const waiter = waiting.shift()
+                createInstance().then(waiter.resolve, (error) => {
+                    created -= 1
+                    waiter.reject(error)
+                })
+            }
+            return
+        }
+        const waiter = waiting.shift()
+        if (waiter) {
+            waiter.resolve(instance)
+        } else {
+            idle.push(instance)
+        }
+    }
+
+    console.log(`FFmpeg (${ first.name }) ready for ${ size } concurrent job(s)${ memoryLimitMb ? `, ${ memoryLimitMb } MB memory limit` : '' }`)
+    return { name: first.name, version: first.version, ffprobe: first.ffprobe, size, acquire, release }
+}
+
+module.exports = {
+    createFFmpegPool,
+}
@@ -0,0 +1,58 @@
+/**
+ * Job failure classification
+ * Permanent failures (bad input, missing file, unsupported parameters) fail the job at
+ * once; transient ones (ffmpeg not loaded, Redis or database hiccups, I/O errors) are
+ * retried with backoff. Anything unrecognised counts as permanent, so retries are only
+ * spent where they can help. Wrapped errors are classified by their `cause` chain.
+ */
+
+// Node system errors and Prisma codes that describe the environment, not the job
+const TRANSIENT_ERROR_CODES = [
+    'EAGAIN',
+    'EBUSY',
+    'EIO',
+    'EMFILE',
+    'ENFILE',
+    'ENOMEM',
+    'ENOSPC',
+    'EPIPE',
+    'ECONNREFUSED',
+    'ECONNRESET',
+    'ETIMEDOUT',
+    'EAI_AGAIN',
+    'SQLITE_BUSY',
+    'P1001', // Can't reach database server
+    'P1002', // Database server timed out
+    'P1008', // Operation timed out
+    'P1017', // Server closed the connection
+    'P2024', // Timed out fetching a connection from the pool
+]
+
+// Messages of errors that carry no code (ioredis, SQLite through Prisma)
+const TRANSIENT_MESSAGES = /database is locked|Connection is closed|Redis connection|Timed out fetching/i
+
+/**
+ * The job cannot succeed as requested; retrying would fail the same way
+ */
+class PermanentJobError extends Error { }
+
+/**
+ * The job may succeed when tried again later
+ */
+class TransientJobError extends Error { }
+
+function isTransientError(error) {
+    for (let current = error; current; current = current.cause) {
+        if (current instanceof PermanentJobError) return false
+        if (current instanceof TransientJobError) return true
+        if (TRANSIENT_ERROR_CODES.includes(current.code)) return true
+        if (TRANSIENT_MESSAGES.test(current.message || '')) return true
+    }
+    return false
+}
+
+module.exports = {
+    PermanentJobError,
+    TransientJobError,
+    isTransientError,
+}
@@ -0,0 +1,113 @@
+const { audioQueue } = require('../config/redis')
+
+/**
+ * Job event stream
+ * Relays Bull's global queue events (published by the worker) to Server-Sent Event clients.
+ * Queue job ids are the database job ids, so clients can match events to their job list.
+ */
+class JobEventStream {
+    constructor(queue, heartbeatSeconds = 25) {
+        this.queue = queue
+        this.heartbeatSeconds = heartbeatSeconds // Keeps idle connections open through proxies
+        this.clients = new Set()
+        this.listening = false
+        this.heartbeatId = null
+    }
+
+    /**
+     * Subscribe to the queue's global events (once)
+     */
+    listen() {
+        if (this.listening) return
+        this.listening = true
+
+        this.queue.on('global:active', (jobId) => {
+            this.broadcast('active', { jobId })
+        })
+
+        this.queue.on('global:progress', (jobId, data) => {
+            // Workers publish { progress, step } objects; plain numbers come from older jobs
+            const payload = typeof data === 'object' && data !== null ? data : { progress: data }
+            this.broadcast('progress', { jobId, ...payload })
+        })
+
+        this.queue.on('global:completed', (jobId) => {
+            this.broadcast('completed', { jobId })
+        })
+
+        this.queue.on('global:failed', async (jobId, error) => {
+            // A failed attempt the queue will run again is not the job's end
+            this.broadcast(await this.willRetry(jobId) ? 'retrying' : 'failed', { jobId, error })
+        })
+
+        this.heartbeatId = setInterval(() => {
+            for (const res of this.clients) {
+                res.write(': heartbeat\n\n')
+            }
+        }, this.heartbeatSeconds * 1000)
+    }
+
+    /**
+     * Whether a failed job still has attempts left and is waiting to run again
+     */
+    async willRetry(jobId) {
+        try {
+            const job = await this.queue.getJob(jobId)
+            if (!job || job.attemptsMade >= (job.opts.attempts || 1)) return false
+            return await job.getState() !== 'failed'
+        } catch (error) {
+            // Without the queue entry, report the failure as it came
+            return false
+        }
+    }
+
+    /**
+     * Register an SSE response and remove it when the client disconnects
+     */
+    addClient(req, res) {
+        this.listen()
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+        })
+        res.flushHeaders()
+
+        // Tell EventSource how long to wait before reconnecting
+        res.write('retry: 3000\n\n')
+        this.clients.add(res)
+
+        req.on('close', () => {
+            this.clients.delete(res)
+        })
+    }
+
+    /**
+     * Send an event to every connected client
+     */
+    broadcast(event, data) {
+        const message = `event: ${ event }\ndata: ${ JSON.stringify(data) }\n\n`
+        for (const res of this.clients) {
+            res.write(message)
+        }
+    }
+
+    /**
+     * Close all client connections and stop the heartbeat
+     */
+    stop() {
+        if (this.heartbeatId) {
+            clearInterval(this.heartbeatId)
+            this.heartbeatId = null
+        }
+        for (const res of this.clients) {
+            res.end()
+        }
+        this.clients.clear()
+    }
+}
+
+const jobEventStream = new JobEventStream(audioQueue)
+
+module.exports = { JobEventStream, jobEventStream }
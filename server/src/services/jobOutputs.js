@@ -0,0 +1,18 @@
+const path = require('path')
+
+/**
+ * Output files a job wrote, as recorded in its stored result. Only files named after the
+ * job (see outputBaseName in the worker) are returned: outputs written before job ids
+ * were part of file names can be shared with other jobs on the same upload, so they are
+ * never deleted on behalf of one job. A pipeline's own result points at its last step's
+ * output, which belongs to that step.
+ */
+function ownedOutputFiles(job) {
+    if (!job.result) return []
+    const { outputPath, outputFiles = [] } = JSON.parse(job.result)
+    return [outputPath, ...outputFiles].filter(filePath => filePath && path.basename(filePath).includes(job.id))
+}
+
+module.exports = {
+    ownedOutputFiles,
+}
@@ -0,0 +1,149 @@
+const client = require('prom-client')
+
+/**
+ * Prometheus metrics
+ * The API and the worker each load this module and serve their own registry: the API on
+ * GET /metrics, the worker on WORKER_METRICS_PORT. Metrics a process never records have
+ * no samples in its output.
+ */
+const register = new client.Registry()
+client.collectDefaultMetrics({ register })
+
+const httpRequestsTotal = new client.Counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests handled, by route',
+    labelNames: ['method', 'route', 'status'],
+    registers: [register],
+})
+
+const httpRequestDuration = new client.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency, by route',
+    labelNames: ['method', 'route', 'status'],
+    buckets: [0.005, 0.025, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+    registers: [register],
+})
+
+const uploadBytesTotal = new client.Counter({
+    name: 'audio_upload_bytes_total',
+    help: 'Audio bytes received, by upload method (multipart or resumable)',
+    labelNames: ['method'],
+    registers: [register],
+})
+
+const jobsGauge = new client.Gauge({
+    name: 'audio_jobs',
+    help: 'Top-level jobs in the database, by type and status',
+    labelNames: ['type', 'status'],
+    registers: [register],
+})
+
+const jobProcessingDuration = new client.Histogram({
+    name: 'audio_job_processing_duration_seconds',
+    help: 'Time a worker spent on one job attempt, by type and outcome (completed, failed, retrying, cancelled)',
+    labelNames: ['type', 'outcome'],
+    buckets: [0.5, 1, 5, 15, 30, 60, 120, 300, 600, 1800, 3600],
+    registers: [register],
+})
+
+const ffmpegAvailableGauge = new client.Gauge({
+    name: 'audio_ffmpeg_available',
+    help: 'Whether ffmpeg is available to the worker (1) or not (0), with the backend in use',
+    labelNames: ['backend'],
+    registers: [register],
+})
+
+const cleanupRunsTotal = new client.Counter({
+    name: 'audio_cleanup_runs_total',
+    help: 'Automatic cleanup runs, by task (jobs or uploads) and result (success or error)',
+    labelNames: ['task', 'result'],
+    registers: [register],
+})
+
+const cleanupDeletedTotal = new client.Counter({
+    name: 'audio_cleanup_deleted_total',
+    help: 'Items removed by automatic cleanup (jobs, files, uploads)',
+    labelNames: ['kind'],
+    registers: [register],
+})
+
+const cleanupLastRun = new client.Gauge({
+    name: 'audio_cleanup_last_run_timestamp_seconds',
+    help: 'When automatic cleanup last finished, by task',
+    labelNames: ['task'],
+    registers: [register],
+})
+
+/**
+ * Express middleware counting requests and their latency. Routes are labelled by
+ * their pattern (/api/upload/job/:jobId), not the concrete path, to keep label sets small.
+ */
+function httpMetrics(req, res, next) {
+    const endTimer = httpRequestDuration.startTimer()
+    res.on('finish', () => {
+        const labels = {
+            method: req.method,
+            route: req.route ? `${ req.baseUrl }${ req.route.path }` : 'unmatched',
+            status: res.statusCode,
+        }
+        endTimer(labels)
+        httpRequestsTotal.inc(labels)
+    })
+    next()
+}
+
+/**
+ * Record the ffmpeg backend the worker uses, or null when none is available
+ */
+function setFFmpegAvailable(backend) {
+    ffmpegAvailableGauge.reset()
+    ffmpegAvailableGauge.set({ backend: backend || 'none' }, backend ? 1 : 0)
+}
+
+/**
+ * Replace the job gauge with rows of { type, status, _count }
+ */
+function setJobCounts(rows) {
+    jobsGauge.reset()
+    for (const { type, status, _count } of rows) {
+        jobsGauge.set({ type, status }, _count)
+    }
+}
+
+/**
+ * Record the outcome of a cleanup task ({ jobsDeleted, filesDeleted, uploadsDeleted, error })
+ */
+function recordCleanupRun(task, result) {
+    cleanupRunsTotal.inc({ task, result: result.error ? 'error' : 'success' })
+    cleanupLastRun.set({ task }, Date.now() / 1000)
+    const deleted = { jobs: result.jobsDeleted, files: result.filesDeleted, uploads: result.uploadsDeleted }
+    for (const [kind, count] of Object.entries(deleted)) {
+        if (count) cleanupDeletedTotal.inc({ kind }, count)
+    }
+}
+
+/**
+ * Metrics in the Prometheus text format, after running `beforeScrape` (to refresh
+ * gauges that are read on demand)
+ */
+async function renderMetrics(beforeScrape) {
+    if (beforeScrape) {
+        try {
+            await beforeScrape()
+        } catch (error) {
+            // Serve what is there; the stale gauges are better than no metrics at all
+            console.warn('Failed to refresh metrics:', error.message)
+        }
+    }
+    return { contentType: register.contentType, body: await register.metrics() }
+}
+
+module.exports = {
+    uploadBytesTotal,
+    jobProcessingDuration,
+    httpMetrics,
+    setFFmpegAvailable,
+    setJobCounts,
+    recordCleanupRun,
+    renderMetrics,
+}
@@ -0,0 +1,104 @@
+const { PrismaClient } = require('@prisma/client')
+const { audioQueue } = require('../config/redis')
+
+const prisma = new PrismaClient()
+
+/**
+ * Queue statistics for the admin API
+ * Live counts come from Bull; throughput and processing times come from the job rows
+ * finished within the window, since Bull only keeps what its retention settings allow.
+ */
+async function getQueueStats({ windowHours = 24 } = {}) {
+    const now = Date.now()
+    const since = new Date(now - windowHours * 60 * 60 * 1000)
+
+    const [counts, paused, finished, oldestImmediate, oldestScheduled, deadLetter] = await Promise.all([
+        audioQueue.getJobCounts(),
+        audioQueue.isPaused(),
+        prisma.job.findMany({
+            where: {
+                parentId: null,
+                status: { in: ['COMPLETED', 'FAILED'] },
+                updatedAt: { gte: since },
+            },
+            select: { type: true, status: true, startedAt: true, completedAt: true },
+        }),
+        // Jobs wait from when they were created, scheduled ones from their start time.
+        // (updatedAt moves with every progress and retry write, so it cannot date the wait.)
+        prisma.job.findFirst({
+            where: { parentId: null, status: 'PENDING', runAt: null },
+            orderBy: { createdAt: 'asc' },
+            select: { id: true, type: true, createdAt: true },
+        }),
+        prisma.job.findFirst({
+            where: { parentId: null, status: 'PENDING', runAt: { lte: new Date(now) } },
+            orderBy: { runAt: 'asc' },
+            select: { id: true, type: true, createdAt: true, runAt: true },
+        }),
+        prisma.job.count({ where: { deadLetteredAt: { not: null } } }),
+    ])
+
+    const byType = {}
+    const durations = []
+    for (const job of finished) {
+        const entry = byType[job.type] ||= { completed: 0, failed: 0, durations: [] }
+        if (job.status === 'FAILED') {
+            entry.failed++
+            continue
+        }
+        entry.completed++
+        if (job.startedAt && job.completedAt) {
+            const seconds = (job.completedAt - job.startedAt) / 1000
+            entry.durations.push(seconds)
+            durations.push(seconds)
+        }
+    }
+
+    const throughput = Object.fromEntries(Object.entries(byType).map(([type, { completed, failed, durations: typeDurations }]) => [type, {
+        completed,
+        failed,
+        completedPerHour: round(completed / windowHours),
+        avgProcessingSeconds: average(typeDurations),
+    }]))
+
+    const waitingSince = (job) => Math.max(job.createdAt.getTime(), job.runAt?.getTime() || 0)
+    const oldestWaiting = [oldestImmediate, oldestScheduled]
+        .filter(Boolean)
+        .sort((a, b) => waitingSince(a) - waitingSince(b))[0] ?? null
+
+    return {
+        paused,
+        counts: {
+            waiting: counts.waiting,
+            active: counts.active,
+            completed: counts.completed,
+            failed: counts.failed,
+            delayed: counts.delayed,
+            paused: counts.paused || 0,
+        },
+        oldestWaiting: oldestWaiting && {
+            jobId: oldestWaiting.id,
+            type: oldestWaiting.type,
+            ageSeconds: Math.max(0, Math.round((now - waitingSince(oldestWaiting)) / 1000)),
+        },
+        deadLetter,
+        window: {
+            hours: windowHours,
+            since,
+        },
+        throughput,
+        avgProcessingSeconds: average(durations),
+    }
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100
+}
+
+function average(values) {
+    return values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null
+}
+
+module.exports = {
+    getQueueStats,
+}
@@ -0,0 +1,127 @@
+const archiver = require('archiver')
+const fs = require('fs')
+const path = require('path')
+
+/**
+ * Zip bundles of job outputs
+ * Every job gets its own folder (pipeline steps get a subfolder each), and
+ * manifest.json at the root records each job's parameters and stored result.
+ */
+
+function parseJson(value) {
+    if (!value) return null
+    try {
+        return JSON.parse(value)
+    } catch (e) {
+        return value
+    }
+}
+
+// Keep archive entry names portable: no separators or control characters
+function safeName(name) {
+    return String(name).replace(/[\\/:*?"<>|\x00-\x1f]+/g, '_').slice(0, 100)
+}
+
+/**
+ * Output files of a job that are still on disk
+ */
+function existingOutputs(result, uploadDir) {
+    if (!result || typeof result !== 'object') return []
+    return [result.outputPath, ...(result.outputFiles || [])]
+        .filter(Boolean)
+        .map(outputPath => path.join(uploadDir, path.basename(outputPath)))
+        .filter((filePath, index, all) => all.indexOf(filePath) === index && fs.existsSync(filePath))
+}
+
+/**
+ * Queue a job's outputs under `folder` and describe them for the manifest
+ */
+function addJobEntries(archive, job, folder, uploadDir) {
+    const result = parseJson(job.result)
+    const files = existingOutputs(result, uploadDir).map((filePath) => {
+        const entryName = `${ folder }/${ path.basename(filePath) }`
+        archive.file(filePath, { name: entryName })
+        return entryName
+    })
+
+    return {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        params: parseJson(job.params),
+        result,
+        error: job.error || undefined,
+        createdAt: job.createdAt,
+        completedAt: job.completedAt,
+        files,
+    }
+}
+
+/**
+ * Stream a zip of the given jobs' outputs to an Express response.
+ * Jobs must include `audioFile` and `steps`.
+ */
+function streamJobArchive(res, jobs, { archiveName, missingIds = [] } = {}) {
+    const uploadDir = process.env.UPLOAD_DIR || './uploads'
+    const archive = archiver('zip', { zlib: { level: 6 } })
+
+    archive.on('warning', (error) => {
+        console.warn('Archive warning:', error.message)
+    })
+    archive.on('error', (error) => {
+        console.error('Archive error:', error)
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Failed to build archive', message: error.message, code: 'ARCHIVE_FAILED' })
+        } else {
+            res.destroy(error)
+        }
+    })
+
+    // Header values must be ASCII; the UTF-8 name goes in filename* (RFC 5987)
+    const fileName = `${ safeName(archiveName) }.zip`
+    res.set({
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="${ fileName.replace(/[^\x20-\x7e]/g, '_') }"; filename*=UTF-8''${ encodeURIComponent(fileName) }`,
+    })
+    archive.pipe(res)
+
+    const manifestJobs = jobs.map((job, index) => {
+        const baseName = path.parse(job.audioFile.originalName).name
+        const folder = safeName(`${ String(index + 1).padStart(2, '0') }-${ baseName }-${ job.type }`)
+        const entry = addJobEntries(archive, job, folder, uploadDir)
+
+        if (job.steps?.length) {
+            entry.steps = job.steps.map(step => addJobEntries(
+                archive,
+                step,
+                `${ folder }/${ safeName(`step-${ step.stepIndex + 1 }-${ step.type }`) }`,
+                uploadDir,
+            ))
+        }
+
+        return {
+            ...entry,
+            audioFile: {
+                id: job.audioFile.id,
+                originalName: job.audioFile.originalName,
+                mimeType: job.audioFile.mimeType,
+                size: job.audioFile.size,
+            },
+        }
+    })
+
+    const manifest = {
+        createdAt: new Date().toISOString(),
+        jobs: manifestJobs,
+        ...(missingIds.length > 0 && { missingJobIds: missingIds }),
+    }
+    archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' })
+
+    archive.finalize().catch(() => {
+        // Already reported through the 'error' handler
+    })
+}
+
+module.exports = {
+    streamJobArchive,
+}
@@ -0,0 +1,265 @@
+/**
+ * Signal analysis for decoded PCM audio
+ * Works on interleaved signed 16-bit samples as produced by `ffmpeg -f s16le`.
+ */
+
+const FULL_SCALE = 32768
+const SILENCE_WINDOW_SECONDS = 0.05
+const FFT_SIZE = 4096
+const MAX_FFT_FRAMES = 256
+const SPECTRUM_BANDS = 128
+const SPECTRUM_MIN_FREQUENCY = 20
+// Spectrum content this far below the peak bin counts as "no signal" for bandwidth
+const BANDWIDTH_FLOOR_DB = 60
+
+function toDb(value) {
+    return value > 0 ? Math.round(20 * Math.log10(value) * 100) / 100 : null
+}
+
+function round(value, digits = 4) {
+    const factor = Math.pow(10, digits)
+    return Math.round(value * factor) / factor
+}
+
+/**
+ * In-place iterative radix-2 FFT
+ */
+function fft(real, imag) {
+    const n = real.length
+
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1
+        for (; j & bit; bit >>= 1) {
+            j ^= bit
+        }
+        j ^= bit
+        if (i < j) {
+            [real[i], real[j]] = [real[j], real[i]];
+            [imag[i], imag[j]] = [imag[j], imag[i]]
+        }
+    }
+
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = (-2 * Math.PI) / size
+        const wReal = Math.cos(angle)
+        const wImag = Math.sin(angle)
+        for (let start = 0; start < n; start += size) {
+            let curReal = 1
+            let curImag = 0
+            for (let k = 0; k < size / 2; k++) {
+                const a = start + k
+                const b = a + size / 2
+                const tReal = real[b] * curReal - imag[b] * curImag
+                const tImag = real[b] * curImag + imag[b] * curReal
+                real[b] = real[a] - tReal
+                imag[b] = imag[a] - tImag
+                real[a] += tReal
+                imag[a] += tImag
+                const nextReal = curReal * wReal - curImag * wImag
+                curImag = curReal * wImag + curImag * wReal
+                curReal = nextReal
+            }
+        }
+    }
+}
+
+/**
+ * Per-channel peak, RMS, clipping and DC offset
+ */
+function measureChannels(samples, channels) {
+    const frames = Math.floor(samples.length / channels)
+    const stats = Array.from({ length: channels }, () => ({ sum: 0, sumSquares: 0, peak: 0, clipped: 0 }))
+
+    for (let i = 0; i < frames; i++) {
+        for (let c = 0; c < channels; c++) {
+            const sample = samples[i * channels + c]
+            const value = sample / FULL_SCALE
+            const stat = stats[c]
+            stat.sum += value
+            stat.sumSquares += value * value
+            const magnitude = Math.abs(value)
+            if (magnitude > stat.peak) stat.peak = magnitude
+            // Samples pinned at either rail count as clipped
+            if (sample >= FULL_SCALE - 1 || sample <= -FULL_SCALE) stat.clipped++
+        }
+    }
+
+    return stats.map((stat, channel) => {
+        const dcOffset = frames ? stat.sum / frames : 0
+        return {
+            channel,
+            peakDb: toDb(stat.peak),
+            rmsDb: toDb(frames ? Math.sqrt(stat.sumSquares / frames) : 0),
+            clippedSamples: stat.clipped,
+            dcOffset: round(dcOffset, 6),
+            dcOffsetPercent: round(dcOffset * 100, 3),
+        }
+    })
+}
+
+/**
+ * Find stretches where the mixed-down level stays under the threshold
+ */
+function findSilence(samples, channels, sampleRate, { thresholdDb, minDuration }) {
+    const frames = Math.floor(samples.length / channels)
+    const windowFrames = Math.max(1, Math.round(sampleRate * SILENCE_WINDOW_SECONDS))
+    const thresholdPower = Math.pow(10, thresholdDb / 10)
+    const regions = []
+    let silenceStart = null
+
+    const closeRegion = (endFrame) => {
+        const start = silenceStart / sampleRate
+        const end = endFrame / sampleRate
+        if (end - start >= minDuration) {
+            regions.push({ start: round(start, 3), end: round(end, 3), duration: round(end - start, 3) })
+        }
+        silenceStart = null
+    }
+
+    for (let windowStart = 0; windowStart < frames; windowStart += windowFrames) {
+        const windowEnd = Math.min(frames, windowStart + windowFrames)
+        let power = 0
+        for (let i = windowStart; i < windowEnd; i++) {
+            let mixed = 0
+            for (let c = 0; c < channels; c++) {
+                mixed += samples[i * channels + c]
+            }
+            mixed /= channels * FULL_SCALE
+            power += mixed * mixed
+        }
+        power /= windowEnd - windowStart
+
+        if (power < thresholdPower) {
+            if (silenceStart === null) silenceStart = windowStart
+        } else if (silenceStart !== null) {
+            closeRegion(windowStart)
+        }
+    }
+    if (silenceStart !== null) closeRegion(frames)
+
+    return {
+        thresholdDb,
+        minDuration,
+        regions,
+        totalDuration: round(regions.reduce((sum, region) => sum + region.duration, 0), 3),
+    }
+}
+
+/**
+ * Average the power spectrum over evenly spaced frames, then summarize it into
+ * log-spaced bands and estimate the effective bandwidth.
+ */
+function measureSpectrum(samples, channels, sampleRate) {
+    const frames = Math.floor(samples.length / channels)
+    const nyquistHz = sampleRate / 2
+    const bins = FFT_SIZE / 2
+    const binHz = sampleRate / FFT_SIZE
+
+    if (frames < FFT_SIZE) {
+        return { spectrum: { fftSize: FFT_SIZE, bands: [] }, bandwidth: { effectiveHz: null, nyquistHz, likelyUpsampled: false } }
+    }
+
+    const window = new Float64Array(FFT_SIZE)
+    let windowSum = 0
+    for (let i = 0; i < FFT_SIZE; i++) {
+        window[i] = 0.5 * (1 - Math.cos((2 * Math.PI * i) / (FFT_SIZE - 1)))
+        windowSum += window[i]
+    }
+
+    const frameCount = Math.min(MAX_FFT_FRAMES, Math.floor(frames / FFT_SIZE))
+    const hop = Math.floor((frames - FFT_SIZE) / Math.max(1, frameCount - 1)) || FFT_SIZE
+    const power = new Float64Array(bins)
+    const real = new Float64Array(FFT_SIZE)
+    const imag = new Float64Array(FFT_SIZE)
+
+    for (let f = 0; f < frameCount; f++) {
+        const offset = f * hop
+        for (let i = 0; i < FFT_SIZE; i++) {
+            let mixed = 0
+            for (let c = 0; c < channels; c++) {
+                mixed += samples[(offset + i) * channels + c]
+            }
+            real[i] = (mixed / (channels * FULL_SCALE)) * window[i]
+            imag[i] = 0
+        }
+        fft(real, imag)
+        for (let k = 0; k < bins; k++) {
+            power[k] += real[k] * real[k] + imag[k] * imag[k]
+        }
+    }
+
+    // Scale so a full-scale sine reads close to 0 dBFS
+    const scale = 4 / (windowSum * windowSum * frameCount)
+    const binDb = Array.from(power, (p) => (p > 0 ? 10 * Math.log10(p * scale) : -200))
+
+    const bands = []
+    const logMin = Math.log10(SPECTRUM_MIN_FREQUENCY)
+    const logMax = Math.log10(nyquistHz)
+    for (let b = 0; b < SPECTRUM_BANDS; b++) {
+        const low = Math.pow(10, logMin + ((logMax - logMin) * b) / SPECTRUM_BANDS)
+        const high = Math.pow(10, logMin + ((logMax - logMin) * (b + 1)) / SPECTRUM_BANDS)
+        const firstBin = Math.max(1, Math.floor(low / binHz))
+        const lastBin = Math.min(bins - 1, Math.max(firstBin, Math.floor(high / binHz)))
+        let bandPower = 0
+        for (let k = firstBin; k <= lastBin; k++) {
+            bandPower += power[k] * scale
+        }
+        bandPower /= lastBin - firstBin + 1
+        bands.push({
+            frequency: Math.round(Math.sqrt(low * high)),
+            db: bandPower > 0 ? round(10 * Math.log10(bandPower), 1) : -200,
+        })
+    }
+
+    // Highest bin that still carries content relative to the loudest bin
+    const peakDb = Math.max(...binDb.slice(1))
+    let effectiveBin = 1
+    for (let k = bins - 1; k > 0; k--) {
+        if (binDb[k] > peakDb - BANDWIDTH_FLOOR_DB) {
+            effectiveBin = k
+            break
+        }
+    }
+    const effectiveHz = Math.round(effectiveBin * binHz)
+    // A hard cutoff well below Nyquist suggests a lossy or lower-rate source
+    const likelyUpsampled = effectiveHz < nyquistHz * 0.85 && nyquistHz - effectiveHz > 2000
+
+    return {
+        spectrum: { fftSize: FFT_SIZE, framesAnalyzed: frameCount, bands },
+        bandwidth: {
+            effectiveHz,
+            nyquistHz,
+            likelyUpsampled,
+            note: likelyUpsampled
+                ? `Content stops near ${ (effectiveHz / 1000).toFixed(1) } kHz, well below the ${ (nyquistHz / 1000).toFixed(1) } kHz Nyquist limit. The file was likely transcoded from a lossy or lower sample rate source.`
+                : 'Frequency content extends close to the Nyquist limit.',
+        },
+    }
+}
+
+/**
+ * Analyze interleaved 16-bit PCM samples
+ */
+function analyzeSignal(samples, { channels, sampleRate, silenceThresholdDb = -50, minSilenceDuration = 0.5 }) {
+    const frames = Math.floor(samples.length / channels)
+    const { spectrum, bandwidth } = measureSpectrum(samples, channels, sampleRate)
+
+    return {
+        sampleRate,
+        channelCount: channels,
+        analyzedDuration: round(frames / sampleRate, 3),
+        channels: measureChannels(samples, channels),
+        silence: findSilence(samples, channels, sampleRate, {
+            thresholdDb: silenceThresholdDb,
+            minDuration: minSilenceDuration,
+        }),
+        spectrum,
+        bandwidth,
+    }
+}
+
+module.exports = {
+    analyzeSignal,
+    findSilence,
+    fft,
+}
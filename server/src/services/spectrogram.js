@@ -0,0 +1,107 @@
+/**
+ * Spectrogram rendering for decoded mono PCM audio
+ * Produces raw RGB24 pixels (time left to right, frequency bottom to top)
+ * for ffmpeg to encode as an image.
+ */
+const { fft } = require('./signalAnalysis')
+const { SPECTROGRAM_COLOR_MAPS } = require('../config/spectrogram')
+
+const FULL_SCALE = 32768
+const MIN_LOG_FREQUENCY = 20
+
+/**
+ * Expand a color map's stops into a 256-entry RGB lookup table
+ */
+function buildPalette(colorMap) {
+    const { stops } = SPECTROGRAM_COLOR_MAPS[colorMap]
+    const palette = new Uint8Array(256 * 3)
+
+    for (let i = 0; i < 256; i++) {
+        const position = i / 255
+        const upper = Math.max(1, stops.findIndex(([stop]) => stop >= position))
+        const [lowPos, lowColor] = stops[upper - 1]
+        const [highPos, highColor] = stops[upper]
+        const t = highPos === lowPos ? 0 : (position - lowPos) / (highPos - lowPos)
+        for (let c = 0; c < 3; c++) {
+            palette[i * 3 + c] = Math.round(lowColor[c] + (highColor[c] - lowColor[c]) * t)
+        }
+    }
+
+    return palette
+}
+
+/**
+ * Frequency range (in FFT bins) covered by each image row, top row first
+ */
+function buildRowBins(height, fftSize, sampleRate, frequencyScale) {
+    const nyquist = sampleRate / 2
+    const binHz = sampleRate / fftSize
+    const maxBin = fftSize / 2 - 1
+    const edge = (fraction) => (frequencyScale === 'log'
+        ? MIN_LOG_FREQUENCY * Math.pow(nyquist / MIN_LOG_FREQUENCY, fraction)
+        : nyquist * fraction)
+
+    return Array.from({ length: height }, (_, row) => {
+        const low = edge((height - row - 1) / height)
+        const high = edge((height - row) / height)
+        const firstBin = Math.min(maxBin, Math.max(1, Math.floor(low / binHz)))
+        const lastBin = Math.min(maxBin, Math.max(firstBin, Math.floor(high / binHz)))
+        return [firstBin, lastBin]
+    })
+}
+
+/**
+ * Render a spectrogram of mono 16-bit samples
+ */
+function renderSpectrogram(samples, { sampleRate, width, height, fftSize, frequencyScale, colorMap, dynamicRange }) {
+    const pixels = Buffer.alloc(width * height * 3)
+    const palette = buildPalette(colorMap)
+    const rowBins = buildRowBins(height, fftSize, sampleRate, frequencyScale)
+
+    const window = new Float64Array(fftSize)
+    let windowSum = 0
+    for (let i = 0; i < fftSize; i++) {
+        window[i] = 0.5 * (1 - Math.cos((2 * Math.PI * i) / (fftSize - 1)))
+        windowSum += window[i]
+    }
+    // Scale so a full-scale sine reads close to 0 dBFS
+    const scale = 4 / (windowSum * windowSum)
+
+    const real = new Float64Array(fftSize)
+    const imag = new Float64Array(fftSize)
+    const power = new Float64Array(fftSize / 2)
+    const hop = Math.max(0, samples.length - fftSize) / Math.max(1, width - 1)
+
+    for (let x = 0; x < width; x++) {
+        const offset = Math.round(x * hop)
+        for (let i = 0; i < fftSize; i++) {
+            const sample = offset + i < samples.length ? samples[offset + i] : 0
+            real[i] = (sample / FULL_SCALE) * window[i]
+            imag[i] = 0
+        }
+        fft(real, imag)
+        for (let k = 0; k < power.length; k++) {
+            power[k] = (real[k] * real[k] + imag[k] * imag[k]) * scale
+        }
+
+        for (let y = 0; y < height; y++) {
+            const [firstBin, lastBin] = rowBins[y]
+            let peak = 0
+            for (let k = firstBin; k <= lastBin; k++) {
+                if (power[k] > peak) peak = power[k]
+            }
+            const db = peak > 0 ? 10 * Math.log10(peak) : -Infinity
+            const level = Math.max(0, Math.min(255, Math.round(((db + dynamicRange) / dynamicRange) * 255)))
+            const pixel = (y * width + x) * 3
+            pixels[pixel] = palette[level * 3]
+            pixels[pixel + 1] = palette[level * 3 + 1]
+            pixels[pixel + 2] = palette[level * 3 + 2]
+        }
+    }
+
+    return pixels
+}
+
+module.exports = {
+    renderSpectrogram,
+}
@@ -0,0 +1,133 @@
+/**
+ * Waveform peak data in the BBC audiowaveform formats
+ * Works on interleaved signed 16-bit samples as produced by `ffmpeg -f s16le`.
+ * See https://github.com/bbc/audiowaveform/blob/master/doc/DataFormat.md
+ */
+
+const DATA_FORMAT_VERSION = 2
+const DAT_HEADER_BYTES = 24
+const FLAG_8_BIT = 0x1
+
+/**
+ * Compute min/max pairs for every `samplesPerPixel` frames.
+ * Channels are averaged into one unless `splitChannels` is set.
+ * Returns an object shaped like audiowaveform's JSON output.
+ */
+function computePeaks(samples, { channels, sampleRate, samplesPerPixel, bits = 8, splitChannels = false }) {
+    const frames = Math.floor(samples.length / channels)
+    const outputChannels = splitChannels ? channels : 1
+    const length = Math.ceil(frames / samplesPerPixel)
+    // 8-bit data keeps the high byte of each 16-bit sample
+    const shift = bits === 8 ? 8 : 0
+    const data = new Array(length * outputChannels * 2)
+
+    for (let point = 0; point < length; point++) {
+        const start = point * samplesPerPixel
+        const end = Math.min(frames, start + samplesPerPixel)
+        const min = new Array(outputChannels).fill(Infinity)
+        const max = new Array(outputChannels).fill(-Infinity)
+
+        for (let i = start; i < end; i++) {
+            if (splitChannels) {
+                for (let c = 0; c < channels; c++) {
+                    const sample = samples[i * channels + c]
+                    if (sample < min[c]) min[c] = sample
+                    if (sample > max[c]) max[c] = sample
+                }
+            } else {
+                let sum = 0
+                for (let c = 0; c < channels; c++) {
+                    sum += samples[i * channels + c]
+                }
+                const sample = Math.trunc(sum / channels)
+                if (sample < min[0]) min[0] = sample
+                if (sample > max[0]) max[0] = sample
+            }
+        }
+
+        // Points are stored point-major: [min, max] for channel 0, then channel 1, ...
+        for (let c = 0; c < outputChannels; c++) {
+            const offset = (point * outputChannels + c) * 2
+            data[offset] = min[c] >> shift
+            data[offset + 1] = max[c] >> shift
+        }
+    }
+
+    return {
+        version: DATA_FORMAT_VERSION,
+        channels: outputChannels,
+        sample_rate: sampleRate,
+        samples_per_pixel: samplesPerPixel,
+        bits,
+        length,
+        data,
+    }
+}
+
+/**
+ * Encode peaks as an audiowaveform binary .dat file (version 2, little-endian)
+ */
+function encodeDat(peaks) {
+    const bytesPerValue = peaks.bits === 8 ? 1 : 2
+    const buffer = Buffer.alloc(DAT_HEADER_BYTES + peaks.data.length * bytesPerValue)
+
+    buffer.writeInt32LE(peaks.version, 0)
+    buffer.writeUInt32LE(peaks.bits === 8 ? FLAG_8_BIT : 0, 4)
+    buffer.writeInt32LE(peaks.sample_rate, 8)
+    buffer.writeInt32LE(peaks.samples_per_pixel, 12)
+    buffer.writeUInt32LE(peaks.length, 16)
+    buffer.writeInt32LE(peaks.channels, 20)
+
+    peaks.data.forEach((value, index) => {
+        if (bytesPerValue === 1) {
+            buffer.writeInt8(value, DAT_HEADER_BYTES + index)
+        } else {
+            buffer.writeInt16LE(value, DAT_HEADER_BYTES + index * 2)
+        }
+    })
+
+    return buffer
+}
+
+/**
+ * Render peaks as an SVG image. Peaks should have roughly one point per pixel.
+ * Bars fill each column from min to max; line traces the min/max outline.
+ */
+function renderSvg(peaks, { width, height, style, foregroundColor, backgroundColor }) {
+    const range = peaks.bits === 8 ? 128 : 32768
+    const laneHeight = height / peaks.channels
+    const xScale = width / Math.max(1, peaks.length)
+    const paths = []
+
+    for (let c = 0; c < peaks.channels; c++) {
+        const center = laneHeight * c + laneHeight / 2
+        const y = (value) => (center - (value / range) * (laneHeight / 2)).toFixed(1)
+        const tops = []
+        const bottoms = []
+
+        for (let point = 0; point < peaks.length; point++) {
+            const offset = (point * peaks.channels + c) * 2
+            const x = (point * xScale).toFixed(1)
+            tops.push(`${ x },${ y(peaks.data[offset + 1]) }`)
+            bottoms.push(`${ x },${ y(peaks.data[offset]) }`)
+        }
+
+        if (style === 'line') {
+            paths.push(`<path d="M${ tops.join('L') }M${ bottoms.join('L') }" fill="none" stroke="${ foregroundColor }" stroke-width="1"/>`)
+        } else {
+            paths.push(`<path d="M${ tops.join('L') }L${ bottoms.reverse().join('L') }Z" fill="${ foregroundColor }"/>`)
+        }
+    }
+
+    const background = backgroundColor === 'transparent'
+        ? ''
+        : `<rect width="100%" height="100%" fill="${ backgroundColor }"/>`
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${ width }" height="${ height }" viewBox="0 0 ${ width } ${ height }">${ background }${ paths.join('') }</svg>`
+}
+
+module.exports = {
+    computePeaks,
+    encodeDat,
+    renderSvg,
+}
@@ -1,44 +1,117 @@
-const { audioQueue } = require('../config/redis')
+const { audioQueue, redisClient, JOB_CANCEL_CHANNEL, FFMPEG_STATUS_KEY } = require('../config/redis')
 const { PrismaClient } = require('@prisma/client')
 const fs = require('fs')
 const path = require('path')
+const http = require('http')
+const { AsyncLocalStorage } = require('async_hooks')
 const mm = require('music-metadata')
-const { createFFmpeg, fetchFile } = require('@ffmpeg/ffmpeg')
+const { FORMAT_PROFILES, resolveEncoderSettings, buildEncoderArgs } = require('../config/formats')
+const { resolveLoudnessTarget } = require('../config/loudness')
+const { resolveWaveformOptions, buildWaveformImageFilter } = require('../config/waveform')
+const { resolveSpectrogramOptions } = require('../config/spectrogram')
+const { resolveSliceOptions, codecFrameSamples } = require('../config/slice')
+const { resolveSplitOptions, segmentsBetweenSilence } = require('../config/split')
+const { analyzeSignal, findSilence } = require('../services/signalAnalysis')
+const { computePeaks, encodeDat, renderSvg } = require('../services/waveformPeaks')
+const { renderSpectrogram } = require('../services/spectrogram')
+const { getProcessor } = require('../processors')
+const { createFFmpegPool } = require('../services/ffmpegBackend')
+const { PermanentJobError, TransientJobError, isTransientError } = require('../services/jobErrors')
+const { ownedOutputFiles } = require('../services/jobOutputs')
+const { jobProcessingDuration, setFFmpegAvailable, renderMetrics } = require('../services/metrics')
 const prisma = new PrismaClient()
 
-// Initialize FFmpeg instance
-let ffmpegInstance = null
+// Jobs processed at the same time; each gets its own ffmpeg instance from the pool
+const WORKER_CONCURRENCY = Math.max(1, parseInt(process.env.WORKER_CONCURRENCY || '1', 10))
+
+// Per-job limits (0 disables): wall-clock time, and memory of the ffmpeg process
+const JOB_TIMEOUT_SECONDS = parseInt(process.env.JOB_TIMEOUT_SECONDS || '3600', 10)
+const JOB_MEMORY_LIMIT_MB = parseInt(process.env.JOB_MEMORY_LIMIT_MB || '2048', 10)
+
+// Port of the worker's Prometheus metrics endpoint (0 disables it)
+const WORKER_METRICS_PORT = parseInt(process.env.WORKER_METRICS_PORT || '9091', 10)
+
+// Pool of ffmpeg instances (native binary or WASM), null when neither is available
+let ffmpegPool = null
 let ffmpegAvailable = false
 
+// The ffmpeg instance and abort signal of the job the current code runs for
+const jobContext = new AsyncLocalStorage()
+
+// Abort controllers of the jobs this worker is running, by job id
+const activeJobs = new Map()
+
+// Receives cancel requests published by the API
+let cancelSubscriber = null
+
+// Serves GET /metrics for this worker
+let metricsServer = null
+
+// The ffmpeg status this worker publishes for GET /api/upload/features expires unless refreshed,
+// so it disappears when no worker is running
+const FFMPEG_STATUS_TTL_SECONDS = 60
+let ffmpegStatusTimer = null
+
+/**
+ * A job stopped because it was cancelled through the API
+ */
+class JobCancelledError extends Error {
+    constructor(message = 'Job was cancelled') {
+        super(message)
+    }
+}
+
 // Export ffmpegAvailable for status checks
 module.exports.ffmpegAvailable = () => ffmpegAvailable
 
 async function initFFmpeg() {
-    try {
-        console.log('Initializing FFmpeg (WASM)...')
-        // Configure FFmpeg with core p ath for Node.js
-        const coreModulePath = require.resolve('@ffmpeg/core/package.json')
-        const coreDir = path.dirname(coreModulePath)
-        const corePath = path.join(coreDir, 'dist', 'umd', 'ffmpeg-core.js')
-        const wasmPath = path.join(coreDir, 'dist', 'umd')
-
-        ffmpegInstance = createFFmpeg({
-            log: false,
-            corePath: corePath,
-            wasmPath: wasmPath,
-        })
-        await ffmpegInstance.load()
-        ffmpegAvailable = true
-        console.log('✅ FFmpeg (WASM) initialized successfully')
-    } catch (error) {
-        console.warn('⚠️  Failed to initialize FFmpeg:', error.message)
-        console.warn('   Some features (convert, slice, waveform) will be disabled.')
-        ffmpegAvailable = false
+    ffmpegPool = await createFFmpegPool({ size: WORKER_CONCURRENCY, memoryLimitMb: JOB_MEMORY_LIMIT_MB })
+    ffmpegAvailable = Boolean(ffmpegPool)
+    setFFmpegAvailable(ffmpegPool?.name)
+    if (!ffmpegAvailable) {
+        console.warn('   Some features (convert, slice, waveform, spectrogram) will be disabled.')
     }
 }
 
+// Longest stretch of audio decoded for signal analysis and spectrograms (decoded PCM is held in memory)
+const ANALYSIS_MAX_SECONDS = parseInt(process.env.ANALYSIS_MAX_SECONDS || '600', 10)
+
+// Longest input a waveform job accepts; its peaks are computed from the whole file decoded in memory
+const WAVEFORM_MAX_SECONDS = parseInt(process.env.WAVEFORM_MAX_SECONDS || '3600', 10)
+
+// Silence detection for split jobs works on a low-rate mono mixdown, so it can cover long recordings
+const SILENCE_SCAN_SAMPLE_RATE = 8000
+const SILENCE_SCAN_MAX_SECONDS = parseInt(process.env.SILENCE_SCAN_MAX_SECONDS || '10800', 10)
+
+// Minimum time between progress writes to the database for one job
+const PROGRESS_WRITE_INTERVAL_MS = 1000
+
 // Initialize FFmpeg on startup
-initFFmpeg()
+const ffmpegReady = initFFmpeg()
+
+function currentFFmpeg() {
+    const context = jobContext.getStore()
+    if (!context?.ffmpeg) {
+        throw new Error('FFmpeg is only available while a job is running')
+    }
+    return context
+}
+
+/**
+ * Run an ffmpeg command on the current job's instance, reporting progress (0-100).
+ * Resolves with the log lines so callers can read filter summaries.
+ */
+function runFFmpeg(args, { duration, onProgress } = {}) {
+    const { ffmpeg, signal } = currentFFmpeg()
+    return ffmpeg.run(args, { duration, onProgress, signal })
+}
+
+/**
+ * Open a workspace on the current job's instance for one operation's files
+ */
+function openWorkspace() {
+    return currentFFmpeg().ffmpeg.openWorkspace()
+}
 
 /**
  * Extract metadata from audio file
@@ -83,188 +156,949 @@ async function getAudioInfo(filePath) {
             format: metadata.format.container || path.extname(filePath).slice(1),
         }
     } catch (error) {
-        throw new Error(`Failed to get audio info: ${ error.message }`)
+        throw new Error(`Failed to get audio info: ${ error.message }`, { cause: error })
     }
 }
 
 /**
- * Convert audio file to different format
+ * Stream details from ffprobe, or null when the backend has no ffprobe
  */
-async function convertAudio(inputPath, outputFormat, jobId) {
-    if (!ffmpegAvailable || !ffmpegInstance) {
+async function probeAudio(filePath) {
+    const ffmpeg = jobContext.getStore()?.ffmpeg
+    return ffmpeg ? ffmpeg.probe(filePath) : null
+}
+
+// Job ids are uuids; output names end with the id of the job that wrote them
+const JOB_OUTPUT_SUFFIX = /_[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}(_.*)?$/i
+
+/**
+ * Base name for a job's output files: the input's name plus the job id, so jobs on the
+ * same upload (and the steps of a pipeline) never write to the same path. The suffix an
+ * earlier pipeline step added to its output is dropped to keep chained names short.
+ */
+function outputBaseName(inputPath, jobId) {
+    const inputName = path.basename(inputPath, path.extname(inputPath)).replace(JOB_OUTPUT_SUFFIX, '')
+    return `${ inputName }_${ jobId }`
+}
+
+/**
+ * Convert audio file to different format using the format's encoder profile
+ */
+async function convertAudio(inputPath, outputFormat, encoderOptions, jobId, onProgress) {
+    if (!ffmpegAvailable) {
         throw new Error('FFmpeg is not available. Please ensure FFmpeg is initialized.')
     }
 
     try {
+        const encoder = resolveEncoderSettings(outputFormat, encoderOptions)
         const outputDir = path.dirname(inputPath)
-        const inputName = path.basename(inputPath, path.extname(inputPath))
+        const inputName = outputBaseName(inputPath, jobId)
         const outputFileName = `${ inputName }_converted.${ outputFormat }`
         const outputPath = path.join(outputDir, outputFileName)
 
-        // Read input file
-        const fileData = fs.readFileSync(inputPath)
-        const inputFileName = path.basename(inputPath)
+        const workspace = openWorkspace()
+        try {
+            const input = await workspace.input(inputPath)
+            const output = workspace.output(outputFileName, outputPath)
+
+            // Convert audio
+            console.log(`Converting ${ path.basename(inputPath) } to ${ outputFormat }...`)
+            await runFFmpeg([
+                '-i', input,
+                '-vn', // Drop embedded cover art
+                ...buildEncoderArgs(encoder),
+                '-y', // Overwrite output file
+                output,
+            ], { onProgress })
+
+            workspace.save(output, outputPath)
+        } finally {
+            workspace.close()
+        }
+
+        const stats = fs.statSync(outputPath)
+        return {
+            outputPath,
+            outputFormat,
+            encoder,
+            size: stats.size,
+            message: `Audio converted to ${ outputFormat.toUpperCase() }`,
+        }
+    } catch (error) {
+        throw new Error(`Failed to convert audio: ${ error.message }`, { cause: error })
+    }
+}
+
+/**
+ * Slice audio clip from start to end time.
+ * Accurate mode re-encodes and cuts on the exact sample, with optional fades.
+ * Fast mode stream-copies, so the cut snaps outward to codec frame boundaries.
+ */
+async function sliceAudio(inputPath, options, jobId, onProgress) {
+    if (!ffmpegAvailable) {
+        throw new Error('FFmpeg is not available. Please ensure FFmpeg is initialized.')
+    }
 
-        // Write input file to FFmpeg virtual filesystem
-        ffmpegInstance.FS('writeFile', inputFileName, fileData)
+    try {
+        const slice = resolveSliceOptions(options)
+        const info = await getAudioInfo(inputPath)
+        if (info.duration && slice.startTime >= info.duration) {
+            throw new Error(`startTime ${ slice.startTime }s is past the end of the audio (${ info.duration.toFixed(3) }s)`)
+        }
 
-        // Convert audio
-        console.log(`Converting ${ inputFileName } to ${ outputFormat }...`)
-        await ffmpegInstance.run(
-            '-i', inputFileName,
-            '-codec:a', 'libmp3lame',
-            '-b:a', '192k',
-            '-y', // Overwrite output file
-            outputFileName
-        )
+        let startTime = slice.startTime
+        let endTime = info.duration ? Math.min(slice.endTime, info.duration) : slice.endTime
+        let frameSamples = null
+        if (slice.mode === 'fast') {
+            frameSamples = codecFrameSamples(info.codec)
+            if (frameSamples && info.sampleRate) {
+                const frameSeconds = frameSamples / info.sampleRate
+                startTime = Math.floor(startTime / frameSeconds) * frameSeconds
+                endTime = Math.ceil(endTime / frameSeconds) * frameSeconds
+                if (info.duration) endTime = Math.min(endTime, info.duration)
+            }
+        }
+        const duration = endTime - startTime
 
-        // Read output file from virtual filesystem
-        const outputData = ffmpegInstance.FS('readFile', outputFileName)
+        const outputDir = path.dirname(inputPath)
+        const inputName = outputBaseName(inputPath, jobId)
+        const ext = path.extname(inputPath)
+        const outputFileName = `${ inputName }_clip_${ slice.startTime }-${ slice.endTime }${ ext }`
+        const outputPath = path.join(outputDir, outputFileName)
 
-        // Write output file to disk
-        fs.writeFileSync(outputPath, outputData)
+        let codecArgs
+        if (slice.mode === 'fast') {
+            codecArgs = ['-codec:a', 'copy']
+        } else {
+            const fades = []
+            if (slice.fadeIn > 0) fades.push(`afade=t=in:st=0:d=${ slice.fadeIn }`)
+            if (slice.fadeOut > 0) fades.push(`afade=t=out:st=${ Math.max(0, duration - slice.fadeOut) }:d=${ slice.fadeOut }`)
+            // Known formats use their encoder profile; others get ffmpeg's default encoder for the container
+            const format = ext.slice(1).toLowerCase()
+            codecArgs = [
+                ...(fades.length > 0 ? ['-af', fades.join(',')] : []),
+                ...(FORMAT_PROFILES[format] ? buildEncoderArgs(resolveEncoderSettings(format)) : []),
+            ]
+        }
 
-        // Clean up virtual filesystem
-        ffmpegInstance.FS('unlink', inputFileName)
-        ffmpegInstance.FS('unlink', outputFileName)
+        const workspace = openWorkspace()
+        try {
+            const input = await workspace.input(inputPath)
+            const output = workspace.output(outputFileName, outputPath)
+
+            // Seeking before -i skips decoding the audio ahead of the clip;
+            // when re-encoding ffmpeg still trims to the exact sample
+            console.log(`Slicing ${ path.basename(inputPath) } from ${ startTime }s to ${ endTime }s (${ slice.mode })...`)
+            await runFFmpeg([
+                '-ss', startTime.toString(),
+                '-i', input,
+                '-t', duration.toString(),
+                '-vn', // Drop embedded cover art
+                ...codecArgs,
+                '-y', // Overwrite output file
+                output,
+            ], { duration, onProgress })
+
+            workspace.save(output, outputPath)
+        } finally {
+            workspace.close()
+        }
 
         const stats = fs.statSync(outputPath)
         return {
             outputPath,
-            outputFormat,
+            mode: slice.mode,
+            requestedStartTime: slice.startTime,
+            requestedEndTime: slice.endTime,
+            startTime: Number(startTime.toFixed(6)),
+            endTime: Number(endTime.toFixed(6)),
+            duration: Number(duration.toFixed(6)),
+            fadeIn: slice.fadeIn,
+            fadeOut: slice.fadeOut,
+            ...(slice.mode === 'fast' && { frameSamples, frameAligned: Boolean(frameSamples && info.sampleRate) }),
             size: stats.size,
-            message: `Audio converted to ${ outputFormat.toUpperCase() }`,
+            message: `Audio clip created from ${ startTime.toFixed(3) }s to ${ endTime.toFixed(3) }s`,
         }
     } catch (error) {
-        throw new Error(`Failed to convert audio: ${ error.message }`)
+        throw new Error(`Failed to slice audio: ${ error.message }`, { cause: error })
     }
 }
 
 /**
- * Slice audio clip from start to end time
+ * Find split points by decoding a mono mixdown and detecting silence.
+ * `input` must already be added to the workspace.
  */
-async function sliceAudio(inputPath, startTime, endTime, jobId) {
-    if (!ffmpegAvailable || !ffmpegInstance) {
+async function detectSilenceSegments(workspace, input, duration, options, onProgress) {
+    const pcmFile = workspace.output(`${ path.parse(input).name }_silence.pcm`)
+
+    await runFFmpeg([
+        '-i', input,
+        '-vn',
+        '-t', String(SILENCE_SCAN_MAX_SECONDS),
+        '-f', 's16le',
+        '-acodec', 'pcm_s16le',
+        '-ar', String(SILENCE_SCAN_SAMPLE_RATE),
+        '-ac', '1',
+        '-y',
+        pcmFile,
+    ], { duration: duration ? Math.min(duration, SILENCE_SCAN_MAX_SECONDS) : null, onProgress })
+
+    const pcm = workspace.readFile(pcmFile)
+    workspace.remove(pcmFile)
+
+    // Int16Array views need an even byte offset
+    const buffer = pcm.byteOffset % 2 === 0 ? pcm : pcm.slice()
+    const samples = new Int16Array(buffer.buffer, buffer.byteOffset, Math.floor(buffer.byteLength / 2))
+    const scannedDuration = samples.length / SILENCE_SCAN_SAMPLE_RATE
+
+    const silence = findSilence(samples, 1, SILENCE_SCAN_SAMPLE_RATE, {
+        thresholdDb: options.silenceThresholdDb,
+        minDuration: options.minSilenceDuration,
+    })
+
+    return {
+        silence,
+        // Audio past the scan limit stays attached to the last segment
+        segments: segmentsBetweenSilence(silence.regions, Math.max(duration || 0, scannedDuration), options),
+        truncated: Boolean(duration && duration > SILENCE_SCAN_MAX_SECONDS),
+    }
+}
+
+// File-name friendly form of a segment name
+function segmentSlug(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'segment'
+}
+
+/**
+ * Cut audio into several clips, from a list of segments or at detected silences
+ */
+async function splitAudio(inputPath, options, jobId, onProgress) {
+    if (!ffmpegAvailable) {
         throw new Error('FFmpeg is not available. Please ensure FFmpeg is initialized.')
     }
 
+    const inputFileName = path.basename(inputPath)
+    const outputFiles = []
+    const workspace = openWorkspace()
+
     try {
+        const split = resolveSplitOptions(options)
+        const info = await getAudioInfo(inputPath)
         const outputDir = path.dirname(inputPath)
-        const inputName = path.basename(inputPath, path.extname(inputPath))
+        const inputName = outputBaseName(inputPath, jobId)
         const ext = path.extname(inputPath)
-        const outputFileName = `${ inputName }_clip_${ startTime }-${ endTime }${ ext }`
-        const outputPath = path.join(outputDir, outputFileName)
-        const duration = endTime - startTime
 
-        // Read input file
-        const fileData = fs.readFileSync(inputPath)
+        const input = await workspace.input(inputPath)
+
+        let segments = split.segments
+        let detection = null
+        if (split.mode === 'silence') {
+            console.log(`Detecting silence in ${ inputFileName }...`)
+            detection = await detectSilenceSegments(workspace, input, info.duration, split, (progress) => onProgress?.(Math.round(progress * 0.3)))
+            segments = detection.segments
+            if (segments.length === 0) {
+                throw new Error('No sounding segments found. Try a lower silence threshold or a shorter minimum segment duration.')
+            }
+        }
+
+        // Segments running past the end are trimmed; ones starting after it cannot be cut
+        if (info.duration) {
+            const outside = segments.findIndex(segment => segment.start >= info.duration)
+            if (outside !== -1) {
+                throw new Error(`Segment ${ outside + 1 } starts at ${ segments[outside].start }s, after the end of the audio (${ info.duration.toFixed(3) }s)`)
+            }
+            segments = segments.map(segment => ({ ...segment, end: Math.min(segment.end, info.duration) }))
+        }
+
+        const progressStart = split.mode === 'silence' ? 30 : 0
+        const clips = []
+        for (let index = 0; index < segments.length; index++) {
+            const { name, start, end } = segments[index]
+            const duration = end - start
+            const outputFileName = `${ inputName }_seg${ String(index + 1).padStart(3, '0') }-${ segmentSlug(name) }${ ext }`
+            const outputPath = path.join(outputDir, outputFileName)
+            const output = workspace.output(outputFileName, outputPath)
+
+            console.log(`Cutting segment ${ index + 1 }/${ segments.length } (${ start }s-${ end }s) from ${ inputFileName }...`)
+            // Seeking before -i skips decoding everything ahead of each segment
+            await runFFmpeg([
+                '-ss', start.toString(),
+                '-i', input,
+                '-t', duration.toString(),
+                '-vn',
+                '-y',
+                output,
+            ], {
+                duration,
+                onProgress: (progress) => onProgress?.(progressStart + Math.round(((index + progress / 100) / segments.length) * (100 - progressStart))),
+            })
+
+            workspace.save(output, outputPath)
+            outputFiles.push(outputPath)
+
+            clips.push({
+                index: index + 1,
+                name,
+                startTime: Number(start.toFixed(3)),
+                endTime: Number(end.toFixed(3)),
+                duration: Number(duration.toFixed(3)),
+                outputPath,
+                size: fs.statSync(outputPath).size,
+            })
+        }
+
+        return {
+            mode: split.mode,
+            outputFiles,
+            segments: clips,
+            ...(detection && {
+                silence: detection.silence,
+                silenceSettings: {
+                    silenceThresholdDb: split.silenceThresholdDb,
+                    minSilenceDuration: split.minSilenceDuration,
+                    minSegmentDuration: split.minSegmentDuration,
+                },
+                truncated: detection.truncated,
+            }),
+            size: clips.reduce((sum, clip) => sum + clip.size, 0),
+            message: `Audio split into ${ clips.length } clip(s)`,
+        }
+    } catch (error) {
+        // Don't leave partial output behind
+        outputFiles.forEach(filePath => fs.unlink(filePath, () => { }))
+        throw new Error(`Failed to split audio: ${ error.message }`, { cause: error })
+    } finally {
+        workspace.close()
+    }
+}
+
+/**
+ * Generate waveform peak data (audiowaveform JSON and .dat) at each zoom level,
+ * plus an optional rendered image (PNG, WebP or SVG)
+ */
+async function generateWaveform(inputPath, options, jobId, onProgress) {
+    if (!ffmpegAvailable) {
+        throw new Error('FFmpeg is not available. Please ensure FFmpeg is initialized.')
+    }
+
+    const workspace = openWorkspace()
+    try {
+        const { zoomLevels, bits, splitChannels, image } = resolveWaveformOptions(options)
+        const info = await getAudioInfo(inputPath)
+        const sampleRate = info.sampleRate || 44100
+        const channels = info.channels || 2
+        // Peaks over part of the file would misrepresent it, so longer inputs are rejected rather than truncated
+        if (info.duration > WAVEFORM_MAX_SECONDS) {
+            throw new PermanentJobError(`Audio is too long for a waveform (${ Math.round(info.duration) }s, limit ${ WAVEFORM_MAX_SECONDS }s)`)
+        }
+
+        const outputDir = path.dirname(inputPath)
+        const inputName = outputBaseName(inputPath, jobId)
         const inputFileName = path.basename(inputPath)
+        const input = await workspace.input(inputPath)
+        const pcmFile = workspace.output(`${ inputName }_waveform.pcm`)
+
+        // Decode to raw PCM at the source rate so peaks line up with the original samples
+        console.log(`Decoding ${ inputFileName } for waveform peaks...`)
+        await runFFmpeg([
+            '-i', input,
+            '-vn',
+            // Bounds the decode when the container reports no (or a wrong) duration
+            '-t', String(WAVEFORM_MAX_SECONDS + 1),
+            '-f', 's16le',
+            '-acodec', 'pcm_s16le',
+            '-ar', String(sampleRate),
+            '-ac', String(channels),
+            '-y',
+            pcmFile,
+        ], { duration: info.duration, onProgress: (progress) => onProgress?.(Math.round(progress * (image ? 0.5 : 0.7))) })
+
+        const pcm = workspace.readFile(pcmFile)
+        workspace.remove(pcmFile)
+        if (pcm.byteLength / (2 * channels * sampleRate) > WAVEFORM_MAX_SECONDS) {
+            throw new PermanentJobError(`Audio is too long for a waveform (limit ${ WAVEFORM_MAX_SECONDS }s)`)
+        }
 
-        // Write input file to FFmpeg virtual filesystem
-        ffmpegInstance.FS('writeFile', inputFileName, fileData)
+        // Int16Array views need an even byte offset
+        const buffer = pcm.byteOffset % 2 === 0 ? pcm : pcm.slice()
+        const samples = new Int16Array(buffer.buffer, buffer.byteOffset, Math.floor(buffer.byteLength / 2))
+
+        const peaks = []
+        for (const samplesPerPixel of zoomLevels) {
+            const levelPeaks = computePeaks(samples, { channels, sampleRate, samplesPerPixel, bits, splitChannels })
+            const jsonFileName = `${ inputName }_waveform_${ samplesPerPixel }.json`
+            const datFileName = `${ inputName }_waveform_${ samplesPerPixel }.dat`
+            fs.writeFileSync(path.join(outputDir, jsonFileName), JSON.stringify(levelPeaks))
+            fs.writeFileSync(path.join(outputDir, datFileName), encodeDat(levelPeaks))
+            peaks.push({
+                samplesPerPixel,
+                length: levelPeaks.length,
+                json: path.join(outputDir, jsonFileName),
+                dat: path.join(outputDir, datFileName),
+            })
+        }
+        onProgress?.(image ? 60 : 100)
+
+        let imagePath = null
+        if (image) {
+            const imageFileName = `${ inputName }_waveform.${ image.format }`
+            imagePath = path.join(outputDir, imageFileName)
+            console.log(`Generating ${ image.style } waveform ${ image.format.toUpperCase() } for ${ inputFileName }...`)
+
+            if (image.format === 'svg') {
+                // ffmpeg cannot write vector images; draw from roughly one peak per pixel instead
+                const frames = Math.floor(samples.length / channels)
+                const imagePeaks = computePeaks(samples, {
+                    channels,
+                    sampleRate,
+                    samplesPerPixel: Math.max(1, Math.ceil(frames / image.width)),
+                    bits: 16,
+                    splitChannels,
+                })
+                fs.writeFileSync(imagePath, renderSvg(imagePeaks, image))
+                onProgress?.(100)
+            } else {
+                const codecArgs = image.format === 'webp'
+                    ? ['-c:v', 'libwebp', '-lossless', '1', '-pix_fmt', image.backgroundColor === 'transparent' ? 'yuva420p' : 'yuv420p']
+                    : []
+
+                const imageFile = workspace.output(imageFileName, imagePath)
+                await runFFmpeg([
+                    '-i', input,
+                    '-filter_complex', buildWaveformImageFilter(image, {
+                        channels,
+                        splitChannels,
+                        totalSamples: Math.floor(samples.length / channels),
+                    }),
+                    '-frames:v', '1',
+                    ...codecArgs,
+                    '-y', // Overwrite output file
+                    imageFile,
+                ], { onProgress: (progress) => onProgress?.(60 + Math.round(progress * 0.4)) })
+
+                workspace.save(imageFile, imagePath)
+            }
+        }
 
-        // Slice audio
-        console.log(`Slicing ${ inputFileName } from ${ startTime }s to ${ endTime }s...`)
-        await ffmpegInstance.run(
-            '-i', inputFileName,
-            '-ss', startTime.toString(),
-            '-t', duration.toString(),
-            '-y', // Overwrite output file
-            outputFileName
-        )
+        // The image stays the primary output when there is one; otherwise the finest peaks
+        const outputPath = imagePath || peaks[0].json
+        const outputFiles = peaks.flatMap(level => [level.json, level.dat]).filter(file => file !== outputPath)
+        const size = [outputPath, ...outputFiles].reduce((total, file) => total + fs.statSync(file).size, 0)
+
+        return {
+            outputPath,
+            outputFiles,
+            format: imagePath ? image.format : 'json',
+            image: imagePath,
+            imageOptions: image,
+            peaks,
+            channels: splitChannels ? channels : 1,
+            sampleRate,
+            bits,
+            duration: info.duration,
+            size,
+            message: `Waveform peaks generated at ${ zoomLevels.length } zoom level(s)${ imagePath ? ` with ${ image.format.toUpperCase() } image` : '' }`,
+        }
+    } catch (error) {
+        throw new Error(`Failed to generate waveform: ${ error.message }`, { cause: error })
+    } finally {
+        workspace.close()
+    }
+}
+
+/**
+ * Render a spectrogram image (frequency vs. time) as PNG
+ */
+async function generateSpectrogram(inputPath, options, jobId, onProgress) {
+    if (!ffmpegAvailable) {
+        throw new Error('FFmpeg is not available. Please ensure FFmpeg is initialized.')
+    }
 
-        // Read output file from virtual filesystem
-        const outputData = ffmpegInstance.FS('readFile', outputFileName)
+    const workspace = openWorkspace()
+    try {
+        const settings = resolveSpectrogramOptions(options)
+        const info = await getAudioInfo(inputPath)
+        const sampleRate = info.sampleRate || 44100
 
-        // Write output file to disk
-        fs.writeFileSync(outputPath, outputData)
+        const outputDir = path.dirname(inputPath)
+        const inputName = outputBaseName(inputPath, jobId)
+        const inputFileName = path.basename(inputPath)
+        const outputPath = path.join(outputDir, `${ inputName }_spectrogram.png`)
+        const input = await workspace.input(inputPath)
+        const pcmFile = workspace.output(`${ inputName }_spectrogram.pcm`)
+
+        // Decode a mono mixdown at the source rate so the full bandwidth is visible
+        console.log(`Decoding ${ inputFileName } for spectrogram...`)
+        await runFFmpeg([
+            '-i', input,
+            '-vn',
+            '-t', String(ANALYSIS_MAX_SECONDS),
+            '-f', 's16le',
+            '-acodec', 'pcm_s16le',
+            '-ar', String(sampleRate),
+            '-ac', '1',
+            '-y',
+            pcmFile,
+        ], { duration: info.duration ? Math.min(info.duration, ANALYSIS_MAX_SECONDS) : null, onProgress: (progress) => onProgress?.(Math.round(progress * 0.5)) })
+
+        const pcm = workspace.readFile(pcmFile)
+        workspace.remove(pcmFile)
+
+        // Int16Array views need an even byte offset
+        const buffer = pcm.byteOffset % 2 === 0 ? pcm : pcm.slice()
+        const samples = new Int16Array(buffer.buffer, buffer.byteOffset, Math.floor(buffer.byteLength / 2))
+
+        console.log(`Rendering ${ settings.width }x${ settings.height } spectrogram (FFT ${ settings.fftSize })...`)
+        const pixels = renderSpectrogram(samples, { sampleRate, ...settings })
+        onProgress?.(80)
+
+        // Encode the raw frame as PNG
+        const rgbFile = workspace.writeFile(`${ inputName }_spectrogram.rgb`, pixels)
+        const output = workspace.output(path.basename(outputPath), outputPath)
+        await runFFmpeg([
+            '-f', 'rawvideo',
+            '-pix_fmt', 'rgb24',
+            '-s', `${ settings.width }x${ settings.height }`,
+            '-i', rgbFile,
+            '-frames:v', '1',
+            '-y',
+            output,
+        ])
 
-        // Clean up virtual filesystem
-        ffmpegInstance.FS('unlink', inputFileName)
-        ffmpegInstance.FS('unlink', outputFileName)
+        workspace.save(output, outputPath)
+        onProgress?.(100)
 
         const stats = fs.statSync(outputPath)
         return {
             outputPath,
-            startTime,
-            endTime,
-            duration,
+            format: 'png',
+            ...settings,
+            sampleRate,
+            nyquistHz: sampleRate / 2,
+            duration: samples.length / sampleRate,
+            truncated: Boolean(info.duration && info.duration > ANALYSIS_MAX_SECONDS),
             size: stats.size,
-            message: `Audio clip created from ${ startTime }s to ${ endTime }s`,
+            message: 'Spectrogram image generated',
         }
     } catch (error) {
-        throw new Error(`Failed to slice audio: ${ error.message }`)
+        throw new Error(`Failed to generate spectrogram: ${ error.message }`, { cause: error })
+    } finally {
+        workspace.close()
+    }
+}
+
+/**
+ * Parse the loudnorm JSON summary and astats overall levels from an ffmpeg log
+ */
+function parseLoudnessLog(logLines) {
+    const log = logLines.join('\n')
+    const jsonMatch = log.match(/\{[^{}]*"input_i"[^{}]*\}/)
+    if (!jsonMatch) {
+        throw new Error('Loudness measurement produced no results')
+    }
+    const loudnorm = JSON.parse(jsonMatch[0])
+
+    // astats prints per-channel blocks first, then an "Overall" block
+    const overall = log.slice(log.lastIndexOf('Overall'))
+    const rmsMatch = overall.match(/RMS level dB:\s*(-?[\d.]+|-inf)/)
+    const peakMatch = overall.match(/Peak level dB:\s*(-?[\d.]+|-inf)/)
+    const toNumber = (value) => (value === undefined || value === '-inf' ? null : parseFloat(value))
+
+    return {
+        integratedLufs: toNumber(loudnorm.input_i),
+        loudnessRange: toNumber(loudnorm.input_lra),
+        truePeak: toNumber(loudnorm.input_tp),
+        threshold: toNumber(loudnorm.input_thresh),
+        rmsDb: toNumber(rmsMatch?.[1]),
+        samplePeakDb: toNumber(peakMatch?.[1]),
+        // Gain loudnorm computed for its target; the second normalize pass reuses it
+        targetOffset: toNumber(loudnorm.target_offset),
     }
 }
 
 /**
- * Generate waveform visualization
+ * Measure EBU R128 loudness (integrated LUFS, LRA, true peak) and RMS in one pass.
+ * `input` must already be added to an ffmpeg workspace.
  */
-async function generateWaveform(inputPath, jobId) {
-    if (!ffmpegAvailable || !ffmpegInstance) {
+async function measureLoudness(input, target, onProgress) {
+    const loudnormTarget = target
+        ? `I=${ target.targetLufs }:TP=${ target.truePeak }:LRA=${ target.loudnessRange }:`
+        : ''
+    const logLines = await runFFmpeg([
+        '-i', input,
+        '-vn',
+        '-af', `loudnorm=${ loudnormTarget }print_format=json,astats=measure_perchannel=none`,
+        '-f', 'null',
+        '-',
+    ], { onProgress })
+    return parseLoudnessLog(logLines)
+}
+
+/**
+ * Analyze loudness of an audio file
+ */
+async function analyzeLoudness(inputPath, jobId, onProgress) {
+    if (!ffmpegAvailable) {
+        throw new Error('FFmpeg is not available. Please ensure FFmpeg is initialized.')
+    }
+
+    const workspace = openWorkspace()
+    try {
+        const input = await workspace.input(inputPath)
+
+        console.log(`Measuring loudness of ${ path.basename(inputPath) }...`)
+        const loudness = await measureLoudness(input, null, onProgress)
+
+        return {
+            ...loudness,
+            message: `Integrated loudness ${ loudness.integratedLufs } LUFS, true peak ${ loudness.truePeak } dBTP`,
+        }
+    } catch (error) {
+        throw new Error(`Failed to analyze loudness: ${ error.message }`, { cause: error })
+    } finally {
+        workspace.close()
+    }
+}
+
+/**
+ * Normalize audio to a target loudness using two-pass loudnorm
+ */
+async function normalizeAudio(inputPath, options, jobId, onProgress) {
+    if (!ffmpegAvailable) {
         throw new Error('FFmpeg is not available. Please ensure FFmpeg is initialized.')
     }
 
+    const workspace = openWorkspace()
     try {
+        const target = resolveLoudnessTarget(options)
+        const inputExt = path.extname(inputPath).slice(1).toLowerCase()
+        // Keep the input's format when we can encode it, otherwise fall back to lossless WAV
+        const outputFormat = options.outputFormat || (FORMAT_PROFILES[inputExt] ? inputExt : 'wav')
+
+        // loudnorm upsamples to 192kHz internally, so pin the output back to the source rate
+        const sourceInfo = await getAudioInfo(inputPath)
+        const allowedRates = FORMAT_PROFILES[outputFormat]?.sampleRates || []
+        const sampleRate = allowedRates.includes(sourceInfo.sampleRate) ? sourceInfo.sampleRate : 48000
+        const encoder = resolveEncoderSettings(outputFormat, { sampleRate })
+
         const outputDir = path.dirname(inputPath)
-        const inputName = path.basename(inputPath, path.extname(inputPath))
-        const outputFileName = `${ inputName }_waveform.png`
+        const inputName = outputBaseName(inputPath, jobId)
+        const outputFileName = `${ inputName }_normalized_${ Math.abs(target.targetLufs) }lufs.${ outputFormat }`
         const outputPath = path.join(outputDir, outputFileName)
 
-        // Read input file
-        const fileData = fs.readFileSync(inputPath)
         const inputFileName = path.basename(inputPath)
+        const input = await workspace.input(inputPath)
+        const output = workspace.output(outputFileName, outputPath)
+
+        // Pass 1: measure
+        console.log(`Measuring loudness of ${ inputFileName } for normalization...`)
+        const measured = await measureLoudness(input, target, (progress) => onProgress?.(Math.round(progress / 2)))
+        // Silence measures as -inf, which loudnorm's second pass cannot take
+        const passTwoValues = [measured.integratedLufs, measured.truePeak, measured.loudnessRange, measured.threshold, measured.targetOffset]
+        if (!passTwoValues.every(Number.isFinite)) {
+            throw new PermanentJobError('Input is silent, cannot normalize')
+        }
 
-        // Write input file to FFmpeg virtual filesystem
-        ffmpegInstance.FS('writeFile', inputFileName, fileData)
-
-        // Generate waveform image using ffmpeg
-        console.log(`Generating waveform for ${ inputFileName }...`)
-        await ffmpegInstance.run(
-            '-i', inputFileName,
-            '-filter_complex', '[0:a]aformat=channel_layouts=mono,compand=gain=-6,showwavespic=s=1200x240:colors=0x9333ea[fg];color=s=1200x240:c=0xffffff[bg];[bg][fg]overlay=format=auto',
-            '-frames:v', '1',
+        // Pass 2: apply linear gain from the measured values
+        console.log(`Normalizing ${ inputFileName } to ${ target.targetLufs } LUFS...`)
+        await runFFmpeg([
+            '-i', input,
+            '-vn',
+            '-af', [
+                `loudnorm=I=${ target.targetLufs }`,
+                `TP=${ target.truePeak }`,
+                `LRA=${ target.loudnessRange }`,
+                `measured_I=${ measured.integratedLufs }`,
+                `measured_TP=${ measured.truePeak }`,
+                `measured_LRA=${ measured.loudnessRange }`,
+                `measured_thresh=${ measured.threshold }`,
+                `offset=${ measured.targetOffset }`,
+                'linear=true',
+            ].join(':'),
+            ...buildEncoderArgs(encoder),
             '-y', // Overwrite output file
-            outputFileName
-        )
-
-        // Read output file from virtual filesystem
-        const outputData = ffmpegInstance.FS('readFile', outputFileName)
+            output,
+        ], { onProgress: (progress) => onProgress?.(50 + Math.round(progress / 2)) })
 
-        // Write output file to disk
-        fs.writeFileSync(outputPath, outputData)
-
-        // Clean up virtual filesystem
-        ffmpegInstance.FS('unlink', inputFileName)
-        ffmpegInstance.FS('unlink', outputFileName)
+        workspace.save(output, outputPath)
 
         const stats = fs.statSync(outputPath)
         return {
             outputPath,
-            format: 'png',
+            outputFormat,
+            target,
+            before: measured,
             size: stats.size,
-            message: 'Waveform image generated',
+            message: `Audio normalized to ${ target.targetLufs } LUFS (${ target.preset })`,
         }
     } catch (error) {
-        throw new Error(`Failed to generate waveform: ${ error.message }`)
+        throw new Error(`Failed to normalize audio: ${ error.message }`, { cause: error })
+    } finally {
+        workspace.close()
     }
 }
 
 /**
- * Process audio job
+ * Decode audio to raw PCM and compute signal statistics
  */
-async function processAudioJob(jobData) {
-    const { jobId, audioFileId, jobType, outputFormat, startTime, endTime } = jobData
+async function analyzeAudioSignal(inputPath, options, jobId, onProgress) {
+    if (!ffmpegAvailable) {
+        throw new Error('FFmpeg is not available. Please ensure FFmpeg is initialized.')
+    }
 
+    const workspace = openWorkspace()
     try {
-        // Update job status to PROCESSING
+        const info = await getAudioInfo(inputPath)
+        const sampleRate = info.sampleRate || 44100
+        const channels = info.channels || 2
+
+        const input = await workspace.input(inputPath)
+        const pcmFile = workspace.output(`${ path.basename(inputPath, path.extname(inputPath)) }_analysis.pcm`)
+
+        console.log(`Decoding ${ path.basename(inputPath) } for signal analysis...`)
+        await runFFmpeg([
+            '-i', input,
+            '-vn',
+            '-t', String(ANALYSIS_MAX_SECONDS),
+            '-f', 's16le',
+            '-acodec', 'pcm_s16le',
+            '-ar', String(sampleRate),
+            '-ac', String(channels),
+            '-y',
+            pcmFile,
+        ], { duration: info.duration ? Math.min(info.duration, ANALYSIS_MAX_SECONDS) : null, onProgress: (progress) => onProgress?.(Math.round(progress * 0.6)) })
+
+        const pcm = workspace.readFile(pcmFile)
+        workspace.remove(pcmFile)
+
+        // Int16Array views need an even byte offset
+        const buffer = pcm.byteOffset % 2 === 0 ? pcm : pcm.slice()
+        const samples = new Int16Array(buffer.buffer, buffer.byteOffset, Math.floor(buffer.byteLength / 2))
+
+        console.log(`Analyzing ${ samples.length / channels } frames...`)
+        const signal = analyzeSignal(samples, {
+            channels,
+            sampleRate,
+            silenceThresholdDb: options.silenceThresholdDb !== undefined ? parseFloat(options.silenceThresholdDb) : undefined,
+            minSilenceDuration: options.minSilenceDuration !== undefined ? parseFloat(options.minSilenceDuration) : undefined,
+        })
+        onProgress?.(100)
+
+        return {
+            ...signal,
+            truncated: Boolean(info.duration && info.duration > ANALYSIS_MAX_SECONDS),
+        }
+    } catch (error) {
+        throw new Error(`Failed to analyze signal: ${ error.message }`, { cause: error })
+    } finally {
+        workspace.close()
+    }
+}
+
+// Helpers handed to processor handlers; custom processors get the same set
+const processorTools = {
+    get ffmpegAvailable() {
+        return ffmpegAvailable
+    },
+    get ffmpeg() {
+        return jobContext.getStore()?.ffmpeg || null
+    },
+    runFFmpeg,
+    extractMetadata,
+    getAudioInfo,
+    probeAudio,
+    analyzeAudioSignal,
+    analyzeLoudness,
+    convertAudio,
+    sliceAudio,
+    splitAudio,
+    normalizeAudio,
+    generateWaveform,
+    generateSpectrogram,
+}
+
+/**
+ * Run a single job type against an audio file and return its result
+ */
+async function runJobType(jobType, filePath, params, audioFile, jobId, onProgress) {
+    const processor = getProcessor(jobType)
+    if (!processor) {
+        // Job types are validated on submission, so this is an old or hand-made job
+        throw new PermanentJobError(`Unknown job type: ${ jobType }`)
+    }
+    if (processor.requiresFFmpeg && !ffmpegAvailable) {
+        // A worker with a working ffmpeg (or this one after a restart) can still run it
+        throw new TransientJobError(`${ processor.label } requires FFmpeg, which is not available.`)
+    }
+
+    return await processor.handler({ filePath, params, audioFile, jobId, onProgress }, processorTools)
+}
+
+/**
+ * Mark a job (or pipeline step) as completed with its result. A job cancelled while its
+ * work was finishing stays cancelled: its outputs are deleted and JobCancelledError is thrown.
+ */
+async function completeJob(jobId, result) {
+    const completed = await prisma.job.updateMany({
+        where: { id: jobId, status: { not: 'CANCELLED' } },
+        data: {
+            status: 'COMPLETED',
+            progress: 100,
+            result: JSON.stringify(result),
+            completedAt: new Date(),
+        },
+    })
+    if (completed.count === 0) {
+        ownedOutputFiles({ id: jobId, result: JSON.stringify(result) }).forEach(filePath => fs.rm(filePath, { force: true }, () => { }))
+        throw new JobCancelledError('Job was cancelled or deleted before it completed')
+    }
+}
+
+/**
+ * Run pipeline steps in order, feeding each step the previous audio output
+ */
+async function runPipeline(steps, filePath, audioFile, parentJobId, reportProgress) {
+    let inputPath = filePath
+    const stepSummaries = []
+
+    for (let index = 0; index < steps.length; index++) {
+        const { jobId: stepJobId, jobType: stepType, ...stepParams } = steps[index]
+
         await prisma.job.update({
-            where: { id: jobId },
+            where: { id: stepJobId },
+            data: { status: 'PROCESSING', progress: 10, error: null },
+        })
+
+        try {
+            console.log(`Pipeline ${ parentJobId }: step ${ index + 1 }/${ steps.length } (${ stepType })`)
+            const stepResult = await runJobType(stepType, inputPath, stepParams, audioFile, stepJobId, (stepProgress) => {
+                const overall = Math.round(((index + stepProgress / 100) / steps.length) * 100)
+                reportProgress(overall, { id: stepJobId, progress: stepProgress })
+            })
+
+            await completeJob(stepJobId, stepResult)
+
+            // Only audio outputs feed the next step; images and reports pass the input through
+            if (getProcessor(stepType).outputsAudio && stepResult.outputPath) {
+                inputPath = stepResult.outputPath
+            }
+
+            stepSummaries.push({ jobId: stepJobId, type: stepType, status: 'COMPLETED', outputPath: stepResult.outputPath || null })
+        } catch (error) {
+            // The cancel request has already marked this and the remaining steps
+            if (error instanceof JobCancelledError || jobContext.getStore()?.signal.reason instanceof JobCancelledError) throw error
+
+            await prisma.job.update({
+                where: { id: stepJobId },
+                data: { status: 'FAILED', error: error.message },
+            })
+
+            // Steps after a failure never run
+            const skippedIds = steps.slice(index + 1).map(step => step.jobId)
+            if (skippedIds.length > 0) {
+                await prisma.job.updateMany({
+                    where: { id: { in: skippedIds } },
+                    data: { status: 'FAILED', error: 'Skipped: a previous pipeline step failed' },
+                })
+            }
+
+            throw new Error(`Pipeline step ${ index + 1 } (${ stepType }) failed: ${ error.message }`, { cause: error })
+        }
+
+        reportProgress(Math.round(((index + 1) / steps.length) * 100), { id: stepJobId, progress: 100 }, { force: true })
+    }
+
+    return {
+        steps: stepSummaries,
+        // The last audio produced is the pipeline's main output
+        outputPath: inputPath !== filePath ? inputPath : undefined,
+        originalFile: audioFile.originalName,
+        message: `Pipeline completed ${ steps.length } step(s)`,
+    }
+}
+
+/**
+ * Build a progress callback that publishes to the queue (for live streams) and persists
+ * to the job rows. Database writes are throttled so long ffmpeg runs don't flood SQLite.
+ */
+function createProgressReporter(bullJob, jobId) {
+    const lastWrites = {}
+
+    const persist = (id, progress, force) => {
+        const now = Date.now()
+        if (!force && now - (lastWrites[id] || 0) < PROGRESS_WRITE_INTERVAL_MS) return
+        lastWrites[id] = now
+        prisma.job.update({ where: { id }, data: { progress } }).catch((error) => {
+            console.warn(`Failed to save progress for job ${ id }:`, error.message)
+        })
+    }
+
+    return (progress, step, { force = false } = {}) => {
+        bullJob.progress(step ? { progress, step } : { progress }).catch((error) => {
+            console.warn(`Failed to publish progress for job ${ jobId }:`, error.message)
+        })
+        persist(jobId, progress, force)
+        if (step) {
+            persist(step.id, step.progress, force)
+        }
+    }
+}
+
+/**
+ * Run a job's work with an ffmpeg instance from the pool and the per-job time limit.
+ * When `controller` aborts (timeout or cancel request) the running ffmpeg command is
+ * killed and the job rejects with the abort reason; the instance only returns to the
+ * pool once the work has settled.
+ */
+async function runWithLimits(controller, work) {
+    // Jobs can arrive before startup has finished loading ffmpeg
+    await ffmpegReady
+    const ffmpeg = ffmpegPool ? await ffmpegPool.acquire().catch((error) => {
+        throw new TransientJobError(`Failed to start ffmpeg: ${ error.message }`, { cause: error })
+    }) : null
+    const timer = JOB_TIMEOUT_SECONDS && setTimeout(() => {
+        controller.abort(new Error(`Job exceeded the ${ JOB_TIMEOUT_SECONDS }s time limit`))
+    }, JOB_TIMEOUT_SECONDS * 1000)
+    const aborted = new Promise((resolve, reject) => {
+        if (controller.signal.aborted) return reject(controller.signal.reason)
+        controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true })
+    })
+    // An abort after the work has finished must not surface as an unhandled rejection
+    aborted.catch(() => { })
+
+    const task = jobContext.run({ ffmpeg, signal: controller.signal }, work)
+    try {
+        return await Promise.race([task, aborted])
+    } finally {
+        clearTimeout(timer)
+        task.catch(() => { }).finally(() => {
+            if (ffmpeg) ffmpegPool.release(ffmpeg)
+        })
+    }
+}
+
+/**
+ * Process audio job. `retriesLeft` is how many more times the queue will run the job if
+ * this attempt fails with a transient error; permanent errors are never retried.
+ */
+async function processAudioJob(jobData, reportProgress = () => { }, { retriesLeft = 0 } = {}) {
+    const { jobId, audioFileId, jobType, steps, ...params } = jobData
+    const controller = new AbortController()
+    activeJobs.set(jobId, controller)
+
+    try {
+        // Update job status to PROCESSING, unless it was cancelled (or deleted) while queued
+        const started = await prisma.job.updateMany({
+            where: { id: jobId, status: { not: 'CANCELLED' } },
             data: {
                 status: 'PROCESSING',
                 progress: 10,
+                startedAt: new Date(),
             },
         })
+        if (started.count === 0) {
+            throw new JobCancelledError('Job was cancelled or deleted before it started')
+        }
 
         // Get audio file
         const audioFile = await prisma.audioFile.findUnique({
@@ -272,155 +1106,122 @@ async function processAudioJob(jobData) {
         })
 
         if (!audioFile) {
-            throw new Error('Audio file not found')
+            throw new PermanentJobError('Audio file not found')
         }
 
         const filePath = audioFile.path
 
         if (!fs.existsSync(filePath)) {
-            throw new Error('Audio file does not exist')
-        }
-
-        let result = {}
-
-        // Process based on job type
-        switch (jobType) {
-            case 'metadata':
-                // Extract metadata using music-metadata
-                const metadata = await extractMetadata(filePath)
-
-                // Also get ffmpeg info for additional details (if available)
-                if (ffmpegAvailable) {
-                    try {
-                        const ffmpegInfo = await getAudioInfo(filePath)
-                        result = {
-                            ...metadata,
-                            ffmpeg: ffmpegInfo,
-                        }
-                    } catch (ffmpegError) {
-                        console.warn('FFmpeg info extraction failed, using metadata only:', ffmpegError.message)
-                        result = {
-                            ...metadata,
-                            note: 'FFmpeg info unavailable',
-                        }
-                    }
-                } else {
-                    result = {
-                        ...metadata,
-                        note: 'FFmpeg not installed - basic metadata only',
-                    }
-                }
-                break
-
-            case 'analyze':
-                // Comprehensive analysis
-                const analysis = await extractMetadata(filePath)
-
-                if (ffmpegAvailable) {
-                    try {
-                        const info = await getAudioInfo(filePath)
-                        result = {
-                            metadata: analysis,
-                            technical: info,
-                            fileInfo: {
-                                path: filePath,
-                                size: audioFile.size,
-                                mimeType: audioFile.mimeType,
-                            },
-                        }
-                    } catch (ffmpegError) {
-                        result = {
-                            metadata: analysis,
-                            technical: null,
-                            fileInfo: {
-                                path: filePath,
-                                size: audioFile.size,
-                                mimeType: audioFile.mimeType,
-                            },
-                            error: 'FFmpeg analysis failed: ' + ffmpegError.message,
-                        }
-                    }
-                } else {
-                    result = {
-                        metadata: analysis,
-                        technical: null,
-                        fileInfo: {
-                            path: filePath,
-                            size: audioFile.size,
-                            mimeType: audioFile.mimeType,
-                        },
-                        note: 'FFmpeg not installed - metadata only analysis',
-                    }
-                }
-                break
-
-            case 'convert':
-                // Convert audio format
-                if (!outputFormat) {
-                    throw new Error('Output format is required for conversion')
-                }
-                const conversionResult = await convertAudio(filePath, outputFormat, jobId)
-                result = {
-                    ...conversionResult,
-                    originalFile: audioFile.originalName,
-                }
-                break
-
-            case 'slice':
-                // Slice audio clip
-                if (!startTime || !endTime) {
-                    throw new Error('Start and end times are required for slicing')
-                }
-                const sliceResult = await sliceAudio(filePath, startTime, endTime, jobId)
-                result = {
-                    ...sliceResult,
-                    originalFile: audioFile.originalName,
-                }
-                break
-
-            case 'waveform':
-                // Generate waveform
-                const waveformResult = await generateWaveform(filePath, jobId)
-                result = {
-                    ...waveformResult,
-                    originalFile: audioFile.originalName,
-                }
-                break
-
-            default:
-                // Default to metadata extraction
-                result = await extractMetadata(filePath)
+            throw new PermanentJobError('Audio file does not exist')
         }
 
-        // Update job as completed
-        await prisma.job.update({
-            where: { id: jobId },
-            data: {
-                status: 'COMPLETED',
-                progress: 100,
-                result: JSON.stringify(result),
-                completedAt: new Date(),
-            },
-        })
+        // Single jobs map ffmpeg progress into 10-95%; the rest covers setup and saving
+        const result = await runWithLimits(controller, () => (jobType === 'pipeline'
+            ? runPipeline(steps, filePath, audioFile, jobId, reportProgress)
+            : runJobType(jobType, filePath, params, audioFile, jobId, (progress) => {
+                reportProgress(10 + Math.round(progress * 0.85))
+            })))
+
+        await completeJob(jobId, result)
 
         console.log(`Job ${ jobId } completed successfully`)
         return result
     } catch (error) {
-        console.error(`Job ${ jobId } failed:`, error)
+        if (error instanceof JobCancelledError) {
+            // The cancel request already set the status
+            console.log(`Job ${ jobId }: ${ error.message }`)
+            throw error
+        }
 
-        // Update job as failed
-        await prisma.job.update({
-            where: { id: jobId },
-            data: {
-                status: 'FAILED',
-                error: error.message,
-            },
+        const transient = isTransientError(error)
+        const retrying = transient && retriesLeft > 0
+
+        // A cancel that lands while the job is failing keeps the job cancelled: no retry, no dead letter
+        const updated = await prisma.job.updateMany({
+            where: { id: jobId, status: { not: 'CANCELLED' } },
+            data: retrying
+                ? {
+                    // Back to waiting until the queue's backoff runs it again
+                    status: 'PENDING',
+                    progress: 0,
+                    error: `Retrying (${ retriesLeft } attempt(s) left) after: ${ error.message }`,
+                }
+                : {
+                    // Failed for good; a transient failure that ran out of retries is dead-lettered
+                    status: 'FAILED',
+                    error: error.message,
+                    ...(transient && { deadLetteredAt: new Date() }),
+                },
         })
+        if (updated.count === 0) {
+            console.log(`Job ${ jobId } was cancelled or deleted while it failed: ${ error.message }`)
+            throw new JobCancelledError('Job was cancelled or deleted while it was running')
+        }
 
+        console.error(`Job ${ jobId } failed (${ transient ? 'transient' : 'permanent' }):`, error)
         throw error
+    } finally {
+        activeJobs.delete(jobId)
     }
 }
 
+/**
+ * Abort running jobs when the API publishes a cancel request for them
+ */
+async function listenForCancellations() {
+    cancelSubscriber = redisClient.duplicate()
+    cancelSubscriber.on('error', (error) => {
+        console.error('Cancel subscriber error:', error.message)
+    })
+    await cancelSubscriber.connect()
+    await cancelSubscriber.subscribe(JOB_CANCEL_CHANNEL, (jobId) => {
+        const controller = activeJobs.get(jobId)
+        if (controller) {
+            console.log(`Cancelling job ${ jobId }...`)
+            controller.abort(new JobCancelledError())
+        }
+    })
+}
+
+/**
+ * Record the ffmpeg backend this worker runs jobs with, for the API to report
+ */
+async function publishFFmpegStatus() {
+    if (!redisClient.isOpen) await redisClient.connect()
+    const status = JSON.stringify({
+        backend: ffmpegPool?.name || null,
+        version: ffmpegPool?.version || null,
+        ffprobe: Boolean(ffmpegPool?.ffprobe),
+    })
+    const publish = () => redisClient.set(FFMPEG_STATUS_KEY, status, { EX: FFMPEG_STATUS_TTL_SECONDS }).catch((error) => {
+        console.warn('Failed to publish FFmpeg status:', error.message)
+    })
+    await publish()
+    ffmpegStatusTimer = setInterval(publish, (FFMPEG_STATUS_TTL_SECONDS / 3) * 1000)
+}
+
+/**
+ * Serve this worker's metrics in the Prometheus text format
+ */
+function startMetricsServer() {
+    metricsServer = http.createServer(async (req, res) => {
+        if (req.method !== 'GET' || req.url !== '/metrics') {
+            res.writeHead(404).end()
+            return
+        }
+        try {
+            const { contentType, body } = await renderMetrics()
+            res.writeHead(200, { 'Content-Type': contentType }).end(body)
+        } catch (error) {
+            res.writeHead(500).end(error.message)
+        }
+    })
+    metricsServer.on('error', (error) => {
+        console.error(`Metrics server error on port ${ WORKER_METRICS_PORT }:`, error.message)
+    })
+    metricsServer.listen(WORKER_METRICS_PORT)
+}
+
 // Initialize worker
 async function startWorker() {
     try {
@@ -436,18 +1237,20 @@ async function startWorker() {
         const queueHealth = await audioQueue.getJobCounts()
         console.log('Connected to Redis')
         console.log(`Queue status: ${ JSON.stringify(queueHealth) }`)
+        await listenForCancellations()
+        if (WORKER_METRICS_PORT) startMetricsServer()
 
         // Wait for FFmpeg to initialize if not already done
-        if (!ffmpegAvailable) {
-            console.log('Waiting for FFmpeg initialization...')
-            await initFFmpeg()
-        }
+        console.log('Waiting for FFmpeg initialization...')
+        await ffmpegReady
+
+        await publishFFmpegStatus()
 
         // Display FFmpeg status
         if (ffmpegAvailable) {
-            console.log('✅ FFmpeg (WASM) available - All features enabled')
+            console.log(`✅ FFmpeg (${ ffmpegPool.name }) available - All features enabled`)
         } else {
-            console.log('⚠️  FFmpeg not available - Convert/Slice/Waveform features disabled')
+            console.log('⚠️  FFmpeg not available - Convert/Slice/Waveform/Spectrogram features disabled')
         }
 
         console.log('='.repeat(50))
@@ -455,6 +1258,8 @@ async function startWorker() {
         console.log('='.repeat(50))
         console.log('Listening for audio processing jobs...')
         console.log('Queue: audio-processing')
+        console.log(`Concurrency: ${ WORKER_CONCURRENCY }`)
+        if (metricsServer) console.log(`Metrics: http://localhost:${ WORKER_METRICS_PORT }/metrics`)
         console.log('='.repeat(50))
     } catch (error) {
         console.error('Failed to start worker:', error)
@@ -462,10 +1267,24 @@ async function startWorker() {
     }
 }
 
-// Process jobs from the queue
-audioQueue.process(async (job) => {
+// Process jobs from the queue, up to WORKER_CONCURRENCY at a time
+audioQueue.process(WORKER_CONCURRENCY, async (job) => {
     console.log(`\nProcessing job ${ job.id }...`)
-    return await processAudioJob(job.data)
+    const retriesLeft = (job.opts.attempts || 1) - job.attemptsMade - 1
+    const endTimer = jobProcessingDuration.startTimer({ type: job.data.jobType })
+    try {
+        const result = await processAudioJob(job.data, createProgressReporter(job, job.data.jobId), { retriesLeft })
+        endTimer({ outcome: 'completed' })
+        return result
+    } catch (error) {
+        const transient = isTransientError(error)
+        endTimer({
+            outcome: error instanceof JobCancelledError ? 'cancelled' : transient && retriesLeft > 0 ? 'retrying' : 'failed',
+        })
+        // Only transient failures are worth retrying; cancelled jobs and permanent errors stop here
+        if (!transient) job.discard()
+        throw error
+    }
 })
 
 // Event handlers
@@ -488,6 +1307,10 @@ startWorker()
 process.on('SIGTERM', async () => {
     console.log('SIGTERM received, closing queue...')
     await audioQueue.close()
+    if (cancelSubscriber?.isOpen) await cancelSubscriber.quit()
+    clearInterval(ffmpegStatusTimer)
+    if (redisClient.isOpen) await redisClient.quit()
+    metricsServer?.close()
     await prisma.$disconnect()
     process.exit(0)
 })
@@ -495,6 +1318,10 @@ process.on('SIGTERM', async () => {
 process.on('SIGINT', async () => {
     console.log('SIGINT received, closing queue...')
     await audioQueue.close()
+    if (cancelSubscriber?.isOpen) await cancelSubscriber.quit()
+    clearInterval(ffmpegStatusTimer)
+    if (redisClient.isOpen) await redisClient.quit()
+    metricsServer?.close()
     await prisma.$disconnect()
     process.exit(0)
 });
@@ -0,0 +1,109 @@
+const { describe, it, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const { installFakes, createFakeQueueJob } = require('./helpers/fakes')
+
+const { db, queue, published } = installFakes()
+
+const { cancelJob, JobActionError } = require('../src/jobs/queue')
+
+async function createJob(data = {}) {
+    const audioFile = await db.audioFile.create({
+        data: { filename: 'tone.wav', originalName: 'tone.wav', path: '/uploads/tone.wav', mimeType: 'audio/wav', size: 1 },
+    })
+    return await db.job.create({ data: { audioFileId: audioFile.id, type: 'metadata', ...data } })
+}
+
+function queueJob(job, options) {
+    const queued = createFakeQueueJob(job.id, options)
+    queue.jobs.set(job.id, queued)
+    return queued
+}
+
+async function rejection(promise) {
+    try {
+        await promise
+    } catch (error) {
+        assert.ok(error instanceof JobActionError)
+        return error
+    }
+    assert.fail('expected a JobActionError')
+}
+
+describe('cancelJob', () => {
+    beforeEach(() => {
+        db.audioFile.rows = []
+        db.job.rows = []
+        queue.jobs.clear()
+        published.length = 0
+    })
+
+    it('refuses jobs it cannot cancel', async () => {
+        const missing = await rejection(cancelJob('no-such-job'))
+        assert.equal(missing.status, 404)
+        assert.equal(missing.code, 'JOB_NOT_FOUND')
+
+        const pipeline = await createJob({ type: 'pipeline' })
+        const step = await createJob({ parentId: pipeline.id, stepIndex: 0 })
+        const stepError = await rejection(cancelJob(step.id))
+        assert.equal(stepError.status, 400)
+        assert.equal(stepError.code, 'PIPELINE_STEP')
+
+        const finished = await createJob({ status: 'COMPLETED' })
+        const finishedError = await rejection(cancelJob(finished.id))
+        assert.equal(finishedError.status, 409)
+        assert.equal(finishedError.code, 'JOB_NOT_CANCELLABLE')
+        assert.equal((await db.job.findUnique({ where: { id: finished.id } })).status, 'COMPLETED')
+    })
+
+    it('removes a waiting job from the queue along with its pending steps', async () => {
+        const pipeline = await createJob({ type: 'pipeline' })
+        const done = await createJob({ parentId: pipeline.id, stepIndex: 0, status: 'COMPLETED' })
+        const pending = await createJob({ parentId: pipeline.id, stepIndex: 1 })
+        const queued = queueJob(pipeline, { state: 'delayed' })
+
+        const { job, wasRunning } = await cancelJob(pipeline.id)
+
+        assert.equal(wasRunning, false)
+        assert.equal(queued.removed, true)
+        assert.equal(published.length, 0)
+        assert.equal(job.status, 'CANCELLED')
+        assert.equal(job.error, 'Cancelled by user')
+        assert.deepEqual(job.steps.map(step => [step.id, step.status]), [
+            [done.id, 'COMPLETED'],
+            [pending.id, 'CANCELLED'],
+        ])
+    })
+
+    it('asks the worker to stop a running job', async () => {
+        const running = await createJob({ status: 'PROCESSING' })
+        const queued = queueJob(running, { state: 'active' })
+
+        const { job, wasRunning } = await cancelJob(running.id)
+
+        assert.equal(wasRunning, true)
+        assert.equal(queued.removed, false)
+        assert.equal(job.status, 'CANCELLED')
+        assert.deepEqual(published, [['audio-processing:cancel', running.id]])
+    })
+
+    it('treats a job a worker locked while it was being cancelled as running', async () => {
+        const pending = await createJob()
+        queueJob(pending, { state: 'waiting', locked: true })
+
+        const { job, wasRunning } = await cancelJob(pending.id)
+
+        assert.equal(wasRunning, true)
+        assert.equal(job.status, 'CANCELLED')
+        assert.deepEqual(published, [['audio-processing:cancel', pending.id]])
+    })
+
+    it('cancels a pending job that is no longer on the queue', async () => {
+        const pending = await createJob()
+
+        const { job, wasRunning } = await cancelJob(pending.id)
+
+        assert.equal(wasRunning, false)
+        assert.equal(job.status, 'CANCELLED')
+        assert.equal(published.length, 0)
+    })
+})
@@ -0,0 +1,120 @@
+const { describe, it, after, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { installFakes } = require('./helpers/fakes')
+
+const { db, queue } = installFakes()
+
+const { listDeadLetterJobs, requeueDeadLetterJob, JobActionError } = require('../src/jobs/queue')
+const { PermanentJobError, TransientJobError, isTransientError } = require('../src/services/jobErrors')
+
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dead-letter-test-'))
+
+async function createJob(data = {}, filePath = path.join(uploadDir, 'tone.wav')) {
+    const audioFile = await db.audioFile.create({
+        data: { filename: 'tone.wav', originalName: 'tone.wav', path: filePath, mimeType: 'audio/wav', size: 1 },
+    })
+    return await db.job.create({
+        data: { audioFileId: audioFile.id, type: 'convert', status: 'FAILED', params: JSON.stringify({ format: 'mp3' }), ...data },
+    })
+}
+
+async function rejection(promise) {
+    try {
+        await promise
+    } catch (error) {
+        assert.ok(error instanceof JobActionError)
+        return error
+    }
+    assert.fail('expected a JobActionError')
+}
+
+describe('isTransientError', () => {
+    it('retries environment failures and nothing else', () => {
+        assert.equal(isTransientError(Object.assign(new Error('read failed'), { code: 'EIO' })), true)
+        assert.equal(isTransientError(new Error('SQLITE_BUSY: database is locked')), true)
+        assert.equal(isTransientError(new TransientJobError('FFmpeg is not loaded')), true)
+
+        assert.equal(isTransientError(new Error('Invalid data found when processing input')), false)
+        assert.equal(isTransientError(new PermanentJobError('Audio file not found')), false)
+        assert.equal(isTransientError(undefined), false)
+    })
+
+    it('follows the cause chain, stopping at the first classified error', () => {
+        const cause = Object.assign(new Error('connect failed'), { code: 'ECONNREFUSED' })
+        assert.equal(isTransientError(new Error('Could not save the result', { cause })), true)
+        assert.equal(isTransientError(new PermanentJobError('Bad input', { cause })), false)
+    })
+})
+
+describe('dead-letter jobs', () => {
+    beforeEach(() => {
+        db.audioFile.rows = []
+        db.job.rows = []
+        queue.jobs.clear()
+        fs.writeFileSync(path.join(uploadDir, 'tone.wav'), 'audio')
+    })
+
+    after(() => {
+        fs.rmSync(uploadDir, { recursive: true, force: true })
+    })
+
+    it('lists dead-lettered jobs, most recent first', async () => {
+        await createJob()
+        const older = await createJob({ deadLetteredAt: new Date('2026-01-01T00:00:00Z') })
+        const newer = await createJob({ deadLetteredAt: new Date('2026-01-02T00:00:00Z') })
+
+        const { jobs, total } = await listDeadLetterJobs()
+        assert.equal(total, 2)
+        assert.deepEqual(jobs.map(job => job.id), [newer.id, older.id])
+        assert.equal(jobs[0].audioFile.originalName, 'tone.wav')
+
+        const page = await listDeadLetterJobs({ limit: 1, offset: 1 })
+        assert.equal(page.total, 2)
+        assert.deepEqual(page.jobs.map(job => job.id), [older.id])
+    })
+
+    it('requeues a job with its last parameters and priority', async () => {
+        const deadLettered = await createJob({
+            priority: 'bulk',
+            runAt: new Date(Date.now() + 60000),
+            deadLetteredAt: new Date(),
+            error: 'ECONNRESET',
+        })
+
+        const requeued = await requeueDeadLetterJob(deadLettered.id)
+
+        assert.equal(requeued.status, 'PENDING')
+        assert.equal(requeued.deadLetteredAt, null)
+        assert.equal(requeued.priority, 'bulk')
+        assert.equal(requeued.runAt, null)
+        assert.equal(JSON.parse(requeued.attempts)[0].error, 'ECONNRESET')
+        const queued = await queue.getJob(deadLettered.id)
+        assert.equal(queued.state, 'waiting')
+        assert.equal(queued.data.format, 'mp3')
+        assert.equal((await listDeadLetterJobs()).total, 0)
+    })
+
+    it('refuses jobs that are not dead-lettered', async () => {
+        const failed = await createJob()
+
+        const error = await rejection(requeueDeadLetterJob(failed.id))
+
+        assert.equal(error.status, 409)
+        assert.equal(error.code, 'NOT_DEAD_LETTERED')
+        assert.equal(queue.jobs.size, 0)
+    })
+
+    it('refuses jobs whose upload is gone', async () => {
+        const orphaned = await createJob({ deadLetteredAt: new Date() }, path.join(uploadDir, 'removed.wav'))
+
+        const error = await rejection(requeueDeadLetterJob(orphaned.id))
+
+        assert.equal(error.status, 410)
+        assert.equal(error.code, 'FILE_MISSING')
+        assert.equal(queue.jobs.size, 0)
+        assert.notEqual((await db.job.findUnique({ where: { id: orphaned.id } })).deadLetteredAt, null)
+    })
+})
@@ -0,0 +1,28 @@
+/**
+ * A short 16-bit mono PCM WAV file (a quiet 440 Hz tone), enough for content probing
+ */
+function createWav(seconds = 0.1, sampleRate = 8000) {
+    const samples = Math.round(seconds * sampleRate)
+    const buffer = Buffer.alloc(44 + samples * 2)
+    buffer.write('RIFF', 0, 'latin1')
+    buffer.writeUInt32LE(36 + samples * 2, 4)
+    buffer.write('WAVE', 8, 'latin1')
+    buffer.write('fmt ', 12, 'latin1')
+    buffer.writeUInt32LE(16, 16) // fmt chunk size
+    buffer.writeUInt16LE(1, 20) // PCM
+    buffer.writeUInt16LE(1, 22) // channels
+    buffer.writeUInt32LE(sampleRate, 24)
+    buffer.writeUInt32LE(sampleRate * 2, 28) // byte rate
+    buffer.writeUInt16LE(2, 32) // block align
+    buffer.writeUInt16LE(16, 34) // bits per sample
+    buffer.write('data', 36, 'latin1')
+    buffer.writeUInt32LE(samples * 2, 40)
+    for (let i = 0; i < samples; i++) {
+        buffer.writeInt16LE(Math.round(8000 * Math.sin((2 * Math.PI * 440 * i) / sampleRate)), 44 + i * 2)
+    }
+    return buffer
+}
+
+module.exports = {
+    createWav,
+}
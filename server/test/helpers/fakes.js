@@ -0,0 +1,263 @@
+/**
+ * In-memory stand-ins for Prisma and the Bull queue / Redis client, for tests of modules
+ * that talk to the database and the queue. Call installFakes() before requiring the module
+ * under test; every `new PrismaClient()` then shares the returned database.
+ */
+const path = require('path')
+const { randomUUID } = require('crypto')
+
+const MODEL_DEFAULTS = {
+    audioFile: { batchId: null, container: null, codec: null },
+    uploadBatch: { params: null },
+    job: {
+        status: 'PENDING',
+        progress: 0,
+        priority: 'normal',
+        runAt: null,
+        params: null,
+        result: null,
+        error: null,
+        attempts: null,
+        parentId: null,
+        stepIndex: null,
+        startedAt: null,
+        completedAt: null,
+        deadLetteredAt: null,
+    },
+    uploadSession: { offset: 0, checksum: null },
+}
+
+// include: relation name -> [model, foreign key, many]; `many` relations point back at this row
+const RELATIONS = {
+    job: {
+        audioFile: ['audioFile', 'audioFileId', false],
+        steps: ['job', 'parentId', true],
+    },
+    audioFile: {
+        jobs: ['job', 'audioFileId', true],
+    },
+}
+
+// Rows deleted along with a row of the model, as onDelete: Cascade does
+const CASCADES = {
+    audioFile: [['job', 'audioFileId']],
+    job: [['job', 'parentId']],
+}
+
+function comparable(value) {
+    return value instanceof Date ? value.getTime() : value ?? null
+}
+
+function matchesCondition(value, condition) {
+    if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+        return comparable(value) === comparable(condition)
+    }
+    return Object.entries(condition).every(([operator, operand]) => {
+        switch (operator) {
+            case 'not': return !matchesCondition(value, operand)
+            case 'in': return operand.some(option => comparable(value) === comparable(option))
+            case 'lt': return value != null && comparable(value) < comparable(operand)
+            case 'lte': return value != null && comparable(value) <= comparable(operand)
+            case 'gt': return value != null && comparable(value) > comparable(operand)
+            case 'gte': return value != null && comparable(value) >= comparable(operand)
+            default: throw new Error(`Fake Prisma does not support the "${ operator }" filter`)
+        }
+    })
+}
+
+function matches(row, where = {}) {
+    return Object.entries(where).every(([key, condition]) => {
+        if (key === 'OR') return condition.some(part => matches(row, part))
+        if (key === 'AND') return condition.every(part => matches(row, part))
+        return matchesCondition(row[key], condition)
+    })
+}
+
+function sortRows(rows, orderBy) {
+    if (!orderBy) return rows
+    const [[field, direction]] = Object.entries(orderBy)
+    const sign = direction === 'desc' ? -1 : 1
+    return [...rows].sort((a, b) => sign * (comparable(a[field]) > comparable(b[field]) ? 1 : comparable(a[field]) < comparable(b[field]) ? -1 : 0))
+}
+
+function notFound() {
+    return Object.assign(new Error('Record to update not found.'), { code: 'P2025' })
+}
+
+class FakeModel {
+    constructor(db, name) {
+        this.db = db
+        this.name = name
+        this.rows = []
+    }
+
+    withIncludes(row, include) {
+        const result = { ...row }
+        for (const [relation, options] of Object.entries(include || {})) {
+            const [model, foreignKey, many] = RELATIONS[this.name][relation]
+            result[relation] = many
+                ? sortRows(this.db[model].rows.filter(other => other[foreignKey] === row.id), options.orderBy).map(other => ({ ...other }))
+                : { ...this.db[model].rows.find(other => other.id === row[foreignKey]) }
+        }
+        return result
+    }
+
+    select(where, { orderBy, skip = 0, take } = {}) {
+        const rows = sortRows(this.rows.filter(row => matches(row, where)), orderBy).slice(skip)
+        return take === undefined ? rows : rows.slice(0, take)
+    }
+
+    async create({ data }) {
+        const now = new Date()
+        const row = { id: randomUUID(), createdAt: now, updatedAt: now, ...MODEL_DEFAULTS[this.name], ...data }
+        this.rows.push(row)
+        return { ...row }
+    }
+
+    async findUnique({ where, include }) {
+        const row = this.rows.find(candidate => matches(candidate, where))
+        return row ? this.withIncludes(row, include) : null
+    }
+
+    async findFirst({ where, orderBy, include } = {}) {
+        const [row] = this.select(where, { orderBy })
+        return row ? this.withIncludes(row, include) : null
+    }
+
+    async findMany({ where, orderBy, skip, take, include } = {}) {
+        return this.select(where, { orderBy, skip, take }).map(row => this.withIncludes(row, include))
+    }
+
+    async count({ where } = {}) {
+        return this.select(where).length
+    }
+
+    async update({ where, data }) {
+        const row = this.rows.find(candidate => matches(candidate, where))
+        if (!row) throw notFound()
+        Object.assign(row, data, { updatedAt: new Date() })
+        return { ...row }
+    }
+
+    async updateMany({ where, data }) {
+        const rows = this.select(where)
+        rows.forEach(row => Object.assign(row, data, { updatedAt: new Date() }))
+        return { count: rows.length }
+    }
+
+    async delete({ where }) {
+        const row = this.rows.find(candidate => matches(candidate, where))
+        if (!row) throw notFound()
+        this.remove([row])
+        return { ...row }
+    }
+
+    async deleteMany({ where } = {}) {
+        const rows = this.select(where)
+        this.remove(rows)
+        return { count: rows.length }
+    }
+
+    remove(rows) {
+        this.rows = this.rows.filter(row => !rows.includes(row))
+        for (const [model, foreignKey] of CASCADES[this.name] || []) {
+            const dependants = this.db[model].rows.filter(other => rows.some(row => other[foreignKey] === row.id))
+            if (dependants.length > 0) this.db[model].remove(dependants)
+        }
+    }
+}
+
+function createFakeDatabase() {
+    const db = {}
+    for (const name of Object.keys(MODEL_DEFAULTS)) {
+        db[name] = new FakeModel(db, name)
+    }
+    db.$disconnect = async () => { }
+    return db
+}
+
+/**
+ * A Bull job as the API sees it: `state` is what getState() reports, and remove() fails
+ * with Bull's lock error while `locked` is set
+ */
+function createFakeQueueJob(id, { data = {}, opts = {}, state = 'waiting', locked = false } = {}) {
+    return {
+        id,
+        data,
+        opts,
+        state,
+        locked,
+        removed: false,
+        async getState() {
+            return this.state
+        },
+        async remove() {
+            if (this.locked) throw new Error(`Could not remove job ${ id }`)
+            this.removed = true
+        },
+    }
+}
+
+function createFakeQueue() {
+    const jobs = new Map()
+    return {
+        jobs,
+        async add(data, opts = {}) {
+            const id = opts.jobId || randomUUID()
+            const job = createFakeQueueJob(id, { data, opts, state: opts.delay ? 'delayed' : 'waiting' })
+            jobs.set(id, job)
+            return job
+        },
+        async getJob(id) {
+            const job = jobs.get(id)
+            return job && !job.removed ? job : null
+        },
+        on() { },
+    }
+}
+
+/**
+ * Replace @prisma/client and src/config/redis in the require cache.
+ * Returns { db, queue, published } where `published` collects [channel, message] pairs.
+ */
+function installFakes() {
+    const db = createFakeDatabase()
+    const queue = createFakeQueue()
+    const published = []
+
+    const prismaPath = require.resolve('@prisma/client')
+    require.cache[prismaPath] = {
+        id: prismaPath,
+        filename: prismaPath,
+        loaded: true,
+        exports: { PrismaClient: function PrismaClient() { return db } },
+    }
+
+    const redisPath = require.resolve(path.join(__dirname, '../../src/config/redis'))
+    require.cache[redisPath] = {
+        id: redisPath,
+        filename: redisPath,
+        loaded: true,
+        exports: {
+            audioQueue: queue,
+            redisClient: {
+                isOpen: true,
+                async publish(channel, message) {
+                    published.push([channel, message])
+                },
+                async get() {
+                    return null
+                },
+            },
+            JOB_CANCEL_CHANNEL: 'audio-processing:cancel',
+            FFMPEG_STATUS_KEY: 'audio-processing:ffmpeg',
+        },
+    }
+
+    return { db, queue, published }
+}
+
+module.exports = {
+    installFakes,
+    createFakeQueueJob,
+}
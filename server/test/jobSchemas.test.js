@@ -0,0 +1,84 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const { JobParamsError, resolveSchema } = require('../src/config/jobSchemas')
+
+const SCHEMA = {
+    fields: {
+        gain: { type: 'number', min: -20, max: 20 },
+        count: { type: 'integer', min: 1, max: 10, required: true },
+        mode: { type: 'enum', values: ['fast', 'accurate'] },
+        mono: { type: 'boolean' },
+        start: { type: 'timecode' },
+        color: { type: 'color', allowTransparent: true },
+        levels: { type: 'list', min: 1, max: 100, maxItems: 3 },
+    },
+}
+
+function errorsFor(body, options) {
+    try {
+        resolveSchema(SCHEMA, body, options)
+    } catch (error) {
+        assert.ok(error instanceof JobParamsError)
+        return error.fields
+    }
+    assert.fail('expected a JobParamsError')
+}
+
+describe('resolveSchema', () => {
+    it('converts request strings to typed values', () => {
+        assert.deepEqual(resolveSchema(SCHEMA, {
+            gain: '-3.5',
+            count: '4',
+            mode: 'fast',
+            mono: 'true',
+            start: '1:30',
+            color: 'transparent',
+            levels: '10, 20',
+        }), {
+            gain: -3.5,
+            count: 4,
+            mode: 'fast',
+            mono: true,
+            start: 90,
+            color: 'transparent',
+            levels: [10, 20],
+        })
+    })
+
+    it('skips missing optional fields', () => {
+        assert.deepEqual(resolveSchema(SCHEMA, { count: 1, gain: '', mode: null }), { count: 1 })
+    })
+
+    it('lists every invalid field', () => {
+        assert.deepEqual(errorsFor({ gain: 30, mode: 'slow', levels: [1, 2, 3, 4] }), [
+            { field: 'gain', message: 'gain must be between -20 and 20' },
+            { field: 'count', message: 'count is required' },
+            { field: 'mode', message: 'mode must be one of: fast, accurate' },
+            { field: 'levels', message: 'levels can have at most 3 entries' },
+        ])
+    })
+
+    it('prefixes fields, and only checks present fields when partial', () => {
+        assert.deepEqual(errorsFor({ count: 1.5 }, { prefix: 'steps[0].' }), [
+            { field: 'steps[0].count', message: 'count must be a whole number' },
+        ])
+        assert.equal(resolveSchema(SCHEMA, { gain: 1 }, { partial: true }), null)
+    })
+
+    it('passes the parsed values to resolve and wraps its errors', () => {
+        const schema = {
+            fields: SCHEMA.fields,
+            resolve: ({ count, mode = 'accurate' }) => {
+                if (mode === 'fast' && count > 5) throw new Error('fast mode allows at most 5')
+                return { count, mode }
+            },
+        }
+
+        assert.deepEqual(resolveSchema(schema, { count: '6' }), { count: 6, mode: 'accurate' })
+        assert.throws(() => resolveSchema(schema, { count: 6, mode: 'fast' }, { prefix: 'steps[1].' }), (error) => {
+            assert.ok(error instanceof JobParamsError)
+            assert.deepEqual(error.fields, [{ field: 'steps[1]', message: 'fast mode allows at most 5' }])
+            return true
+        })
+    })
+})
@@ -0,0 +1,180 @@
+const { describe, it, before, after, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const http = require('http')
+const { installFakes } = require('./helpers/fakes')
+const { createWav } = require('./helpers/audio')
+
+process.env.UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'resumable-test-'))
+const { db, queue } = installFakes()
+
+const express = require('express')
+const {
+    appendUploadChunk,
+    completeUploadSession,
+    cancelUploadSession,
+} = require('../src/controllers/resumableUploadController')
+const { prepareJobRequest } = require('../src/controllers/uploadController')
+
+const audio = createWav()
+let server
+let baseUrl
+
+function partFile(session) {
+    return path.join(process.env.UPLOAD_DIR, `${ session.filename }.part`)
+}
+
+async function createSession(received = 0) {
+    const session = await db.uploadSession.create({
+        data: {
+            originalName: 'tone.wav',
+            mimeType: 'audio/wav',
+            size: audio.length,
+            filename: `${ Date.now() }-${ Math.round(Math.random() * 1e9) }.wav`,
+            jobRequest: JSON.stringify(prepareJobRequest({ jobType: 'metadata' })),
+        },
+    })
+    fs.writeFileSync(partFile(session), audio.subarray(0, received))
+    return session
+}
+
+/**
+ * Start a chunk upload that sends its first half and then stalls until finish() is called
+ */
+async function startStalledChunk(session) {
+    const request = http.request(`${ baseUrl }/sessions/${ session.id }`, {
+        method: 'PATCH',
+        headers: {
+            'Content-Type': 'application/offset+octet-stream',
+            'Content-Length': String(audio.length),
+            'Upload-Offset': '0',
+        },
+    })
+    const response = new Promise((resolve, reject) => {
+        request.on('response', (res) => {
+            let body = ''
+            res.on('data', (data) => { body += data })
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }))
+        })
+        request.on('error', reject)
+    })
+    const half = Math.floor(audio.length / 2)
+    request.write(audio.subarray(0, half))
+
+    // The handler holds the session once the first bytes reach the part file
+    while (fs.statSync(partFile(session)).size === 0) {
+        await new Promise((resolve) => setTimeout(resolve, 5))
+    }
+
+    return {
+        finish: () => {
+            request.end(audio.subarray(half))
+            return response
+        },
+    }
+}
+
+async function send(method, url) {
+    const response = await fetch(`${ baseUrl }${ url }`, { method })
+    return { status: response.status, body: await response.json() }
+}
+
+describe('resumable upload session lock', () => {
+    before(async () => {
+        const app = express()
+        app.patch('/sessions/:uploadId', appendUploadChunk)
+        app.post('/sessions/:uploadId/complete', completeUploadSession)
+        app.delete('/sessions/:uploadId', cancelUploadSession)
+        server = app.listen(0)
+        await new Promise((resolve) => server.once('listening', resolve))
+        baseUrl = `http://localhost:${ server.address().port }`
+    })
+
+    after(() => {
+        server.closeAllConnections()
+        server.close()
+        fs.rmSync(process.env.UPLOAD_DIR, { recursive: true, force: true })
+    })
+
+    beforeEach(() => {
+        db.uploadSession.rows = []
+        queue.jobs.clear()
+    })
+
+    it('turns away other requests while a chunk is being written', async () => {
+        const session = await createSession()
+        const chunk = await startStalledChunk(session)
+
+        // Always let the chunk finish, or a failing check would leave the server waiting for it
+        const responses = []
+        let result
+        try {
+            for (const [method, url] of [
+                ['PATCH', `/sessions/${ session.id }`],
+                ['POST', `/sessions/${ session.id }/complete`],
+                ['DELETE', `/sessions/${ session.id }`],
+            ]) {
+                responses.push({ request: `${ method } ${ url }`, ...await send(method, url) })
+            }
+        } finally {
+            result = await chunk.finish()
+        }
+
+        for (const response of responses) {
+            assert.equal(response.status, 409, response.request)
+            assert.equal(response.body.code, 'UPLOAD_BUSY')
+        }
+        assert.equal(result.status, 200)
+        assert.equal(result.body.offset, audio.length)
+        assert.ok(await db.uploadSession.findUnique({ where: { id: session.id } }))
+    })
+
+    it('holds the session until completion has queued the job', async () => {
+        const session = await createSession(audio.length)
+
+        // Stall the completion at the point where it creates the audio file row
+        const create = db.audioFile.create.bind(db.audioFile)
+        let release
+        const released = new Promise((resolve) => { release = resolve })
+        let reached
+        const creating = new Promise((resolve) => { reached = resolve })
+        db.audioFile.create = async (args) => {
+            reached()
+            await released
+            return create(args)
+        }
+
+        try {
+            const completion = send('POST', `/sessions/${ session.id }/complete`)
+            await creating
+
+            const cancel = await send('DELETE', `/sessions/${ session.id }`)
+            assert.equal(cancel.status, 409)
+            assert.equal(cancel.body.code, 'UPLOAD_BUSY')
+            const again = await send('POST', `/sessions/${ session.id }/complete`)
+            assert.equal(again.status, 409)
+
+            release()
+            const { status, body } = await completion
+            assert.equal(status, 201)
+            assert.equal(body.job.type, 'metadata')
+            assert.ok(queue.jobs.has(body.job.id))
+        } finally {
+            db.audioFile.create = create
+        }
+    })
+
+    it('cancels an idle session and removes its data', async () => {
+        const session = await createSession(10)
+
+        const { status } = await send('DELETE', `/sessions/${ session.id }`)
+
+        assert.equal(status, 200)
+        assert.equal(await db.uploadSession.findUnique({ where: { id: session.id } }), null)
+        // The part file is unlinked in the background
+        await new Promise((resolve) => setTimeout(resolve, 20))
+        assert.equal(fs.existsSync(partFile(session)), false)
+    })
+})
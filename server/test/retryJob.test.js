@@ -0,0 +1,125 @@
+const { describe, it, after, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { installFakes, createFakeQueueJob } = require('./helpers/fakes')
+
+const { db, queue } = installFakes()
+
+const { findRetryableJob, retryJob, JobActionError } = require('../src/jobs/queue')
+
+const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'retry-test-'))
+
+async function createJob(data = {}) {
+    const audioFile = await db.audioFile.create({
+        data: { filename: 'tone.wav', originalName: 'tone.wav', path: '/uploads/tone.wav', mimeType: 'audio/wav', size: 1 },
+    })
+    return await db.job.create({
+        data: { audioFileId: audioFile.id, type: 'normalize', params: JSON.stringify({ targetLufs: -16 }), ...data },
+    })
+}
+
+async function rejection(promise) {
+    try {
+        await promise
+    } catch (error) {
+        assert.ok(error instanceof JobActionError)
+        return error
+    }
+    assert.fail('expected a JobActionError')
+}
+
+describe('retryJob', () => {
+    beforeEach(() => {
+        db.audioFile.rows = []
+        db.job.rows = []
+        queue.jobs.clear()
+    })
+
+    after(() => {
+        fs.rmSync(outputDir, { recursive: true, force: true })
+    })
+
+    it('only retries failed or cancelled top-level jobs', async () => {
+        const running = await createJob({ status: 'PROCESSING' })
+        const notRetryable = await rejection(findRetryableJob(running.id))
+        assert.equal(notRetryable.status, 409)
+        assert.equal(notRetryable.code, 'JOB_NOT_RETRYABLE')
+
+        const pipeline = await createJob({ type: 'pipeline', status: 'FAILED' })
+        const step = await createJob({ parentId: pipeline.id, stepIndex: 0, status: 'FAILED' })
+        const stepError = await rejection(findRetryableJob(step.id))
+        assert.equal(stepError.code, 'PIPELINE_STEP')
+
+        const missing = await rejection(findRetryableJob('no-such-job'))
+        assert.equal(missing.status, 404)
+    })
+
+    it('queues the job again and records the previous attempt', async () => {
+        const failed = await createJob({ status: 'FAILED', error: 'ffmpeg exited with code 1', progress: 40 })
+        const previous = createFakeQueueJob(failed.id, { state: 'failed' })
+        queue.jobs.set(failed.id, previous)
+
+        const job = await findRetryableJob(failed.id)
+        const retried = await retryJob(job, { jobParams: { targetLufs: -14 }, schedule: { priority: 'interactive' } })
+
+        assert.equal(previous.removed, true)
+        assert.equal(retried.status, 'PENDING')
+        assert.equal(retried.progress, 0)
+        assert.equal(retried.error, null)
+        assert.equal(retried.priority, 'interactive')
+        assert.deepEqual(JSON.parse(retried.params), { targetLufs: -14 })
+        const [attempt] = JSON.parse(retried.attempts)
+        assert.equal(attempt.attempt, 1)
+        assert.equal(attempt.status, 'FAILED')
+        assert.equal(attempt.error, 'ffmpeg exited with code 1')
+        assert.deepEqual(attempt.params, { targetLufs: -16 })
+
+        const queued = await queue.getJob(failed.id)
+        assert.notEqual(queued, previous)
+        assert.deepEqual(queued.data, { jobId: failed.id, audioFileId: failed.audioFileId, jobType: 'normalize', targetLufs: -14 })
+    })
+
+    it('replaces the steps of a pipeline and removes their outputs', async () => {
+        const pipeline = await createJob({ type: 'pipeline', status: 'CANCELLED', params: JSON.stringify({ steps: [] }) })
+        const step = await createJob({ parentId: pipeline.id, stepIndex: 0, status: 'COMPLETED' })
+        const outputPath = path.join(outputDir, `normalized-${ step.id }.wav`)
+        fs.writeFileSync(outputPath, 'audio')
+        await db.job.update({ where: { id: step.id }, data: { result: JSON.stringify({ outputPath }) } })
+
+        const job = await findRetryableJob(pipeline.id)
+        const retried = await retryJob(job, { pipelineSteps: [{ jobType: 'metadata' }] })
+
+        assert.deepEqual(retried.steps.map(newStep => newStep.type), ['metadata'])
+        assert.equal(await db.job.findUnique({ where: { id: step.id } }), null)
+        assert.equal(JSON.parse(retried.attempts)[0].steps[0].status, 'COMPLETED')
+        const queued = await queue.getJob(pipeline.id)
+        assert.deepEqual(queued.data.steps, [{ jobType: 'metadata', jobId: retried.steps[0].id }])
+        // Outputs are removed in the background
+        await new Promise((resolve) => setTimeout(resolve, 20))
+        assert.equal(fs.existsSync(outputPath), false)
+    })
+
+    for (const [description, options] of [
+        ['is still running', { state: 'active' }],
+        ['is locked by a worker', { state: 'failed', locked: true }],
+    ]) {
+        it(`waits while the previous attempt ${ description }`, async () => {
+            const cancelled = await createJob({ status: 'CANCELLED', error: 'Cancelled by user' })
+            const previous = createFakeQueueJob(cancelled.id, options)
+            queue.jobs.set(cancelled.id, previous)
+
+            const job = await findRetryableJob(cancelled.id)
+            const error = await rejection(retryJob(job, { jobParams: { targetLufs: -14 } }))
+
+            assert.equal(error.status, 409)
+            assert.equal(error.code, 'JOB_STILL_STOPPING')
+            assert.equal(previous.removed, false)
+            const unchanged = await db.job.findUnique({ where: { id: cancelled.id } })
+            assert.equal(unchanged.status, 'CANCELLED')
+            assert.equal(unchanged.attempts, null)
+            assert.equal(unchanged.params, JSON.stringify({ targetLufs: -16 }))
+        })
+    }
+})
@@ -0,0 +1,65 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const { JOB_PRIORITIES, MAX_SCHEDULE_DELAY_SECONDS, resolveJobSchedule, scheduleQueueOptions } = require('../src/config/scheduling')
+const { JobParamsError } = require('../src/config/jobSchemas')
+
+function fieldErrors(body) {
+    try {
+        resolveJobSchedule(body)
+    } catch (error) {
+        assert.ok(error instanceof JobParamsError)
+        return error.fields
+    }
+    assert.fail('expected a JobParamsError')
+}
+
+describe('resolveJobSchedule', () => {
+    it('defaults to normal priority, starting right away', () => {
+        assert.deepEqual(resolveJobSchedule(), { priority: 'normal', runAt: null })
+        assert.deepEqual(resolveJobSchedule({ priority: 'interactive' }), { priority: 'interactive', runAt: null })
+    })
+
+    it('turns a delay into a start time', () => {
+        const before = Date.now()
+        const { priority, runAt } = resolveJobSchedule({ priority: 'bulk', delay: '60' })
+
+        assert.equal(priority, 'bulk')
+        assert.ok(runAt.getTime() >= before + 60000 && runAt.getTime() <= Date.now() + 60000)
+    })
+
+    it('treats a start time in the past as now', () => {
+        assert.equal(resolveJobSchedule({ runAt: '2020-01-01T00:00:00Z' }).runAt, null)
+    })
+
+    it('keeps a start time in the future', () => {
+        const start = new Date(Date.now() + 3600 * 1000)
+        assert.equal(resolveJobSchedule({ runAt: start.toISOString() }).runAt.getTime(), start.getTime())
+    })
+
+    it('reports each invalid field', () => {
+        assert.deepEqual(fieldErrors({ priority: 'urgent', delay: -1 }), [
+            { field: 'priority', message: 'priority must be one of: interactive, normal, bulk' },
+            { field: 'delay', message: `delay must be between 0 and ${ MAX_SCHEDULE_DELAY_SECONDS }` },
+        ])
+        assert.equal(fieldErrors({ runAt: 'tomorrow' })[0].field, 'runAt')
+
+        const farAhead = new Date(Date.now() + (MAX_SCHEDULE_DELAY_SECONDS + 60) * 1000).toISOString()
+        assert.match(fieldErrors({ runAt: farAhead })[0].message, /at most 30 days ahead/)
+    })
+
+    it('rejects both runAt and delay', () => {
+        assert.deepEqual(fieldErrors({ runAt: '2020-01-01', delay: 5 }), [{ message: 'Set either runAt or delay, not both' }])
+    })
+})
+
+describe('scheduleQueueOptions', () => {
+    it('maps priorities to Bull priorities', () => {
+        assert.deepEqual(scheduleQueueOptions({ priority: 'interactive' }), { priority: JOB_PRIORITIES.interactive.value })
+        assert.deepEqual(scheduleQueueOptions(), { priority: JOB_PRIORITIES.normal.value })
+    })
+
+    it('delays until a stored start time', () => {
+        const { delay } = scheduleQueueOptions({ priority: 'bulk', runAt: new Date(Date.now() + 5000).toISOString() })
+        assert.ok(delay > 4000 && delay <= 5000)
+    })
+})
@@ -0,0 +1,101 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const { analyzeSignal, findSilence, fft } = require('../src/services/signalAnalysis')
+
+const SAMPLE_RATE = 48000
+// 4096-point FFT bin 85, so the tone falls exactly on a bin
+const TONE_HZ = (SAMPLE_RATE / 4096) * 85
+
+function sine(seconds, { frequency = TONE_HZ, amplitude = 32767, from = 0, to = seconds } = {}) {
+    const samples = new Int16Array(Math.round(seconds * SAMPLE_RATE))
+    for (let i = Math.round(from * SAMPLE_RATE); i < Math.round(to * SAMPLE_RATE); i++) {
+        samples[i] = Math.round(amplitude * Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE))
+    }
+    return samples
+}
+
+describe('fft', () => {
+    it('puts a sine that fits the frame exactly into one bin', () => {
+        const size = 64
+        const real = Float64Array.from({ length: size }, (_, i) => Math.sin((2 * Math.PI * 4 * i) / size))
+        const imag = new Float64Array(size)
+        fft(real, imag)
+
+        const magnitudes = Array.from(real, (value, k) => Math.hypot(value, imag[k]))
+        assert.ok(Math.abs(magnitudes[4] - size / 2) < 1e-9)
+        magnitudes.slice(0, size / 2).forEach((magnitude, k) => {
+            if (k !== 4) assert.ok(magnitude < 1e-9, `bin ${ k } should be empty`)
+        })
+    })
+})
+
+describe('analyzeSignal', () => {
+    it('reads a full-scale sine at about 0 dBFS peak and -3 dBFS RMS', () => {
+        const result = analyzeSignal(sine(2), { channels: 1, sampleRate: SAMPLE_RATE })
+
+        assert.equal(result.analyzedDuration, 2)
+        const [channel] = result.channels
+        assert.ok(Math.abs(channel.peakDb) < 0.01)
+        assert.ok(Math.abs(channel.rmsDb + 3.01) < 0.01)
+        assert.ok(Math.abs(channel.dcOffset) < 0.001)
+        assert.deepEqual(result.silence.regions, [])
+    })
+
+    it('finds the tone in the spectrum and reports the bandwidth it stops at', () => {
+        const { spectrum, bandwidth } = analyzeSignal(sine(2), { channels: 1, sampleRate: SAMPLE_RATE })
+
+        const loudest = spectrum.bands.reduce((best, band) => (band.db > best.db ? band : best))
+        assert.ok(Math.abs(loudest.frequency - TONE_HZ) < 50)
+        assert.ok(loudest.db > -10)
+        assert.ok(Math.abs(bandwidth.effectiveHz - TONE_HZ) < 50)
+        assert.equal(bandwidth.nyquistHz, SAMPLE_RATE / 2)
+        assert.equal(bandwidth.likelyUpsampled, true)
+    })
+
+    it('measures each channel of interleaved audio', () => {
+        const left = sine(1)
+        const samples = new Int16Array(left.length * 2)
+        left.forEach((sample, i) => {
+            samples[i * 2] = sample
+        })
+        const result = analyzeSignal(samples, { channels: 2, sampleRate: SAMPLE_RATE })
+
+        assert.equal(result.channelCount, 2)
+        assert.ok(Math.abs(result.channels[0].peakDb) < 0.01)
+        assert.equal(result.channels[1].peakDb, null)
+    })
+
+    it('skips the spectrum for audio shorter than one FFT frame', () => {
+        const { spectrum, bandwidth } = analyzeSignal(sine(0.05), { channels: 1, sampleRate: SAMPLE_RATE })
+
+        assert.deepEqual(spectrum.bands, [])
+        assert.equal(bandwidth.effectiveHz, null)
+    })
+})
+
+describe('findSilence', () => {
+    it('finds the silence around a tone', () => {
+        const samples = sine(3, { frequency: 440, amplitude: 16000, from: 1, to: 2 })
+        const silence = findSilence(samples, 1, SAMPLE_RATE, { thresholdDb: -50, minDuration: 0.5 })
+
+        assert.deepEqual(silence.regions, [
+            { start: 0, end: 1, duration: 1 },
+            { start: 2, end: 3, duration: 1 },
+        ])
+        assert.equal(silence.totalDuration, 2)
+    })
+
+    it('ignores gaps shorter than the minimum duration', () => {
+        const samples = sine(3, { frequency: 440, amplitude: 16000, from: 0.2, to: 3 })
+        const silence = findSilence(samples, 1, SAMPLE_RATE, { thresholdDb: -50, minDuration: 0.5 })
+
+        assert.deepEqual(silence.regions, [])
+        assert.equal(silence.totalDuration, 0)
+    })
+
+    it('reports the whole of a silent file', () => {
+        const silence = findSilence(new Int16Array(SAMPLE_RATE * 2), 2, SAMPLE_RATE, { thresholdDb: -60, minDuration: 0.5 })
+
+        assert.deepEqual(silence.regions, [{ start: 0, end: 1, duration: 1 }])
+    })
+})
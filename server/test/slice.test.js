@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const { parseTimecode, resolveSliceOptions } = require('../src/config/slice')
+
+describe('parseTimecode', () => {
+    it('reads seconds and timecodes', () => {
+        assert.equal(parseTimecode('75.5'), 75.5)
+        assert.equal(parseTimecode('1:15.5'), 75.5)
+        assert.equal(parseTimecode('00:01:15.500'), 75.5)
+        assert.equal(parseTimecode('2:00:00'), 7200)
+        assert.equal(parseTimecode(' 12 '), 12)
+        assert.equal(parseTimecode(0), 0)
+        assert.equal(parseTimecode('0'), 0)
+    })
+
+    it('rejects values that are not times', () => {
+        for (const raw of ['', 'abc', '-5', '1:2:3:4', '1.5:00', null, undefined]) {
+            assert.throws(() => parseTimecode(raw, 'startTime'), /Invalid startTime/, `${ raw } should be rejected`)
+        }
+        assert.throws(() => parseTimecode(-1), /Invalid time/)
+        assert.throws(() => parseTimecode(Infinity), /Invalid time/)
+    })
+
+    it('rejects minutes or seconds of 60 and over in timecodes', () => {
+        assert.throws(() => parseTimecode('1:60'), /below 60/)
+        assert.throws(() => parseTimecode('1:60:00'), /below 60/)
+        // Plain seconds have no such limit
+        assert.equal(parseTimecode('90'), 90)
+    })
+})
+
+describe('resolveSliceOptions', () => {
+    it('accepts a clip that starts at 0', () => {
+        assert.deepEqual(resolveSliceOptions({ startTime: 0, endTime: '0:05' }), {
+            startTime: 0,
+            endTime: 5,
+            mode: 'accurate',
+            fadeIn: 0,
+            fadeOut: 0,
+        })
+    })
+
+    it('requires both times and an end after the start', () => {
+        assert.throws(() => resolveSliceOptions({ startTime: null, endTime: 5 }), /required/)
+        assert.throws(() => resolveSliceOptions({ startTime: 5 }), /required/)
+        assert.throws(() => resolveSliceOptions({ startTime: 5, endTime: 5 }), /after startTime/)
+    })
+})
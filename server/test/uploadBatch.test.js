@@ -0,0 +1,126 @@
+const { describe, it, after, beforeEach } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { installFakes } = require('./helpers/fakes')
+const { createWav } = require('./helpers/audio')
+
+process.env.UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-test-'))
+const { db, queue } = installFakes()
+
+const { uploadBatch } = require('../src/controllers/uploadController')
+
+let fileCount = 0
+
+/**
+ * Write a file to the upload directory and describe it the way multer does
+ */
+function uploadedFile(originalname, content = createWav()) {
+    const filename = `${ ++fileCount }${ path.extname(originalname) }`
+    const filePath = path.join(process.env.UPLOAD_DIR, filename)
+    fs.writeFileSync(filePath, content)
+    return { originalname, filename, path: filePath, size: content.length }
+}
+
+async function postBatch(files, body = { jobType: 'metadata' }) {
+    const res = {
+        statusCode: 200,
+        status(code) {
+            this.statusCode = code
+            return this
+        },
+        json(payload) {
+            this.body = payload
+            return this
+        },
+    }
+    await uploadBatch({ files, body }, res)
+    // Rejected files are unlinked in the background
+    await new Promise((resolve) => setTimeout(resolve, 20))
+    return res
+}
+
+describe('uploadBatch', () => {
+    const log = console.error
+
+    beforeEach(() => {
+        for (const model of ['uploadBatch', 'audioFile', 'job']) {
+            db[model].rows = []
+        }
+        queue.jobs.clear()
+        console.error = () => { }
+    })
+
+    after(() => {
+        console.error = log
+        fs.rmSync(process.env.UPLOAD_DIR, { recursive: true, force: true })
+    })
+
+    it('queues the valid files and reports the rejected ones', async () => {
+        const tone = uploadedFile('tone.wav')
+        const junk = uploadedFile('junk.mp3', Buffer.from('not audio at all'))
+
+        const res = await postBatch([tone, junk])
+
+        assert.equal(res.statusCode, 201)
+        assert.equal(res.body.files.length, 1)
+        assert.equal(res.body.files[0].audioFile.originalName, 'tone.wav')
+        assert.equal(res.body.files[0].audioFile.batchId, res.body.batch.id)
+        assert.ok(queue.jobs.has(res.body.files[0].job.id))
+        assert.deepEqual(res.body.rejected.map(file => file.originalName), ['junk.mp3'])
+        assert.ok(fs.existsSync(tone.path))
+        assert.equal(fs.existsSync(junk.path), false)
+    })
+
+    it('rejects a batch with no valid files and removes it', async () => {
+        const files = [
+            uploadedFile('a.wav', Buffer.from('RIFF but not really')),
+            uploadedFile('b.flac', Buffer.alloc(64)),
+        ]
+
+        const res = await postBatch(files)
+
+        assert.equal(res.statusCode, 415)
+        assert.equal(res.body.code, 'NO_VALID_FILES')
+        assert.equal(res.body.rejected.length, 2)
+        assert.equal(db.uploadBatch.rows.length, 0)
+        assert.equal(queue.jobs.size, 0)
+        files.forEach(file => assert.equal(fs.existsSync(file.path), false))
+    })
+
+    it('rejects invalid job fields before storing anything', async () => {
+        const files = [uploadedFile('tone.wav')]
+
+        const res = await postBatch(files, { jobType: 'no-such-job' })
+
+        assert.equal(res.statusCode, 400)
+        assert.equal(res.body.code, 'INVALID_JOB_PARAMS')
+        assert.equal(db.uploadBatch.rows.length, 0)
+        assert.equal(fs.existsSync(files[0].path), false)
+    })
+
+    it('removes the files that did not get a job when queueing fails midway', async () => {
+        const files = [uploadedFile('one.wav'), uploadedFile('two.wav'), uploadedFile('three.wav')]
+        const add = queue.add
+        let calls = 0
+        queue.add = async (...args) => {
+            if (++calls === 2) throw new Error('Redis connection lost')
+            return add(...args)
+        }
+
+        let res
+        try {
+            res = await postBatch(files)
+        } finally {
+            queue.add = add
+        }
+
+        assert.equal(res.statusCode, 500)
+        assert.equal(res.body.error, 'Redis connection lost')
+        assert.deepEqual(db.audioFile.rows.map(file => file.originalName), ['one.wav'])
+        assert.equal(db.job.rows.length, 1)
+        assert.equal(queue.jobs.size, 1)
+        assert.deepEqual(files.map(file => fs.existsSync(file.path)), [true, false, false])
+    })
+})
@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert/strict')
+const { computePeaks, encodeDat } = require('../src/services/waveformPeaks')
+
+describe('computePeaks', () => {
+    it('keeps min/max pairs per channel when splitting channels', () => {
+        const samples = Int16Array.from([100, -200, 300, -400, 32767, -32768])
+        const peaks = computePeaks(samples, { channels: 2, sampleRate: 44100, samplesPerPixel: 2, bits: 16, splitChannels: true })
+
+        assert.equal(peaks.version, 2)
+        assert.equal(peaks.channels, 2)
+        assert.equal(peaks.length, 2)
+        // Point-major: channel 0 then channel 1 for each point; the last point is partial
+        assert.deepEqual(peaks.data, [100, 300, -400, -200, 32767, 32767, -32768, -32768])
+    })
+
+    it('averages channels into one and keeps the high byte for 8-bit data', () => {
+        const samples = Int16Array.from([1000, 3000, -5000, -7000])
+        const peaks = computePeaks(samples, { channels: 2, sampleRate: 48000, samplesPerPixel: 2 })
+
+        assert.equal(peaks.bits, 8)
+        assert.equal(peaks.channels, 1)
+        assert.deepEqual(peaks.data, [-6000 >> 8, 2000 >> 8])
+    })
+})
+
+describe('encodeDat', () => {
+    it('writes the version 2 header', () => {
+        const peaks = computePeaks(Int16Array.from([100, -200, 300, -400]), { channels: 2, sampleRate: 44100, samplesPerPixel: 2, bits: 16 })
+        const dat = encodeDat(peaks)
+
+        assert.equal(dat.length, 24 + peaks.data.length * 2)
+        assert.equal(dat.readInt32LE(0), 2) // version
+        assert.equal(dat.readUInt32LE(4), 0) // flags: 16-bit
+        assert.equal(dat.readInt32LE(8), 44100) // sample rate
+        assert.equal(dat.readInt32LE(12), 2) // samples per pixel
+        assert.equal(dat.readUInt32LE(16), 1) // length
+        assert.equal(dat.readInt32LE(20), 1) // channels
+        assert.equal(dat.readInt16LE(24), -50)
+        assert.equal(dat.readInt16LE(26), -50)
+    })
+
+    it('flags 8-bit data and stores one byte per value', () => {
+        const peaks = computePeaks(Int16Array.from([32767, -32768]), { channels: 1, sampleRate: 8000, samplesPerPixel: 256 })
+        const dat = encodeDat(peaks)
+
+        assert.deepEqual([...dat.subarray(0, 24)], [
+            2, 0, 0, 0,
+            1, 0, 0, 0,
+            0x40, 0x1f, 0, 0,
+            0, 1, 0, 0,
+            1, 0, 0, 0,
+            1, 0, 0, 0,
+        ])
+        assert.equal(dat.length, 26)
+        assert.equal(dat.readInt8(24), -128)
+        assert.equal(dat.readInt8(25), 127)
+    })
+})